@@ -1,90 +1,561 @@
 const fs = require('fs');
+const vm = require('vm');
+const { parseMoaCode, getChemicalMoaGroups, formatMoaGroups } = require('./moa-utils.js');
+const { normalizeRateUnit, parseRateUnit } = require('./unit-conversion.js');
+const { FORMULATION_CODES } = require('./tank-mix.js');
 
 /**
- * This build script transforms an Excel spreadsheet containing your master
- * chemical database into a JavaScript module. It uses the popular
- * `xlsx` package to read `.xlsx` files. Before running this script
- * you must install the dependency in your project (e.g. `npm install xlsx`).
+ * Builds `chemicals.js` from the master chemical spreadsheet
+ * (Chemicals_Master_Tight_v1.xlsx) in the schema script.js consumes. Needs
+ * the `xlsx` package (`npm install xlsx`).
  *
- * Similar to the CSV builder, this script treats the Excel file as the
- * authoritative source of chemical data and generates a `chemicals.js`
- * file in ES module format. If the structure of your spreadsheet
- * changes (e.g. column names), adjust the `transformRow` function
- * accordingly.
+ * Rows are validated against CHEMICAL_SCHEMA and errors are reported by
+ * spreadsheet row and column. Nothing is written when a row is invalid or
+ * the build would lose a field the current chemicals.js has; set
+ * ALLOW_FIELD_LOSS=1 once the losses are intended.
+ *
+ * Fields maintained in the app are carried over from the current
+ * chemicals.js by id until the sheet gains a column for them:
+ *   defaultRate + defaultRateUnit      spray rate in label units (unit-conversion.js)
+ *   defaultRatePerGallon               older fl oz/gal-only rate
+ *   defaultGranularRate(+Unit)         granular rate, lb/1000 sq ft or lb/acre
+ *   bagWeightLbs                       bag size for the Granular Helper
+ *   analysis, ecPer100PpmN             fertilizer N-P-K and EC (Fertilizer calculator)
+ *   ppe                                applicator PPE printed on work orders
+ *   maxRate ... aiContent(+Unit)       structured label limits (label-limits.js)
+ *   formulation                        WP, SC, EC, ... for tank-mix checks (tank-mix.js)
+ *
+ * Each build prints a changelog against the current chemicals.js (products
+ * added/removed, changed fields, rate changes needing compliance sign-off).
+ *   DIFF=1                 compare only; chemicals.js is not written
+ *   CHANGELOG_FORMAT=text  text (default), json or markdown
+ *   CHANGELOG_OUT=file     also write the changelog to a file
  */
 
-// Attempt to require the xlsx library. If it is not installed, provide
-// a friendly error message with installation instructions.
-let XLSX;
-try {
-  XLSX = require('xlsx');
-} catch (err) {
-  console.error(
-    'Missing dependency: The xlsx library is required to parse Excel files.\n' +
-      'Install it by running `npm install xlsx` in your project root, then re‑run this script.'
-  );
-  process.exit(1);
-}
-
 // Path to the input XLSX. Overridable via environment variable.
 const INPUT_XLSX = process.env.INPUT_XLSX || 'Chemicals_Master_Tight_v1.xlsx';
 
 // Path to the output JS. Overridable via environment variable.
 const OUTPUT_JS = process.env.OUTPUT_JS || 'chemicals.js';
 
+const ALLOW_FIELD_LOSS = process.env.ALLOW_FIELD_LOSS === '1';
+
+const DIFF_ONLY = process.env.DIFF === '1';
+const CHANGELOG_FORMAT = (process.env.CHANGELOG_FORMAT || 'text').toLowerCase();
+const CHANGELOG_OUT = process.env.CHANGELOG_OUT || '';
+
+// Rate changes must be signed off by the compliance lead before they ship
+const SIGN_OFF_FIELDS = [
+  'mixRate', 'defaultRatePerGallon', 'defaultGranularRatePerThousandSqFt', 'defaultGranularRate', 'defaultGranularRateUnit',
+  'defaultRate', 'defaultRateUnit',
+  'maxRate', 'maxRateUnit', 'maxApplicationsPerSeason', 'minRetreatmentDays', 'maxAnnualAi', 'maxAnnualAiUnit', 'aiContent', 'aiContentUnit'
+];
+
+// Fields called out in the changelog summary
+const FIELD_LABELS = {
+  mixRate: 'Mix rate',
+  defaultRatePerGallon: 'Default rate (fl oz/gal)',
+  defaultGranularRatePerThousandSqFt: 'Granular rate (lb/1,000 sq ft)',
+  defaultGranularRate: 'Granular rate',
+  defaultGranularRateUnit: 'Granular rate unit',
+  defaultRate: 'Default rate',
+  defaultRateUnit: 'Default rate unit',
+  maxRate: 'Max rate per application',
+  maxRateUnit: 'Max rate unit',
+  maxApplicationsPerSeason: 'Max applications per season',
+  minRetreatmentDays: 'Min retreatment interval (days)',
+  maxAnnualAi: 'Max active ingredient per year',
+  maxAnnualAiUnit: 'Max active ingredient unit',
+  aiContent: 'Active ingredient content',
+  aiContentUnit: 'Active ingredient content unit',
+  rei: 'REI',
+  moa: 'MOA'
+};
+
 /**
- * Attempt to coerce a value to a number. Returns null for empty strings
- * and leaves non‑numeric strings untouched.
- *
- * @param {any} value
- * @returns {number|null|any}
+ * Output schema, in chemicals.js key order.
+ *   columns   - spreadsheet headers to read, first non-empty wins
+ *   type      - 'string' (numbers are converted) or 'number'
+ *   required  - the row is rejected when empty
+ *   integer   - numbers must be whole
+ *   pattern   - format check for non-empty values; `allowed` lists accepted placeholders
+ *   rateUnit  - must be a rate unit unit-conversion.js understands (stored normalized)
+ *   carryOver - when the sheet has no value, keep the current chemicals.js value
+ *   omitEmpty - leave the key out of records with no value
+ */
+const CHEMICAL_SCHEMA = [
+  { field: 'id', columns: ['Chemical_ID'], type: 'string', required: true, pattern: /^C\d{3,}$/ },
+  { field: 'name', columns: ['Brand / Product'], type: 'string', required: true },
+  { field: 'category', columns: ['Category'], type: 'string', required: true },
+  { field: 'type', columns: ['Formulation'], type: 'string' },
+  { field: 'actives', columns: ['Active Ingredient(s)'], type: 'string' },
+  { field: 'moa', columns: ['MOA Code(s)'], type: 'string' },
+  { field: 'rei', columns: ['Typical REI (hours)'], type: 'string' },
+  { field: 'mixRate', columns: ['Mix Rate (per 1 gal)'], type: 'string' },
+  { field: 'targetSpectrum', columns: ['Target Spectrum'], type: 'string' },
+  { field: 'targetTypes', columns: ['Target Types'], type: 'string' },
+  { field: 'allowedSites', columns: ['Allowed Use Sites (FL Legal)'], type: 'string' },
+  { field: 'restrictions', columns: ['Key Legal Restrictions (EPA/FDACS)'], type: 'string' },
+  { field: 'ppe', columns: ['PPE'], type: 'string', carryOver: true, omitEmpty: true },
+  { field: 'ipmCategory', columns: ['IPM Category'], type: 'string' },
+  { field: 'notes', columns: ['Notes'], type: 'string' },
+  { field: 'manufacturer', columns: ['Manufacturer'], type: 'string' },
+  {
+    field: 'epaRegNum', columns: ['EPA_Registration_Number'], type: 'string',
+    pattern: /^\d+-\d+(-\d+)?$/, allowed: ['TBD', 'See product label', 'Exempt']
+  },
+  {
+    field: 'epaLabelUrl', columns: ['EPA_Label_URL'], type: 'string',
+    pattern: /^https?:\/\/\S+$/, allowed: ['TBD', 'Check EPA website']
+  },
+  { field: 'moaName', columns: ['MoA Name'], type: 'string' },
+  { field: 'moaDescription', columns: ['MoA Description'], type: 'string' },
+  { field: 'systemic', columns: ['Systemic/Contact/Biological'], type: 'string' },
+  { field: 'appType', columns: ['Application Type'], type: 'string' },
+  {
+    field: 'defaultGranularRatePerThousandSqFt', columns: ['Granular Rate Per Thousand Sq Ft', 'Granular Rate'],
+    type: 'number', carryOver: true, omitEmpty: true
+  },
+  { field: 'defaultGranularRate', columns: ['Default Granular Rate'], type: 'number', carryOver: true, omitEmpty: true },
+  {
+    field: 'defaultGranularRateUnit', columns: ['Default Granular Rate Unit'], type: 'string',
+    pattern: /^lb\/(1000 sq ft|acre)$/, carryOver: true, omitEmpty: true
+  },
+  { field: 'bagWeightLbs', columns: ['Bag Weight (lb)'], type: 'number', carryOver: true, omitEmpty: true },
+  {
+    field: 'analysis', columns: ['Fertilizer Analysis'], type: 'string',
+    pattern: /^\d+(\.\d+)?-\d+(\.\d+)?-\d+(\.\d+)?$/, carryOver: true, omitEmpty: true
+  },
+  { field: 'ecPer100PpmN', columns: ['EC at 100 ppm N'], type: 'number', carryOver: true, omitEmpty: true },
+  {
+    field: 'defaultRatePerGallon', columns: ['Default Rate Per Gallon', 'Rate Per Gallon'],
+    type: 'number', carryOver: true
+  },
+  { field: 'defaultRate', columns: ['Default Rate'], type: 'number', carryOver: true, omitEmpty: true },
+  { field: 'defaultRateUnit', columns: ['Default Rate Unit'], type: 'string', rateUnit: true, carryOver: true, omitEmpty: true },
+  { field: 'maxRate', columns: ['Max Rate Per Application'], type: 'number', carryOver: true, omitEmpty: true },
+  { field: 'maxRateUnit', columns: ['Max Rate Unit'], type: 'string', rateUnit: true, carryOver: true, omitEmpty: true },
+  {
+    field: 'maxApplicationsPerSeason', columns: ['Max Applications Per Season'],
+    type: 'number', integer: true, carryOver: true, omitEmpty: true
+  },
+  { field: 'minRetreatmentDays', columns: ['Min Retreatment Interval (days)'], type: 'number', carryOver: true, omitEmpty: true },
+  { field: 'maxAnnualAi', columns: ['Max AI Per Year'], type: 'number', carryOver: true, omitEmpty: true },
+  { field: 'maxAnnualAiUnit', columns: ['Max AI Per Year Unit'], type: 'string', rateUnit: true, carryOver: true, omitEmpty: true },
+  { field: 'aiContent', columns: ['AI Content'], type: 'number', carryOver: true, omitEmpty: true },
+  {
+    field: 'aiContentUnit', columns: ['AI Content Unit'], type: 'string',
+    pattern: /^(lb\/gal|g\/L|%)$/, carryOver: true, omitEmpty: true
+  },
+  {
+    field: 'formulation', columns: ['Formulation Code'], type: 'string',
+    pattern: new RegExp(`^(${Object.keys(FORMULATION_CODES).join('|')})$`), carryOver: true, omitEmpty: true
+  }
+];
+
+// Values that are only usable together, as [value field, unit field, value column, unit column]
+const PAIRED_FIELDS = [
+  ['defaultRate', 'defaultRateUnit', 'Default Rate', 'Default Rate Unit'],
+  ['defaultGranularRate', 'defaultGranularRateUnit', 'Default Granular Rate', 'Default Granular Rate Unit'],
+  ['maxRate', 'maxRateUnit', 'Max Rate Per Application', 'Max Rate Unit'],
+  ['maxAnnualAi', 'maxAnnualAiUnit', 'Max AI Per Year', 'Max AI Per Year Unit'],
+  ['aiContent', 'aiContentUnit', 'AI Content', 'AI Content Unit']
+];
+
+// Columns the sheet must have (carry-over fields may come from chemicals.js instead)
+const REQUIRED_COLUMNS = CHEMICAL_SCHEMA.filter(spec => !spec.carryOver).map(spec => spec.columns[0]);
+
+function isEmpty(value) {
+  return value == null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Convert one cell to the schema type
+ * @param {Object} spec - Schema entry
+ * @param {any} value - Raw cell value
+ * @returns {{value: any}|{error: string}}
  */
-function toNumber(value) {
-  if (value == null || value === '') return null;
-  const num = Number(value);
-  return Number.isFinite(num) ? num : value;
+function coerceValue(spec, value) {
+  if (isEmpty(value)) return { value: spec.type === 'number' ? null : '' };
+
+  if (spec.type === 'number') {
+    const num = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isFinite(num) || num < 0) return { error: `expected a non-negative number, got "${value}"` };
+    if (spec.integer && !Number.isInteger(num)) return { error: `expected a whole number, got "${value}"` };
+    return { value: num };
+  }
+
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return { error: `expected text, got ${value instanceof Date ? 'a date' : typeof value}` };
+  }
+  const text = String(value).trim();
+  if (spec.pattern && !spec.pattern.test(text) && !(spec.allowed || []).includes(text)) {
+    return { error: `"${text}" is not a valid ${spec.field}` };
+  }
+  if (spec.rateUnit) {
+    const unit = normalizeRateUnit(text);
+    return unit ? { value: unit } : { error: `"${text}" is not a rate unit (e.g. "fl oz/gal", "oz wt/100 gal", "pt/acre")` };
+  }
+  return { value: text };
 }
 
 /**
- * Custom row transform. Maps the raw row into the structure used by
- * your application. Adjust this function to reflect your spreadsheet’s
- * column names and the desired output format.
+ * Map one spreadsheet row to a chemicals.js record and validate it.
  *
  * @param {Object} row A single row object parsed by xlsx.utils.sheet_to_json.
- * @returns {Object}
+ * @param {number} rowNumber Spreadsheet row number (header is row 1).
+ * @param {Object} [existingById] Current chemicals.js records by id, for carry-over fields.
+ * @returns {{record: Object, errors: Array<{row: number, id: string, column: string, message: string}>}}
+ */
+function transformRow(row, rowNumber, existingById = {}) {
+  const record = {};
+  const errors = [];
+  const rowId = isEmpty(row[CHEMICAL_SCHEMA[0].columns[0]]) ? '' : String(row[CHEMICAL_SCHEMA[0].columns[0]]).trim();
+  const existing = existingById[rowId] || null;
+
+  CHEMICAL_SCHEMA.forEach(spec => {
+    const column = spec.columns.find(col => !isEmpty(row[col])) || spec.columns[0];
+    const result = coerceValue(spec, row[column]);
+    if (result.error) {
+      errors.push({ row: rowNumber, id: rowId, column, message: result.error });
+      return;
+    }
+
+    let value = result.value;
+    if (isEmpty(value) && spec.carryOver && existing && existing[spec.field] !== undefined) {
+      value = existing[spec.field];
+    }
+    if (isEmpty(value) && spec.required) {
+      errors.push({ row: rowNumber, id: rowId, column, message: `${spec.field} is required` });
+      return;
+    }
+    if (isEmpty(value) && spec.omitEmpty) return;
+    record[spec.field] = value;
+  });
+
+  // A rate or limit is only usable with its unit
+  PAIRED_FIELDS.forEach(([valueField, unitField, valueColumn, unitColumn]) => {
+    if ((record[valueField] != null) !== (record[unitField] != null)) {
+      const missing = record[valueField] != null ? unitColumn : valueColumn;
+      errors.push({ row: rowNumber, id: rowId, column: missing, message: `${valueColumn} and ${unitColumn} must be given together` });
+    }
+  });
+
+  // The annual cap is active ingredient per area
+  if (record.maxAnnualAiUnit) {
+    const cap = parseRateUnit(record.maxAnnualAiUnit);
+    if (!cap || cap.basisType !== 'area' || cap.kind !== 'weight') {
+      errors.push({ row: rowNumber, id: rowId, column: 'Max AI Per Year Unit', message: `"${record.maxAnnualAiUnit}" is not a weight per area (e.g. "lb/acre")` });
+    }
+  }
+
+  // MOA codes must be something moa-utils.js can classify
+  if (record.moa && parseMoaCode(record.moa, record.category).length === 0 &&
+      !/^NC$|non-?classified|not classified/i.test(record.moa)) {
+    errors.push({ row: rowNumber, id: rowId, column: 'MOA Code(s)', message: `unrecognized MOA code "${record.moa}"` });
+  }
+
+  return { record, errors };
+}
+
+/**
+ * Check the header row has every declared column
+ * @param {Array<string>} headers
+ * @returns {Array<string>} - Missing column names
+ */
+function findMissingColumns(headers) {
+  const present = new Set((headers || []).map(h => String(h || '').trim()));
+  return REQUIRED_COLUMNS.filter(col => !present.has(col));
+}
+
+/**
+ * Transform and validate all rows. Rows repeating an earlier product name are
+ * skipped (the sheet lists a few products twice under different ids);
+ * repeated ids are errors.
+ * @param {Array<Object>} rows - sheet_to_json rows
+ * @param {Array<Object>} existing - Current chemicals.js records
+ * @returns {{records: Array, errors: Array, skipped: Array<{row: number, id: string, name: string}>}}
+ */
+function transformRows(rows, existing = []) {
+  const existingById = {};
+  existing.forEach(chem => { existingById[chem.id] = chem; });
+
+  const records = [];
+  const errors = [];
+  const skipped = [];
+  const seenIds = new Map();
+  const seenNames = new Set();
+
+  rows.forEach((row, i) => {
+    const rowNumber = i + 2;
+    const result = transformRow(row, rowNumber, existingById);
+    errors.push(...result.errors);
+    const { id, name } = result.record;
+    if (!id || !name) return;
+
+    if (seenIds.has(id)) {
+      errors.push({ row: rowNumber, id, column: 'Chemical_ID', message: `duplicate id (also on row ${seenIds.get(id)})` });
+      return;
+    }
+    seenIds.set(id, rowNumber);
+
+    const nameKey = name.toLowerCase();
+    if (seenNames.has(nameKey)) {
+      skipped.push({ row: rowNumber, id, name });
+      return;
+    }
+    seenNames.add(nameKey);
+    records.push(result.record);
+  });
+
+  return { records, errors, skipped };
+}
+
+/**
+ * Fields the current chemicals.js has that the new records would lose:
+ * products missing from the sheet, and values that would become empty
+ * @param {Array<Object>} existing - Current records
+ * @param {Array<Object>} built - New records
+ * @returns {Array<{id: string, field: string|null, message: string}>}
+ */
+function findFieldLoss(existing, built) {
+  const builtById = {};
+  built.forEach(chem => { builtById[chem.id] = chem; });
+
+  const losses = [];
+  existing.forEach(old => {
+    const next = builtById[old.id];
+    if (!next) {
+      losses.push({ id: old.id, field: null, message: `${old.id} (${old.name}) is not in the spreadsheet` });
+      return;
+    }
+    Object.keys(old).forEach(field => {
+      if (!isEmpty(old[field]) && isEmpty(next[field])) {
+        losses.push({ id: old.id, field, message: `${old.id} ${field} would be emptied (currently "${old[field]}")` });
+      }
+    });
+  });
+  return losses;
+}
+
+/**
+ * Read the records from an existing chemicals.js (hand-maintained or generated)
+ * @param {string} file
+ * @returns {Array<Object>} - [] when the file does not exist
+ */
+function loadExistingChemicals(file) {
+  if (!fs.existsSync(file)) return [];
+  const source = fs.readFileSync(file, 'utf8');
+  const result = vm.runInNewContext(`${source}\n;typeof chemicals !== 'undefined' ? chemicals : [];`, {});
+  return Array.isArray(result) ? result : [];
+}
+
+/**
+ * Render the chemicals.js source. The file works in both browser and Node
+ * environments: loaded with a regular <script> tag it assigns `chemicals` to
+ * `window`; required in Node it exports the array via `module.exports`. Do
+ * not use ES module syntax here; it would break non-module script tags.
+ * @param {Array<Object>} records
+ * @param {Array<Object>} skipped - Duplicate rows left out
+ * @returns {string}
+ */
+function renderChemicalsJs(records, skipped = []) {
+  const outputLines = [];
+  outputLines.push(`// Chemical database - Lukas Horticulture App`);
+  outputLines.push(`// This file is auto‑generated by buildChemicalsFromExcel.js from ${INPUT_XLSX}.`);
+  outputLines.push(`// Do not edit by hand. Modify the spreadsheet and run the script to regenerate.`);
+  if (skipped.length) {
+    outputLines.push(`// ${records.length} unique chemicals (duplicates skipped: ${skipped.map(s => `${s.id}/${s.name}`).join(', ')})`);
+  }
+  outputLines.push('');
+  outputLines.push(`const chemicals = ${JSON.stringify(records, null, 2)};`);
+  outputLines.push('');
+  outputLines.push(`// Export to window for use by other scripts`);
+  outputLines.push(`if (typeof window !== 'undefined') { window.chemicals = chemicals; }`);
+  outputLines.push(`if (typeof module !== 'undefined' && module.exports) { module.exports = chemicals; }`);
+  return outputLines.join('\n') + '\n';
+}
+
+// ====== CHANGELOG ======
+
+// "24.0" in chemicals.js and 24 from the sheet are the same value
+function comparableValue(value) {
+  if (isEmpty(value)) return null;
+  if (typeof value === 'number') return value;
+  const text = String(value).trim();
+  return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : text;
+}
+
+function displayValue(value) {
+  return isEmpty(value) ? '(empty)' : String(value);
+}
+
+/**
+ * Compare two chemical lists by id
+ * @param {Array<Object>} before - Current chemicals.js records
+ * @param {Array<Object>} after - New build
+ * @returns {{added: Array, removed: Array, changed: Array, signOff: Array}}
+ *   changed: [{ id, name, changes: [{ field, from, to, formatOnly?, signOff? }] }]
+ *   signOff: rate changes (and rates on new products) needing compliance approval
+ */
+function diffChemicals(before, after) {
+  const beforeById = new Map(before.map(chem => [chem.id, chem]));
+  const afterById = new Map(after.map(chem => [chem.id, chem]));
+
+  const added = after.filter(chem => !beforeById.has(chem.id)).map(chem => ({ id: chem.id, name: chem.name }));
+  const removed = before.filter(chem => !afterById.has(chem.id)).map(chem => ({ id: chem.id, name: chem.name }));
+  const changed = [];
+  const signOff = [];
+
+  after.forEach(next => {
+    const old = beforeById.get(next.id);
+    if (!old) {
+      SIGN_OFF_FIELDS.forEach(field => {
+        if (!isEmpty(next[field])) {
+          signOff.push({ id: next.id, name: next.name, field, from: null, to: next[field] });
+        }
+      });
+      return;
+    }
+
+    const fields = Array.from(new Set(Object.keys(old).concat(Object.keys(next))));
+    const changes = [];
+    fields.forEach(field => {
+      const from = isEmpty(old[field]) ? null : old[field];
+      const to = isEmpty(next[field]) ? null : next[field];
+      if (comparableValue(from) === comparableValue(to)) return;
+
+      const change = { field, from, to };
+      // "15" → "WSSA 15" is a spelling change, not a new mode of action
+      if (field === 'moa' && formatMoaGroups(getChemicalMoaGroups(old)) === formatMoaGroups(getChemicalMoaGroups(next))) {
+        change.formatOnly = true;
+      }
+      if (SIGN_OFF_FIELDS.includes(field)) {
+        change.signOff = true;
+        signOff.push({ id: next.id, name: next.name, field, from, to });
+      }
+      changes.push(change);
+    });
+    if (changes.length) changed.push({ id: next.id, name: next.name, changes });
+  });
+
+  return { added, removed, changed, signOff };
+}
+
+function changeLine(change) {
+  const label = FIELD_LABELS[change.field] || change.field;
+  const note = change.formatOnly ? ' (same MOA groups, notation only)' : '';
+  return `${label}: ${displayValue(change.from)} → ${displayValue(change.to)}${note}`;
+}
+
+/**
+ * Human-readable changelog for the terminal
+ * @param {Object} diff - diffChemicals result
+ * @returns {string}
+ */
+function formatChangelogText(diff) {
+  const lines = [];
+  lines.push(`Chemical database changes: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`);
+  if (diff.signOff.length) {
+    lines.push('', `RATE CHANGES NEEDING COMPLIANCE SIGN-OFF (${diff.signOff.length}):`);
+    diff.signOff.forEach(item => lines.push(`  ${item.id} ${item.name} – ${changeLine(item)}`));
+  }
+  if (diff.added.length) {
+    lines.push('', 'Added:');
+    diff.added.forEach(chem => lines.push(`  + ${chem.id} ${chem.name}`));
+  }
+  if (diff.removed.length) {
+    lines.push('', 'Removed:');
+    diff.removed.forEach(chem => lines.push(`  - ${chem.id} ${chem.name}`));
+  }
+  if (diff.changed.length) {
+    lines.push('', 'Changed:');
+    diff.changed.forEach(chem => {
+      lines.push(`  ~ ${chem.id} ${chem.name}`);
+      chem.changes.forEach(change => lines.push(`      ${changeLine(change)}`));
+    });
+  }
+  return lines.join('\n') + '\n';
+}
+
+function markdownCell(value) {
+  return displayValue(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Markdown changelog (for a PR description or the sign-off record)
+ * @param {Object} diff - diffChemicals result
+ * @param {{source: string, generatedAt: string}} info
+ * @returns {string}
+ */
+function formatChangelogMarkdown(diff, info) {
+  const lines = [];
+  lines.push('# Chemical database changelog', '');
+  lines.push(`Source: \`${info.source}\` · Generated: ${info.generatedAt}`, '');
+  lines.push(`**${diff.added.length}** added · **${diff.removed.length}** removed · **${diff.changed.length}** changed`, '');
+
+  if (diff.signOff.length) {
+    lines.push('## Rate changes requiring compliance sign-off', '');
+    lines.push('| ID | Product | Field | Current | New |', '| --- | --- | --- | --- | --- |');
+    diff.signOff.forEach(item => {
+      lines.push(`| ${item.id} | ${markdownCell(item.name)} | ${FIELD_LABELS[item.field] || item.field} | ${markdownCell(item.from)} | ${markdownCell(item.to)} |`);
+    });
+    lines.push('', 'Approved by: ______________________  Date: ____________', '');
+  }
+  if (diff.added.length) {
+    lines.push('## Added', '');
+    diff.added.forEach(chem => lines.push(`- ${chem.id} ${chem.name}`));
+    lines.push('');
+  }
+  if (diff.removed.length) {
+    lines.push('## Removed', '');
+    diff.removed.forEach(chem => lines.push(`- ${chem.id} ${chem.name}`));
+    lines.push('');
+  }
+  if (diff.changed.length) {
+    lines.push('## Changed', '');
+    diff.changed.forEach(chem => {
+      lines.push(`### ${chem.id} ${chem.name}`, '');
+      chem.changes.forEach(change => lines.push(`- ${markdownCell(changeLine(change))}`));
+      lines.push('');
+    });
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render the changelog in the requested format
+ * @param {Object} diff - diffChemicals result
+ * @param {string} format - 'text', 'json' or 'markdown'
+ * @param {{source: string, generatedAt: string}} info
+ * @returns {string}
  */
-function transformRow(row) {
-  return {
-    id: row.id || row.ID || null,
-    name: row.name || row.Product || row.Name || null,
-    activeIngredient: row.activeIngredient || row['Active Ingredient'] || null,
-    productType: row.productType || row['Product Type'] || null,
-    moaGroup: row.moaGroup || row.FRAc || row.IRAC || row.MOA || null,
-    targetPests: row.targetPests || row['Target Pests'] || null,
-    applicationSites: row.applicationSites || row['Application Sites'] || null,
-    defaultRatePerGallon: toNumber(
-      row.defaultRatePerGallon || row['Rate Per Gallon'] || row['Default Rate Per Gallon']
-    ),
-    defaultGranularRatePerThousandSqFt: toNumber(
-      row.defaultGranularRatePerThousandSqFt ||
-        row['Granular Rate Per Thousand Sq Ft'] ||
-        row['Granular Rate']
-    ),
-    reiHours: toNumber(row.reiHours || row.REI || row['REI Hours'] || row['REI (hrs)']),
-    mixRate: row.mixRate || row['Mix Rate'] || null,
-    epaNumber: row.epaNumber || row['EPA Number'] || null,
-    compatibility: (row.compatibility || row['Compatibility'] || '')
-      ?.toString()
-      .split(/[;,]/)
-      .map((s) => s.trim())
-      .filter((s) => s.length > 0),
-    notes: row.notes || row.Notes || null,
-    // Preserve all original keys for reference under raw
-    raw: row,
-  };
+function formatChangelog(diff, format, info) {
+  if (format === 'json') {
+    return JSON.stringify({ source: info.source, generatedAt: info.generatedAt, ...diff }, null, 2) + '\n';
+  }
+  if (format === 'markdown' || format === 'md') return formatChangelogMarkdown(diff, info);
+  return formatChangelogText(diff);
+}
+
+function formatError(err) {
+  return `  Row ${err.row}${err.id ? ` (${err.id})` : ''}, column "${err.column}": ${err.message}`;
 }
 
 function build() {
+  // Attempt to require the xlsx library. If it is not installed, provide
+  // a friendly error message with installation instructions.
+  let XLSX;
+  try {
+    XLSX = require('xlsx');
+  } catch (err) {
+    console.error(
+      'Missing dependency: The xlsx library is required to parse Excel files.\n' +
+        'Install it by running `npm install xlsx` in your project root, then re‑run this script.'
+    );
+    process.exit(1);
+  }
+
   // Check that the input file exists
   if (!fs.existsSync(INPUT_XLSX)) {
     console.error(`Input file not found: ${INPUT_XLSX}`);
@@ -92,29 +563,72 @@ function build() {
   }
   // Read the workbook
   const workbook = XLSX.readFile(INPUT_XLSX, { cellDates: true });
-  const sheetName = workbook.SheetNames[0];
-  const sheet = workbook.Sheets[sheetName];
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+
+  const headers = XLSX.utils.sheet_to_json(sheet, { header: 1 })[0] || [];
+  const missingColumns = findMissingColumns(headers);
+  if (missingColumns.length) {
+    console.error(`${INPUT_XLSX} is missing columns: ${missingColumns.join(', ')}`);
+    process.exit(1);
+  }
+
   // Parse rows; defval: null ensures empty cells map to null
   const rows = XLSX.utils.sheet_to_json(sheet, { defval: null });
-  const transformed = rows.map(transformRow);
-  // Write a file that works in both browser and Node environments. When loaded
-  // in a browser via a regular <script> tag, it assigns the `chemicals` array
-  // to the global `window` so existing code can access it. When required in
-  // Node (e.g. for testing or server‑side code), it exports the array via
-  // `module.exports`. Do not include ES module syntax such as `export`
-  // statements here; doing so would break loading in non‑module script tags.
-  const chemicalsJson = JSON.stringify(transformed, null, 2);
-  const outputLines = [];
-  outputLines.push(`// This file is auto‑generated by scripts/buildChemicalsFromExcel.js.`);
-  outputLines.push(`// Do not edit by hand. Modify ${INPUT_XLSX} and run the script to regenerate.`);
-  outputLines.push(`const chemicals = ${chemicalsJson};`);
-  // Assign to window for browser usage
-  outputLines.push(`if (typeof window !== 'undefined') { window.chemicals = chemicals; }`);
-  // Export for CommonJS environments (Node)
-  outputLines.push(`if (typeof module !== 'undefined' && module.exports) { module.exports = chemicals; }`);
-  // Write the joined lines to the output JS file
-  fs.writeFileSync(OUTPUT_JS, outputLines.join('\n') + '\n', 'utf8');
-  console.log(`Generated ${OUTPUT_JS} from ${INPUT_XLSX}. Total records: ${transformed.length}`);
+  const existing = loadExistingChemicals(OUTPUT_JS);
+  const { records, errors, skipped } = transformRows(rows, existing);
+
+  skipped.forEach(s => console.warn(`Skipping row ${s.row} (${s.id}): duplicate of "${s.name}"`));
+
+  if (errors.length) {
+    console.error(`${errors.length} validation error(s); ${OUTPUT_JS} was not written:`);
+    errors.forEach(err => console.error(formatError(err)));
+    process.exit(1);
+  }
+
+  if (!['text', 'json', 'markdown', 'md'].includes(CHANGELOG_FORMAT)) {
+    console.error(`Unknown CHANGELOG_FORMAT "${CHANGELOG_FORMAT}" (use text, json or markdown)`);
+    process.exit(1);
+  }
+  const changelog = formatChangelog(diffChemicals(existing, records), CHANGELOG_FORMAT, {
+    source: INPUT_XLSX,
+    generatedAt: new Date().toISOString()
+  });
+  console.log(changelog);
+  if (CHANGELOG_OUT) {
+    fs.writeFileSync(CHANGELOG_OUT, changelog, 'utf8');
+    console.log(`Changelog written to ${CHANGELOG_OUT}`);
+  }
+  if (DIFF_ONLY) {
+    console.log(`Diff only (DIFF=1); ${OUTPUT_JS} was not written.`);
+    return;
+  }
+
+  const losses = findFieldLoss(existing, records);
+  if (losses.length && !ALLOW_FIELD_LOSS) {
+    console.error(`The new ${OUTPUT_JS} would lose ${losses.length} field(s); it was not written:`);
+    losses.forEach(loss => console.error(`  ${loss.message}`));
+    console.error('Fix the spreadsheet, or re-run with ALLOW_FIELD_LOSS=1 if these removals are intended.');
+    process.exit(1);
+  }
+
+  fs.writeFileSync(OUTPUT_JS, renderChemicalsJs(records, skipped), 'utf8');
+  console.log(`Generated ${OUTPUT_JS} from ${INPUT_XLSX}. Total records: ${records.length}`);
+}
+
+if (require.main === module) {
+  build();
 }
 
-build();
\ No newline at end of file
+module.exports = {
+  CHEMICAL_SCHEMA,
+  REQUIRED_COLUMNS,
+  coerceValue,
+  transformRow,
+  transformRows,
+  findMissingColumns,
+  findFieldLoss,
+  loadExistingChemicals,
+  renderChemicalsJs,
+  diffChemicals,
+  formatChangelog
+};
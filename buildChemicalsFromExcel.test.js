@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the chemical spreadsheet builder (schema mapping, validation, field-loss guard)
+ * Run with: node buildChemicalsFromExcel.test.js
+ */
+
+const vm = require('vm');
+const {
+  CHEMICAL_SCHEMA,
+  transformRow,
+  transformRows,
+  findMissingColumns,
+  findFieldLoss,
+  loadExistingChemicals,
+  renderChemicalsJs,
+  diffChemicals,
+  formatChangelog
+} = require('./buildChemicalsFromExcel.js');
+
+let passed = 0;
+let failed = 0;
+
+function test(description, fn) {
+  try {
+    fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected} but got ${actual}. ${message}`);
+  }
+}
+
+function assertTruthy(value, message = '') {
+  if (!value) {
+    throw new Error(`Expected truthy value. ${message}`);
+  }
+}
+
+// A row as sheet_to_json returns it from Chemicals_Master_Tight_v1.xlsx
+function sheetRow(overrides = {}) {
+  return {
+    'Chemical_ID': 'C002',
+    'Brand / Product': 'Pendulum AquaCap',
+    'Category': 'Herbicide - Pre-emergent',
+    'Formulation': 'Concentrate (microencapsulated)',
+    'Active Ingredient(s)': 'Pendimethalin 38.7%',
+    'MOA Code(s)': 'WSSA 3',
+    'Group Code Type': 'WSSA',
+    'Group Code': '3',
+    'MoA Name': 'Dinitroaniline',
+    'MoA Description': 'Pre-emergent root inhibition',
+    'Application Type': 'Soil pre-emergent',
+    'Systemic/Contact/Biological': 'Soil-residual',
+    'Mix Rate (per 1 gal)': 'Label-dependent (pre-emergent barrier)',
+    'Typical REI (hours)': 12,
+    'Target Spectrum': 'Nursery weeds',
+    'Target Types': 'Weeds',
+    'Allowed Use Sites (FL Legal)': 'Turf, ornamentals',
+    'Key Legal Restrictions (EPA/FDACS)': 'Avoid aquatic areas',
+    'IPM Category': 'Herbicide',
+    'Notes': null,
+    'Manufacturer': 'BASF Corporation',
+    'EPA_Registration_Number': '241-416',
+    'EPA_Label_URL': 'https://example.com/pendulum.pdf',
+    ...overrides
+  };
+}
+
+console.log('\n🗺️ Schema Mapping Tests:');
+
+test('transformRow emits the keys script.js reads, in chemicals.js order', () => {
+  const { record, errors } = transformRow(sheetRow(), 3);
+  assertEquals(errors.length, 0);
+  assertEquals(Object.keys(record).join(','),
+    'id,name,category,type,actives,moa,rei,mixRate,targetSpectrum,targetTypes,allowedSites,restrictions,' +
+    'ipmCategory,notes,manufacturer,epaRegNum,epaLabelUrl,moaName,moaDescription,systemic,appType,defaultRatePerGallon');
+  assertEquals(record.actives, 'Pendimethalin 38.7%');
+  assertEquals(record.epaRegNum, '241-416');
+  assertEquals(record.rei, '12', 'Numeric REI is stored as text like the hand-maintained file');
+  assertEquals(record.notes, '', 'Empty cells become empty strings');
+  assertEquals(record.defaultRatePerGallon, null);
+});
+
+test('Rates missing from the sheet are carried over from chemicals.js', () => {
+  const existing = { C002: { id: 'C002', defaultRatePerGallon: 0.5, defaultGranularRatePerThousandSqFt: 2.3 } };
+  const { record } = transformRow(sheetRow(), 3, existing);
+  assertEquals(record.defaultRatePerGallon, 0.5);
+  assertEquals(record.defaultGranularRatePerThousandSqFt, 2.3);
+  const fromSheet = transformRow(sheetRow({ 'Default Rate Per Gallon': '0.75' }), 3, existing).record;
+  assertEquals(fromSheet.defaultRatePerGallon, 0.75, 'A sheet column wins over carry-over');
+});
+
+console.log('\n🚦 Validation Tests:');
+
+test('Errors name the spreadsheet row and column', () => {
+  const { errors } = transformRow(sheetRow({ 'Brand / Product': '  ', 'EPA_Registration_Number': 'abc' }), 7);
+  assertEquals(errors.length, 2);
+  assertEquals(errors[0].row, 7);
+  assertEquals(errors[0].id, 'C002');
+  assertEquals(errors[0].column, 'Brand / Product');
+  assertEquals(errors[1].column, 'EPA_Registration_Number');
+});
+
+test('Placeholders, bad numbers and unknown MOA codes are checked', () => {
+  assertEquals(transformRow(sheetRow({ 'EPA_Registration_Number': 'TBD' }), 2).errors.length, 0);
+  const badRate = transformRow(sheetRow({ 'Rate Per Gallon': 'two' }), 2).errors;
+  assertEquals(badRate[0].column, 'Rate Per Gallon');
+  const badMoa = transformRow(sheetRow({ 'MOA Code(s)': 'Group ???' }), 2).errors;
+  assertTruthy(badMoa[0].message.includes('MOA'), 'Unrecognized MOA is reported');
+  assertEquals(transformRow(sheetRow({ 'MOA Code(s)': 'NC' }), 2).errors.length, 0, 'NC is allowed');
+});
+
+test('Label rate units are normalized and must come with a rate', () => {
+  const { record, errors } = transformRow(sheetRow({ 'Default Rate': 8, 'Default Rate Unit': 'Fl Oz per 100 Gallons' }), 2);
+  assertEquals(errors.length, 0, JSON.stringify(errors));
+  assertEquals(record.defaultRate, 8);
+  assertEquals(record.defaultRateUnit, 'fl oz/100 gal');
+  assertEquals(transformRow(sheetRow({ 'Default Rate Unit': 'handfuls/tank' }), 2).errors[0].column, 'Default Rate Unit');
+  assertEquals(transformRow(sheetRow({ 'Default Rate': 8 }), 2).errors[0].column, 'Default Rate Unit');
+});
+
+test('Label limit columns are typed, paired and checked', () => {
+  const { record, errors } = transformRow(sheetRow({
+    'Max Rate Per Application': 12, 'Max Rate Unit': 'fl oz per 100 gallons',
+    'Max Applications Per Season': 3, 'Min Retreatment Interval (days)': 14,
+    'Max AI Per Year': 2, 'Max AI Per Year Unit': 'lb/acre', 'AI Content': 3.3, 'AI Content Unit': 'lb/gal'
+  }), 2);
+  assertEquals(errors.length, 0, JSON.stringify(errors));
+  assertEquals(record.maxRateUnit, 'fl oz/100 gal');
+  assertEquals(record.maxApplicationsPerSeason, 3);
+  assertEquals(record.aiContentUnit, 'lb/gal');
+  assertEquals(transformRow(sheetRow({ 'Max Applications Per Season': 2.5 }), 2).errors[0].column, 'Max Applications Per Season');
+  assertEquals(transformRow(sheetRow({ 'Max AI Per Year': 2 }), 2).errors[0].column, 'Max AI Per Year Unit');
+  assertEquals(transformRow(sheetRow({ 'Max AI Per Year': 2, 'Max AI Per Year Unit': 'fl oz/gal' }), 2).errors[0].column, 'Max AI Per Year Unit');
+  assertEquals(transformRow(sheetRow({ 'AI Content': 40, 'AI Content Unit': 'ppm' }), 2).errors[0].column, 'AI Content Unit');
+});
+
+test('Formulation codes must be ones the tank-mix checker knows', () => {
+  assertEquals(transformRow(sheetRow({ 'Formulation Code': 'CS' }), 2).record.formulation, 'CS');
+  assertEquals(transformRow(sheetRow({ 'Formulation Code': 'Paste' }), 2).errors[0].column, 'Formulation Code');
+});
+
+test('Granular rates take lb/1000 sq ft or lb/acre and a bag weight', () => {
+  const { record } = transformRow(sheetRow({ 'Default Granular Rate': 87, 'Default Granular Rate Unit': 'lb/acre', 'Bag Weight (lb)': 50 }), 2);
+  assertEquals(record.defaultGranularRateUnit, 'lb/acre');
+  assertEquals(record.bagWeightLbs, 50);
+  assertEquals(transformRow(sheetRow({ 'Default Granular Rate': 2, 'Default Granular Rate Unit': 'oz/gal' }), 2).errors[0].column, 'Default Granular Rate Unit');
+  assertEquals(transformRow(sheetRow({ 'Default Granular Rate': 2 }), 2).errors.length, 1, 'A rate needs its unit');
+});
+
+test('Fertilizer analysis must be N-P-K', () => {
+  const { record } = transformRow(sheetRow({ 'Fertilizer Analysis': '20-10-20', 'EC at 100 ppm N': 0.68 }), 2);
+  assertEquals(record.analysis, '20-10-20');
+  assertEquals(record.ecPer100PpmN, 0.68);
+  assertEquals(transformRow(sheetRow({ 'Fertilizer Analysis': '20-10' }), 2).errors[0].column, 'Fertilizer Analysis');
+});
+
+test('PPE is carried onto the record when the sheet has it', () => {
+  assertEquals(transformRow(sheetRow({ 'PPE': 'Long sleeves, chemical-resistant gloves' }), 2).record.ppe, 'Long sleeves, chemical-resistant gloves');
+  assertEquals('ppe' in transformRow(sheetRow(), 2).record, false);
+});
+
+test('transformRows skips repeated products and rejects repeated ids', () => {
+  const { records, errors, skipped } = transformRows([
+    sheetRow(),
+    sheetRow({ 'Chemical_ID': 'C066' }),
+    sheetRow({ 'Chemical_ID': 'C002', 'Brand / Product': 'Other' })
+  ]);
+  assertEquals(records.length, 1);
+  assertEquals(skipped[0].id, 'C066');
+  assertEquals(errors[0].row, 4);
+  assertTruthy(errors[0].message.includes('duplicate id'));
+});
+
+test('findMissingColumns lists declared headers absent from the sheet', () => {
+  const headers = Object.keys(sheetRow()).filter(h => h !== 'EPA_Label_URL');
+  assertEquals(findMissingColumns(headers).join(','), 'EPA_Label_URL');
+});
+
+console.log('\n🛡️ Field Loss Tests:');
+
+test('findFieldLoss reports dropped products and emptied values', () => {
+  const existing = [
+    { id: 'C001', name: 'PIN-DEE', rei: '0.5 to 12 hours', notes: '' },
+    { id: 'C002', name: 'Pendulum AquaCap', rei: '12' }
+  ];
+  const built = [{ id: 'C001', name: 'PIN-DEE', rei: '', notes: '' }];
+  const losses = findFieldLoss(existing, built);
+  assertEquals(losses.length, 2);
+  assertEquals(losses[0].field, 'rei');
+  assertEquals(losses[1].field, null, 'Missing product');
+});
+
+test('Rendered output loads back with the same records', () => {
+  const { records } = transformRows([sheetRow()]);
+  const source = renderChemicalsJs(records);
+  const loaded = vm.runInNewContext(`${source}\nchemicals;`, {});
+  assertEquals(JSON.stringify(loaded), JSON.stringify(records));
+});
+
+test('The current chemicals.js matches the declared schema', () => {
+  const fields = CHEMICAL_SCHEMA.map(spec => spec.field);
+  const chemicals = loadExistingChemicals(`${__dirname}/chemicals.js`);
+  assertTruthy(chemicals.length > 0, 'chemicals.js loads');
+  chemicals.forEach(chem => {
+    Object.keys(chem).forEach(key => assertTruthy(fields.includes(key), `${chem.id} has undeclared field ${key}`));
+  });
+});
+
+console.log('\n📝 Changelog Tests:');
+
+function changelogFixture() {
+  const before = [
+    { id: 'C001', name: 'Tempo SC Ultra', rei: '12', moa: 'IRAC 3A', mixRate: '0.08 fl oz/gal', defaultRatePerGallon: 0.08 },
+    { id: 'C002', name: 'Pendulum AquaCap', category: 'Herbicide', rei: '12', moa: '3', defaultRatePerGallon: null },
+    { id: 'C003', name: 'Old Product', rei: '4', moa: 'FRAC 3' }
+  ];
+  const after = [
+    { id: 'C001', name: 'Tempo SC Ultra', rei: '24', moa: 'IRAC 3A', mixRate: '0.16 fl oz/gal', defaultRatePerGallon: 0.16 },
+    { id: 'C002', name: 'Pendulum AquaCap', category: 'Herbicide', rei: '12', moa: 'WSSA 3', defaultRatePerGallon: null },
+    { id: 'C004', name: 'New Product', rei: '12', moa: 'FRAC 7', defaultRatePerGallon: 0.5 }
+  ];
+  return diffChemicals(before, after);
+}
+
+test('diffChemicals lists added, removed and changed products', () => {
+  const diff = changelogFixture();
+  assertEquals(diff.added.map(c => c.id).join(','), 'C004');
+  assertEquals(diff.removed.map(c => c.id).join(','), 'C003');
+  const tempo = diff.changed.find(c => c.id === 'C001');
+  assertEquals(tempo.changes.map(c => c.field).join(','), 'rei,mixRate,defaultRatePerGallon');
+  assertEquals(tempo.changes[0].from, '12');
+  assertEquals(tempo.changes[0].to, '24');
+  const pendulum = diff.changed.find(c => c.id === 'C002');
+  assertTruthy(pendulum.changes[0].formatOnly, '"3" → "WSSA 3" is the same group');
+});
+
+test('Rate changes and rates on new products need sign-off', () => {
+  const diff = changelogFixture();
+  assertEquals(diff.signOff.map(item => `${item.id}:${item.field}`).join(','),
+    'C001:mixRate,C001:defaultRatePerGallon,C004:defaultRatePerGallon');
+  assertEquals(diffChemicals(diff.added, diff.added).changed.length, 0, 'no changes against itself');
+});
+
+test('Numbers written differently are not reported as changes', () => {
+  const before = [{ id: 'C001', name: 'Tempo SC Ultra', rei: '24.0', mixRate: '0.08 fl oz/gal', defaultRatePerGallon: 0.08 }];
+  const same = [{ id: 'C001', name: 'Tempo SC Ultra', rei: '24', mixRate: '0.08 fl oz/gal', defaultRatePerGallon: '0.080' }];
+  assertEquals(diffChemicals(before, same).changed.length, 0);
+  const changed = diffChemicals(before, [{ ...same[0], rei: '12' }]);
+  assertEquals(changed.changed[0].changes.map(c => c.field).join(','), 'rei');
+});
+
+test('Changelog renders as text, markdown and JSON', () => {
+  const diff = changelogFixture();
+  const info = { source: 'sheet.xlsx', generatedAt: '2024-01-01T00:00:00.000Z' };
+  const text = formatChangelog(diff, 'text', info);
+  assertTruthy(text.includes('1 added, 1 removed, 2 changed'), text);
+  assertTruthy(text.includes('COMPLIANCE SIGN-OFF (3)'));
+  assertTruthy(text.includes('REI: 12 → 24'));
+  const md = formatChangelog(diff, 'markdown', info);
+  assertTruthy(md.includes('| C001 | Tempo SC Ultra | Default rate (fl oz/gal) | 0.08 | 0.16 |'), md);
+  assertTruthy(md.includes('Approved by:'));
+  const json = JSON.parse(formatChangelog(diff, 'json', info));
+  assertEquals(json.source, 'sheet.xlsx');
+  assertEquals(json.signOff.length, 3);
+});
+
+// Summary
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Test Results:`);
+console.log(`   ✓ Passed: ${passed}`);
+console.log(`   ✗ Failed: ${failed}`);
+console.log(`   Total:  ${passed + failed}`);
+
+if (failed === 0) {
+  console.log('\n✅ All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed.\n');
+  process.exit(1);
+}
@@ -0,0 +1,478 @@
+const fs = require('fs');
+const { parseMoaCode } = require('./moa-utils.js');
+
+/**
+ * This build script transforms the plant diagnostics workbook
+ * (Master_Plant_Diagnostics_WAVE5.xlsx) into `plants.json`, in the schema
+ * plants.js and plant-utils.js consume. It uses the `xlsx` package to read
+ * `.xlsx` files; install it before running (e.g. `npm install xlsx`).
+ *
+ * The first sheet has one row per plant. Symptom patterns come from its
+ * SymptomPattern1_*..SymptomPatternN_* columns, plus any rows on a sheet whose
+ * name contains "Symptom" (PlantID, Description, LikelyCauses, Category,
+ * Priority), merged into the plant by PlantID.
+ *
+ * Every record is validated and errors are reported by sheet row and column;
+ * nothing is written when a row is invalid. Fields curated in plants.json
+ * itself (internal notes, review sign-off, product and MOA preferences) keep
+ * their current value, and the sheet only fills them in when they are empty.
+ * A plant that is missing from the workbook blocks the write unless
+ * ALLOW_REMOVALS=1. Each build prints which plants were added, removed or
+ * changed; DIFF=1 prints that report without writing plants.json.
+ */
+
+// Path to the input XLSX. Overridable via environment variable.
+const INPUT_XLSX = process.env.INPUT_XLSX || 'Master_Plant_Diagnostics_WAVE5.xlsx';
+
+// Path to the output JSON. Overridable via environment variable.
+const OUTPUT_JSON = process.env.OUTPUT_JSON || 'plants.json';
+
+const ALLOW_REMOVALS = process.env.ALLOW_REMOVALS === '1';
+const DIFF_ONLY = process.env.DIFF === '1';
+
+/**
+ * Output schema, in plants.json key order.
+ *   column     - spreadsheet header
+ *   type       - 'string', 'list' (comma separated), 'boolean' (Yes/No) or 'date' (YYYY-MM-DD)
+ *   required   - the row is rejected when empty
+ *   pattern    - format check for non-empty values (each item, for lists)
+ *   moa        - list items must be MOA groups moa-utils.js can classify ("FRAC 3")
+ *   handEdited - curated in plants.json; the current value wins over the sheet
+ * matureSize and symptomPatterns are assembled from several columns.
+ */
+const PLANT_SCHEMA = [
+  { field: 'plantId', column: 'PlantID', type: 'string', required: true, pattern: /^PL\d{4,}$/ },
+  { field: 'commonName', column: 'CommonName', type: 'string', required: true },
+  { field: 'botanicalName', column: 'BotanicalName', type: 'string' },
+  { field: 'synonyms', column: 'Synonyms', type: 'list' },
+  { field: 'categories', column: 'Categories', type: 'list' },
+  { field: 'plantType', column: 'PlantType', type: 'string' },
+  { field: 'lifecycle', column: 'Lifecycle', type: 'string' },
+  { field: 'usdaZones', column: 'USDAZones', type: 'list', pattern: /^\d{1,2}[ab]?(-\d{1,2}[ab]?)?$/ },
+  { field: 'department', column: 'Department', type: 'string' },
+  { field: 'locationArea', column: 'LocationArea', type: 'string' },
+  { field: 'seasonalAvailability', column: 'SeasonalAvailability', type: 'list' },
+  { field: 'nurseryNotes', column: 'NurseryNotes', type: 'string' },
+  { field: 'lightRequirements', column: 'LightPreference', type: 'list' },
+  { field: 'waterRequirements', column: 'WaterPreference', type: 'string' },
+  { field: 'soilPreference', column: 'SoilPreference', type: 'list' },
+  { field: 'bloomSeason', column: 'BloomSeason', type: 'list' },
+  { field: 'growthRate', column: 'GrowthRate', type: 'string' },
+  { field: 'matureSize', columns: { heightText: 'MatureHeight', widthText: 'MatureWidth' } },
+  { field: 'heatTolerance', column: 'HeatTolerance', type: 'string' },
+  { field: 'coldTolerance', column: 'ColdTolerance', type: 'string' },
+  { field: 'droughtTolerance', column: 'DroughtTolerance', type: 'string' },
+  { field: 'saltTolerance', column: 'SaltTolerance', type: 'string' },
+  { field: 'commonPests', column: 'CommonPests', type: 'list' },
+  { field: 'commonDiseases', column: 'CommonDiseases', type: 'list' },
+  { field: 'commonAbioticIssues', column: 'CommonAbioticIssues', type: 'list' },
+  { field: 'susceptibilityRating', column: 'SusceptibilityRatingOverall', type: 'string' },
+  { field: 'petSafety', column: 'PetSafety', type: 'string' },
+  { field: 'deerResistance', column: 'DeerResistance', type: 'string' },
+  { field: 'pollinatorValue', column: 'PollinatorValue', type: 'string' },
+  { field: 'isHouseplant', column: 'IsHouseplant', type: 'boolean' },
+  { field: 'isNative', column: 'IsNative', type: 'boolean' },
+  { field: 'isEdible', column: 'IsEdible', type: 'boolean' },
+  { field: 'symptomPatterns' },
+  { field: 'preferredMOAGroups', column: 'PreferredMOAGroups', type: 'list', moa: true, handEdited: true },
+  { field: 'avoidMOAGroups', column: 'AvoidMOAGroups', type: 'list', moa: true, handEdited: true },
+  { field: 'preferredProducts', column: 'PreferredProducts', type: 'list', handEdited: true },
+  { field: 'blacklistedProducts', column: 'BlacklistedProducts', type: 'list', handEdited: true },
+  { field: 'diagnosticTags', column: 'DiagnosticTags', type: 'list' },
+  { field: 'lastReviewedBy', column: 'LastReviewedBy', type: 'string', handEdited: true },
+  { field: 'lastReviewedDate', column: 'LastReviewedDate', type: 'date', handEdited: true },
+  { field: 'internalNotes', column: 'InternalNotes', type: 'string', handEdited: true }
+];
+
+// Columns every workbook must have
+const REQUIRED_COLUMNS = ['PlantID', 'CommonName'];
+
+// "Abiotic", "Pest/Disease", ...
+const SYMPTOM_CATEGORY_PATTERN = /^(Abiotic|Disease|Pest|Cultural)(\/(Abiotic|Disease|Pest|Cultural))*$/;
+// "Medium", "Medium-High" (the sheet also uses an en dash)
+const SYMPTOM_PRIORITY_PATTERN = /^(Low|Medium|High)([-–](Low|Medium|High))?$/;
+
+function isEmpty(value) {
+  return value == null || (typeof value === 'string' && value.trim() === '');
+}
+
+function isEmptyValue(value) {
+  return isEmpty(value) || (Array.isArray(value) && value.length === 0);
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Convert one cell to the schema type
+ * @param {Object} spec - Schema entry
+ * @param {any} value - Raw cell value
+ * @returns {{value: any}|{error: string}}
+ */
+function coerceValue(spec, value) {
+  if (isEmpty(value)) return { value: spec.type === 'list' ? [] : (spec.type === 'boolean' ? false : null) };
+
+  if (spec.type === 'boolean') {
+    if (typeof value === 'boolean') return { value };
+    const text = String(value).trim().toLowerCase();
+    if (['yes', 'y', 'true'].includes(text)) return { value: true };
+    if (['no', 'n', 'false'].includes(text)) return { value: false };
+    return { error: `expected Yes or No, got "${value}"` };
+  }
+
+  if (spec.type === 'date') {
+    if (value instanceof Date) {
+      return Number.isNaN(value.getTime()) ? { error: 'invalid date' } : { value: formatDate(value) };
+    }
+    const text = String(value).trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(Date.parse(text))) {
+      return { error: `expected a YYYY-MM-DD date, got "${text}"` };
+    }
+    return { value: text };
+  }
+
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return { error: `expected text, got ${value instanceof Date ? 'a date' : typeof value}` };
+  }
+
+  if (spec.type === 'list') {
+    const items = String(value).split(',').map(item => item.trim()).filter(Boolean);
+    for (const item of items) {
+      if (spec.pattern && !spec.pattern.test(item)) return { error: `"${item}" is not a valid ${spec.field} entry` };
+      if (spec.moa && parseMoaCode(item).length === 0) return { error: `"${item}" is not a recognized MOA group (e.g. "FRAC 3")` };
+    }
+    return { value: items };
+  }
+
+  const text = String(value).trim();
+  if (spec.pattern && !spec.pattern.test(text)) return { error: `"${text}" is not a valid ${spec.field}` };
+  return { value: text };
+}
+
+/**
+ * Validate one symptom pattern and return it in plants.json shape
+ * @param {Object} values - { description, likelyCauses, category, priority } raw cells
+ * @param {string} columnPrefix - Used in error messages ("SymptomPattern2_")
+ * @returns {{pattern: Object|null, errors: Array<{column: string, message: string}>}}
+ */
+function buildSymptomPattern(values, columnPrefix) {
+  const text = key => (isEmpty(values[key]) ? null : String(values[key]).trim());
+  const pattern = {
+    description: text('description'),
+    likelyCauses: text('likelyCauses'),
+    category: text('category'),
+    priority: text('priority')
+  };
+  const errors = [];
+
+  if (!pattern.description) {
+    if (pattern.likelyCauses || pattern.category || pattern.priority) {
+      errors.push({ column: `${columnPrefix}Description`, message: 'symptom pattern has details but no description' });
+    }
+    return { pattern: null, errors };
+  }
+  if (pattern.category && !SYMPTOM_CATEGORY_PATTERN.test(pattern.category)) {
+    errors.push({ column: `${columnPrefix}Category`, message: `"${pattern.category}" is not a symptom category (Abiotic, Disease, Pest, Cultural)` });
+  }
+  if (pattern.priority && !SYMPTOM_PRIORITY_PATTERN.test(pattern.priority)) {
+    errors.push({ column: `${columnPrefix}Priority`, message: `"${pattern.priority}" is not a priority (Low, Medium, High)` });
+  }
+  return { pattern, errors };
+}
+
+/**
+ * Symptom pattern numbers present as SymptomPatternN_Description headers
+ * @param {Object} row
+ * @returns {Array<number>}
+ */
+function symptomColumnNumbers(row) {
+  return Object.keys(row)
+    .map(key => key.match(/^SymptomPattern(\d+)_Description$/))
+    .filter(Boolean)
+    .map(match => Number(match[1]))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Map one spreadsheet row to a plants.json record and validate it.
+ *
+ * @param {Object} row A single row object parsed by xlsx.utils.sheet_to_json.
+ * @param {number} rowNumber Spreadsheet row number (header is row 1).
+ * @param {Object} [existing] The plant's current plants.json record, for hand-edited fields.
+ * @returns {{record: Object, errors: Array<{row: number, id: string, column: string, message: string}>}}
+ */
+function transformPlantRow(row, rowNumber, existing = null) {
+  const record = {};
+  const errors = [];
+  const rowId = isEmpty(row.PlantID) ? '' : String(row.PlantID).trim();
+  const addError = (column, message) => errors.push({ row: rowNumber, id: rowId, column, message });
+
+  PLANT_SCHEMA.forEach(spec => {
+    if (spec.field === 'matureSize') {
+      record.matureSize = {};
+      Object.keys(spec.columns).forEach(key => {
+        const result = coerceValue({ field: key, type: 'string' }, row[spec.columns[key]]);
+        if (result.error) addError(spec.columns[key], result.error);
+        record.matureSize[key] = result.error ? null : result.value;
+      });
+      return;
+    }
+
+    if (spec.field === 'symptomPatterns') {
+      record.symptomPatterns = [];
+      symptomColumnNumbers(row).forEach(n => {
+        const prefix = `SymptomPattern${n}_`;
+        const result = buildSymptomPattern({
+          description: row[`${prefix}Description`],
+          likelyCauses: row[`${prefix}LikelyCauses`],
+          category: row[`${prefix}Category`],
+          priority: row[`${prefix}Priority`]
+        }, prefix);
+        result.errors.forEach(err => addError(err.column, err.message));
+        if (result.pattern) record.symptomPatterns.push(result.pattern);
+      });
+      return;
+    }
+
+    const result = coerceValue(spec, row[spec.column]);
+    if (result.error) {
+      addError(spec.column, result.error);
+      return;
+    }
+
+    let value = result.value;
+    if (spec.handEdited && existing && !isEmptyValue(existing[spec.field])) {
+      value = existing[spec.field];
+    }
+    if (spec.required && isEmptyValue(value)) {
+      addError(spec.column, `${spec.field} is required`);
+      return;
+    }
+    record[spec.field] = value;
+  });
+
+  return { record, errors };
+}
+
+/**
+ * Merge rows from a symptom-pattern sheet into the plant records.
+ * Patterns whose description the plant already has are ignored.
+ * @param {Array<Object>} records - Plant records (modified in place)
+ * @param {Array<Object>} symptomRows - sheet_to_json rows
+ * @param {string} sheetName - Used in error messages
+ * @returns {Array<{row: number, id: string, column: string, message: string}>} - Errors
+ */
+function mergeSymptomRows(records, symptomRows, sheetName = 'Symptoms') {
+  const byId = new Map(records.map(plant => [plant.plantId, plant]));
+  const errors = [];
+
+  symptomRows.forEach((row, i) => {
+    const rowNumber = i + 2;
+    const id = isEmpty(row.PlantID) ? '' : String(row.PlantID).trim();
+    const addError = (column, message) => errors.push({ row: rowNumber, id, column: `${sheetName}!${column}`, message });
+
+    const plant = byId.get(id);
+    if (!plant) {
+      addError('PlantID', id ? `unknown plant "${id}"` : 'PlantID is required');
+      return;
+    }
+    const result = buildSymptomPattern({
+      description: row.Description,
+      likelyCauses: row.LikelyCauses,
+      category: row.Category,
+      priority: row.Priority
+    }, '');
+    result.errors.forEach(err => addError(err.column, err.message));
+    if (!result.pattern || result.errors.length) return;
+
+    const key = result.pattern.description.toLowerCase();
+    if (!plant.symptomPatterns.some(pattern => pattern.description.toLowerCase() === key)) {
+      plant.symptomPatterns.push(result.pattern);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Transform and validate all plant rows
+ * @param {Array<Object>} rows - sheet_to_json rows
+ * @param {Array<Object>} existing - Current plants.json records
+ * @returns {{records: Array, errors: Array}}
+ */
+function transformPlantRows(rows, existing = []) {
+  const existingById = new Map(existing.map(plant => [plant.plantId, plant]));
+  const records = [];
+  const errors = [];
+  const seenIds = new Map();
+
+  rows.forEach((row, i) => {
+    const rowNumber = i + 2;
+    const id = isEmpty(row.PlantID) ? '' : String(row.PlantID).trim();
+    const result = transformPlantRow(row, rowNumber, existingById.get(id));
+    errors.push(...result.errors);
+    if (result.errors.length || !result.record.plantId) return;
+
+    if (seenIds.has(id)) {
+      errors.push({ row: rowNumber, id, column: 'PlantID', message: `duplicate id (also on row ${seenIds.get(id)})` });
+      return;
+    }
+    seenIds.set(id, rowNumber);
+    records.push(result.record);
+  });
+
+  return { records, errors };
+}
+
+/**
+ * Check the header row has the columns every plant needs
+ * @param {Array<string>} headers
+ * @returns {Array<string>} - Missing column names
+ */
+function findMissingColumns(headers) {
+  const present = new Set((headers || []).map(h => String(h || '').trim()));
+  return REQUIRED_COLUMNS.filter(col => !present.has(col));
+}
+
+/**
+ * Compare two plant lists by plantId
+ * @param {Array<Object>} before - Current plants.json records
+ * @param {Array<Object>} after - New build
+ * @returns {{added: Array, removed: Array, changed: Array<{plantId: string, commonName: string, fields: Array<string>}>}}
+ */
+function diffPlants(before, after) {
+  const beforeById = new Map(before.map(plant => [plant.plantId, plant]));
+  const afterById = new Map(after.map(plant => [plant.plantId, plant]));
+  const summary = plant => ({ plantId: plant.plantId, commonName: plant.commonName });
+
+  const added = after.filter(plant => !beforeById.has(plant.plantId)).map(summary);
+  const removed = before.filter(plant => !afterById.has(plant.plantId)).map(summary);
+  const changed = [];
+
+  after.forEach(next => {
+    const old = beforeById.get(next.plantId);
+    if (!old) return;
+    const fields = Array.from(new Set(Object.keys(old).concat(Object.keys(next))))
+      .filter(field => JSON.stringify(old[field]) !== JSON.stringify(next[field]));
+    if (fields.length) changed.push({ ...summary(next), fields });
+  });
+
+  return { added, removed, changed };
+}
+
+/**
+ * Human-readable change report
+ * @param {Object} diff - diffPlants result
+ * @returns {string}
+ */
+function formatPlantReport(diff) {
+  const lines = [`Plant database changes: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`];
+  diff.added.forEach(plant => lines.push(`  + ${plant.plantId} ${plant.commonName}`));
+  diff.removed.forEach(plant => lines.push(`  - ${plant.plantId} ${plant.commonName}`));
+  diff.changed.forEach(plant => lines.push(`  ~ ${plant.plantId} ${plant.commonName}: ${plant.fields.join(', ')}`));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Read the current plants.json
+ * @param {string} file
+ * @returns {Array<Object>} - [] when the file does not exist
+ */
+function loadExistingPlants(file) {
+  if (!fs.existsSync(file)) return [];
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return Array.isArray(data) ? data : [];
+}
+
+/**
+ * Render plants.json in its committed formatting
+ * @param {Array<Object>} records
+ * @returns {string}
+ */
+function renderPlantsJson(records) {
+  return JSON.stringify(records, null, 2);
+}
+
+function formatError(err) {
+  return `  Row ${err.row}${err.id ? ` (${err.id})` : ''}, column "${err.column}": ${err.message}`;
+}
+
+function build() {
+  // Attempt to require the xlsx library. If it is not installed, provide
+  // a friendly error message with installation instructions.
+  let XLSX;
+  try {
+    XLSX = require('xlsx');
+  } catch (err) {
+    console.error(
+      'Missing dependency: The xlsx library is required to parse Excel files.\n' +
+        'Install it by running `npm install xlsx` in your project root, then re‑run this script.'
+    );
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(INPUT_XLSX)) {
+    console.error(`Input file not found: ${INPUT_XLSX}`);
+    process.exit(1);
+  }
+  const workbook = XLSX.readFile(INPUT_XLSX, { cellDates: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+
+  const headers = XLSX.utils.sheet_to_json(sheet, { header: 1 })[0] || [];
+  const missingColumns = findMissingColumns(headers);
+  if (missingColumns.length) {
+    console.error(`${INPUT_XLSX} is missing columns: ${missingColumns.join(', ')}`);
+    process.exit(1);
+  }
+
+  // Parse rows; defval: null ensures empty cells map to null
+  const rows = XLSX.utils.sheet_to_json(sheet, { defval: null });
+  const existing = loadExistingPlants(OUTPUT_JSON);
+  const { records, errors } = transformPlantRows(rows, existing);
+
+  workbook.SheetNames.slice(1).filter(name => /symptom/i.test(name)).forEach(name => {
+    const symptomRows = XLSX.utils.sheet_to_json(workbook.Sheets[name], { defval: null });
+    errors.push(...mergeSymptomRows(records, symptomRows, name));
+  });
+
+  if (errors.length) {
+    console.error(`${errors.length} validation error(s); ${OUTPUT_JSON} was not written:`);
+    errors.forEach(err => console.error(formatError(err)));
+    process.exit(1);
+  }
+
+  const diff = diffPlants(existing, records);
+  console.log(formatPlantReport(diff));
+  if (DIFF_ONLY) {
+    console.log(`Diff only (DIFF=1); ${OUTPUT_JSON} was not written.`);
+    return;
+  }
+
+  if (diff.removed.length && !ALLOW_REMOVALS) {
+    console.error(`${diff.removed.length} plant(s) in ${OUTPUT_JSON} are missing from ${INPUT_XLSX}; it was not written.`);
+    console.error('Fix the workbook, or re-run with ALLOW_REMOVALS=1 if these removals are intended.');
+    process.exit(1);
+  }
+
+  fs.writeFileSync(OUTPUT_JSON, renderPlantsJson(records), 'utf8');
+  console.log(`Generated ${OUTPUT_JSON} from ${INPUT_XLSX}. Total plants: ${records.length}`);
+}
+
+if (require.main === module) {
+  build();
+}
+
+module.exports = {
+  PLANT_SCHEMA,
+  REQUIRED_COLUMNS,
+  coerceValue,
+  transformPlantRow,
+  transformPlantRows,
+  mergeSymptomRows,
+  findMissingColumns,
+  diffPlants,
+  formatPlantReport,
+  loadExistingPlants,
+  renderPlantsJson
+};
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the plant diagnostics workbook builder (mapping, validation, merges, change report)
+ * Run with: node buildPlantsFromExcel.test.js
+ */
+
+const {
+  PLANT_SCHEMA,
+  transformPlantRow,
+  transformPlantRows,
+  mergeSymptomRows,
+  findMissingColumns,
+  diffPlants,
+  formatPlantReport,
+  loadExistingPlants
+} = require('./buildPlantsFromExcel.js');
+
+let passed = 0;
+let failed = 0;
+
+function test(description, fn) {
+  try {
+    fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected} but got ${actual}. ${message}`);
+  }
+}
+
+function assertTruthy(value, message = '') {
+  if (!value) {
+    throw new Error(`Expected truthy value. ${message}`);
+  }
+}
+
+// A row as sheet_to_json returns it from Master_Plant_Diagnostics_WAVE5.xlsx
+function sheetRow(overrides = {}) {
+  return {
+    'PlantID': 'PL0001',
+    'CommonName': 'Adagio Dwarf Maiden Grass',
+    'BotanicalName': "Miscanthus sinensis 'Adagio'",
+    'Synonyms': null,
+    'Categories': 'Ornamental Grass',
+    'USDAZones': '5-9',
+    'MatureHeight': '3-4 ft',
+    'MatureWidth': null,
+    'HeatTolerance': 'High',
+    'IsHouseplant': 'No',
+    'IsNative': 'Yes',
+    'IsEdible': 'No',
+    'CommonDiseases': 'rust, leaf spot diseases, root rot in wet soils',
+    'SymptomPattern1_Description': 'Brown tips along leaf margins.',
+    'SymptomPattern1_LikelyCauses': 'Overfertilization or drought stress.',
+    'SymptomPattern1_Category': 'Abiotic',
+    'SymptomPattern1_Priority': 'Medium',
+    'SymptomPattern2_Description': null,
+    'SymptomPattern2_LikelyCauses': null,
+    'SymptomPattern2_Category': null,
+    'SymptomPattern2_Priority': null,
+    'PreferredMOAGroups': 'FRAC 3, FRAC 11',
+    'AvoidMOAGroups': null,
+    'DiagnosticTags': 'category:ornamental_grass;source:defaults-v2',
+    'LastReviewedDate': null,
+    'InternalNotes': null,
+    ...overrides
+  };
+}
+
+console.log('\n🗺️ Schema Mapping Tests:');
+
+test('transformPlantRow emits every plants.json key in order', () => {
+  const { record, errors } = transformPlantRow(sheetRow(), 2);
+  assertEquals(errors.length, 0, JSON.stringify(errors));
+  assertEquals(Object.keys(record).join(','), PLANT_SCHEMA.map(spec => spec.field).join(','));
+  assertEquals(JSON.stringify(record.commonDiseases), '["rust","leaf spot diseases","root rot in wet soils"]');
+  assertEquals(JSON.stringify(record.matureSize), '{"heightText":"3-4 ft","widthText":null}');
+  assertEquals(record.isNative, true);
+  assertEquals(record.plantType, null);
+  assertEquals(JSON.stringify(record.preferredMOAGroups), '["FRAC 3","FRAC 11"]');
+});
+
+test('Symptom pattern columns become symptomPatterns, skipping empty slots', () => {
+  const { record } = transformPlantRow(sheetRow(), 2);
+  assertEquals(record.symptomPatterns.length, 1);
+  assertEquals(record.symptomPatterns[0].likelyCauses, 'Overfertilization or drought stress.');
+  assertEquals(record.symptomPatterns[0].priority, 'Medium');
+});
+
+test('Hand-edited fields keep their plants.json value', () => {
+  const existing = { plantId: 'PL0001', internalNotes: 'Check drainage on bench 4', preferredMOAGroups: ['FRAC 7'], lastReviewedDate: null };
+  const { record } = transformPlantRow(sheetRow({ LastReviewedDate: new Date('2024-03-05T00:00:00Z') }), 2, existing);
+  assertEquals(record.internalNotes, 'Check drainage on bench 4');
+  assertEquals(JSON.stringify(record.preferredMOAGroups), '["FRAC 7"]');
+  assertEquals(record.lastReviewedDate, '2024-03-05', 'empty hand-edited fields are filled from the sheet');
+});
+
+console.log('\n🚦 Validation Tests:');
+
+test('Errors name the spreadsheet row and column', () => {
+  const { errors } = transformPlantRow(sheetRow({ IsNative: 'Maybe', SymptomPattern1_Priority: 'Urgent' }), 7);
+  assertEquals(errors.length, 2, JSON.stringify(errors));
+  assertEquals(errors[0].row, 7);
+  assertEquals(errors[0].id, 'PL0001');
+  assertEquals(errors[0].column, 'IsNative');
+  assertEquals(errors[1].column, 'SymptomPattern1_Priority');
+});
+
+test('Ids, zones, MOA groups, dates and orphaned symptom details are checked', () => {
+  const cases = [
+    [{ PlantID: '0001' }, 'PlantID'],
+    [{ CommonName: null }, 'CommonName'],
+    [{ USDAZones: 'zone nine' }, 'USDAZones'],
+    [{ PreferredMOAGroups: 'copper' }, 'PreferredMOAGroups'],
+    [{ LastReviewedDate: '3/5/24' }, 'LastReviewedDate'],
+    [{ SymptomPattern2_Category: 'Pest' }, 'SymptomPattern2_Description']
+  ];
+  cases.forEach(([override, column]) => {
+    const { errors } = transformPlantRow(sheetRow(override), 2);
+    assertEquals(errors.length, 1, JSON.stringify(override));
+    assertEquals(errors[0].column, column);
+  });
+});
+
+test('transformPlantRows rejects repeated ids and findMissingColumns checks headers', () => {
+  const { records, errors } = transformPlantRows([sheetRow(), sheetRow({ CommonName: 'Copy' })]);
+  assertEquals(records.length, 1);
+  assertEquals(errors[0].row, 3);
+  assertTruthy(errors[0].message.includes('row 2'));
+  assertEquals(findMissingColumns(['PlantID', 'BotanicalName']).join(','), 'CommonName');
+});
+
+console.log('\n🌿 Merge & Report Tests:');
+
+test('mergeSymptomRows adds new patterns by PlantID and reports unknown plants', () => {
+  const { records } = transformPlantRows([sheetRow()]);
+  const errors = mergeSymptomRows(records, [
+    { PlantID: 'PL0001', Description: 'Stunted growth in shade.', LikelyCauses: 'Low light', Category: 'Cultural', Priority: 'Low' },
+    { PlantID: 'PL0001', Description: 'brown tips along leaf margins.', LikelyCauses: 'Duplicate', Category: 'Abiotic', Priority: 'Low' },
+    { PlantID: 'PL9999', Description: 'Leaf spots', Category: 'Disease', Priority: 'Medium' }
+  ], 'Symptoms');
+  assertEquals(records[0].symptomPatterns.length, 2);
+  assertEquals(records[0].symptomPatterns[1].category, 'Cultural');
+  assertEquals(errors.length, 1);
+  assertEquals(errors[0].row, 4);
+  assertEquals(errors[0].column, 'Symptoms!PlantID');
+});
+
+test('diffPlants reports added, removed and changed plants with their fields', () => {
+  const before = [
+    { plantId: 'PL0001', commonName: 'Adagio', growthRate: 'Moderate', symptomPatterns: [] },
+    { plantId: 'PL0002', commonName: 'Gone', growthRate: null, symptomPatterns: [] }
+  ];
+  const after = [
+    { plantId: 'PL0001', commonName: 'Adagio', growthRate: 'Fast', symptomPatterns: [{ description: 'x' }] },
+    { plantId: 'PL0003', commonName: 'New', growthRate: null, symptomPatterns: [] }
+  ];
+  const diff = diffPlants(before, after);
+  assertEquals(diff.added[0].plantId, 'PL0003');
+  assertEquals(diff.removed[0].plantId, 'PL0002');
+  assertEquals(diff.changed[0].fields.join(','), 'growthRate,symptomPatterns');
+  const report = formatPlantReport(diff);
+  assertTruthy(report.includes('1 added, 1 removed, 1 changed'), report);
+  assertTruthy(report.includes('~ PL0001 Adagio: growthRate, symptomPatterns'), report);
+});
+
+test('The current plants.json matches the declared schema', () => {
+  const plants = loadExistingPlants(`${__dirname}/plants.json`);
+  const fields = PLANT_SCHEMA.map(spec => spec.field).join(',');
+  assertTruthy(plants.length > 0, 'plants.json loads');
+  plants.forEach(plant => assertEquals(Object.keys(plant).join(','), fields, plant.plantId));
+});
+
+// Summary
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Test Results:`);
+console.log(`   ✓ Passed: ${passed}`);
+console.log(`   ✗ Failed: ${failed}`);
+console.log(`   Total:  ${passed + failed}`);
+
+if (failed === 0) {
+  console.log('\n✅ All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed.\n');
+  process.exit(1);
+}
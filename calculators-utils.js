@@ -1,20 +1,35 @@
 /**
  * Calculators Utility Module
- * Pure calculation functions for Mix Calculator and Granular Helper
+ * Pure calculation functions for Mix Calculator, Granular Helper and Fertilizer calculator
  * All functions are pure (no side effects) for testability
  */
 
 // Constants
 const FL_OZ_TO_ML = 29.57;
-const SPRAY_VOLUME_PER_1000_SQFT = 1; // Fixed assumption: 1 gallon per 1,000 sq ft
+const SPRAY_VOLUME_PER_1000_SQFT = 1; // Default assumption: 1 gallon per 1,000 sq ft
+const SQFT_PER_ACRE = 43560;
+const GRANULAR_RATE_UNITS = ['lb/1000 sq ft', 'lb/acre'];
+const PPM_PER_OZ_PER_GAL = 28349.5 / 3.78541; // 1 oz (weight) per gallon of water is 7,489 mg/L
+
+// Unit conversion engine: window.UnitConversion in the browser, required in Node
+function getUnitConversion() {
+  if (typeof window !== 'undefined' && window.UnitConversion) return window.UnitConversion;
+  if (typeof require === 'function') return require('./unit-conversion.js');
+  // In the browser there is no require(); say what is missing instead of a ReferenceError
+  throw new Error('unit-conversion.js must be loaded before calculators-utils.js can calculate a mix');
+}
 
 /**
- * Calculate mix amounts for a tank based on chemicals and tank size
+ * Calculate mix amounts for a tank based on chemicals and tank size.
+ * Each product's rate keeps its own units (fl oz/gal, oz wt/100 gal,
+ * pt/acre, ...); amounts are returned in the rate's amount unit plus a
+ * `measure` string in the units a mixer measures with.
  * @param {number} tankSizeGallons - Tank size in gallons
- * @param {Array} chemicalsData - Array of chemical objects with id, name, defaultRatePerGallon, mixRate
+ * @param {Array} chemicalsData - Array of chemical objects with id, name, defaultRate/defaultRateUnit (or defaultRatePerGallon), mixRate
+ * @param {Object} [options] - { sprayVolumePer1000SqFt } gallons of spray per 1,000 sq ft
  * @returns {Object} - Calculation results including coverage and mix items
  */
-function calculateMix(tankSizeGallons, chemicalsData) {
+function calculateMix(tankSizeGallons, chemicalsData, options = {}) {
   if (!tankSizeGallons || tankSizeGallons <= 0) {
     return { error: "Enter a valid tank size in gallons." };
   }
@@ -23,33 +38,44 @@ function calculateMix(tankSizeGallons, chemicalsData) {
     return { error: "Select at least one chemical." };
   }
 
-  const sprayVolume = SPRAY_VOLUME_PER_1000_SQFT;
-  const estimatedCoverageSqFt = tankSizeGallons * 1000;
+  const units = getUnitConversion();
+  const sprayVolume = options.sprayVolumePer1000SqFt > 0 ? options.sprayVolumePer1000SqFt : SPRAY_VOLUME_PER_1000_SQFT;
+  const estimatedCoverageSqFt = tankSizeGallons / sprayVolume * 1000;
 
   const mixItems = [];
 
   chemicalsData.forEach(chem => {
-    if (typeof chem.defaultRatePerGallon !== "number" || chem.defaultRatePerGallon <= 0) {
+    const rate = units.getChemicalRate(chem);
+    const result = rate ? units.amountForTank(rate, tankSizeGallons, sprayVolume) : null;
+    if (!result || result.error) {
       mixItems.push({
         id: chem.id,
         name: chem.name,
-        labelRate: chem.mixRate || "Check the product label for exact rates.",
+        labelRate: chem.mixRate ? `Label mix rate: ${chem.mixRate}` : "Check the product label for exact rates.",
         hasStoredRate: false
       });
       return;
     }
 
-    const flOz = chem.defaultRatePerGallon * tankSizeGallons;
-    const ml = flOz * FL_OZ_TO_ML;
-
-    mixItems.push({
+    const item = {
       id: chem.id,
       name: chem.name,
-      ratePerGallon: chem.defaultRatePerGallon,
-      flOz,
-      ml,
+      rate: rate.value,
+      rateUnit: rate.unit,
+      amount: result.amount,
+      amountUnit: result.unit,
+      kind: result.kind,
+      measure: units.formatMeasure(result.amount, result.unit),
       hasStoredRate: true
-    });
+    };
+    if (result.kind === 'volume') {
+      item.flOz = units.convertAmount(result.amount, result.unit, 'fl oz');
+      item.ml = units.convertAmount(result.amount, result.unit, 'mL');
+    } else {
+      item.grams = units.convertAmount(result.amount, result.unit, 'g');
+    }
+    if (rate.unit === 'fl oz/gal') item.ratePerGallon = rate.value;
+    mixItems.push(item);
   });
 
   return {
@@ -59,37 +85,181 @@ function calculateMix(tankSizeGallons, chemicalsData) {
     mixItems,
     mixText: mixItems
       .filter(item => item.hasStoredRate)
-      .map(item => `${item.name}: ${item.flOz.toFixed(2)} fl oz (~${item.ml.toFixed(0)} mL) at ${item.ratePerGallon} fl oz/gal`)
+      .map(item => {
+        const metric = item.kind === 'volume' ? `${item.ml.toFixed(0)} mL` : `${item.grams.toFixed(0)} g`;
+        return `${item.name}: ${item.amount.toFixed(2)} ${item.amountUnit} (~${metric}) at ${item.rate} ${item.rateUnit}`;
+      })
       .join('\n')
   };
 }
 
+/**
+ * Carrier volume in gallons per 1,000 sq ft
+ * @param {number} value - Calibrated spray volume
+ * @param {string} basis - 'gal/1000 sq ft' or 'gal/acre'
+ * @returns {number|null} - null when the volume is not a positive number
+ */
+function sprayVolumePer1000SqFt(value, basis = 'gal/1000 sq ft') {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) return null;
+  return basis === 'gal/acre' ? value * 1000 / SQFT_PER_ACRE : value;
+}
+
+/**
+ * Area in square feet
+ * @param {number} value
+ * @param {string} unit - 'sq ft' or 'acre'
+ * @returns {number}
+ */
+function areaInSqFt(value, unit = 'sq ft') {
+  return unit === 'acre' ? value * SQFT_PER_ACRE : value;
+}
+
+/**
+ * Plan the mix for a target area: how much spray the area takes at the
+ * calibrated carrier volume, how many tanks that is (full tanks plus a
+ * partial last tank), and product per full tank, for the partial tank and
+ * for the whole job.
+ * @param {Object} params
+ * @param {number} params.areaSqFt - Area to treat in square feet
+ * @param {number} params.sprayVolumePer1000SqFt - Calibrated carrier volume (gal per 1,000 sq ft)
+ * @param {number} params.tankSizeGallons - Tank size in gallons
+ * @param {Array} chemicalsData - Chemical records, as for calculateMix
+ * @returns {Object} - { areaSqFt, totalSprayGallons, fullTanks, partialTankGallons, tanksNeeded, perTank, partialTank, totals } or { error }
+ */
+function calculateAreaMix(params, chemicalsData) {
+  const { areaSqFt, sprayVolumePer1000SqFt: sprayVolume, tankSizeGallons } = params || {};
+
+  if (!areaSqFt || areaSqFt <= 0) {
+    return { error: "Enter a valid area to treat." };
+  }
+  if (!sprayVolume || sprayVolume <= 0) {
+    return { error: "Enter your calibrated spray volume." };
+  }
+  if (!tankSizeGallons || tankSizeGallons <= 0) {
+    return { error: "Enter a valid tank size in gallons." };
+  }
+  if (!Array.isArray(chemicalsData) || chemicalsData.length === 0) {
+    return { error: "Select at least one chemical." };
+  }
+
+  const options = { sprayVolumePer1000SqFt: sprayVolume };
+  const totalSprayGallons = areaSqFt / 1000 * sprayVolume;
+  // Round away float noise so 100 gal in 50 gal tanks is exactly 2 full tanks
+  const tankRatio = Math.round(totalSprayGallons / tankSizeGallons * 1e9) / 1e9;
+  const fullTanks = Math.floor(tankRatio);
+  const partialTankGallons = Math.round((tankRatio - fullTanks) * tankSizeGallons * 100) / 100;
+
+  return {
+    areaSqFt,
+    sprayVolume,
+    tankSize: tankSizeGallons,
+    totalSprayGallons,
+    fullTanks,
+    partialTankGallons,
+    tanksNeeded: fullTanks + (partialTankGallons > 0 ? 1 : 0),
+    perTank: fullTanks > 0 ? calculateMix(tankSizeGallons, chemicalsData, options) : null,
+    partialTank: partialTankGallons > 0 ? calculateMix(partialTankGallons, chemicalsData, options) : null,
+    totals: calculateMix(totalSprayGallons, chemicalsData, options)
+  };
+}
+
+/**
+ * A granular product's stored rate. Records carry `defaultGranularRate` +
+ * `defaultGranularRateUnit` ('lb/1000 sq ft' or 'lb/acre'); older records
+ * only have `defaultGranularRatePerThousandSqFt`.
+ * @param {Object} chem - Chemical record
+ * @returns {{value: number, unit: string}|null}
+ */
+function getGranularRate(chem) {
+  if (!chem) return null;
+  if (chem.defaultGranularRate > 0 && GRANULAR_RATE_UNITS.includes(chem.defaultGranularRateUnit)) {
+    return { value: chem.defaultGranularRate, unit: chem.defaultGranularRateUnit };
+  }
+  if (chem.defaultGranularRatePerThousandSqFt > 0) {
+    return { value: chem.defaultGranularRatePerThousandSqFt, unit: 'lb/1000 sq ft' };
+  }
+  return null;
+}
+
+/**
+ * Fertilizer analysis ("16-4-8", "46-0-0") as N, P2O5 and K2O percentages
+ * @param {string} text
+ * @returns {{n: number, p: number, k: number}|null}
+ */
+function parseAnalysis(text) {
+  const match = String(text || '').trim().match(/^(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)$/);
+  if (!match) return null;
+  const [n, p, k] = match.slice(1).map(Number);
+  return n + p + k > 0 && n + p + k <= 100 ? { n, p, k } : null;
+}
+
+/**
+ * Total active ingredient percentage listed in a product's actives
+ * ("Imidacloprid 0.2%", "Isoxaben 0.25% + Prodiamine 0.5%")
+ * @param {Object} chem - Chemical record
+ * @returns {number|null}
+ */
+function activePercent(chem) {
+  const matches = String((chem && chem.actives) || '').match(/\d+(?:\.\d+)?(?=\s*%)/g);
+  if (!matches) return null;
+  const total = matches.reduce((sum, value) => sum + Number(value), 0);
+  return total > 0 && total <= 100 ? total : null;
+}
+
 /**
  * Calculate granular product needed based on area and application rate
  * @param {number} areaSqFt - Area to treat in square feet
- * @param {number} ratePerThousandSqFt - Application rate in lbs per 1,000 sq ft
+ * @param {number} rate - Application rate in lb per 1,000 sq ft (or per acre, see options.rateUnit)
  * @param {string} productName - Optional product name for display
- * @returns {Object} - Calculation results
+ * @param {Object} [options] - { rateUnit: 'lb/1000 sq ft'|'lb/acre', bagWeightLbs, analysis: '16-4-8', aiPercent }
+ * @returns {Object} - Calculation results, with bags to buy and nutrient / active ingredient delivered when known
  */
-function calculateGranular(areaSqFt, ratePerThousandSqFt, productName = '') {
+function calculateGranular(areaSqFt, rate, productName = '', options = {}) {
   if (!areaSqFt || areaSqFt <= 0) {
     return { error: 'Enter a valid area in square feet.' };
   }
 
-  if (!ratePerThousandSqFt || ratePerThousandSqFt <= 0 || isNaN(ratePerThousandSqFt)) {
+  if (!rate || rate <= 0 || isNaN(rate)) {
     return { error: 'No stored application rate for the selected product. Please refer to the product label.' };
   }
 
+  const ratePerThousandSqFt = options.rateUnit === 'lb/acre' ? rate * 1000 / SQFT_PER_ACRE : rate;
   const areaThousands = areaSqFt / 1000;
   const totalLbs = areaThousands * ratePerThousandSqFt;
 
-  return {
+  const result = {
     productName,
     areaSqFt,
     areaThousands,
     ratePerThousandSqFt,
+    ratePerAcre: ratePerThousandSqFt * SQFT_PER_ACRE / 1000,
     totalLbs
   };
+
+  if (options.bagWeightLbs > 0) {
+    result.bagWeightLbs = options.bagWeightLbs;
+    // Round away float noise so 50 lb from 50 lb bags is exactly one bag
+    result.bagsNeeded = Math.ceil(Math.round(totalLbs / options.bagWeightLbs * 1e9) / 1e9);
+    result.leftoverLbs = result.bagsNeeded * options.bagWeightLbs - totalLbs;
+  }
+
+  const analysis = parseAnalysis(options.analysis);
+  if (analysis) {
+    result.analysis = analysis;
+    result.nutrientsPerThousandSqFt = {
+      n: ratePerThousandSqFt * analysis.n / 100,
+      p: ratePerThousandSqFt * analysis.p / 100,
+      k: ratePerThousandSqFt * analysis.k / 100
+    };
+  }
+
+  if (options.aiPercent > 0 && options.aiPercent <= 100) {
+    result.aiPercent = options.aiPercent;
+    result.aiPerThousandSqFt = ratePerThousandSqFt * options.aiPercent / 100;
+    result.aiPerAcre = result.aiPerThousandSqFt * SQFT_PER_ACRE / 1000;
+  }
+
+  return result;
 }
 
 /**
@@ -104,15 +274,32 @@ function formatMixResultsHTML(results) {
 
   let html = `
     <p><strong>Tank size:</strong> ${results.tankSize} gallons</p>
-    <p><strong>Spray volume:</strong> ${results.sprayVolume} gal per 1,000 sq ft</p>
+    <p><strong>Spray volume:</strong> ${Number(results.sprayVolume.toFixed(3))} gal per 1,000 sq ft</p>
     <p><strong>Estimated coverage:</strong> ${results.estimatedCoverageSqFt.toFixed(0)} sq ft</p>
   `;
 
-  html += `<p><strong>Chemicals and amounts:</strong></p><ul>`;
+  html += `<p><strong>Chemicals and amounts:</strong></p>`;
+  html += formatMixItemsHTML(results.mixItems);
+
+  return html;
+}
+
+/**
+ * Mix items as an HTML list
+ * @param {Array} mixItems - mixItems from calculateMix
+ * @returns {string} - HTML string
+ */
+function formatMixItemsHTML(mixItems) {
+  let html = `<ul>`;
 
-  results.mixItems.forEach(item => {
+  mixItems.forEach(item => {
     if (!item.hasStoredRate) {
       html += `<li>${item.name}: ${item.labelRate}</li>`;
+    } else if (item.measure) {
+      html += `<li>
+        ${item.name}: <strong>${item.measure}</strong>
+        at ${item.rate} ${item.rateUnit}.
+      </li>`;
     } else {
       html += `<li>
         ${item.name}: ${item.flOz.toFixed(2)} fl oz (≈ ${item.ml.toFixed(0)} mL)
@@ -126,6 +313,46 @@ function formatMixResultsHTML(results) {
   return html;
 }
 
+/**
+ * Format area mix results as HTML
+ * @param {Object} results - Results from calculateAreaMix
+ * @returns {string} - HTML string
+ */
+function formatAreaMixResultsHTML(results) {
+  if (results.error) {
+    return results.error;
+  }
+
+  const tankWord = count => (count === 1 ? 'tank' : 'tanks');
+  let tanksText = `${results.fullTanks} full ${tankWord(results.fullTanks)} of ${results.tankSize} gal`;
+  if (results.partialTankGallons > 0) {
+    tanksText = results.fullTanks > 0
+      ? `${tanksText} + 1 partial tank of ${results.partialTankGallons} gal`
+      : `1 partial tank of ${results.partialTankGallons} gal`;
+  }
+
+  let html = `
+    <p><strong>Area:</strong> ${results.areaSqFt.toFixed(0)} sq ft (${(results.areaSqFt / SQFT_PER_ACRE).toFixed(2)} acres)</p>
+    <p><strong>Spray volume:</strong> ${Number(results.sprayVolume.toFixed(3))} gal per 1,000 sq ft
+      (${(results.sprayVolume * SQFT_PER_ACRE / 1000).toFixed(1)} gal per acre)</p>
+    <p><strong>Total spray needed:</strong> ${results.totalSprayGallons.toFixed(1)} gal</p>
+    <p><strong>Tanks:</strong> ${tanksText}</p>
+  `;
+
+  if (results.perTank) {
+    html += `<p><strong>Each full tank (${results.tankSize} gal):</strong></p>`;
+    html += formatMixItemsHTML(results.perTank.mixItems);
+  }
+  if (results.partialTank) {
+    html += `<p><strong>Partial tank (${results.partialTankGallons} gal):</strong></p>`;
+    html += formatMixItemsHTML(results.partialTank.mixItems);
+  }
+  html += `<p><strong>Total product for the job:</strong></p>`;
+  html += formatMixItemsHTML(results.totals.mixItems);
+
+  return html;
+}
+
 /**
  * Format granular calculation results as HTML
  * @param {Object} results - Results from calculateGranular
@@ -140,24 +367,317 @@ function formatGranularResultsHTML(results) {
   if (results.productName) {
     html += `<p><strong>Product:</strong> ${results.productName}</p>`;
   }
+  const rateText = Number(results.ratePerThousandSqFt.toFixed(3));
   html += `
     <p><strong>Area:</strong> ${results.areaSqFt.toFixed(0)} sq ft (${results.areaThousands.toFixed(2)} × 1,000 sq ft)</p>
-    <p><strong>Rate:</strong> ${results.ratePerThousandSqFt} lbs per 1,000 sq ft</p>
+    <p><strong>Rate:</strong> ${rateText} lbs per 1,000 sq ft${results.ratePerAcre ? ` (${results.ratePerAcre.toFixed(1)} lbs per acre)` : ''}</p>
     <p><strong>Total product needed:</strong> ${results.totalLbs.toFixed(2)} lbs</p>
   `;
 
+  if (results.bagsNeeded) {
+    html += `<p><strong>Bags to buy:</strong> ${results.bagsNeeded} × ${results.bagWeightLbs} lb bag${results.bagsNeeded === 1 ? '' : 's'}
+      (${results.leftoverLbs.toFixed(1)} lbs left over)</p>`;
+  } else {
+    html += '<p class="muted">Enter the bag weight printed on the product bag to see how many bags to buy.</p>';
+  }
+  if (results.nutrientsPerThousandSqFt) {
+    const { n, p, k } = results.nutrientsPerThousandSqFt;
+    html += `<p><strong>Nutrients per 1,000 sq ft (${results.analysis.n}-${results.analysis.p}-${results.analysis.k}):</strong>
+      ${n.toFixed(2)} lb N, ${p.toFixed(2)} lb P₂O₅, ${k.toFixed(2)} lb K₂O</p>`;
+  }
+  if (results.aiPerThousandSqFt) {
+    html += `<p><strong>Active ingredient (${results.aiPercent}%):</strong>
+      ${results.aiPerThousandSqFt.toFixed(3)} lb per 1,000 sq ft (${results.aiPerAcre.toFixed(2)} lb per acre)</p>`;
+  }
+
+  return html;
+}
+
+// An analysis given as "20-10-20" or { n, p, k }
+function analysisOf(value) {
+  if (value && typeof value === 'object') {
+    return parseAnalysis(`${value.n}-${value.p}-${value.k}`);
+  }
+  return parseAnalysis(value);
+}
+
+/**
+ * Liquid feed through an injector: fertilizer per gallon of stock for a
+ * target ppm N at the injector ratio (1:100 → 100)
+ * @param {Object} params
+ * @param {number} params.targetPpmN - Nitrogen in the irrigation water (ppm)
+ * @param {string|Object} params.analysis - Fertilizer analysis ("20-10-20")
+ * @param {number} params.injectorRatio - Water per part of stock (1:100 → 100; 1 for no injector)
+ * @param {number} [params.stockGallons] - Stock tank size, for the total to weigh out
+ * @returns {Object} - { ozPerGalFinal, ozPerGalStock, stockLbs, ppm: {n, p, k} } or { error }
+ */
+function calculateInjectorFeed({ targetPpmN, analysis, injectorRatio, stockGallons }) {
+  const grade = analysisOf(analysis);
+  if (!grade || grade.n <= 0) {
+    return { error: 'Enter the fertilizer analysis (N-P-K) with some nitrogen, e.g. 20-10-20.' };
+  }
+  if (!(targetPpmN > 0)) {
+    return { error: 'Enter the target ppm N.' };
+  }
+  if (!(injectorRatio >= 1)) {
+    return { error: 'Enter the injector ratio (1:100 is 100).' };
+  }
+
+  const ozPerGalFinal = targetPpmN / (grade.n / 100 * PPM_PER_OZ_PER_GAL);
+  const ozPerGalStock = ozPerGalFinal * injectorRatio;
+  const result = {
+    targetPpmN,
+    analysis: grade,
+    injectorRatio,
+    ozPerGalFinal,
+    ozPerGalStock,
+    ppm: {
+      n: targetPpmN,
+      p: targetPpmN * grade.p / grade.n,
+      k: targetPpmN * grade.k / grade.n
+    }
+  };
+  if (stockGallons > 0) {
+    result.stockGallons = stockGallons;
+    result.stockLbs = ozPerGalStock * stockGallons / 16;
+  }
+  return result;
+}
+
+/**
+ * Granular feed by nitrogen: product per 1,000 sq ft for a target lb N
+ * @param {Object} params
+ * @param {number} params.targetLbsN - lb N per 1,000 sq ft
+ * @param {string|Object} params.analysis - Fertilizer analysis ("16-4-8")
+ * @param {number} params.areaSqFt - Area to treat in square feet
+ * @param {number} [params.bagWeightLbs]
+ * @param {string} [params.productName]
+ * @returns {Object} - calculateGranular results plus targetLbsN, or { error }
+ */
+function calculateNitrogenGranular({ targetLbsN, analysis, areaSqFt, bagWeightLbs, productName = '' }) {
+  const grade = analysisOf(analysis);
+  if (!grade || grade.n <= 0) {
+    return { error: 'Enter the fertilizer analysis (N-P-K) with some nitrogen, e.g. 16-4-8.' };
+  }
+  if (!(targetLbsN > 0)) {
+    return { error: 'Enter the target lb N per 1,000 sq ft.' };
+  }
+  const result = calculateGranular(areaSqFt, targetLbsN / (grade.n / 100), productName, {
+    analysis: `${grade.n}-${grade.p}-${grade.k}`,
+    bagWeightLbs
+  });
+  return result.error ? result : { ...result, targetLbsN };
+}
+
+/**
+ * Compare the expected (and measured) feed EC with a target range. Expected
+ * EC is the source water EC plus the fertilizer's EC at 100 ppm N (from the
+ * bag) scaled to the feed's ppm N.
+ * @param {Object} params
+ * @param {number} params.ppmN - Nitrogen in the feed (ppm)
+ * @param {number} params.ecPer100PpmN - Fertilizer EC at 100 ppm N (mS/cm)
+ * @param {number} [params.waterEc] - Source water EC (mS/cm)
+ * @param {number} [params.targetMin] - Target EC range (mS/cm)
+ * @param {number} [params.targetMax]
+ * @param {number} [params.measuredEc] - EC measured at the emitter (mS/cm)
+ * @returns {Object} - { expectedEc, measuredEc, status: 'low'|'ok'|'high'|null, injectorCheck } or { error }
+ */
+function checkFeedEc({ ppmN, ecPer100PpmN, waterEc = 0, targetMin, targetMax, measuredEc }) {
+  if (!(ppmN > 0) || !(ecPer100PpmN > 0)) {
+    return { error: 'Enter the ppm N and the fertilizer EC at 100 ppm N from the bag.' };
+  }
+  if (targetMin > 0 && targetMax > 0 && targetMin > targetMax) {
+    return { error: 'The target EC minimum is above the maximum.' };
+  }
+
+  const expectedEc = (waterEc > 0 ? waterEc : 0) + ppmN / 100 * ecPer100PpmN;
+  const hasMeasured = measuredEc > 0;
+  const ec = hasMeasured ? measuredEc : expectedEc;
+  let status = null;
+  if (targetMin > 0 || targetMax > 0) {
+    if (targetMin > 0 && ec < targetMin) status = 'low';
+    else if (targetMax > 0 && ec > targetMax) status = 'high';
+    else status = 'ok';
+  }
+
+  // A measured EC more than 15% off the expected points at the injector or the stock
+  const difference = hasMeasured ? (measuredEc - expectedEc) / expectedEc : null;
+  return {
+    ppmN,
+    expectedEc,
+    measuredEc: hasMeasured ? measuredEc : null,
+    targetMin: targetMin > 0 ? targetMin : null,
+    targetMax: targetMax > 0 ? targetMax : null,
+    status,
+    difference,
+    injectorCheck: difference !== null && Math.abs(difference) > 0.15
+  };
+}
+
+/**
+ * Suggest how much of two stock fertilizers to feed together for a target
+ * N-P-K ratio: the blend always delivers the target ppm N, and the split
+ * between the two is chosen to come as close as they allow to the target
+ * P₂O₅ and K₂O (least squares)
+ * @param {string|Object} analysisA - First fertilizer ("20-10-20")
+ * @param {string|Object} analysisB - Second fertilizer ("15-0-15")
+ * @param {string|Object} targetRatio - Target N-P-K ratio ("3-1-2")
+ * @param {number} targetPpmN - Target nitrogen (ppm)
+ * @returns {Object} - { ozPerGalA, ozPerGalB, fractionA, blend: {n, p, k}, target, achieved } (ppm) or { error }
+ */
+function suggestFertilizerBlend(analysisA, analysisB, targetRatio, targetPpmN) {
+  const a = analysisOf(analysisA);
+  const b = analysisOf(analysisB);
+  const ratio = analysisOf(targetRatio);
+  if (!a || !b) return { error: 'Enter both fertilizer analyses (N-P-K).' };
+  if (!ratio || ratio.n <= 0) return { error: 'Enter the target N-P-K ratio with some nitrogen, e.g. 3-1-2.' };
+  if (!(targetPpmN > 0)) return { error: 'Enter the target ppm N.' };
+  if (a.n <= 0 && b.n <= 0) return { error: 'At least one of the fertilizers must contain nitrogen.' };
+
+  // ppm of N, P₂O₅ and K₂O from 1 oz/gal of each fertilizer
+  const keys = ['n', 'p', 'k'];
+  const va = keys.map(key => a[key] / 100 * PPM_PER_OZ_PER_GAL);
+  const vb = keys.map(key => b[key] / 100 * PPM_PER_OZ_PER_GAL);
+  const target = keys.map(key => targetPpmN * ratio[key] / ratio.n);
+
+  // Amounts that give the target N lie on a line: start + s × step, s from 0 up to maxStep
+  let start, step, maxStep;
+  if (va[0] > 0 && vb[0] > 0) {
+    start = [0, target[0] / vb[0]];
+    step = [target[0] / va[0], -target[0] / vb[0]];
+    maxStep = 1;
+  } else if (va[0] > 0) {
+    start = [target[0] / va[0], 0];
+    step = [0, 1];
+    maxStep = Infinity;
+  } else {
+    start = [0, target[0] / vb[0]];
+    step = [1, 0];
+    maxStep = Infinity;
+  }
+
+  // Best point on that line for P₂O₅ and K₂O
+  const offset = [1, 2].map(i => start[0] * va[i] + start[1] * vb[i] - target[i]);
+  const slope = [1, 2].map(i => step[0] * va[i] + step[1] * vb[i]);
+  const slopeSquared = slope[0] ** 2 + slope[1] ** 2;
+  const best = slopeSquared > 0 ? -(slope[0] * offset[0] + slope[1] * offset[1]) / slopeSquared : 0;
+  const s = Math.min(Math.max(best, 0), maxStep);
+  const x = start[0] + s * step[0];
+  const y = start[1] + s * step[1];
+
+  const toNutrients = values => ({ n: values[0], p: values[1], k: values[2] });
+  return {
+    ozPerGalA: x,
+    ozPerGalB: y,
+    fractionA: x / (x + y),
+    blend: toNutrients(keys.map(key => (x * a[key] + y * b[key]) / (x + y))),
+    target: toNutrients(target),
+    achieved: toNutrients(keys.map((key, i) => x * va[i] + y * vb[i]))
+  };
+}
+
+function formatNutrientPpm({ n, p, k }) {
+  return `${n.toFixed(0)} ppm N, ${p.toFixed(0)} ppm P₂O₅, ${k.toFixed(0)} ppm K₂O`;
+}
+
+/**
+ * Format injector feed results as HTML
+ * @param {Object} results - Results from calculateInjectorFeed
+ * @returns {string} - HTML string
+ */
+function formatInjectorFeedHTML(results) {
+  if (results.error) {
+    return results.error;
+  }
+
+  const { n, p, k } = results.analysis;
+  let html = `
+    <p><strong>Fertilizer:</strong> ${n}-${p}-${k} at ${results.targetPpmN} ppm N</p>
+    <p><strong>Stock solution:</strong> ${results.ozPerGalStock.toFixed(2)} oz per gallon of stock (1:${results.injectorRatio})</p>
+    <p><strong>Delivered:</strong> ${formatNutrientPpm(results.ppm)} (${results.ozPerGalFinal.toFixed(3)} oz per gallon of water)</p>
+  `;
+  if (results.stockLbs) {
+    html += `<p><strong>Weigh out for ${results.stockGallons} gal of stock:</strong> ${results.stockLbs.toFixed(2)} lbs</p>`;
+  }
+  return html;
+}
+
+/**
+ * Format an EC check as HTML
+ * @param {Object} results - Results from checkFeedEc
+ * @returns {string} - HTML string
+ */
+function formatFeedEcHTML(results) {
+  if (results.error) {
+    return results.error;
+  }
+
+  let html = `<p><strong>Expected EC:</strong> ${results.expectedEc.toFixed(2)} mS/cm at ${results.ppmN} ppm N</p>`;
+  if (results.measuredEc !== null) {
+    const percent = (results.difference * 100).toFixed(0);
+    html += `<p><strong>Measured EC:</strong> ${results.measuredEc.toFixed(2)} mS/cm (${results.difference >= 0 ? '+' : ''}${percent}% of expected)</p>`;
+  }
+  if (results.status) {
+    const range = [results.targetMin, results.targetMax].map(v => (v === null ? '–' : v)).join(' to ');
+    const verdict = { low: 'Below the target', ok: 'Within the target', high: 'Above the target' }[results.status];
+    html += `<p><strong>${verdict}</strong> (${range} mS/cm)</p>`;
+  }
+  if (results.injectorCheck) {
+    html += '<p><strong>Check the injector:</strong> measured EC is more than 15% off the expected. Check the injector ratio and the stock solution.</p>';
+  }
   return html;
 }
 
+/**
+ * Format a blend suggestion as HTML
+ * @param {Object} results - Results from suggestFertilizerBlend
+ * @param {number} [injectorRatio] - Also give stock amounts for this injector ratio
+ * @returns {string} - HTML string
+ */
+function formatFertilizerBlendHTML(results, injectorRatio) {
+  if (results.error) {
+    return results.error;
+  }
+
+  const amount = ozPerGal => (injectorRatio >= 1
+    ? `${(ozPerGal * injectorRatio).toFixed(2)} oz per gallon of stock`
+    : `${ozPerGal.toFixed(3)} oz per gallon of water`);
+  const { n, p, k } = results.blend;
+  return `
+    <p><strong>Fertilizer A:</strong> ${amount(results.ozPerGalA)} (${(results.fractionA * 100).toFixed(0)}% of the blend)</p>
+    <p><strong>Fertilizer B:</strong> ${amount(results.ozPerGalB)} (${((1 - results.fractionA) * 100).toFixed(0)}% of the blend)</p>
+    <p><strong>Blend analysis:</strong> ${n.toFixed(1)}-${p.toFixed(1)}-${k.toFixed(1)}</p>
+    <p><strong>Target:</strong> ${formatNutrientPpm(results.target)}</p>
+    <p><strong>Delivered:</strong> ${formatNutrientPpm(results.achieved)}</p>
+  `;
+}
+
 // Export functions for use in main script
 if (typeof window !== 'undefined') {
   window.CalculatorUtils = {
     calculateMix,
+    calculateAreaMix,
     calculateGranular,
+    getGranularRate,
+    parseAnalysis,
+    activePercent,
+    sprayVolumePer1000SqFt,
+    areaInSqFt,
     formatMixResultsHTML,
+    formatAreaMixResultsHTML,
     formatGranularResultsHTML,
+    calculateInjectorFeed,
+    calculateNitrogenGranular,
+    checkFeedEc,
+    suggestFertilizerBlend,
+    formatInjectorFeedHTML,
+    formatFeedEcHTML,
+    formatFertilizerBlendHTML,
     FL_OZ_TO_ML,
-    SPRAY_VOLUME_PER_1000_SQFT
+    SPRAY_VOLUME_PER_1000_SQFT,
+    SQFT_PER_ACRE,
+    GRANULAR_RATE_UNITS,
+    PPM_PER_OZ_PER_GAL
   };
 }
 
@@ -165,10 +685,27 @@ if (typeof window !== 'undefined') {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     calculateMix,
+    calculateAreaMix,
     calculateGranular,
+    getGranularRate,
+    parseAnalysis,
+    activePercent,
+    sprayVolumePer1000SqFt,
+    areaInSqFt,
     formatMixResultsHTML,
+    formatAreaMixResultsHTML,
     formatGranularResultsHTML,
+    calculateInjectorFeed,
+    calculateNitrogenGranular,
+    checkFeedEc,
+    suggestFertilizerBlend,
+    formatInjectorFeedHTML,
+    formatFeedEcHTML,
+    formatFertilizerBlendHTML,
     FL_OZ_TO_ML,
-    SPRAY_VOLUME_PER_1000_SQFT
+    SPRAY_VOLUME_PER_1000_SQFT,
+    SQFT_PER_ACRE,
+    GRANULAR_RATE_UNITS,
+    PPM_PER_OZ_PER_GAL
   };
 }
@@ -6,9 +6,23 @@
 
 const {
   calculateMix,
+  calculateAreaMix,
   calculateGranular,
+  getGranularRate,
+  parseAnalysis,
+  activePercent,
+  sprayVolumePer1000SqFt,
+  areaInSqFt,
   formatMixResultsHTML,
+  formatAreaMixResultsHTML,
   formatGranularResultsHTML,
+  calculateInjectorFeed,
+  calculateNitrogenGranular,
+  checkFeedEc,
+  suggestFertilizerBlend,
+  formatInjectorFeedHTML,
+  formatFeedEcHTML,
+  formatFertilizerBlendHTML,
   FL_OZ_TO_ML,
   SPRAY_VOLUME_PER_1000_SQFT
 } = require('./calculators-utils.js');
@@ -34,6 +48,12 @@ function assertEquals(actual, expected, message = '') {
   }
 }
 
+function assertClose(actual, expected, tolerance = 0.01, message = '') {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`Expected ${expected} ± ${tolerance} but got ${actual}. ${message}`);
+  }
+}
+
 function assertTruthy(value, message = '') {
   if (!value) {
     throw new Error(`Expected truthy value. ${message}`);
@@ -100,6 +120,109 @@ test('calculateMix coverage calculation is correct', () => {
   assertEquals(result.sprayVolume, SPRAY_VOLUME_PER_1000_SQFT);
 });
 
+test('calculateMix converts weight rates per 100 gal into mixer units', () => {
+  const chemicals = [{ id: 'chem1', name: 'Wettable Powder', defaultRate: 8, defaultRateUnit: 'oz wt/100 gal' }];
+  const result = calculateMix(25, chemicals);
+  const item = result.mixItems[0];
+
+  assertEquals(item.amount, 2); // 8 oz wt * 25 / 100
+  assertEquals(item.amountUnit, 'oz wt');
+  assertEquals(item.kind, 'weight');
+  assertEquals(Math.round(item.grams), 57);
+  assertTruthy(item.measure.startsWith('2 oz wt'), item.measure);
+  assertEquals(item.flOz, undefined, 'Dry products have no fluid ounces');
+});
+
+test('calculateMix uses the spray volume for per-acre rates', () => {
+  const chemicals = [{ id: 'chem1', name: 'Acre Product', defaultRate: 1, defaultRateUnit: 'pt/acre' }];
+  const result = calculateMix(87.12, chemicals, { sprayVolumePer1000SqFt: 2 });
+
+  assertEquals(Math.round(result.estimatedCoverageSqFt), 43560); // 87.12 gal at 2 gal per 1,000 sq ft = 1 acre
+  assertEquals(Math.round(result.mixItems[0].amount * 1000) / 1000, 1);
+  assertEquals(result.mixItems[0].measure, '16 fl oz (≈ 473 mL)');
+});
+
+test('calculateMix mix text keeps each product in its rate units', () => {
+  const chemicals = [
+    { id: 'chem1', name: 'Liquid', defaultRatePerGallon: 2.5 },
+    { id: 'chem2', name: 'Powder', defaultRate: 1, defaultRateUnit: 'lb/100 gal' }
+  ];
+  const lines = calculateMix(50, chemicals).mixText.split('\n');
+
+  assertEquals(lines[0], 'Liquid: 125.00 fl oz (~3697 mL) at 2.5 fl oz/gal');
+  assertEquals(lines[1], 'Powder: 0.50 lb (~227 g) at 1 lb/100 gal');
+});
+
+// Test area-based mixing
+console.log('\n🧪 Area Mix Tests:');
+
+test('calculateAreaMix returns errors for missing area, spray volume or tank size', () => {
+  const chemicals = [{ id: 'chem1', name: 'Test', defaultRatePerGallon: 1 }];
+  assertTruthy(calculateAreaMix({ areaSqFt: 0, sprayVolumePer1000SqFt: 1, tankSizeGallons: 25 }, chemicals).error);
+  assertTruthy(calculateAreaMix({ areaSqFt: 5000, sprayVolumePer1000SqFt: 0, tankSizeGallons: 25 }, chemicals).error);
+  assertTruthy(calculateAreaMix({ areaSqFt: 5000, sprayVolumePer1000SqFt: 1, tankSizeGallons: 0 }, chemicals).error);
+  assertTruthy(calculateAreaMix({ areaSqFt: 5000, sprayVolumePer1000SqFt: 1, tankSizeGallons: 25 }, []).error);
+});
+
+test('calculateAreaMix plans full tanks plus a partial last tank', () => {
+  const chemicals = [{ id: 'chem1', name: 'Test', defaultRatePerGallon: 2 }];
+  const result = calculateAreaMix({ areaSqFt: 30000, sprayVolumePer1000SqFt: 2, tankSizeGallons: 25 }, chemicals);
+
+  assertEquals(result.totalSprayGallons, 60); // 30 × 1,000 sq ft at 2 gal
+  assertEquals(result.fullTanks, 2);
+  assertEquals(result.partialTankGallons, 10);
+  assertEquals(result.tanksNeeded, 3);
+  assertEquals(result.perTank.mixItems[0].amount, 50); // 25 gal × 2 fl oz
+  assertEquals(result.partialTank.mixItems[0].amount, 20);
+  assertEquals(result.totals.mixItems[0].amount, 120);
+  assertEquals(result.perTank.estimatedCoverageSqFt, 12500, 'A full tank covers 25 / 2 × 1,000 sq ft');
+});
+
+test('calculateAreaMix handles exact tanks and jobs smaller than one tank', () => {
+  const chemicals = [{ id: 'chem1', name: 'Test', defaultRatePerGallon: 1 }];
+  const exact = calculateAreaMix({ areaSqFt: 100000, sprayVolumePer1000SqFt: 0.5, tankSizeGallons: 25 }, chemicals);
+  assertEquals(exact.fullTanks, 2);
+  assertEquals(exact.partialTankGallons, 0);
+  assertEquals(exact.partialTank, null);
+
+  const small = calculateAreaMix({ areaSqFt: 4000, sprayVolumePer1000SqFt: 1, tankSizeGallons: 25 }, chemicals);
+  assertEquals(small.fullTanks, 0);
+  assertEquals(small.perTank, null);
+  assertEquals(small.partialTankGallons, 4);
+  assertEquals(small.tanksNeeded, 1);
+});
+
+test('Per-acre carrier volumes and areas convert to the 1,000 sq ft basis', () => {
+  assertEquals(sprayVolumePer1000SqFt(2, 'gal/1000 sq ft'), 2);
+  assertEquals(Math.round(sprayVolumePer1000SqFt(43.56, 'gal/acre') * 1000) / 1000, 1);
+  assertEquals(sprayVolumePer1000SqFt(0), null);
+  assertEquals(areaInSqFt(2, 'acre'), 87120);
+  assertEquals(areaInSqFt(5000, 'sq ft'), 5000);
+
+  const chemicals = [{ id: 'chem1', name: 'Boom Product', defaultRate: 1, defaultRateUnit: 'qt/acre' }];
+  const result = calculateAreaMix({
+    areaSqFt: areaInSqFt(3, 'acre'),
+    sprayVolumePer1000SqFt: sprayVolumePer1000SqFt(20, 'gal/acre'),
+    tankSizeGallons: 50
+  }, chemicals);
+  assertEquals(Math.round(result.totalSprayGallons), 60);
+  assertEquals(result.fullTanks, 1);
+  assertEquals(Math.round(result.partialTankGallons), 10);
+  assertEquals(Math.round(result.totals.mixItems[0].amount * 100) / 100, 3, '3 acres at 1 qt/acre');
+});
+
+test('formatAreaMixResultsHTML lists tanks and per-tank amounts', () => {
+  const chemicals = [{ id: 'chem1', name: 'Chemical 1', defaultRatePerGallon: 2 }];
+  const html = formatAreaMixResultsHTML(
+    calculateAreaMix({ areaSqFt: 30000, sprayVolumePer1000SqFt: 2, tankSizeGallons: 25 }, chemicals)
+  );
+  assertTruthy(html.includes('2 full tanks of 25 gal + 1 partial tank of 10 gal'), html);
+  assertTruthy(html.includes('Each full tank (25 gal)'));
+  assertTruthy(html.includes('Partial tank (10 gal)'));
+  assertTruthy(html.includes('Total product for the job'));
+  assertEquals(formatAreaMixResultsHTML({ error: 'Test error' }), 'Test error');
+});
+
 // Test Granular Calculator
 console.log('\n🧪 Granular Calculator Tests:');
 
@@ -142,6 +265,108 @@ test('calculateGranular works without product name', () => {
   assertEquals(result.totalLbs, 2); // 1 * 2
 });
 
+test('calculateGranular converts lb/acre rates to lb/1,000 sq ft', () => {
+  const result = calculateGranular(43560, 87.12, '', { rateUnit: 'lb/acre' });
+
+  assertClose(result.ratePerThousandSqFt, 2, 1e-9);
+  assertClose(result.totalLbs, 87.12, 1e-9);
+  assertClose(calculateGranular(1000, 2).ratePerAcre, 87.12, 1e-9);
+});
+
+test('calculateGranular rounds bags up and reports what is left over', () => {
+  const result = calculateGranular(12000, 4, '', { bagWeightLbs: 50 });
+
+  assertEquals(result.bagsNeeded, 1);
+  assertEquals(result.leftoverLbs, 2);
+  assertEquals(calculateGranular(12500, 4, '', { bagWeightLbs: 50 }).bagsNeeded, 1, 'Exactly one bag');
+  assertEquals(calculateGranular(13000, 4, '', { bagWeightLbs: 50 }).bagsNeeded, 2);
+  assertEquals(calculateGranular(1000, 4).bagsNeeded, undefined, 'No bag weight, no bag count');
+});
+
+test('calculateGranular reports nitrogen and active ingredient delivered', () => {
+  const result = calculateGranular(5000, 6.25, '', { analysis: '16-4-8', aiPercent: 0.5 });
+
+  assertClose(result.nutrientsPerThousandSqFt.n, 1, 1e-9);
+  assertClose(result.nutrientsPerThousandSqFt.k, 0.5, 1e-9);
+  assertClose(result.aiPerThousandSqFt, 0.03125, 1e-9);
+  assertClose(result.aiPerAcre, 1.36125, 1e-9);
+
+  const html = formatGranularResultsHTML(result);
+  assertTruthy(html.includes('1.00 lb N'), html);
+  assertTruthy(html.includes('Active ingredient (0.5%)'), html);
+  assertTruthy(html.includes('Enter the bag weight'), 'Asks for the bag weight when none is known');
+  assertEquals(formatGranularResultsHTML(calculateGranular(12000, 4, '', { bagWeightLbs: 50 })).includes('Enter the bag weight'), false);
+});
+
+test('parseAnalysis and activePercent read product text', () => {
+  assertEquals(parseAnalysis('46-0-0').n, 46);
+  assertEquals(parseAnalysis(' 16 - 4 - 8 ').k, 8);
+  assertEquals(parseAnalysis('16-4'), null);
+  assertEquals(parseAnalysis('80-40-0'), null, 'More than 100%');
+  assertEquals(activePercent({ actives: 'Isoxaben 0.25% + Prodiamine 0.5%' }), 0.75);
+  assertEquals(activePercent({ actives: 'Bifenthrin' }), null);
+});
+
+test('getGranularRate prefers the rate with a unit over the older field', () => {
+  assertEquals(getGranularRate({ defaultGranularRatePerThousandSqFt: 3.5 }).unit, 'lb/1000 sq ft');
+  const rate = getGranularRate({ defaultGranularRate: 100, defaultGranularRateUnit: 'lb/acre', defaultGranularRatePerThousandSqFt: 3.5 });
+  assertEquals(rate.value, 100);
+  assertEquals(rate.unit, 'lb/acre');
+  assertEquals(getGranularRate({ defaultGranularRate: 2, defaultGranularRateUnit: 'oz/gal' }), null);
+});
+
+console.log('\n🌱 Fertilizer Calculator Tests:');
+
+test('calculateInjectorFeed gives stock strength for a target ppm N', () => {
+  const result = calculateInjectorFeed({ targetPpmN: 200, analysis: '20-10-20', injectorRatio: 100, stockGallons: 5 });
+
+  assertClose(result.ozPerGalStock, 13.35, 0.01); // the familiar 200 ppm / (20% × 75) × 100
+  assertClose(result.stockLbs, 4.17, 0.01);
+  assertEquals(result.ppm.p, 100);
+  assertTruthy(formatInjectorFeedHTML(result).includes('13.35 oz per gallon of stock (1:100)'));
+  assertTruthy(calculateInjectorFeed({ targetPpmN: 200, analysis: '0-0-50', injectorRatio: 100 }).error);
+  assertTruthy(calculateInjectorFeed({ targetPpmN: 200, analysis: '20-10-20', injectorRatio: 0 }).error);
+});
+
+test('calculateNitrogenGranular sizes product from lb N per 1,000 sq ft', () => {
+  const result = calculateNitrogenGranular({ targetLbsN: 1, analysis: '16-4-8', areaSqFt: 10000, bagWeightLbs: 50 });
+
+  assertEquals(result.ratePerThousandSqFt, 6.25);
+  assertEquals(result.totalLbs, 62.5);
+  assertEquals(result.bagsNeeded, 2);
+  assertEquals(result.nutrientsPerThousandSqFt.n, 1);
+  assertTruthy(calculateNitrogenGranular({ targetLbsN: 1, analysis: '16-4-8', areaSqFt: 0 }).error);
+});
+
+test('checkFeedEc compares expected and measured EC with the target range', () => {
+  const expected = checkFeedEc({ ppmN: 200, ecPer100PpmN: 0.68, waterEc: 0.3, targetMin: 1, targetMax: 2 });
+  assertClose(expected.expectedEc, 1.66, 1e-9);
+  assertEquals(expected.status, 'ok');
+  assertEquals(expected.injectorCheck, false);
+
+  const measured = checkFeedEc({ ppmN: 200, ecPer100PpmN: 0.68, waterEc: 0.3, targetMin: 1, targetMax: 2, measuredEc: 2.1 });
+  assertEquals(measured.status, 'high');
+  assertEquals(measured.injectorCheck, true);
+  assertTruthy(formatFeedEcHTML(measured).includes('Above the target'));
+  assertEquals(checkFeedEc({ ppmN: 100, ecPer100PpmN: 0.7 }).status, null, 'No target, no verdict');
+});
+
+test('suggestFertilizerBlend hits the target N and fits P and K as closely as possible', () => {
+  const exact = suggestFertilizerBlend('20-10-20', '15-0-15', '3-1-2', 150);
+  assertClose(exact.achieved.n, 150, 1e-9);
+  assertClose(exact.achieved.p, 50, 1e-9);
+  assertClose(exact.fractionA, 0.6, 1e-9);
+
+  const potash = suggestFertilizerBlend('0-0-50', '20-10-20', '1-0-3', 100);
+  assertClose(potash.achieved.n, 100, 1e-9);
+  assertClose(potash.achieved.k, 300, 1e-9, 'Potash supplies the extra K');
+
+  const single = suggestFertilizerBlend('20-10-20', '15-0-15', '1-0-1', 150);
+  assertEquals(single.ozPerGalA, 0, 'Only the P-free fertilizer');
+  assertTruthy(formatFertilizerBlendHTML(exact, 100).includes('oz per gallon of stock'));
+  assertTruthy(suggestFertilizerBlend('0-0-50', '0-52-34', '1-1-1', 100).error);
+});
+
 // Test HTML formatters
 console.log('\n🧪 HTML Formatter Tests:');
 
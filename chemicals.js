@@ -17,6 +17,7 @@ const chemicals = [
     "targetTypes": "Weeds",
     "allowedSites": "Ornamentals, nursery beds (not edible crops)",
     "restrictions": "Avoid drift; follow REI; no food crops",
+    "ppe": "Long-sleeved shirt and long pants, chemical-resistant gloves, shoes plus socks",
     "ipmCategory": "Herbicide",
     "notes": "Refer to product label for complete information",
     "manufacturer": "Drexel Chemical Company",
@@ -26,7 +27,11 @@ const chemicals = [
     "moaDescription": "Prevents weed germination",
     "systemic": "Soil-residual",
     "appType": "Pre-emergent spray",
-    "defaultRatePerGallon": 1.8
+    "defaultRatePerGallon": null,
+    "defaultRate": 1.8,
+    "defaultRateUnit": "fl oz/1000 sq ft",
+    "maxRate": 3.6,
+    "maxRateUnit": "fl oz/1000 sq ft"
   },
   {
     "id": "C002",
@@ -41,6 +46,7 @@ const chemicals = [
     "targetTypes": "Weeds",
     "allowedSites": "Turf, ornamentals",
     "restrictions": "Do NOT mix with acidifiers; avoid aquatic areas",
+    "ppe": "Long-sleeved shirt and long pants, chemical-resistant gloves, shoes plus socks",
     "ipmCategory": "Herbicide",
     "notes": "Avoid low pH adjuvants that can break capsules.",
     "manufacturer": "BASF Corporation",
@@ -75,6 +81,9 @@ const chemicals = [
     "systemic": "Soil-residual",
     "appType": "Granular application",
     "defaultGranularRatePerThousandSqFt": 3.5,
+    "defaultGranularRate": 3.5,
+    "defaultGranularRateUnit": "lb/1000 sq ft",
+    "bagWeightLbs": 50,
     "defaultRatePerGallon": null
   },
   {
@@ -100,6 +109,8 @@ const chemicals = [
     "systemic": "Soil-residual",
     "appType": "Granular application",
     "defaultGranularRatePerThousandSqFt": 2.3,
+    "defaultGranularRate": 2.3,
+    "defaultGranularRateUnit": "lb/1000 sq ft",
     "defaultRatePerGallon": null
   },
   {
@@ -125,6 +136,8 @@ const chemicals = [
     "systemic": "Soil-residual",
     "appType": "Granular application",
     "defaultGranularRatePerThousandSqFt": 3.4,
+    "defaultGranularRate": 3.4,
+    "defaultGranularRateUnit": "lb/1000 sq ft",
     "defaultRatePerGallon": null
   },
   {
@@ -149,7 +162,9 @@ const chemicals = [
     "moaDescription": "Controls emerged weeds",
     "systemic": "Contact",
     "appType": "Post-emergent spray",
-    "defaultRatePerGallon": 0.55
+    "defaultRatePerGallon": 0.55,
+    "defaultRate": 0.55,
+    "defaultRateUnit": "fl oz/gal"
   },
   {
     "id": "C007",
@@ -173,7 +188,11 @@ const chemicals = [
     "moaDescription": "Controls emerged weeds",
     "systemic": "Contact",
     "appType": "Post-emergent spray",
-    "defaultRatePerGallon": 2.0
+    "defaultRatePerGallon": 2.0,
+    "defaultRate": 2.0,
+    "defaultRateUnit": "fl oz/gal",
+    "maxRate": 3,
+    "maxRateUnit": "fl oz/gal"
   },
   {
     "id": "C008",
@@ -197,7 +216,9 @@ const chemicals = [
     "moaDescription": "Controls emerged weeds",
     "systemic": "Contact",
     "appType": "Post-emergent spray",
-    "defaultRatePerGallon": 1.5
+    "defaultRatePerGallon": 1.5,
+    "defaultRate": 1.5,
+    "defaultRateUnit": "fl oz/gal"
   },
   {
     "id": "C009",
@@ -212,6 +233,7 @@ const chemicals = [
     "targetTypes": "Weeds",
     "allowedSites": "See product label",
     "restrictions": "Follow all label instructions and local regulations",
+    "ppe": "Long-sleeved shirt and long pants, shoes plus socks",
     "ipmCategory": "Herbicide",
     "notes": "Avoid mixing with contact herbicides like diquat.",
     "manufacturer": "Check product label",
@@ -221,7 +243,11 @@ const chemicals = [
     "moaDescription": "Pest management control",
     "systemic": "Contact",
     "appType": "Spray application",
-    "defaultRatePerGallon": 1.5
+    "defaultRatePerGallon": 1.5,
+    "defaultRate": 1.5,
+    "defaultRateUnit": "fl oz/gal",
+    "maxRate": 4,
+    "maxRateUnit": "fl oz/gal"
   },
   {
     "id": "C010",
@@ -236,6 +262,7 @@ const chemicals = [
     "targetTypes": "Weeds",
     "allowedSites": "Non-selective turf/ornamental areas",
     "restrictions": "Same as glyphosate; avoid drift",
+    "ppe": "Long-sleeved shirt and long pants, shoes plus socks",
     "ipmCategory": "Herbicide",
     "notes": "Refer to product label for complete information",
     "manufacturer": "Check product label",
@@ -245,7 +272,11 @@ const chemicals = [
     "moaDescription": "Pest management control",
     "systemic": "Contact",
     "appType": "Spray application",
-    "defaultRatePerGallon": 2.0
+    "defaultRatePerGallon": 2.0,
+    "defaultRate": 2.0,
+    "defaultRateUnit": "fl oz/gal",
+    "maxRate": 4,
+    "maxRateUnit": "fl oz/gal"
   },
   {
     "id": "C011",
@@ -269,7 +300,11 @@ const chemicals = [
     "moaDescription": "Pest management control",
     "systemic": "Contact",
     "appType": "Spray application",
-    "defaultRatePerGallon": 1.0
+    "defaultRatePerGallon": 1.0,
+    "defaultRate": 1.0,
+    "defaultRateUnit": "fl oz/gal",
+    "maxRate": 4,
+    "maxRateUnit": "fl oz/gal"
   },
   {
     "id": "C012",
@@ -317,7 +352,11 @@ const chemicals = [
     "moaDescription": "Pest management control",
     "systemic": "Contact",
     "appType": "Spray application",
-    "defaultRatePerGallon": 2.0
+    "defaultRatePerGallon": 2.0,
+    "defaultRate": 2.0,
+    "defaultRateUnit": "fl oz/gal",
+    "maxRate": 4,
+    "maxRateUnit": "fl oz/gal"
   },
   {
     "id": "C014",
@@ -332,6 +371,7 @@ const chemicals = [
     "targetTypes": "Weeds",
     "allowedSites": "Aquatic + ornamentals (depending on label)",
     "restrictions": "Never mix with glyphosate or Sonar",
+    "ppe": "Coveralls over short-sleeved shirt and short pants, chemical-resistant gloves, chemical-resistant footwear plus socks, protective eyewear, chemical-resistant headgear for overhead exposure, chemical-resistant apron when mixing, loading or cleaning equipment, NIOSH-approved dust/mist filtering respirator",
     "ipmCategory": "Herbicide",
     "notes": "Do not mix with glyphosate when systemic activity is desired.",
     "manufacturer": "Check product label",
@@ -341,7 +381,11 @@ const chemicals = [
     "moaDescription": "Pest management control",
     "systemic": "Contact",
     "appType": "Spray application",
-    "defaultRatePerGallon": 0.75
+    "defaultRatePerGallon": 0.75,
+    "defaultRate": 0.75,
+    "defaultRateUnit": "fl oz/gal",
+    "maxRate": 1.5,
+    "maxRateUnit": "fl oz/gal"
   },
   {
     "id": "C015",
@@ -389,7 +433,11 @@ const chemicals = [
     "moaDescription": "Pest management control",
     "systemic": "Soil-residual",
     "appType": "Spray application",
-    "defaultRatePerGallon": 0.25
+    "defaultRatePerGallon": 0.25,
+    "defaultRate": 0.25,
+    "defaultRateUnit": "fl oz/gal",
+    "maxRate": 0.5,
+    "maxRateUnit": "fl oz/gal"
   },
   {
     "id": "C017",
@@ -413,7 +461,11 @@ const chemicals = [
     "moaDescription": "Pest management control",
     "systemic": "Contact",
     "appType": "Spray application",
-    "defaultRatePerGallon": 0.2
+    "defaultRatePerGallon": 0.2,
+    "defaultRate": 0.2,
+    "defaultRateUnit": "fl oz/gal",
+    "maxRate": 0.6,
+    "maxRateUnit": "fl oz/gal"
   },
   {
     "id": "C018",
@@ -437,7 +489,9 @@ const chemicals = [
     "moaDescription": "Pest management control",
     "systemic": "Contact",
     "appType": "Spray application",
-    "defaultRatePerGallon": 1.0
+    "defaultRatePerGallon": 1.0,
+    "defaultRate": 1.0,
+    "defaultRateUnit": "fl oz/gal"
   },
   {
     "id": "C019",
@@ -533,7 +587,9 @@ const chemicals = [
     "moaDescription": "Pest management control",
     "systemic": "Contact",
     "appType": "Spray application",
-    "defaultRatePerGallon": 1.0
+    "defaultRatePerGallon": 1.0,
+    "defaultRate": 1.0,
+    "defaultRateUnit": "fl oz/gal"
   },
   {
     "id": "C023",
@@ -548,6 +604,7 @@ const chemicals = [
     "targetTypes": "Insect (thysanoptera)",
     "allowedSites": "See product label",
     "restrictions": "Follow all label instructions and local regulations",
+    "ppe": "Long-sleeved shirt and long pants, waterproof gloves, shoes plus socks",
     "ipmCategory": "Insecticide",
     "notes": "Refer to product label for complete information",
     "manufacturer": "Check product label",
@@ -557,7 +614,9 @@ const chemicals = [
     "moaDescription": "Nicotinic acetylcholine receptor modulator with GABA effects",
     "systemic": "Contact/Ingestion",
     "appType": "Foliar",
-    "defaultRatePerGallon": 0.05
+    "defaultRatePerGallon": 0.05,
+    "defaultRate": 0.05,
+    "defaultRateUnit": "fl oz/gal"
   },
   {
     "id": "C024",
@@ -572,6 +631,7 @@ const chemicals = [
     "targetTypes": "Fungi",
     "allowedSites": "Ornamentals, greenhouse, turf",
     "restrictions": "Rotate FRAC groups to avoid resistance",
+    "ppe": "Long-sleeved shirt and long pants, chemical-resistant gloves, shoes plus socks",
     "ipmCategory": "Fungicide",
     "notes": "High resistance risk; rotate FRAC groups.",
     "manufacturer": "Check product label",
@@ -581,7 +641,11 @@ const chemicals = [
     "moaDescription": "Pest management control",
     "systemic": "Contact",
     "appType": "Spray application",
-    "defaultRatePerGallon": 0.5
+    "defaultRatePerGallon": 0.5,
+    "defaultRate": 0.5,
+    "defaultRateUnit": "fl oz/gal",
+    "maxRate": 1.5,
+    "maxRateUnit": "fl oz/gal"
   },
   {
     "id": "C025",
@@ -630,6 +694,8 @@ const chemicals = [
     "systemic": "Systemic",
     "appType": "Granular application",
     "defaultGranularRatePerThousandSqFt": 2.0,
+    "defaultGranularRate": 2.0,
+    "defaultGranularRateUnit": "lb/1000 sq ft",
     "defaultRatePerGallon": null
   },
   {
@@ -678,7 +744,9 @@ const chemicals = [
     "moaDescription": "Pest management control",
     "systemic": "Contact",
     "appType": "Spray application",
-    "defaultRatePerGallon": 0.25
+    "defaultRatePerGallon": 0.25,
+    "defaultRate": 0.25,
+    "defaultRateUnit": "fl oz/gal"
   },
   {
     "id": "C029",
@@ -861,6 +929,7 @@ const chemicals = [
     "targetTypes": "Fungal disease complex",
     "allowedSites": "See product label",
     "restrictions": "Follow all label instructions and local regulations",
+    "ppe": "Long-sleeved shirt and long pants, chemical-resistant gloves, shoes plus socks, protective eyewear",
     "ipmCategory": "Fungicide",
     "notes": "Refer to product label for complete information",
     "manufacturer": "Check product label",
@@ -1101,6 +1170,7 @@ const chemicals = [
     "targetTypes": "Oomycete disease",
     "allowedSites": "See product label",
     "restrictions": "Follow all label instructions and local regulations",
+    "ppe": "Long-sleeved shirt and long pants, chemical-resistant gloves, shoes plus socks",
     "ipmCategory": "Fungicide",
     "notes": "Refer to product label for complete information",
     "manufacturer": "Check product label",
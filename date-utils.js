@@ -0,0 +1,30 @@
+/**
+ * Date Utilities Module
+ * Log entries store their dates as YYYY-MM-DD in the user's local time.
+ * `toISOString().slice(0, 10)` gives the UTC date, which is already
+ * tomorrow on a US evening, so date keys go through localDateKey instead.
+ */
+
+/**
+ * A date as YYYY-MM-DD in local time, the format of the log's date fields
+ * @param {Date} date
+ * @returns {string}
+ */
+function localDateKey(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Export functions for use in main script
+if (typeof window !== 'undefined') {
+  window.DateUtils = {
+    localDateKey
+  };
+}
+
+// For Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    localDateKey
+  };
+}
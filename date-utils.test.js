@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the shared date helpers
+ * Run with: node date-utils.test.js
+ */
+
+const { localDateKey } = require('./date-utils.js');
+
+let passed = 0;
+let failed = 0;
+
+function test(description, fn) {
+  try {
+    fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected} but got ${actual}. ${message}`);
+  }
+}
+
+console.log('\n📅 Date Key Tests:');
+
+test('localDateKey pads the month and day', () => {
+  assertEquals(localDateKey(new Date(2026, 0, 5, 9, 0)), '2026-01-05');
+});
+
+test('localDateKey keeps an evening on its local date', () => {
+  const originalTz = process.env.TZ;
+  process.env.TZ = 'America/Chicago';
+  try {
+    const evening = new Date('2026-06-03T02:30:00Z'); // Jun 2, 9:30 PM in Chicago
+    assertEquals(evening.toISOString().slice(0, 10), '2026-06-03', 'The UTC date is already tomorrow');
+    assertEquals(localDateKey(evening), '2026-06-02');
+  } finally {
+    if (originalTz === undefined) delete process.env.TZ;
+    else process.env.TZ = originalTz;
+  }
+});
+
+// Summary
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Test Results:`);
+console.log(`   ✓ Passed: ${passed}`);
+console.log(`   ✗ Failed: ${failed}`);
+console.log(`   Total:  ${passed + failed}`);
+
+if (failed === 0) {
+  console.log('\n✅ All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed.\n');
+  process.exit(1);
+}
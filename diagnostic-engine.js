@@ -0,0 +1,375 @@
+/**
+ * Diagnostic Engine Module
+ * Scores a plant's symptomPatterns, commonPests and commonDiseases against
+ * what the grower observed ("Where is it showing?", "Pattern / spread" and
+ * the description) and ranks them with the evidence that matched.
+ *
+ * Text is split into words, reduced to a simple stem ("yellowing" and
+ * "yellowed" become "yellow") and mapped to a symptom concept, so
+ * "chlorotic" in the notes still meets "yellowing" in a pattern. A shared
+ * stem counts as a keyword match, a shared concept as a synonym match.
+ * Photo findings (image-analysis.js) name a concept with a 0-1 score and
+ * count as a synonym match of that strength.
+ * All functions are pure (no side effects) for testability.
+ */
+
+// Words that say nothing about the cause
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'for', 'from', 'has', 'have',
+  'if', 'in', 'into', 'is', 'it', 'its', 'like', 'look', 'looks', 'more', 'most', 'my', 'no', 'not',
+  'of', 'on', 'or', 'our', 'seem', 'seems', 'so', 'some', 'than', 'that', 'the', 'their', 'then',
+  'there', 'these', 'they', 'this', 'to', 'too', 'very', 'was', 'were', 'what', 'when', 'which',
+  'while', 'with', 'especially', 'even', 'though', 'despite', 'after', 'before', 'during', 'appearing',
+  'see', 'seeing', 'notice', 'noticed', 'getting', 'turning', 'showing', 'also', 'all', 'just', 'lot', 'lots'
+]);
+
+// Words almost every pattern uses; they count, but for little
+const GENERIC_STEMS = new Set(['leaf', 'plant', 'growth', 'foliage', 'area', 'insect', 'pest', 'disease']);
+const GENERIC_WEIGHT = 0.25;
+const SYNONYM_WEIGHT = 0.75;
+const MIN_TEXT_SCORE = 0.5;
+
+// Multi-word phrases folded into one word before splitting
+const PHRASES = [
+  [/\bbetween (the )?veins\b/g, 'interveinal'],
+  [/\bshot[- ]hole\b/g, 'shothole'],
+  [/\bsoil line\b/g, 'crown'],
+  [/\bpoorly drained\b|\bpoor drainage\b/g, 'waterlogged'],
+  [/\bover[- ]?water(ed|ing)?\b/g, 'overwatered'],
+  [/\bunder[- ]?water(ed|ing)?\b/g, 'drought'],
+  [/\bleaf ?miners?\b/g, 'leafminer'],
+  [/\bspider ?mites?\b/g, 'mite'],
+  [/\bfungus gnats?\b/g, 'gnat'],
+  [/\bwhite ?fl(y|ies)\b/g, 'whitefly'],
+  [/\bmealy ?bugs?\b/g, 'mealybug'],
+  [/\bdie[- ]back\b/g, 'dieback']
+];
+
+// Symptom concepts: every word in a group means the same thing for matching
+const SYNONYM_GROUPS = {
+  yellow: ['yellow', 'yellowish', 'chlorosis', 'chlorotic', 'pale', 'lime', 'faded', 'fading'],
+  brown: ['brown', 'bronze', 'bronzing', 'tan', 'necrotic', 'necrosis', 'dead'],
+  scorch: ['scorch', 'scorched', 'crispy', 'crisp', 'burn', 'burnt', 'burned', 'sunscald', 'sunburn', 'bleached'],
+  black: ['black', 'sooty', 'dark', 'darkened', 'blackened'],
+  white: ['white', 'silver', 'silvery', 'whitish'],
+  gray: ['gray', 'grey'],
+  mold: ['mold', 'mould', 'mildew', 'fungus', 'fungal', 'fuzzy', 'fuzz', 'powdery', 'film', 'coating'],
+  cottony: ['cottony', 'cotton', 'waxy', 'woolly', 'wooly', 'fluffy'],
+  sticky: ['sticky', 'honeydew', 'tacky', 'glossy', 'shiny'],
+  spot: ['spot', 'spotting', 'spotted', 'lesion', 'blotch', 'blotchy', 'speck', 'fleck', 'freckle'],
+  stipple: ['stipple', 'stippling', 'stippled', 'dotted', 'dot'],
+  hole: ['hole', 'chewed', 'chew', 'eaten', 'ragged', 'notch', 'notched', 'skeletonized', 'skeletonizer', 'shothole'],
+  wilt: ['wilt', 'wilted', 'droop', 'drooping', 'droopy', 'limp', 'flag', 'flagging', 'collapse', 'collapsing', 'slump'],
+  curl: ['curl', 'curled', 'cup', 'cupped', 'cupping', 'pucker', 'distort', 'distorted', 'deformed', 'twisted', 'crinkle', 'crinkled', 'frizzle', 'frizzled'],
+  stunt: ['stunt', 'stunted', 'dwarf', 'dwarfed', 'slow', 'small'],
+  drop: ['drop', 'dropping', 'fall', 'falling', 'shed', 'shedding', 'defoliation', 'defoliate'],
+  rot: ['rot', 'rotting', 'rotten', 'mushy', 'mush', 'soft', 'decay', 'slimy'],
+  wet: ['wet', 'soggy', 'saturated', 'waterlogged', 'overwatered', 'moist', 'flood', 'flooded', 'standing', 'damp'],
+  humid: ['humid', 'humidity', 'rain', 'rainy', 'rainfall', 'muggy', 'fog'],
+  dry: ['dry', 'drought', 'parched', 'thirsty'],
+  new: ['new', 'young', 'upper', 'top', 'emerging', 'expanding', 'shoot'],
+  old: ['old', 'oldest', 'older', 'lower', 'bottom', 'mature', 'inner'],
+  edge: ['edge', 'margin', 'rim', 'border'],
+  tip: ['tip', 'end'],
+  underside: ['underside', 'under', 'beneath', 'underneath'],
+  interveinal: ['interveinal'],
+  web: ['web', 'webbing', 'silk', 'silky'],
+  frass: ['frass', 'excrement', 'sawdust'],
+  aphid: ['aphid', 'greenfly'],
+  mite: ['mite'],
+  thrip: ['thrip'],
+  whitefly: ['whitefly'],
+  mealybug: ['mealybug'],
+  scale: ['scale'],
+  caterpillar: ['caterpillar', 'worm', 'larva', 'larvae', 'armyworm', 'hornworm', 'looper', 'inchworm'],
+  slug: ['slug', 'snail', 'slime'],
+  borer: ['borer', 'bore', 'tunnel', 'weevil'],
+  gnat: ['gnat'],
+  leafminer: ['leafminer', 'miner', 'mine', 'trail'],
+  mosaic: ['mosaic', 'mottle', 'mottled', 'virus', 'viral'],
+  streak: ['streak', 'streaked', 'stripe', 'striped'],
+  pustule: ['pustule', 'rust', 'rusty', 'bump', 'raised'],
+  ooze: ['ooze', 'oozing', 'sap', 'bleed', 'bleeding', 'gum', 'gummosis'],
+  canker: ['canker', 'sunken', 'crack', 'cracked', 'split'],
+  dieback: ['dieback', 'die', 'dying', 'decline', 'declining'],
+  sudden: ['sudden', 'suddenly', 'quick', 'quickly', 'overnight', 'rapid'],
+  cold: ['cold', 'frost', 'freeze', 'frozen', 'chill', 'chilling'],
+  heat: ['heat', 'hot'],
+  sun: ['sun', 'sunny', 'exposed'],
+  flower: ['flower', 'bud', 'bloom', 'blossom'],
+  fruit: ['fruit', 'berry'],
+  stem: ['stem', 'stalk', 'cane', 'trunk', 'branch', 'twig', 'node', 'axil'],
+  root: ['root'],
+  base: ['base', 'crown', 'collar'],
+  scattered: ['scattered', 'random', 'patchy', 'spotty', 'sporadic'],
+  uniform: ['uniform', 'whole', 'entire', 'overall', 'throughout', 'general']
+};
+
+// How the Diagnostics issue types map onto symptomPattern categories
+const ISSUE_TYPE_CATEGORIES = {
+  pest: ['pest', 'insect'],
+  disease: ['disease', 'fung'],
+  // plants.json files nutrient disorders under Abiotic
+  nutrient: ['nutrient', 'abiotic'],
+  abiotic: ['abiotic', 'stress'],
+  weed: ['weed']
+};
+
+// Label of the evidence field for photo findings
+const IMAGE_FIELD = 'Photo';
+
+const OBSERVATION_FIELDS = [
+  { key: 'part', label: 'Where' },
+  { key: 'pattern', label: 'Pattern' },
+  { key: 'notes', label: 'Description' }
+];
+
+/**
+ * Reduce a word to a simple stem: plurals and -ing / -ed endings removed
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+function stemWord(word) {
+  if (word === 'leaves') return 'leaf';
+  if (word.length <= 3) return word;
+  let stem = word;
+  if (/ies$/.test(stem)) stem = stem.slice(0, -3) + 'y';
+  else if (/(ss|us|is)$/.test(stem)) return stem;
+  else if (/(ches|shes|xes|sses)$/.test(stem)) stem = stem.slice(0, -2);
+  else if (/s$/.test(stem)) stem = stem.slice(0, -1);
+  else if (/ing$/.test(stem) && stem.length > 5) stem = stem.slice(0, -3);
+  else if (/ed$/.test(stem) && stem.length > 4) stem = stem.slice(0, -2);
+  // "dropp" -> "drop", "spott" -> "spot"
+  if (stem !== word && /([bdfgmnprt])\1$/.test(stem)) stem = stem.slice(0, -1);
+  return stem;
+}
+
+// stem -> concept, built once from SYNONYM_GROUPS
+const CONCEPT_BY_STEM = new Map();
+Object.keys(SYNONYM_GROUPS).forEach(concept => {
+  SYNONYM_GROUPS[concept].forEach(word => {
+    const stem = stemWord(word);
+    if (!CONCEPT_BY_STEM.has(stem)) CONCEPT_BY_STEM.set(stem, concept);
+  });
+});
+
+/**
+ * Split text into scored words
+ * @param {string} text - Observation or candidate text
+ * @returns {Array<{term: string, stem: string, concept: string}>} - concept is the stem when no group has it
+ */
+function tokenize(text) {
+  let value = String(text || '').toLowerCase();
+  PHRASES.forEach(([pattern, replacement]) => {
+    value = value.replace(pattern, replacement);
+  });
+  const tokens = [];
+  const seen = new Set();
+  (value.match(/[a-z]+/g) || []).forEach(term => {
+    if (term.length < 2 || STOP_WORDS.has(term)) return;
+    const stem = stemWord(term);
+    if (seen.has(stem)) return;
+    seen.add(stem);
+    tokens.push({ term, stem, concept: CONCEPT_BY_STEM.get(stem) || stem });
+  });
+  return tokens;
+}
+
+/**
+ * Whether a pattern category fits the selected issue type
+ * @param {string} category - e.g. "Disease", "Pest/Abiotic"
+ * @param {string} issueType - pest, disease, weed, nutrient, abiotic
+ * @returns {boolean|null} - null when no issue type is selected
+ */
+function categoryMatchesIssueType(category, issueType) {
+  const keys = ISSUE_TYPE_CATEGORIES[String(issueType || '').toLowerCase()];
+  if (!keys) return null;
+  const c = String(category || '').toLowerCase();
+  return keys.some(key => c.includes(key));
+}
+
+function priorityScore(priority) {
+  const v = String(priority || '').toLowerCase();
+  if (v.startsWith('high')) return 3;
+  if (v.startsWith('medium')) return 2;
+  if (v.startsWith('low')) return 1;
+  return 0;
+}
+
+// commonPests entries come from split spreadsheet cells: "caterpillars (armyworms", "aphids."
+function cleanCauseName(name) {
+  return String(name || '').replace(/[().]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Candidates from a plant's diagnostic profile (PlantUtils.getDiagnosticProfileSync)
+ * @param {Object} profile - { symptomPatterns, commonPests, commonDiseases }
+ * @returns {Array<{kind: 'pattern'|'pest'|'disease', name, description, likelyCauses, category, priority}>}
+ */
+function buildCandidates(profile) {
+  const candidates = [];
+  (profile.symptomPatterns || []).forEach(p => {
+    if (!p || !p.description) return;
+    candidates.push({
+      kind: 'pattern',
+      name: p.likelyCauses || p.description,
+      description: p.description,
+      likelyCauses: p.likelyCauses || '',
+      category: p.category || '',
+      priority: p.priority || ''
+    });
+  });
+
+  const seen = new Set();
+  [['pest', profile.commonPests, 'Pest'], ['disease', profile.commonDiseases, 'Disease']].forEach(([kind, names, category]) => {
+    (names || []).forEach(raw => {
+      const name = cleanCauseName(raw);
+      if (!name || seen.has(name.toLowerCase())) return;
+      seen.add(name.toLowerCase());
+      candidates.push({ kind, name, description: '', likelyCauses: '', category, priority: '' });
+    });
+  });
+  return candidates;
+}
+
+/**
+ * Score and rank a plant's candidate causes against an observation
+ * @param {Object} profile - Diagnostic profile with symptomPatterns, commonPests, commonDiseases
+ * @param {Object} observation - { issueType, part, pattern, notes, imageFindings }
+ *   imageFindings: [{ concept, label, score }] from ImageAnalysis.analyzeImages
+ * @param {Object} [options] - { limit } most candidates to return (default 8)
+ * @returns {Array<{kind, name, description, likelyCauses, category, priority, score, confidence, evidence}>}
+ *   evidence: [{ field, term, matched, via: 'keyword'|'synonym'|'image'|'issue type' }]
+ */
+function scoreDiagnosis(profile, observation, options = {}) {
+  const limit = options.limit || 8;
+  const issueType = observation.issueType || '';
+  const observed = [];
+  OBSERVATION_FIELDS.forEach(field => {
+    tokenize(observation[field.key]).forEach(token => {
+      // The same word in two fields is one piece of evidence
+      if (!observed.some(o => o.stem === token.stem)) observed.push({ ...token, field: field.label });
+    });
+  });
+  // A photo finding only adds what the words did not already say
+  const findings = (observation.imageFindings || [])
+    .filter(f => f && f.concept && f.score > 0 && !observed.some(o => o.concept === f.concept));
+  const observedWeight = observed.reduce((sum, o) => sum + (GENERIC_STEMS.has(o.stem) ? GENERIC_WEIGHT : 1), 0) +
+    findings.reduce((sum, f) => sum + f.score, 0);
+
+  const ranked = [];
+  buildCandidates(profile || {}).forEach(candidate => {
+    const candidateTokens = tokenize(`${candidate.description} ${candidate.likelyCauses || candidate.name}`);
+    const evidence = [];
+    let textScore = 0;
+
+    observed.forEach(o => {
+      const keyword = candidateTokens.find(t => t.stem === o.stem);
+      const synonym = keyword ? null : candidateTokens.find(t => t.concept === o.concept);
+      const hit = keyword || synonym;
+      if (!hit) return;
+      const weight = (GENERIC_STEMS.has(o.stem) ? GENERIC_WEIGHT : 1) * (keyword ? 1 : SYNONYM_WEIGHT);
+      textScore += weight;
+      evidence.push({ field: o.field, term: o.term, matched: hit.term, via: keyword ? 'keyword' : 'synonym' });
+    });
+
+    findings.forEach(f => {
+      const hit = candidateTokens.find(t => t.concept === f.concept);
+      if (!hit) return;
+      textScore += f.score * SYNONYM_WEIGHT;
+      evidence.push({ field: IMAGE_FIELD, term: f.label || f.concept, matched: hit.term, via: 'image' });
+    });
+
+    // Generic words alone ("leaves") do not make a lead
+    const wordsFit = textScore >= MIN_TEXT_SCORE;
+    const typeFit = categoryMatchesIssueType(candidate.category, issueType);
+    // A cause of another issue type still shows when the words fit it, at half weight
+    if (!wordsFit && !typeFit) return;
+    if (typeFit) evidence.push({ field: 'Issue type', term: issueType, matched: candidate.category, via: 'issue type' });
+
+    const candidateWeight = candidateTokens.reduce((sum, t) => sum + (GENERIC_STEMS.has(t.stem) ? GENERIC_WEIGHT : 1), 0);
+    // Overlap of the smaller side, damped so a single shared word is never a sure match
+    const overlap = wordsFit ? Math.min(textScore / Math.min(observedWeight, candidateWeight || 1), 1) : 0;
+    const support = textScore / (textScore + 1);
+    let confidence = overlap * support;
+    if (typeFit === false) confidence *= 0.5;
+    if (typeFit) confidence = Math.min(confidence + 0.1, 1);
+
+    ranked.push({
+      ...candidate,
+      score: Number((textScore * (typeFit === false ? 0.5 : 1) + (typeFit ? 0.5 : 0) + priorityScore(candidate.priority) * 0.01).toFixed(3)),
+      confidence: Number(confidence.toFixed(2)),
+      evidence
+    });
+  });
+
+  return ranked
+    .sort((a, b) => b.score - a.score || b.confidence - a.confidence)
+    .slice(0, limit);
+}
+
+/**
+ * @param {number} confidence - 0 to 1
+ * @returns {string} - 'High', 'Medium' or 'Low'
+ */
+function describeConfidence(confidence) {
+  if (confidence >= 0.6) return 'High';
+  if (confidence >= 0.3) return 'Medium';
+  return 'Low';
+}
+
+/**
+ * Ranked leads as HTML for the Diagnostics result
+ * @param {Array} candidates - From scoreDiagnosis
+ * @returns {string} - HTML string
+ */
+function formatDiagnosisHTML(candidates) {
+  if (!candidates.length) {
+    return '<p class="muted">No pattern, pest or disease on record for this crop matches the description. Add more detail about where and how it shows.</p>';
+  }
+  const kindLabels = { pattern: 'Pattern', pest: 'Pest', disease: 'Disease' };
+  let html = '<p><strong>Ranked leads (not confirmed):</strong></p><ol>';
+  candidates.forEach(c => {
+    const evidence = c.evidence.map(e => {
+      if (e.via === 'issue type') return `issue type fits ${e.matched}`;
+      if (e.via === 'image') return `photo: ${e.term} ≈ "${e.matched}"`;
+      return e.via === 'keyword' ? `"${e.term}" (${e.field})` : `"${e.term}" ≈ "${e.matched}" (${e.field})`;
+    });
+    html += '<li>';
+    html += `<div><strong>${kindLabels[c.kind]}:</strong> ${c.kind === 'pattern' ? c.description : c.name}</div>`;
+    if (c.likelyCauses) html += `<div><strong>Likely causes:</strong> ${c.likelyCauses}</div>`;
+    html += `<div><strong>Confidence:</strong> ${describeConfidence(c.confidence)} (${Math.round(c.confidence * 100)}%)${c.priority ? ` · pattern priority ${c.priority}` : ''}</div>`;
+    if (evidence.length) html += `<div class="muted">Matched: ${evidence.join(', ')}</div>`;
+    html += '</li>';
+  });
+  html += '</ol>';
+  return html;
+}
+
+// Export functions for use in main script
+if (typeof window !== 'undefined') {
+  window.DiagnosticEngine = {
+    tokenize,
+    stemWord,
+    categoryMatchesIssueType,
+    buildCandidates,
+    scoreDiagnosis,
+    describeConfidence,
+    formatDiagnosisHTML,
+    SYNONYM_GROUPS
+  };
+}
+
+// For Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    tokenize,
+    stemWord,
+    categoryMatchesIssueType,
+    buildCandidates,
+    scoreDiagnosis,
+    describeConfidence,
+    formatDiagnosisHTML,
+    SYNONYM_GROUPS
+  };
+}
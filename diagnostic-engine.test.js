@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the Diagnostics scoring engine
+ * Run with: node diagnostic-engine.test.js
+ */
+
+const {
+  tokenize,
+  stemWord,
+  categoryMatchesIssueType,
+  buildCandidates,
+  scoreDiagnosis,
+  describeConfidence,
+  formatDiagnosisHTML
+} = require('./diagnostic-engine.js');
+
+let passed = 0;
+let failed = 0;
+
+function test(description, fn) {
+  try {
+    fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected} but got ${actual}. ${message}`);
+  }
+}
+
+function assertTruthy(value, message = '') {
+  if (!value) {
+    throw new Error(`Expected truthy value. ${message}`);
+  }
+}
+
+// Trimmed diagnostic profile in the shape PlantUtils.getDiagnosticProfileSync returns
+const PROFILE = {
+  symptomPatterns: [
+    { description: 'Interveinal yellowing with green veins, especially on new growth.', likelyCauses: 'Iron or manganese deficiency, often from high pH.', category: 'Abiotic', priority: 'Medium' },
+    { description: 'Sticky leaves and sooty mold on foliage.', likelyCauses: 'Honeydew from aphids, scale or whiteflies.', category: 'Pest', priority: 'High' },
+    { description: 'Wilting plants even though soil is moist; crown soft or mushy.', likelyCauses: 'Root and crown rot from overwatering.', category: 'Disease', priority: 'High' },
+    { description: 'White powdery coating on leaves and young shoots.', likelyCauses: 'Powdery mildew.', category: 'Disease', priority: 'Medium-High' }
+  ],
+  commonPests: ['aphids', 'spider mites', 'caterpillars (armyworms', 'aphids.'],
+  commonDiseases: ['powdery mildew', 'root rot in wet soils']
+};
+
+function leads(observation) {
+  return scoreDiagnosis(PROFILE, observation).map(c => c.kind === 'pattern' ? c.likelyCauses : c.name);
+}
+
+console.log('\n🔤 Tokenizer Tests:');
+
+test('Words are stemmed so plurals and -ing / -ed forms meet', () => {
+  assertEquals(stemWord('yellowing'), 'yellow');
+  assertEquals(stemWord('wilted'), 'wilt');
+  assertEquals(stemWord('dropping'), 'drop');
+  assertEquals(stemWord('leaves'), 'leaf');
+  assertEquals(stemWord('whiteflies'), 'whitefly');
+  assertEquals(stemWord('patches'), 'patch');
+  assertEquals(stemWord('thrips'), 'thrip');
+  assertEquals(stemWord('necrosis'), 'necrosis');
+});
+
+test('Stop words are dropped and synonyms share a concept', () => {
+  const tokens = tokenize('The new leaves are chlorotic between the veins');
+  assertEquals(tokens.map(t => t.stem).join(','), 'new,leaf,chlorotic,interveinal');
+  assertEquals(tokens[2].concept, 'yellow');
+  assertEquals(tokenize('Yellowing')[0].concept, 'yellow');
+  assertEquals(tokenize('spider mites on the underside')[0].stem, 'mite');
+});
+
+test('Issue types map onto the symptomPattern categories', () => {
+  assertEquals(categoryMatchesIssueType('Pest/Disease', 'pest'), true);
+  assertEquals(categoryMatchesIssueType('Abiotic', 'nutrient'), true, 'Nutrient disorders are filed under Abiotic');
+  assertEquals(categoryMatchesIssueType('Disease', 'abiotic'), false);
+  assertEquals(categoryMatchesIssueType('Disease', ''), null);
+});
+
+console.log('\n🔍 Scoring Tests:');
+
+test('Candidates come from patterns, pests and diseases, with pest names cleaned and de-duplicated', () => {
+  const candidates = buildCandidates(PROFILE);
+  assertEquals(candidates.length, 9);
+  assertEquals(candidates.filter(c => c.kind === 'pest').map(c => c.name).join('|'), 'aphids|spider mites|caterpillars armyworms');
+});
+
+test('Where, pattern and description words rank the matching pattern first, with evidence', () => {
+  const ranked = scoreDiagnosis(PROFILE, { issueType: 'nutrient', part: 'new leaves', pattern: '', notes: 'chlorotic between the veins, veins stay green' });
+  const top = ranked[0];
+  assertEquals(top.kind, 'pattern');
+  assertTruthy(top.likelyCauses.startsWith('Iron'), top.likelyCauses);
+  assertEquals(describeConfidence(top.confidence), 'High', String(top.confidence));
+  const chlorotic = top.evidence.find(e => e.term === 'chlorotic');
+  assertEquals(chlorotic.via, 'synonym');
+  assertEquals(chlorotic.matched, 'yellowing');
+  assertEquals(chlorotic.field, 'Description');
+  assertEquals(top.evidence.find(e => e.term === 'new').field, 'Where');
+  assertTruthy(top.evidence.some(e => e.via === 'issue type'), 'The issue type is part of the evidence');
+});
+
+test('Description text finds the cause even without an issue type', () => {
+  assertEquals(leads({ notes: 'plants drooping although the pot is soggy, base is mushy' })[0], 'Root and crown rot from overwatering.');
+  const pests = leads({ notes: 'honeydew everywhere and aphids on the tips' });
+  assertEquals(pests[0], 'Honeydew from aphids, scale or whiteflies.');
+  assertTruthy(pests.includes('aphids'), pests.join(' | '));
+  assertEquals(pests.includes('powdery mildew'), false, 'Unrelated causes are left out');
+});
+
+test('Causes of another issue type only show when the words fit, at reduced confidence', () => {
+  const ranked = scoreDiagnosis(PROFILE, { issueType: 'pest', notes: 'white powdery film on young shoots' });
+  const mildew = ranked.find(c => c.likelyCauses === 'Powdery mildew.');
+  assertTruthy(mildew, 'The words still point at powdery mildew');
+  const same = scoreDiagnosis(PROFILE, { issueType: 'disease', notes: 'white powdery film on young shoots' })
+    .find(c => c.likelyCauses === 'Powdery mildew.');
+  assertTruthy(mildew.confidence < same.confidence, `${mildew.confidence} vs ${same.confidence}`);
+  assertEquals(scoreDiagnosis(PROFILE, { issueType: 'pest', notes: 'leaves' }).some(c => c.category === 'Disease'), false,
+    'A generic word alone is not a match');
+});
+
+test('With only an issue type, matching causes are listed at low confidence by priority', () => {
+  const ranked = scoreDiagnosis(PROFILE, { issueType: 'disease' });
+  assertEquals(ranked[0].likelyCauses, 'Root and crown rot from overwatering.');
+  assertTruthy(ranked.every(c => c.confidence === 0.1 && c.category === 'Disease'));
+  assertEquals(scoreDiagnosis(PROFILE, { issueType: 'pest' }, { limit: 2 }).length, 2);
+});
+
+test('Photo findings add evidence to causes with the same symptom, without double-counting the words', () => {
+  const yellowing = { concept: 'yellow', label: 'Yellowing (chlorosis)', score: 0.8 };
+  const photoOnly = scoreDiagnosis(PROFILE, { imageFindings: [yellowing] });
+  assertEquals(photoOnly.length, 1);
+  assertTruthy(photoOnly[0].likelyCauses.startsWith('Iron'));
+  assertEquals(photoOnly[0].evidence[0].via, 'image');
+  assertEquals(photoOnly[0].evidence[0].matched, 'yellowing');
+
+  const typed = scoreDiagnosis(PROFILE, { part: 'new leaves', notes: 'yellow' });
+  const typedWithPhoto = scoreDiagnosis(PROFILE, { part: 'new leaves', notes: 'yellow', imageFindings: [yellowing] });
+  assertEquals(typedWithPhoto[0].score, typed[0].score, 'The photo repeats what was typed');
+
+  const withPhoto = scoreDiagnosis(PROFILE, { part: 'new leaves', imageFindings: [yellowing] });
+  assertTruthy(withPhoto[0].likelyCauses.startsWith('Iron'));
+  assertTruthy(formatDiagnosisHTML(withPhoto).includes('photo: Yellowing (chlorosis) ≈ "yellowing"'));
+});
+
+test('formatDiagnosisHTML lists leads with confidence and matched words', () => {
+  const html = formatDiagnosisHTML(scoreDiagnosis(PROFILE, { notes: 'sticky leaves with black mold' }));
+  assertTruthy(html.includes('Ranked leads (not confirmed)'), html);
+  assertTruthy(html.includes('Confidence:'), html);
+  assertTruthy(html.includes('"black" ≈ "sooty" (Description)'), html);
+  assertTruthy(formatDiagnosisHTML([]).includes('No pattern, pest or disease'));
+});
+
+// Summary
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Test Results:`);
+console.log(`   ✓ Passed: ${passed}`);
+console.log(`   ✗ Failed: ${failed}`);
+console.log(`   Total:  ${passed + failed}`);
+
+if (failed === 0) {
+  console.log('\n✅ All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed.\n');
+  process.exit(1);
+}
@@ -0,0 +1,235 @@
+/**
+ * Diagnostic Tree Module
+ * Guided Diagnostics: walks the question tree in diagnostic-tree.json and
+ * narrows a plant's symptomPatterns with each answer.
+ *
+ * Every answer can keep the patterns that mention one of its `match` words,
+ * drop the ones that mention an `exclude` word, and keep only some pattern
+ * `categories`. Words are compared as DiagnosticEngine concepts, so
+ * "yellow" keeps "chlorosis" patterns too. An answer that would leave no
+ * pattern keeps the previous ones, and the path says so. Answers add a
+ * `note` explaining the step and `checks` to do next.
+ */
+
+// Diagnostic engine module: window.DiagnosticEngine in the browser, required in Node
+function getDiagnosticEngine() {
+  if (typeof window !== 'undefined' && window.DiagnosticEngine) return window.DiagnosticEngine;
+  if (typeof require === 'function') return require('./diagnostic-engine.js');
+  // In the browser there is no require(); say what is missing instead of a ReferenceError
+  throw new Error('diagnostic-engine.js must be loaded before diagnostic-tree.js can score a guided diagnosis');
+}
+
+/**
+ * Problems with a tree file: unknown next nodes, questions without answers, repeated answer ids
+ * @param {Object} tree - Parsed diagnostic-tree.json
+ * @returns {Array<string>} - Empty when the tree is valid
+ */
+function validateTree(tree) {
+  const errors = [];
+  const nodes = (tree && tree.nodes) || {};
+  if (!nodes[tree && tree.start]) errors.push(`Start node "${tree && tree.start}" does not exist.`);
+  Object.keys((tree && tree.issueTypes) || {}).forEach(type => {
+    if (!nodes[tree.issueTypes[type].start]) errors.push(`Issue type "${type}" starts at a missing node.`);
+  });
+  Object.keys(nodes).forEach(id => {
+    const node = nodes[id];
+    if (!node.question) errors.push(`Node "${id}" has no question.`);
+    if (!Array.isArray(node.answers) || !node.answers.length) {
+      errors.push(`Node "${id}" has no answers.`);
+      return;
+    }
+    const seen = new Set();
+    node.answers.forEach(answer => {
+      if (seen.has(answer.id)) errors.push(`Node "${id}" repeats answer "${answer.id}".`);
+      seen.add(answer.id);
+      if (answer.next && !nodes[answer.next]) errors.push(`Answer "${id}/${answer.id}" leads to missing node "${answer.next}".`);
+    });
+  });
+  return errors;
+}
+
+/**
+ * First question for an issue type (or the general starting question)
+ * @param {Object} tree
+ * @param {string} [issueType] - pest, disease, nutrient, abiotic, weed
+ * @returns {string} - Node id
+ */
+function startNodeFor(tree, issueType) {
+  const entry = tree.issueTypes && tree.issueTypes[issueType];
+  return entry ? entry.start : tree.start;
+}
+
+/**
+ * "Initial Thoughts" for the Diagnostics summary
+ * @param {Object} tree
+ * @param {string} [issueType]
+ * @returns {string}
+ */
+function initialThought(tree, issueType) {
+  const entry = tree.issueTypes && tree.issueTypes[issueType];
+  return entry ? entry.thought : tree.defaultThought;
+}
+
+function conceptsOf(words) {
+  const concepts = new Set();
+  getDiagnosticEngine().tokenize((words || []).join(' ')).forEach(token => {
+    concepts.add(token.concept);
+    concepts.add(token.stem);
+  });
+  return concepts;
+}
+
+function patternMentions(pattern, concepts) {
+  return getDiagnosticEngine()
+    .tokenize(`${pattern.description || ''} ${pattern.likelyCauses || ''}`)
+    .some(token => concepts.has(token.concept) || concepts.has(token.stem));
+}
+
+/**
+ * Narrow patterns by one answer
+ * @param {Array} patterns - symptomPatterns still in play
+ * @param {Object} answer - Tree answer with optional match, exclude and categories
+ * @returns {{patterns: Array, unmatched: boolean}} - unmatched when the answer would have left nothing
+ */
+function applyAnswer(patterns, answer) {
+  let next = patterns;
+  if (Array.isArray(answer.categories) && answer.categories.length) {
+    const engine = getDiagnosticEngine();
+    next = next.filter(p => answer.categories.some(type => engine.categoryMatchesIssueType(p.category, type)));
+  }
+  if (Array.isArray(answer.match) && answer.match.length) {
+    const concepts = conceptsOf(answer.match);
+    next = next.filter(p => patternMentions(p, concepts));
+  }
+  if (Array.isArray(answer.exclude) && answer.exclude.length) {
+    const concepts = conceptsOf(answer.exclude);
+    next = next.filter(p => !patternMentions(p, concepts));
+  }
+  if (!next.length && patterns.length) return { patterns, unmatched: true };
+  return { patterns: next, unmatched: false };
+}
+
+function priorityRank(pattern) {
+  const v = String(pattern.priority || '').toLowerCase();
+  if (v.startsWith('high')) return 3;
+  if (v.startsWith('medium')) return 2;
+  if (v.startsWith('low')) return 1;
+  return 0;
+}
+
+/**
+ * Walk the tree with the answers given so far
+ * @param {Object} tree - Parsed diagnostic-tree.json
+ * @param {Array} patterns - The plant's symptomPatterns (may be empty)
+ * @param {Array<string>} answerIds - Answer ids in the order they were chosen
+ * @param {Object} [options] - { issueType } picks the first question
+ * @returns {Object} - { node: {id, question, answers}|null, done, path: [{nodeId, question, answerId, answer, note, remaining, unmatched}],
+ *   candidates (symptomPatterns by priority), checks } or { error }
+ */
+function walkTree(tree, patterns, answerIds, options = {}) {
+  let nodeId = startNodeFor(tree, options.issueType);
+  let remaining = (patterns || []).filter(p => p && p.description);
+  const path = [];
+  const checks = [];
+
+  for (const answerId of answerIds || []) {
+    const node = tree.nodes[nodeId];
+    if (!node) return { error: `Unknown question "${nodeId}".` };
+    const answer = node.answers.find(a => a.id === answerId);
+    if (!answer) return { error: `"${answerId}" is not an answer to "${node.question}".` };
+
+    const step = applyAnswer(remaining, answer);
+    remaining = step.patterns;
+    (answer.checks || []).forEach(check => {
+      if (!checks.includes(check)) checks.push(check);
+    });
+    path.push({
+      nodeId,
+      question: node.question,
+      answerId,
+      answer: answer.label,
+      note: answer.note || '',
+      remaining: remaining.length,
+      unmatched: step.unmatched
+    });
+    nodeId = answer.next || null;
+    if (!nodeId) break;
+  }
+
+  const node = nodeId ? tree.nodes[nodeId] : null;
+  return {
+    node: node ? { id: nodeId, question: node.question, answers: node.answers } : null,
+    done: !node,
+    path,
+    candidates: remaining.slice().sort((a, b) => priorityRank(b) - priorityRank(a)),
+    checks
+  };
+}
+
+/**
+ * Explainable path, remaining causes and next checks as HTML
+ * @param {Object} result - From walkTree
+ * @param {number} totalPatterns - Patterns the walk started with
+ * @returns {string} - HTML string
+ */
+function formatGuidedPathHTML(result, totalPatterns) {
+  let html = '';
+  if (result.path.length) {
+    html += '<p><strong>Your answers</strong></p><ol>';
+    result.path.forEach(step => {
+      let count = '';
+      if (totalPatterns) {
+        count = step.unmatched
+          ? ' <span class="muted">(no pattern on record fits this answer; earlier leads kept)</span>'
+          : ` <span class="muted">→ ${step.remaining} of ${totalPatterns} patterns left</span>`;
+      }
+      html += `<li><div>${step.question} <strong>${step.answer}</strong>${count}</div>`;
+      if (step.note) html += `<div class="muted">${step.note}</div>`;
+      html += '</li>';
+    });
+    html += '</ol>';
+  }
+
+  if (result.done) {
+    if (result.candidates.length && totalPatterns) {
+      html += '<p><strong>Patterns that fit (not confirmed):</strong></p><ol>';
+      result.candidates.forEach(p => {
+        html += `<li><div><strong>Pattern:</strong> ${p.description}</div>`;
+        if (p.likelyCauses) html += `<div><strong>Likely causes:</strong> ${p.likelyCauses}</div>`;
+        if (p.category) html += `<div><strong>Category:</strong> ${p.category}${p.priority ? ` · priority ${p.priority}` : ''}</div>`;
+        html += '</li>';
+      });
+      html += '</ol>';
+    } else if (!totalPatterns) {
+      html += '<p class="muted">Select a crop to narrow its symptom patterns as you answer.</p>';
+    }
+    if (result.checks.length) {
+      html += `<p><strong>Recommended next checks</strong></p><ul>${result.checks.map(c => `<li>${c}</li>`).join('')}</ul>`;
+    }
+  }
+  return html;
+}
+
+// Export functions for use in main script
+if (typeof window !== 'undefined') {
+  window.DiagnosticTree = {
+    validateTree,
+    startNodeFor,
+    initialThought,
+    applyAnswer,
+    walkTree,
+    formatGuidedPathHTML
+  };
+}
+
+// For Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    validateTree,
+    startNodeFor,
+    initialThought,
+    applyAnswer,
+    walkTree,
+    formatGuidedPathHTML
+  };
+}
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for guided Diagnostics: the question tree and how answers narrow patterns
+ * Run with: node diagnostic-tree.test.js
+ */
+
+const {
+  validateTree,
+  startNodeFor,
+  initialThought,
+  applyAnswer,
+  walkTree,
+  formatGuidedPathHTML
+} = require('./diagnostic-tree.js');
+const TREE = require('./diagnostic-tree.json');
+
+let passed = 0;
+let failed = 0;
+
+function test(description, fn) {
+  try {
+    fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected} but got ${actual}. ${message}`);
+  }
+}
+
+function assertTruthy(value, message = '') {
+  if (!value) {
+    throw new Error(`Expected truthy value. ${message}`);
+  }
+}
+
+// Trimmed symptomPatterns from plants.json
+const PATTERNS = [
+  { description: 'Interveinal yellowing with green veins, especially on new growth.', likelyCauses: 'Iron or manganese deficiency, often from high pH.', category: 'Abiotic', priority: 'Medium' },
+  { description: 'Yellowing and drop of lower leaves in saturated media.', likelyCauses: 'Overwatering and root stress.', category: 'Abiotic', priority: 'High' },
+  { description: 'Sticky leaves and sooty mold on foliage.', likelyCauses: 'Honeydew from aphids, scale or whiteflies.', category: 'Pest', priority: 'High' },
+  { description: 'Fine webbing and stippled, bronzed leaves.', likelyCauses: 'Spider mites in hot, dry conditions.', category: 'Pest', priority: 'Medium-High' },
+  { description: 'White powdery coating on leaves and young shoots.', likelyCauses: 'Powdery mildew.', category: 'Disease', priority: 'Medium-High' }
+];
+
+console.log('\n🌳 Tree Data Tests:');
+
+test('diagnostic-tree.json is a valid tree', () => {
+  assertEquals(validateTree(TREE).join(' '), '');
+});
+
+test('validateTree reports missing nodes and repeated answers', () => {
+  const broken = {
+    start: 'a',
+    nodes: {
+      a: { question: 'A?', answers: [{ id: 'x', label: 'X', next: 'missing' }, { id: 'x', label: 'X again' }] },
+      b: { question: 'B?', answers: [] }
+    }
+  };
+  const errors = validateTree(broken);
+  assertEquals(errors.length, 3, errors.join(' | '));
+});
+
+test('Issue types pick the first question and the initial thought', () => {
+  assertEquals(startNodeFor(TREE, 'nutrient'), 'yellow-interveinal');
+  assertEquals(startNodeFor(TREE, ''), 'symptom');
+  assertEquals(initialThought(TREE, 'pest'), 'Check undersides of leaves for insects, frass, or webbing.');
+  assertEquals(initialThought(TREE, 'weed'), 'Clarify issue type for better guidance.');
+});
+
+console.log('\n🧭 Narrowing Tests:');
+
+test('Answers keep matching patterns by concept, drop excluded ones and filter categories', () => {
+  const yellow = applyAnswer(PATTERNS, { match: ['yellow'] });
+  assertEquals(yellow.patterns.length, 2);
+  assertEquals(applyAnswer(yellow.patterns, { exclude: ['interveinal'] }).patterns[0].likelyCauses, 'Overwatering and root stress.');
+  assertEquals(applyAnswer(PATTERNS, { categories: ['pest'] }).patterns.length, 2);
+  assertEquals(applyAnswer(PATTERNS, { match: ['chlorotic'] }).patterns.length, 2, '"chlorotic" and "yellowing" are the same concept');
+});
+
+test('An answer that fits no pattern keeps the previous leads', () => {
+  const result = applyAnswer(PATTERNS, { match: ['pustule'] });
+  assertEquals(result.unmatched, true);
+  assertEquals(result.patterns.length, PATTERNS.length);
+});
+
+test('Walking the tree narrows step by step and collects next checks', () => {
+  const walk = walkTree(TREE, PATTERNS, ['yellowing', 'interveinal', 'new', 'healthy-roots']);
+  assertEquals(walk.done, true);
+  assertEquals(walk.path.map(step => step.remaining).join(','), '2,1,1,1');
+  assertEquals(walk.candidates.length, 1);
+  assertTruthy(walk.candidates[0].likelyCauses.startsWith('Iron'));
+  assertTruthy(walk.checks.some(c => c.includes('pH')), walk.checks.join(' | '));
+  assertTruthy(walk.path[1].note.includes('Interveinal chlorosis'), walk.path[1].note);
+});
+
+test('Part-way walks return the next question; webbing leads to spider mites', () => {
+  const partWay = walkTree(TREE, PATTERNS, [], { issueType: 'pest' });
+  assertEquals(partWay.done, false);
+  assertEquals(partWay.node.question, 'Webbing present, or which other signs do you see?');
+  const walk = walkTree(TREE, PATTERNS, ['webbing'], { issueType: 'pest' });
+  assertEquals(walk.done, true);
+  assertEquals(walk.candidates[0].likelyCauses, 'Spider mites in hot, dry conditions.');
+});
+
+test('Candidates are ordered by pattern priority; unknown answers are errors', () => {
+  const walk = walkTree(TREE, PATTERNS, ['yellowing']);
+  assertEquals(walk.candidates[0].priority, 'High');
+  assertTruthy(walkTree(TREE, PATTERNS, ['nope']).error);
+});
+
+test('formatGuidedPathHTML explains each answer, the remaining patterns and checks', () => {
+  const walk = walkTree(TREE, PATTERNS, ['insects', 'honeydew', 'shoot-clusters']);
+  const html = formatGuidedPathHTML(walk, PATTERNS.length);
+  assertTruthy(html.includes('Sticky honeydew or sooty mold'), html);
+  assertTruthy(html.includes('of 5 patterns left'), html);
+  assertTruthy(html.includes('Recommended next checks'), html);
+  assertTruthy(html.includes('Honeydew from aphids'), html);
+  assertTruthy(formatGuidedPathHTML(walkTree(TREE, [], ['wilting', 'dry']), 0).includes('Select a crop'));
+});
+
+// Summary
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Test Results:`);
+console.log(`   ✓ Passed: ${passed}`);
+console.log(`   ✗ Failed: ${failed}`);
+console.log(`   Total:  ${passed + failed}`);
+
+if (failed === 0) {
+  console.log('\n✅ All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed.\n');
+  process.exit(1);
+}
@@ -0,0 +1,262 @@
+/**
+ * Image Analysis Module
+ * Pluggable analysis of photos attached on the Diagnostics form.
+ *
+ * An analyzer is `{ id, label, analyze(image) }`. `image` is RGBA pixel data
+ * ({ data, width, height }, as from canvas getImageData) and `analyze`
+ * returns, or resolves to, a list of findings:
+ *   { concept, label, score, detail }
+ * where `concept` is a DiagnosticEngine symptom concept (a SYNONYM_GROUPS
+ * key such as 'yellow' or 'brown') and `score` runs from 0 to 1.
+ * DiagnosticEngine.scoreDiagnosis weighs findings against each cause's
+ * words the same way it weighs the typed observation.
+ *
+ * The built-in analyzer is a CPU-only color histogram that scores yellowing
+ * (chlorosis) and browning (necrosis) as a share of the leaf tissue in the
+ * photo. A trained model can be added with registerImageAnalyzer; one that
+ * reuses the id 'color-histogram' replaces the baseline.
+ */
+
+// Edge the photo is scaled to before analysis; plenty for color shares
+const ANALYSIS_EDGE = 256;
+
+// A photo with less tissue than this is not a close-up of the plant
+const MIN_TISSUE_SHARE = 0.05;
+// Share of tissue a color needs before it counts, and the share that scores 1
+const MIN_FINDING_SHARE = 0.08;
+const FULL_FINDING_SHARE = 0.35;
+
+function rgbToHsv(r, g, b) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const d = max - min;
+  let h = 0;
+  if (d) {
+    if (max === r) h = ((g - b) / d) % 6;
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    h *= 60;
+    if (h < 0) h += 360;
+  }
+  return { h, s: max ? d / max : 0, v: max / 255 };
+}
+
+/**
+ * Which color bucket a pixel falls in
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @returns {string} - 'green', 'yellow', 'brown', 'white' or 'other' (shadow, sky, pots)
+ */
+function classifyPixel(r, g, b) {
+  const { h, s, v } = rgbToHsv(r, g, b);
+  if (v < 0.15) return 'other';
+  if (s < 0.15) return v > 0.8 ? 'white' : 'other';
+  if (h >= 70 && h <= 170 && s >= 0.2) return 'green';
+  if (h >= 45 && h < 70 && s >= 0.3 && v >= 0.4) return 'yellow';
+  if (h >= 5 && h < 45 && s >= 0.2 && v <= 0.75) return 'brown';
+  return 'other';
+}
+
+/**
+ * Color shares of a photo; green, yellow and brown are shares of the leaf tissue
+ * @param {{data: ArrayLike<number>, width: number, height: number}} image - RGBA pixels
+ * @returns {{pixels: number, tissue: number, green: number, yellow: number, brown: number, white: number}}
+ *   tissue and white are shares of all pixels
+ */
+function colorHistogram(image) {
+  const counts = { green: 0, yellow: 0, brown: 0, white: 0, other: 0 };
+  const data = image.data;
+  let pixels = 0;
+  for (let i = 0; i + 3 < data.length; i += 4) {
+    // Transparent pixels are padding, not photo
+    if (data[i + 3] < 128) continue;
+    counts[classifyPixel(data[i], data[i + 1], data[i + 2])]++;
+    pixels++;
+  }
+  const tissue = counts.green + counts.yellow + counts.brown;
+  const share = (n, of) => (of ? Number((n / of).toFixed(3)) : 0);
+  return {
+    pixels,
+    tissue: share(tissue, pixels),
+    green: share(counts.green, tissue),
+    yellow: share(counts.yellow, tissue),
+    brown: share(counts.brown, tissue),
+    white: share(counts.white, pixels)
+  };
+}
+
+function shareFinding(concept, label, share) {
+  if (share < MIN_FINDING_SHARE) return null;
+  return {
+    concept,
+    label,
+    score: Number(Math.min(share / FULL_FINDING_SHARE, 1).toFixed(2)),
+    detail: `${Math.round(share * 100)}% of leaf tissue`
+  };
+}
+
+// Baseline: chlorosis and necrosis from color alone. Soil and bark read as
+// brown too, so close-ups of the affected leaves work best.
+const colorHistogramAnalyzer = {
+  id: 'color-histogram',
+  label: 'Color check',
+  analyze(image) {
+    const histogram = colorHistogram(image);
+    if (histogram.tissue < MIN_TISSUE_SHARE) return [];
+    return [
+      shareFinding('yellow', 'Yellowing (chlorosis)', histogram.yellow),
+      shareFinding('brown', 'Browning (necrosis)', histogram.brown)
+    ].filter(Boolean);
+  }
+};
+
+const imageAnalyzers = [colorHistogramAnalyzer];
+
+/**
+ * Add an analyzer, replacing one with the same id
+ * @param {{id: string, label: string, analyze: Function}} analyzer
+ */
+function registerImageAnalyzer(analyzer) {
+  if (!analyzer || !analyzer.id || typeof analyzer.analyze !== 'function') {
+    throw new Error('An image analyzer needs an id and an analyze(image) function');
+  }
+  const i = imageAnalyzers.findIndex(a => a.id === analyzer.id);
+  if (i === -1) imageAnalyzers.push(analyzer); else imageAnalyzers[i] = analyzer;
+}
+
+/**
+ * Remove an analyzer by id
+ * @param {string} id
+ * @returns {boolean} - Whether one was removed
+ */
+function unregisterImageAnalyzer(id) {
+  const i = imageAnalyzers.findIndex(a => a.id === id);
+  if (i === -1) return false;
+  imageAnalyzers.splice(i, 1);
+  return true;
+}
+
+/**
+ * @returns {Array<Object>} - Registered analyzers, in the order they run
+ */
+function getImageAnalyzers() {
+  return imageAnalyzers.slice();
+}
+
+/**
+ * Run analyzers over every photo and keep the strongest finding per concept
+ * @param {Array<Object>} images - RGBA pixel data per photo
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.analyzers] - Defaults to the registered analyzers
+ * @returns {Promise<{images: number, analyzers: Array<string>, findings: Array, errors: Array<string>}>}
+ *   findings: [{concept, label, score, detail, analyzer, photos}] strongest first; photos is how many showed it
+ */
+async function analyzeImages(images, options = {}) {
+  const analyzers = options.analyzers || getImageAnalyzers();
+  const byConcept = new Map();
+  const photosByConcept = new Map();
+  const errors = [];
+
+  for (const [index, image] of (images || []).entries()) {
+    for (const analyzer of analyzers) {
+      let findings;
+      try {
+        findings = await analyzer.analyze(image);
+      } catch (e) {
+        // One failing analyzer must not hide what the others found
+        const message = `${analyzer.label || analyzer.id}: ${e && e.message ? e.message : e}`;
+        if (!errors.includes(message)) errors.push(message);
+        continue;
+      }
+      (findings || []).forEach(finding => {
+        if (!finding || !finding.concept || !(finding.score > 0)) return;
+        if (!photosByConcept.has(finding.concept)) photosByConcept.set(finding.concept, new Set());
+        photosByConcept.get(finding.concept).add(index);
+        const current = byConcept.get(finding.concept);
+        if (!current || finding.score > current.score) {
+          byConcept.set(finding.concept, { ...finding, analyzer: analyzer.label || analyzer.id });
+        }
+      });
+    }
+  }
+
+  const findings = Array.from(byConcept.values())
+    .map(finding => ({ ...finding, photos: photosByConcept.get(finding.concept).size }))
+    .sort((a, b) => b.score - a.score);
+  return {
+    images: (images || []).length,
+    analyzers: analyzers.map(a => a.label || a.id),
+    findings,
+    errors
+  };
+}
+
+/**
+ * Photo findings for the Diagnostics summary
+ * @param {Object|null} result - From analyzeImages
+ * @returns {string} - HTML string ('' when no photos were analyzed)
+ */
+function formatImageFindingsHTML(result) {
+  if (!result || !result.images) return '';
+  const photos = `${result.images} photo${result.images === 1 ? '' : 's'}`;
+  let html = `<p><strong>Photo Analysis</strong> <span class="muted">(${photos}; ${result.analyzers.join(', ')})</span></p>`;
+  if (result.findings.length) {
+    html += '<ul>';
+    result.findings.forEach(f => {
+      const seenIn = result.images > 1 ? ` in ${f.photos} of ${result.images} photos` : '';
+      html += `<li><strong>${f.label}</strong>${f.detail ? ` — ${f.detail}` : ''}${seenIn} <span class="muted">(${Math.round(f.score * 100)}%, ${f.analyzer})</span></li>`;
+    });
+    html += '</ul>';
+  } else {
+    html += '<p class="muted">Nothing stood out in the photos. Close-ups of the affected leaves work best.</p>';
+  }
+  if (result.errors.length) {
+    html += `<p class="muted">Skipped: ${result.errors.join('; ')}</p>`;
+  }
+  return html;
+}
+
+// ====== PIXEL ACCESS (browser only) ======
+
+/**
+ * Decode a stored photo into small RGBA pixel data for analyzers
+ * @param {Blob} blob
+ * @param {number} [maxEdge]
+ * @returns {Promise<{data: Uint8ClampedArray, width: number, height: number}>}
+ */
+async function loadImagePixels(blob, maxEdge = ANALYSIS_EDGE) {
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, maxEdge / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  if (typeof bitmap.close === 'function') bitmap.close();
+  return ctx.getImageData(0, 0, width, height);
+}
+
+const ImageAnalysis = {
+  classifyPixel,
+  colorHistogram,
+  colorHistogramAnalyzer,
+  registerImageAnalyzer,
+  unregisterImageAnalyzer,
+  getImageAnalyzers,
+  analyzeImages,
+  formatImageFindingsHTML,
+  loadImagePixels
+};
+
+// Export functions for use in main script
+if (typeof window !== 'undefined') {
+  window.ImageAnalysis = ImageAnalysis;
+}
+
+// For Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageAnalysis;
+}
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for Diagnostics photo analysis: the color baseline and the analyzer interface
+ * Run with: node image-analysis.test.js
+ */
+
+const {
+  classifyPixel,
+  colorHistogram,
+  colorHistogramAnalyzer,
+  registerImageAnalyzer,
+  unregisterImageAnalyzer,
+  getImageAnalyzers,
+  analyzeImages,
+  formatImageFindingsHTML
+} = require('./image-analysis.js');
+const { scoreDiagnosis } = require('./diagnostic-engine.js');
+
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected} but got ${actual}. ${message}`);
+  }
+}
+
+function assertTruthy(value, message = '') {
+  if (!value) {
+    throw new Error(`Expected truthy value. ${message}`);
+  }
+}
+
+const LEAF_GREEN = [60, 140, 50];
+const CHLOROTIC = [220, 210, 60];
+const NECROTIC = [120, 70, 30];
+const SKY = [200, 225, 245];
+
+/**
+ * 10x10 RGBA image filled with colors in the given proportions
+ * @param {Array<[Array<number>, number]>} parts - [rgb, pixel count] totalling 100
+ */
+function swatch(parts) {
+  const data = new Uint8ClampedArray(100 * 4);
+  let i = 0;
+  parts.forEach(([rgb, count]) => {
+    for (let n = 0; n < count; n++, i += 4) {
+      data.set([rgb[0], rgb[1], rgb[2], 255], i);
+    }
+  });
+  return { data, width: 10, height: 10 };
+}
+
+async function run() {
+  console.log('🧪 Image Analysis Test Suite\n');
+  console.log('='.repeat(60));
+
+  console.log('\n🎨 Color Baseline Tests:');
+
+  await test('Pixels sort into leaf green, chlorotic yellow, necrotic brown and background', () => {
+    assertEquals(classifyPixel(...LEAF_GREEN), 'green');
+    assertEquals(classifyPixel(...CHLOROTIC), 'yellow');
+    assertEquals(classifyPixel(...NECROTIC), 'brown');
+    assertEquals(classifyPixel(...SKY), 'other');
+    assertEquals(classifyPixel(250, 250, 250), 'white');
+    assertEquals(classifyPixel(10, 12, 8), 'other', 'Shadows are not tissue');
+  });
+
+  await test('Shares are of leaf tissue, so background does not dilute them', () => {
+    const histogram = colorHistogram(swatch([[LEAF_GREEN, 30], [CHLOROTIC, 10], [SKY, 60]]));
+    assertEquals(histogram.tissue, 0.4);
+    assertEquals(histogram.yellow, 0.25);
+    assertEquals(histogram.green, 0.75);
+  });
+
+  await test('The baseline scores chlorosis and necrosis and stays quiet on healthy leaves', async () => {
+    assertEquals((await colorHistogramAnalyzer.analyze(swatch([[LEAF_GREEN, 100]]))).length, 0);
+    const findings = await colorHistogramAnalyzer.analyze(swatch([[LEAF_GREEN, 50], [CHLOROTIC, 40], [NECROTIC, 10]]));
+    assertEquals(findings.map(f => `${f.concept}:${f.score}`).join(','), 'yellow:1,brown:0.29');
+    assertEquals(findings[0].detail, '40% of leaf tissue');
+    assertEquals((await colorHistogramAnalyzer.analyze(swatch([[CHLOROTIC, 3], [SKY, 97]]))).length, 0, 'Not a photo of the plant');
+  });
+
+  console.log('\n🔌 Analyzer Interface Tests:');
+
+  await test('analyzeImages keeps the strongest finding per concept and counts the photos showing it', async () => {
+    const result = await analyzeImages([
+      swatch([[LEAF_GREEN, 80], [CHLOROTIC, 20]]),
+      swatch([[LEAF_GREEN, 60], [CHLOROTIC, 40]]),
+      swatch([[LEAF_GREEN, 100]])
+    ]);
+    assertEquals(result.images, 3);
+    assertEquals(result.findings.length, 1);
+    assertEquals(result.findings[0].score, 1);
+    assertEquals(result.findings[0].photos, 2);
+    assertEquals(result.findings[0].analyzer, 'Color check');
+  });
+
+  await test('Registered analyzers run behind the same interface; failures are reported, not thrown', async () => {
+    const model = {
+      id: 'test-model',
+      label: 'Test model',
+      async analyze() {
+        return [{ concept: 'web', label: 'Webbing', score: 0.9, detail: 'Fine silk on leaf undersides' }];
+      }
+    };
+    const broken = { id: 'broken', label: 'Broken model', analyze() { throw new Error('weights missing'); } };
+    registerImageAnalyzer(model);
+    registerImageAnalyzer(broken);
+    try {
+      assertEquals(getImageAnalyzers().map(a => a.id).join(','), 'color-histogram,test-model,broken');
+      const result = await analyzeImages([swatch([[LEAF_GREEN, 100]])]);
+      assertEquals(result.findings.map(f => f.concept).join(','), 'web');
+      assertEquals(result.errors.join(''), 'Broken model: weights missing');
+      const html = formatImageFindingsHTML(result);
+      assertTruthy(html.includes('Webbing'), html);
+      assertTruthy(html.includes('Skipped: Broken model'), html);
+    } finally {
+      unregisterImageAnalyzer('test-model');
+      unregisterImageAnalyzer('broken');
+    }
+    assertEquals(getImageAnalyzers().length, 1);
+    let rejected = false;
+    try {
+      registerImageAnalyzer({ id: 'no-analyze' });
+    } catch (e) {
+      rejected = true;
+    }
+    assertTruthy(rejected, 'Analyzers need an analyze function');
+  });
+
+  await test('Photo findings rank causes in the diagnostic engine', async () => {
+    const profile = {
+      symptomPatterns: [
+        { description: 'Interveinal yellowing on new growth.', likelyCauses: 'Iron deficiency.', category: 'Abiotic', priority: 'Medium' },
+        { description: 'Brown, crispy leaf margins.', likelyCauses: 'Drought or salt stress.', category: 'Abiotic', priority: 'Medium' }
+      ]
+    };
+    const result = await analyzeImages([swatch([[LEAF_GREEN, 70], [NECROTIC, 30]])]);
+    const candidates = scoreDiagnosis(profile, { imageFindings: result.findings });
+    assertEquals(candidates.length, 1);
+    assertEquals(candidates[0].likelyCauses, 'Drought or salt stress.');
+    assertEquals(formatImageFindingsHTML(null), '');
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log(`\n📊 Test Results:`);
+  console.log(`   ✓ Passed: ${passed}`);
+  console.log(`   ✗ Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+
+  if (failed === 0) {
+    console.log('\n✅ All tests passed!\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ Some tests failed.\n');
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,298 @@
+/**
+ * Label Limits Module
+ * Checks a planned application against the structured label limits stored on
+ * a chemical, together with what the treatment log already records:
+ *
+ *   maxRate + maxRateUnit                 most product per application ('fl oz/100 gal', 'lb/acre', ...)
+ *   maxApplicationsPerSeason              applications allowed per season
+ *   minRetreatmentDays                    days required between applications
+ *   maxAnnualAi + maxAnnualAiUnit         active ingredient per area per year ('lb/acre')
+ *   aiContent + aiContentUnit             active ingredient in the product ('lb/gal', 'g/L' or '%' by weight),
+ *                                         needed for the annual cap
+ *
+ * A season is the calendar year of the application. When the plan names a
+ * block, only earlier applications to that block (or logged without a block)
+ * count; without one every application of the product counts.
+ *
+ * Findings are 'block' when the plan goes over a limit and 'warn' when it
+ * reaches a limit or a limit cannot be checked. A product with no structured
+ * limits on record is reported as such rather than passing silently.
+ */
+
+const LIMIT_FIELDS = ['maxRate', 'maxRateUnit', 'maxApplicationsPerSeason', 'minRetreatmentDays', 'maxAnnualAi', 'maxAnnualAiUnit', 'aiContent', 'aiContentUnit'];
+const AI_CONTENT_UNITS = ['lb/gal', 'g/L', '%'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Unit conversion engine: window.UnitConversion in the browser, required in Node
+function getLimitUnits() {
+  if (typeof window !== 'undefined' && window.UnitConversion) return window.UnitConversion;
+  if (typeof require === 'function') return require('./unit-conversion.js');
+  // In the browser there is no require(); say what is missing instead of a ReferenceError
+  throw new Error('unit-conversion.js must be loaded before label-limits.js can compare rates');
+}
+
+function positiveOrNull(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : null;
+}
+
+function formatLimitNumber(value) {
+  return Number.isInteger(value) ? String(value) : String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Structured label limits of a chemical
+ * @param {Object} chem - Chemical record
+ * @returns {Object|null} - { maxRate, maxApplicationsPerSeason, minRetreatmentDays, maxAnnualAi, aiContent }, null when none are set
+ */
+function getLabelLimits(chem) {
+  if (!chem) return null;
+  const units = getLimitUnits();
+  const rateOf = (value, unit) => {
+    const normalized = units.normalizeRateUnit(unit);
+    return positiveOrNull(value) && normalized ? { value, unit: normalized } : null;
+  };
+
+  const limits = {
+    maxRate: rateOf(chem.maxRate, chem.maxRateUnit),
+    maxApplicationsPerSeason: positiveOrNull(chem.maxApplicationsPerSeason),
+    minRetreatmentDays: positiveOrNull(chem.minRetreatmentDays),
+    maxAnnualAi: rateOf(chem.maxAnnualAi, chem.maxAnnualAiUnit),
+    aiContent: positiveOrNull(chem.aiContent) && AI_CONTENT_UNITS.includes(chem.aiContentUnit)
+      ? { value: chem.aiContent, unit: chem.aiContentUnit }
+      : null
+  };
+  return Object.values(limits).some(v => v !== null) ? limits : null;
+}
+
+/**
+ * Product applied per square foot at a rate, in mL (liquids) or g (dry)
+ * @param {{value: number, unit: string}} rate
+ * @param {number} sprayVolumePer1000SqFt - Needed for spray-volume rates
+ * @returns {{amount: number, unit: string}|null}
+ */
+function productPerSqFt(rate, sprayVolumePer1000SqFt) {
+  const units = getLimitUnits();
+  const parsed = rate && units.parseRateUnit(rate.unit);
+  if (!parsed || typeof rate.value !== 'number') return null;
+  const base = parsed.kind === 'volume' ? 'mL' : 'g';
+  const perBasis = units.convertAmount(rate.value, parsed.amountUnit, base);
+  if (parsed.basisType === 'area') return { amount: perBasis / parsed.basisQuantity, unit: base };
+  if (!positiveOrNull(sprayVolumePer1000SqFt)) return null;
+  return { amount: perBasis / parsed.basisQuantity * sprayVolumePer1000SqFt / 1000, unit: base };
+}
+
+/**
+ * Grams of active ingredient per mL or g of product
+ * @param {{value: number, unit: string}} aiContent
+ * @param {string} productUnit - 'mL' or 'g'
+ * @returns {number|null} - null when the content cannot apply to the product's units
+ */
+function aiGramsPerProductUnit(aiContent, productUnit) {
+  if (!aiContent) return null;
+  if (aiContent.unit === '%') return productUnit === 'g' ? aiContent.value / 100 : null;
+  if (productUnit !== 'mL') return null;
+  const units = getLimitUnits();
+  const [aiUnit, productVolume] = aiContent.unit.split('/');
+  return units.convertAmount(aiContent.value, aiUnit, 'g') / units.convertAmount(1, productVolume, 'mL');
+}
+
+/**
+ * Active ingredient per the annual cap's area basis for one application
+ * @param {Object} limits - From getLabelLimits
+ * @param {{amount: number, unit: string}} perSqFt - From productPerSqFt
+ * @returns {number|null} - In the cap's units (e.g. lb per acre)
+ */
+function annualAiForApplication(limits, perSqFt) {
+  const units = getLimitUnits();
+  const cap = units.parseRateUnit(limits.maxAnnualAi.unit);
+  const aiPerUnit = perSqFt && aiGramsPerProductUnit(limits.aiContent, perSqFt.unit);
+  if (!cap || cap.basisType !== 'area' || cap.kind !== 'weight' || !aiPerUnit) return null;
+  return units.convertAmount(perSqFt.amount * aiPerUnit * cap.basisQuantity, 'g', cap.amountUnit);
+}
+
+/**
+ * Product per square foot actually applied in a logged application
+ * @param {Object} application - { amount, amountUnit, coverageSqFt, rate, rateUnit, sprayVolume }
+ * @returns {{amount: number, unit: string}|null}
+ */
+function appliedPerSqFt(application) {
+  const units = getLimitUnits();
+  const kind = units.unitKind(application.amountUnit);
+  const coverage = positiveOrNull(application.coverageSqFt);
+  if (kind && coverage && typeof application.amount === 'number') {
+    const base = kind === 'volume' ? 'mL' : 'g';
+    return { amount: units.convertAmount(application.amount, application.amountUnit, base) / coverage, unit: base };
+  }
+  if (typeof application.rate === 'number' && application.rateUnit) {
+    return productPerSqFt({ value: application.rate, unit: application.rateUnit }, application.sprayVolume);
+  }
+  return null;
+}
+
+function sameBlock(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+function addDays(dateStr, days) {
+  return new Date(Date.parse(`${dateStr}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Check a planned application of one chemical against its label limits
+ * @param {Object} chem - Chemical record
+ * @param {Object} plan - { date: 'YYYY-MM-DD', area, rate: {value, unit}, sprayVolumePer1000SqFt }
+ * @param {Array<Object>} applications - Logged applications of this chemical:
+ *   { date, area, amount, amountUnit, coverageSqFt, rate, rateUnit, sprayVolume }
+ * @returns {{findings: Array<{limit: string, level: 'block'|'warn', message: string}>, blocked: boolean, onRecord: boolean}}
+ *   onRecord is false when the chemical has no structured label limits to check against
+ */
+function checkLabelLimits(chem, plan, applications = []) {
+  const limits = getLabelLimits(chem);
+  const findings = [];
+  if (!limits || !plan || !plan.date) return { findings, blocked: false, onRecord: !!limits };
+
+  const season = plan.date.slice(0, 4);
+  const history = (applications || [])
+    .filter(app => app && app.date && app.date <= plan.date)
+    .filter(app => !plan.area || !app.area || sameBlock(app.area, plan.area));
+  const seasonApps = history.filter(app => app.date.slice(0, 4) === season);
+  const planned = productPerSqFt(plan.rate, plan.sprayVolumePer1000SqFt);
+
+  if (limits.maxRate) {
+    const max = productPerSqFt(limits.maxRate, plan.sprayVolumePer1000SqFt);
+    if (!planned || !max || planned.unit !== max.unit) {
+      findings.push({
+        limit: 'maxRate',
+        level: 'warn',
+        message: `The label maximum of ${formatLimitNumber(limits.maxRate.value)} ${limits.maxRate.unit} could not be compared with this rate; check it against the label.`
+      });
+    } else if (planned.amount > max.amount * (1 + 1e-9)) {
+      const inMaxUnits = limits.maxRate.value * planned.amount / max.amount;
+      findings.push({
+        limit: 'maxRate',
+        level: 'block',
+        message: `${formatLimitNumber(inMaxUnits)} ${limits.maxRate.unit} is over the label maximum of ${formatLimitNumber(limits.maxRate.value)} ${limits.maxRate.unit} per application.`
+      });
+    }
+  }
+
+  if (limits.maxApplicationsPerSeason) {
+    const count = seasonApps.length;
+    const max = limits.maxApplicationsPerSeason;
+    if (count >= max) {
+      findings.push({
+        limit: 'applicationsPerSeason',
+        level: 'block',
+        message: `Already applied ${count} time${count === 1 ? '' : 's'} in ${season}; the label allows ${max} per season.`
+      });
+    } else if (count === max - 1) {
+      findings.push({
+        limit: 'applicationsPerSeason',
+        level: 'warn',
+        message: `This is the last application the label allows in ${season} (${max} per season).`
+      });
+    }
+  }
+
+  if (limits.minRetreatmentDays && history.length) {
+    const last = history.reduce((latest, app) => (app.date > latest ? app.date : latest), history[0].date);
+    const days = Math.round((Date.parse(`${plan.date}T00:00:00Z`) - Date.parse(`${last}T00:00:00Z`)) / DAY_MS);
+    if (days < limits.minRetreatmentDays) {
+      findings.push({
+        limit: 'retreatmentInterval',
+        level: 'block',
+        message: `Last applied ${last} (${days} day${days === 1 ? '' : 's'} ago); the label requires ${formatLimitNumber(limits.minRetreatmentDays)} days between applications. Next allowed ${addDays(last, limits.minRetreatmentDays)}.`
+      });
+    }
+  }
+
+  if (limits.maxAnnualAi) {
+    const plannedAi = limits.aiContent ? annualAiForApplication(limits, planned) : null;
+    if (plannedAi === null) {
+      findings.push({
+        limit: 'annualActive',
+        level: 'warn',
+        message: `The annual limit of ${formatLimitNumber(limits.maxAnnualAi.value)} ${limits.maxAnnualAi.unit} active ingredient could not be checked; the product's active ingredient content is missing or does not match its units.`
+      });
+    } else {
+      let uncounted = 0;
+      const priorAi = seasonApps.reduce((sum, app) => {
+        const ai = annualAiForApplication(limits, appliedPerSqFt(app));
+        if (ai === null) uncounted++;
+        return sum + (ai || 0);
+      }, 0);
+      const total = priorAi + plannedAi;
+      const cap = limits.maxAnnualAi;
+      if (total > cap.value * (1 + 1e-9)) {
+        findings.push({
+          limit: 'annualActive',
+          level: 'block',
+          message: `This application brings ${season} to ${formatLimitNumber(total)} ${cap.unit} active ingredient, over the label limit of ${formatLimitNumber(cap.value)} ${cap.unit} per year.`
+        });
+      }
+      if (uncounted) {
+        findings.push({
+          limit: 'annualActive',
+          level: 'warn',
+          message: `${uncounted} earlier application${uncounted === 1 ? '' : 's'} in ${season} could not be counted toward the annual limit (no amount and coverage recorded).`
+        });
+      }
+    }
+  }
+
+  return { findings, blocked: findings.some(f => f.level === 'block'), onRecord: true };
+}
+
+/**
+ * Label limit findings as HTML, one list per product, then the products
+ * that have no limits on record
+ * @param {Array<{name: string, findings: Array, onRecord: boolean}>} checks
+ * @returns {string} - HTML string, empty when there is nothing to report
+ */
+function formatLabelLimitsHTML(checks) {
+  const withFindings = (checks || []).filter(check => check.findings && check.findings.length);
+  const unchecked = (checks || []).filter(check => check.onRecord === false).map(check => check.name);
+  if (!withFindings.length && !unchecked.length) return '';
+
+  let html = '';
+  if (withFindings.length) {
+    const blocked = withFindings.some(check => check.findings.some(f => f.level === 'block'));
+    html += `<div class="label-limits ${blocked ? 'label-limits-block' : 'label-limits-warn'}">`;
+    html += `<p><strong>${blocked ? 'Over a label limit' : 'Label limits'}:</strong></p><ul>`;
+    withFindings.forEach(check => {
+      check.findings.forEach(f => {
+        html += `<li>${f.level === 'block' ? '⛔' : '⚠️'} ${check.name}: ${f.message}</li>`;
+      });
+    });
+    html += `</ul></div>`;
+  }
+  if (unchecked.length) {
+    html += `<p class="muted">No label limits on record for ${unchecked.join(', ')}. ` +
+      'Check the maximum rate, applications per season and retreatment interval on the label.</p>';
+  }
+  return html;
+}
+
+// Export functions for use in main script
+if (typeof window !== 'undefined') {
+  window.LabelLimits = {
+    LIMIT_FIELDS,
+    AI_CONTENT_UNITS,
+    getLabelLimits,
+    productPerSqFt,
+    checkLabelLimits,
+    formatLabelLimitsHTML
+  };
+}
+
+// For Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LIMIT_FIELDS,
+    AI_CONTENT_UNITS,
+    getLabelLimits,
+    productPerSqFt,
+    checkLabelLimits,
+    formatLabelLimitsHTML
+  };
+}
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for label limit checks (max rate, applications per season, retreatment interval, annual AI cap)
+ * Run with: node label-limits.test.js
+ */
+
+const {
+  getLabelLimits,
+  productPerSqFt,
+  checkLabelLimits,
+  formatLabelLimitsHTML
+} = require('./label-limits.js');
+const fs = require('fs');
+const vm = require('vm');
+
+// chemicals.js is a browser script (window.chemicals); evaluate it in a sandbox
+const CATALOG = vm.runInNewContext(`${fs.readFileSync(`${__dirname}/chemicals.js`, 'utf8')}\nchemicals;`, {});
+const catalogRecord = id => CATALOG.find(chem => chem.id === id);
+
+let passed = 0;
+let failed = 0;
+
+function test(description, fn) {
+  try {
+    fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected} but got ${actual}. ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance = 0.01, message = '') {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`Expected ${expected} ± ${tolerance} but got ${actual}. ${message}`);
+  }
+}
+
+function assertTruthy(value, message = '') {
+  if (!value) {
+    throw new Error(`Expected truthy value. ${message}`);
+  }
+}
+
+const SPRAY_RATE = { value: 0.5, unit: 'fl oz/gal' };
+
+function plan(overrides = {}) {
+  return { date: '2024-06-01', area: '', rate: SPRAY_RATE, sprayVolumePer1000SqFt: 1, ...overrides };
+}
+
+function limitsOf(result, limit) {
+  return result.findings.filter(f => f.limit === limit);
+}
+
+console.log('\n📋 Limit Fields Tests:');
+
+test('getLabelLimits reads and normalizes the structured fields', () => {
+  assertEquals(getLabelLimits({ id: 'C001', maxRate: null }), null);
+  const limits = getLabelLimits({ maxRate: 12, maxRateUnit: 'Fl Oz per 100 Gallons', maxApplicationsPerSeason: 3, aiContentUnit: 'ppm', aiContent: 5 });
+  assertEquals(limits.maxRate.unit, 'fl oz/100 gal');
+  assertEquals(limits.maxApplicationsPerSeason, 3);
+  assertEquals(limits.minRetreatmentDays, null);
+  assertEquals(limits.aiContent, null, 'Unknown content units are ignored');
+});
+
+test('productPerSqFt puts spray and area rates on one basis', () => {
+  assertClose(productPerSqFt({ value: 1, unit: 'fl oz/1000 sq ft' }).amount, 29.5735 / 1000, 1e-6);
+  assertClose(productPerSqFt(SPRAY_RATE, 2).amount, 29.5735 / 1000, 1e-6);
+  assertEquals(productPerSqFt(SPRAY_RATE), null, 'Spray rates need a spray volume');
+});
+
+console.log('\n⛔ Per-Application Tests:');
+
+test('A rate over the label maximum blocks; at the maximum it passes', () => {
+  const chem = { maxRate: 0.5, maxRateUnit: 'fl oz/gal' };
+  assertEquals(checkLabelLimits(chem, plan()).findings.length, 0);
+  const over = checkLabelLimits(chem, plan({ rate: { value: 64, unit: 'fl oz/100 gal' } }));
+  assertEquals(over.blocked, true);
+  assertTruthy(over.findings[0].message.includes('0.64 fl oz/gal'), over.findings[0].message);
+});
+
+test('Spray volume counts against an area maximum', () => {
+  const chem = { maxRate: 1, maxRateUnit: 'fl oz/1000 sq ft' };
+  assertEquals(checkLabelLimits(chem, plan({ sprayVolumePer1000SqFt: 2 })).blocked, false);
+  const over = checkLabelLimits(chem, plan({ sprayVolumePer1000SqFt: 3 }));
+  assertEquals(over.blocked, true);
+  assertTruthy(over.findings[0].message.includes('1.5 fl oz/1000 sq ft'), over.findings[0].message);
+});
+
+test('A maximum in other units warns instead of blocking', () => {
+  const result = checkLabelLimits({ maxRate: 1, maxRateUnit: 'lb/acre' }, plan());
+  assertEquals(result.blocked, false);
+  assertEquals(result.findings[0].level, 'warn');
+});
+
+console.log('\n📅 Season & Interval Tests:');
+
+test('Applications per season count this year and this block only', () => {
+  const chem = { maxApplicationsPerSeason: 2 };
+  const apps = [
+    { date: '2023-07-01', area: 'Block A' },
+    { date: '2024-04-01', area: 'Block B' },
+    { date: '2024-05-01', area: 'Block A' }
+  ];
+  const blockA = checkLabelLimits(chem, plan({ area: 'block a' }), apps);
+  assertEquals(blockA.blocked, false);
+  assertEquals(limitsOf(blockA, 'applicationsPerSeason')[0].level, 'warn', 'Last allowed application');
+  const anyBlock = checkLabelLimits(chem, plan(), apps);
+  assertEquals(anyBlock.blocked, true);
+  assertTruthy(anyBlock.findings[0].message.includes('Already applied 2 times in 2024'), anyBlock.findings[0].message);
+});
+
+test('Retreating before the minimum interval blocks and gives the next allowed date', () => {
+  const chem = { minRetreatmentDays: 14 };
+  const apps = [{ date: '2024-04-01' }, { date: '2024-05-01' }];
+  const early = checkLabelLimits(chem, plan({ date: '2024-05-10' }), apps);
+  assertEquals(early.blocked, true);
+  assertTruthy(early.findings[0].message.includes('9 days ago'), early.findings[0].message);
+  assertTruthy(early.findings[0].message.includes('Next allowed 2024-05-15'), early.findings[0].message);
+  assertEquals(checkLabelLimits(chem, plan({ date: '2024-05-15' }), apps).blocked, false);
+});
+
+console.log('\n🧪 Annual Active Ingredient Tests:');
+
+const PENDIMETHALIN = { aiContent: 3.3, aiContentUnit: 'lb/gal', maxAnnualAi: 4, maxAnnualAiUnit: 'lb/acre' };
+const AREA_RATE = { value: 1.8, unit: 'fl oz/1000 sq ft' }; // ≈ 2.02 lb ai/acre
+
+test('Logged applications plus the plan are held to the annual cap', () => {
+  assertEquals(checkLabelLimits(PENDIMETHALIN, plan({ rate: AREA_RATE })).findings.length, 0);
+  const apps = [{ date: '2024-03-01', amount: 3.6, amountUnit: 'fl oz', coverageSqFt: 1000 }];
+  const result = checkLabelLimits(PENDIMETHALIN, plan({ rate: AREA_RATE }), apps);
+  assertEquals(result.blocked, true);
+  assertTruthy(result.findings[0].message.includes('6.06 lb/acre'), result.findings[0].message);
+  const lastYear = [{ date: '2023-03-01', amount: 3.6, amountUnit: 'fl oz', coverageSqFt: 1000 }];
+  assertEquals(checkLabelLimits(PENDIMETHALIN, plan({ rate: AREA_RATE }), lastYear).blocked, false);
+});
+
+test('Granular products use percent active ingredient by weight', () => {
+  const chem = { aiContent: 2, aiContentUnit: '%', maxAnnualAi: 1.5, maxAnnualAiUnit: 'lb/acre' };
+  const result = checkLabelLimits(chem, plan({ rate: { value: 2, unit: 'lb/1000 sq ft' } }));
+  assertEquals(result.blocked, true, '2 lb/1000 sq ft at 2% is 1.74 lb ai/acre');
+});
+
+test('Missing content and unrecorded applications are reported as warnings', () => {
+  const noContent = checkLabelLimits({ maxAnnualAi: 4, maxAnnualAiUnit: 'lb/acre' }, plan({ rate: AREA_RATE }));
+  assertEquals(noContent.blocked, false);
+  assertEquals(noContent.findings[0].level, 'warn');
+  const unrecorded = checkLabelLimits(PENDIMETHALIN, plan({ rate: AREA_RATE }), [{ date: '2024-03-01' }]);
+  assertTruthy(limitsOf(unrecorded, 'annualActive')[0].message.startsWith('1 earlier application'));
+});
+
+test('formatLabelLimitsHTML lists findings per product', () => {
+  assertEquals(formatLabelLimitsHTML([{ name: 'Tempo', findings: [] }]), '');
+  const html = formatLabelLimitsHTML([{ name: 'Tempo', findings: [{ limit: 'maxRate', level: 'block', message: 'Too much.' }] }]);
+  assertTruthy(html.includes('label-limits-block'));
+  assertTruthy(html.includes('Tempo: Too much.'));
+});
+
+test('Products without label limits on record are named, not passed silently', () => {
+  const none = checkLabelLimits({ id: 'C006' }, plan({ rate: AREA_RATE }));
+  assertEquals(none.onRecord, false);
+  assertEquals(none.blocked, false);
+  assertEquals(checkLabelLimits(PENDIMETHALIN, plan({ rate: AREA_RATE })).onRecord, true);
+  const html = formatLabelLimitsHTML([{ name: 'Drive XLR8', ...none }, { name: 'Pendulum', findings: [], onRecord: true }]);
+  assertTruthy(html.includes('No label limits on record for Drive XLR8.'), html);
+  assertEquals(html.includes('Pendulum'), false);
+});
+
+console.log('\n📚 Catalog Tests:');
+
+test('Catalog products whose mix rate states a range are capped at its top', () => {
+  const withRange = CATALOG.filter(chem => !/^Adjuvant/.test(chem.category) && /\d\s*[–-]\s*\d+(\.\d+)?\s*fl oz/.test(chem.mixRate || ''));
+  assertTruthy(withRange.length >= 10, `${withRange.length} products`);
+  withRange.forEach(chem => {
+    const top = Number(chem.mixRate.match(/[–-]\s*(\d+(?:\.\d+)?)\s*fl oz/)[1]);
+    assertEquals(chem.maxRate, top, chem.id);
+    assertTruthy(getLabelLimits(chem), chem.id);
+  });
+});
+
+test('Roundup Pro Concentrate blocks a spray above 4 fl oz/gal', () => {
+  const roundup = catalogRecord('C009');
+  assertEquals(roundup.name, 'Roundup Pro Concentrate');
+  const atLabel = checkLabelLimits(roundup, plan({ rate: { value: 4, unit: 'fl oz/gal' } }));
+  assertEquals(atLabel.onRecord, true);
+  assertEquals(atLabel.blocked, false);
+  const over = checkLabelLimits(roundup, plan({ rate: { value: 5, unit: 'fl oz/gal' } }));
+  assertEquals(over.blocked, true);
+});
+
+test('PIN-DEE is capped per 1,000 sq ft whatever the spray volume', () => {
+  const pinDee = catalogRecord('C001');
+  const rate = { value: 3, unit: 'fl oz/1000 sq ft' };
+  assertEquals(checkLabelLimits(pinDee, plan({ rate })).blocked, false);
+  assertEquals(checkLabelLimits(pinDee, plan({ rate: { value: 2, unit: 'fl oz/gal' }, sprayVolumePer1000SqFt: 2 })).blocked, true,
+    '2 fl oz/gal at 2 gal/1,000 sq ft is 4 fl oz/1,000 sq ft');
+});
+
+// Summary
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Test Results:`);
+console.log(`   ✓ Passed: ${passed}`);
+console.log(`   ✗ Failed: ${failed}`);
+console.log(`   Total:  ${passed + failed}`);
+
+if (failed === 0) {
+  console.log('\n✅ All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed.\n');
+  process.exit(1);
+}
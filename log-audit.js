@@ -0,0 +1,229 @@
+/**
+ * Log Audit Module
+ * Versioned revisions for treatment log entries. Pesticide application
+ * records are regulatory documents, so entries are never changed or removed
+ * without a trace: every create, edit and delete appends a revision that
+ * records who made it, when, why and which fields changed.
+ *
+ * Revisions live on the entry itself (`revision` + `history`) so they travel
+ * with the record to IndexedDB and Supabase (metadata) without a second table.
+ */
+
+// Fields tracked in the audit trail, with labels for the history view
+const TREATMENT_AUDIT_FIELDS = {
+  date: 'Date',
+  time: 'Time finished',
+  area: 'Block / Area',
+  crop: 'Crop',
+  tankSize: 'Tank size (gal)',
+  sprayer: 'Sprayer',
+  sprayVolume: 'Spray volume',
+  coverage: 'Coverage (sq ft)',
+  mix: 'Chemicals & amounts',
+  notes: 'Notes'
+};
+
+// Reasons, names and field values are typed by users
+function escapeHistoryText(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function auditValue(value) {
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Field-level differences between two versions of an entry
+ * @param {Object} before
+ * @param {Object} after
+ * @param {Object} [fields] - Field map (defaults to TREATMENT_AUDIT_FIELDS)
+ * @returns {Object} - { field: { from, to } } for changed fields only
+ */
+function diffEntryFields(before, after, fields = TREATMENT_AUDIT_FIELDS) {
+  const changes = {};
+  Object.keys(fields).forEach(field => {
+    const from = auditValue(before && before[field]);
+    const to = auditValue(after && after[field]);
+    if (from !== to) changes[field] = { from, to };
+  });
+  return changes;
+}
+
+function snapshotFields(entry, fields = TREATMENT_AUDIT_FIELDS) {
+  const snapshot = {};
+  Object.keys(fields).forEach(field => {
+    snapshot[field] = auditValue(entry[field]);
+  });
+  return snapshot;
+}
+
+/**
+ * Give an entry saved before auditing existed its first revision
+ * @param {Object} entry
+ * @returns {Object} - The same entry if it already has history, else a copy
+ */
+function ensureAuditHistory(entry) {
+  if (Array.isArray(entry.history) && entry.history.length) return entry;
+  return {
+    ...entry,
+    revision: 1,
+    history: [{
+      revision: 1,
+      action: 'created',
+      at: entry.createdAt || entry.updatedAt || null,
+      by: entry.createdBy || '',
+      reason: '',
+      changes: {},
+      snapshot: snapshotFields(entry)
+    }]
+  };
+}
+
+/**
+ * Stamp a new entry with revision 1
+ * @param {Object} entry - New treatment entry
+ * @param {{by: string, at: string}} author
+ * @returns {Object}
+ */
+function createAuditedEntry(entry, { by, at }) {
+  return {
+    ...entry,
+    createdBy: by || '',
+    revision: 1,
+    history: [{
+      revision: 1,
+      action: 'created',
+      at,
+      by: by || '',
+      reason: '',
+      changes: {},
+      snapshot: snapshotFields(entry)
+    }]
+  };
+}
+
+/**
+ * Apply an edit as a new revision
+ * @param {Object} entry - Current entry
+ * @param {Object} updates - New field values
+ * @param {{by: string, at: string, reason: string}} author
+ * @returns {{entry?: Object, error?: string}} - Updated entry, or an error
+ */
+function applyAuditedEdit(entry, updates, { by, at, reason }) {
+  if (entry.deleted) return { error: 'Deleted entries cannot be edited.' };
+  if (!by || !String(by).trim()) return { error: 'Enter who is making this change.' };
+  if (!reason || !String(reason).trim()) return { error: 'Enter a reason for the change.' };
+
+  const current = ensureAuditHistory(entry);
+  const next = { ...current, ...updates };
+  const changes = diffEntryFields(current, next);
+  if (!Object.keys(changes).length) return { error: 'Nothing was changed.' };
+
+  const revision = (current.revision || 1) + 1;
+  return {
+    entry: {
+      ...next,
+      revision,
+      updatedAt: at,
+      history: current.history.concat({
+        revision,
+        action: 'edited',
+        at,
+        by: String(by).trim(),
+        reason: String(reason).trim(),
+        changes,
+        snapshot: snapshotFields(next)
+      })
+    }
+  };
+}
+
+/**
+ * Soft-delete an entry: it stays in storage, marked deleted, with a revision
+ * @param {Object} entry
+ * @param {{by: string, at: string, reason: string}} author
+ * @returns {{entry?: Object, error?: string}}
+ */
+function applyAuditedDelete(entry, { by, at, reason }) {
+  if (entry.deleted) return { error: 'This entry is already deleted.' };
+  if (!by || !String(by).trim()) return { error: 'Enter who is deleting this entry.' };
+  if (!reason || !String(reason).trim()) return { error: 'Enter a reason for deleting this entry.' };
+
+  const current = ensureAuditHistory(entry);
+  const revision = (current.revision || 1) + 1;
+  return {
+    entry: {
+      ...current,
+      deleted: true,
+      deletedAt: at,
+      deletedBy: String(by).trim(),
+      revision,
+      updatedAt: at,
+      history: current.history.concat({
+        revision,
+        action: 'deleted',
+        at,
+        by: String(by).trim(),
+        reason: String(reason).trim(),
+        changes: {},
+        snapshot: snapshotFields(current)
+      })
+    }
+  };
+}
+
+/**
+ * Render an entry's revision history as HTML (newest first)
+ * @param {Object} entry
+ * @returns {string}
+ */
+function formatHistoryHTML(entry) {
+  const history = ensureAuditHistory(entry).history.slice().reverse();
+  const items = history.map(rev => {
+    const when = rev.at ? new Date(rev.at).toLocaleString() : 'Unknown time';
+    const changes = Object.keys(rev.changes || {}).map(field => {
+      const label = escapeHistoryText(TREATMENT_AUDIT_FIELDS[field] || field);
+      const { from, to } = rev.changes[field];
+      return `<li><strong>${label}:</strong> ${from ? escapeHistoryText(from) : '—'} → ${to ? escapeHistoryText(to) : '—'}</li>`;
+    }).join('');
+    return `
+      <li class="log-history-item">
+        <strong>Rev ${escapeHistoryText(rev.revision)} · ${escapeHistoryText(rev.action)}</strong>
+        <span class="muted">${when}${rev.by ? ` · by ${escapeHistoryText(rev.by)}` : ''}</span>
+        ${rev.reason ? `<div><em>Reason:</em> ${escapeHistoryText(rev.reason)}</div>` : ''}
+        ${changes ? `<ul>${changes}</ul>` : ''}
+      </li>
+    `;
+  }).join('');
+  return `<ol class="log-history">${items}</ol>`;
+}
+
+// Export functions for use in main script
+if (typeof window !== 'undefined') {
+  window.LogAudit = {
+    TREATMENT_AUDIT_FIELDS,
+    diffEntryFields,
+    ensureAuditHistory,
+    createAuditedEntry,
+    applyAuditedEdit,
+    applyAuditedDelete,
+    formatHistoryHTML
+  };
+}
+
+// For Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TREATMENT_AUDIT_FIELDS,
+    diffEntryFields,
+    ensureAuditHistory,
+    createAuditedEntry,
+    applyAuditedEdit,
+    applyAuditedDelete,
+    formatHistoryHTML
+  };
+}
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the treatment log audit trail
+ * Run with: node log-audit.test.js
+ */
+
+const {
+  diffEntryFields,
+  ensureAuditHistory,
+  createAuditedEntry,
+  applyAuditedEdit,
+  applyAuditedDelete,
+  formatHistoryHTML
+} = require('./log-audit.js');
+
+let passed = 0;
+let failed = 0;
+
+function test(description, fn) {
+  try {
+    fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected} but got ${actual}. ${message}`);
+  }
+}
+
+function assertTruthy(value, message = '') {
+  if (!value) {
+    throw new Error(`Expected truthy value. ${message}`);
+  }
+}
+
+const T0 = '2024-05-01T10:00:00.000Z';
+const T1 = '2024-05-02T08:30:00.000Z';
+
+function newEntry() {
+  return createAuditedEntry({
+    id: 'e1',
+    date: '2024-05-01',
+    area: 'Block A',
+    crop: 'Rose',
+    tankSize: '25',
+    mix: 'Tempo SC: 2 fl oz',
+    notes: '',
+    updatedAt: T0
+  }, { by: 'Sam', at: T0 });
+}
+
+console.log('🧪 Log Audit Test Suite\n');
+console.log('='.repeat(60));
+
+console.log('\n📝 Revision Tests:');
+
+test('New entries start at revision 1 with a created record', () => {
+  const entry = newEntry();
+  assertEquals(entry.revision, 1);
+  assertEquals(entry.history.length, 1);
+  assertEquals(entry.history[0].action, 'created');
+  assertEquals(entry.history[0].by, 'Sam');
+  assertEquals(entry.history[0].snapshot.mix, 'Tempo SC: 2 fl oz');
+});
+
+test('Legacy entries get a first revision on demand', () => {
+  const entry = ensureAuditHistory({ id: 'old', area: 'Block B', createdAt: T0 });
+  assertEquals(entry.revision, 1);
+  assertEquals(entry.history[0].at, T0);
+});
+
+test('diffEntryFields lists only changed fields', () => {
+  const changes = diffEntryFields({ area: 'A', notes: 'x' }, { area: 'B', notes: 'x' });
+  assertEquals(Object.keys(changes).join(','), 'area');
+  assertEquals(changes.area.from, 'A');
+  assertEquals(changes.area.to, 'B');
+});
+
+test('Edits add a revision with who, when, why and changes', () => {
+  const result = applyAuditedEdit(newEntry(), { mix: 'Tempo SC: 1.5 fl oz' }, { by: 'Alex', at: T1, reason: 'Corrected rate' });
+  assertTruthy(!result.error, result.error);
+  const entry = result.entry;
+  assertEquals(entry.revision, 2);
+  assertEquals(entry.mix, 'Tempo SC: 1.5 fl oz');
+  assertEquals(entry.updatedAt, T1, 'Edits mark the entry for sync');
+  const rev = entry.history[1];
+  assertEquals(rev.by, 'Alex');
+  assertEquals(rev.reason, 'Corrected rate');
+  assertEquals(rev.changes.mix.from, 'Tempo SC: 2 fl oz');
+  assertEquals(entry.history[0].snapshot.mix, 'Tempo SC: 2 fl oz', 'Earlier revision is preserved');
+});
+
+test('Edits require a reason and an author', () => {
+  assertTruthy(applyAuditedEdit(newEntry(), { notes: 'x' }, { by: 'Alex', at: T1, reason: ' ' }).error);
+  assertTruthy(applyAuditedEdit(newEntry(), { notes: 'x' }, { by: '', at: T1, reason: 'typo' }).error);
+});
+
+test('Edits with no changes are rejected', () => {
+  const result = applyAuditedEdit(newEntry(), { area: 'Block A' }, { by: 'Alex', at: T1, reason: 'none' });
+  assertTruthy(result.error);
+});
+
+console.log('\n🗑️  Soft Delete Tests:');
+
+test('Deletes keep the record and add a revision', () => {
+  const result = applyAuditedDelete(newEntry(), { by: 'Alex', at: T1, reason: 'Duplicate entry' });
+  const entry = result.entry;
+  assertEquals(entry.deleted, true);
+  assertEquals(entry.deletedBy, 'Alex');
+  assertEquals(entry.deletedAt, T1);
+  assertEquals(entry.revision, 2);
+  assertEquals(entry.history[1].action, 'deleted');
+  assertEquals(entry.mix, 'Tempo SC: 2 fl oz', 'Data is retained');
+});
+
+test('Deleted entries cannot be edited or deleted again', () => {
+  const deleted = applyAuditedDelete(newEntry(), { by: 'Alex', at: T1, reason: 'Duplicate' }).entry;
+  assertTruthy(applyAuditedEdit(deleted, { notes: 'x' }, { by: 'Alex', at: T1, reason: 'x' }).error);
+  assertTruthy(applyAuditedDelete(deleted, { by: 'Alex', at: T1, reason: 'x' }).error);
+});
+
+test('Deletes require a reason', () => {
+  assertTruthy(applyAuditedDelete(newEntry(), { by: 'Alex', at: T1, reason: '' }).error);
+});
+
+console.log('\n📜 History View Tests:');
+
+test('formatHistoryHTML lists revisions newest first with reasons', () => {
+  const edited = applyAuditedEdit(newEntry(), { notes: 'Windy' }, { by: 'Alex', at: T1, reason: 'Added weather' }).entry;
+  const html = formatHistoryHTML(edited);
+  assertTruthy(html.indexOf('Rev 2') < html.indexOf('Rev 1'), 'Newest first');
+  assertTruthy(html.includes('Added weather'));
+  assertTruthy(html.includes('Notes'));
+});
+
+test('formatHistoryHTML escapes typed reasons, names and values', () => {
+  const edited = applyAuditedEdit(newEntry(), { notes: '<b>Windy</b>' }, { by: '<i>Alex</i>', at: T1, reason: '<script>x</script>' }).entry;
+  const html = formatHistoryHTML(edited);
+  assertTruthy(html.includes('&lt;script&gt;x&lt;/script&gt;'), html);
+  assertTruthy(html.includes('by &lt;i&gt;Alex&lt;/i&gt;'));
+  assertTruthy(html.includes('&lt;b&gt;Windy&lt;/b&gt;'));
+  assertEquals(html.includes('<script>'), false);
+});
+
+// Summary
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Test Results:`);
+console.log(`   ✓ Passed: ${passed}`);
+console.log(`   ✗ Failed: ${failed}`);
+console.log(`   Total:  ${passed + failed}`);
+
+if (failed === 0) {
+  console.log('\n✅ All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed.\n');
+  process.exit(1);
+}
@@ -0,0 +1,332 @@
+/**
+ * Log Store Module
+ * IndexedDB storage for treatment and scouting entries.
+ *
+ * Each entry is a record keyed by its stable `id` (shared with the Supabase
+ * row id used by log-sync.js). Records are indexed by date, area and crop;
+ * treatment records are also indexed by chemical through the derived
+ * `chemicalKeys` field (chemicals.js ids for structured inputs).
+ *
+ * Schema changes are added to LOG_STORE_MIGRATIONS with the next version
+ * number; they run in order inside the upgrade transaction, so a device that
+ * skipped releases catches up in one step.
+ */
+
+const LOG_STORE_DB_NAME = 'vine-logs';
+const LOG_STORE_KINDS = ['treatment', 'scouting'];
+const LOG_STORE_META = 'meta';
+
+// localStorage keys used before the move to IndexedDB
+const LEGACY_LOG_KEYS = {
+  treatment: 'treatmentEntries',
+  scouting: 'scoutingEntries'
+};
+const LEGACY_IMPORT_FLAG = 'legacyLocalStorageImported';
+
+/**
+ * Versioned schema migrations. `migrate(db, tx)` runs during onupgradeneeded.
+ * Never edit a released migration; append a new version instead.
+ */
+const LOG_STORE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create treatment and scouting stores with date/area/crop/chemical indexes',
+    migrate(db) {
+      LOG_STORE_KINDS.forEach(kind => {
+        const store = db.createObjectStore(kind, { keyPath: 'id' });
+        store.createIndex('date', 'date');
+        store.createIndex('area', 'area');
+        store.createIndex('crop', 'crop');
+        store.createIndex('createdAt', 'createdAt');
+        if (kind === 'treatment') {
+          store.createIndex('chemical', 'chemicalKeys', { multiEntry: true });
+        }
+      });
+      db.createObjectStore(LOG_STORE_META, { keyPath: 'key' });
+    }
+  },
+  {
+    version: 2,
+    description: 'Re-index treatment chemicals by chemicals.js id for entries with structured inputs',
+    migrate(db, tx) {
+      const request = tx.objectStore('treatment').openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        const keys = entryChemicalKeys(cursor.value);
+        if (keys.join('\n') !== (cursor.value.chemicalKeys || []).join('\n')) {
+          cursor.update({ ...cursor.value, chemicalKeys: keys });
+        }
+        cursor.continue();
+      };
+    }
+  }
+];
+
+const LOG_STORE_VERSION = LOG_STORE_MIGRATIONS[LOG_STORE_MIGRATIONS.length - 1].version;
+
+/**
+ * Migrations a database at `oldVersion` still needs, in order
+ * @param {number} oldVersion - Version reported by onupgradeneeded (0 for new)
+ * @returns {Array} - Migration objects
+ */
+function pendingMigrations(oldVersion) {
+  return LOG_STORE_MIGRATIONS
+    .filter(m => m.version > (oldVersion || 0))
+    .sort((a, b) => a.version - b.version);
+}
+
+function generateId() {
+  const c = typeof crypto !== 'undefined' ? crypto : null;
+  if (c && typeof c.randomUUID === 'function') {
+    return c.randomUUID();
+  }
+  // RFC 4122 v4 fallback for older browsers
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, ch => {
+    const r = Math.random() * 16 | 0;
+    return (ch === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+  });
+}
+
+/**
+ * Lower-cased product names from treatment mix lines ("Name: amount"),
+ * used for the chemical index
+ * @param {string} mixText
+ * @returns {Array<string>} - Unique keys
+ */
+function extractChemicalKeys(mixText) {
+  const keys = String(mixText || '')
+    .split('\n')
+    .map(line => line.split(':')[0].trim().toLowerCase())
+    .filter(Boolean);
+  return Array.from(new Set(keys));
+}
+
+/**
+ * Chemical index keys for a treatment entry: the chemicals.js id of each
+ * structured input (lower-cased name for off-library products), or the mix
+ * line names for entries saved before inputs existed
+ * @param {Object} entry
+ * @returns {Array<string>} - Unique keys
+ */
+function entryChemicalKeys(entry) {
+  if (!Array.isArray(entry.inputs) || !entry.inputs.length) {
+    return extractChemicalKeys(entry.mix);
+  }
+  const keys = entry.inputs
+    .map(input => (input && (input.chemical_id || String(input.name || '').trim().toLowerCase())) || '')
+    .filter(Boolean);
+  return Array.from(new Set(keys));
+}
+
+/**
+ * Fill in the fields every stored record needs (id, timestamps, index keys)
+ * @param {string} kind - 'treatment' or 'scouting'
+ * @param {Object} entry
+ * @param {string} [now] - ISO timestamp to use for missing timestamps
+ * @returns {Object} - New record
+ */
+function normalizeLogEntry(kind, entry, now) {
+  const stamp = now || new Date().toISOString();
+  const record = {
+    ...entry,
+    id: entry.id || generateId(),
+    date: entry.date || '',
+    area: entry.area || '',
+    crop: entry.crop || '',
+    createdAt: entry.createdAt || entry.updatedAt || stamp,
+    updatedAt: entry.updatedAt || stamp
+  };
+  if (record.syncedAt === undefined) record.syncedAt = null;
+  if (kind === 'treatment') {
+    record.chemicalKeys = entryChemicalKeys(record);
+  }
+  return record;
+}
+
+/**
+ * Turn the legacy localStorage arrays into records, keeping their order
+ * (createdAt is spaced 1 ms apart from `baseTime` for entries that lack one)
+ * @param {{getItem: Function}} storage - localStorage-like object
+ * @param {number} [baseTime] - Epoch ms for the first legacy entry
+ * @returns {{treatment: Array, scouting: Array}}
+ */
+function readLegacyLogEntries(storage, baseTime) {
+  const start = typeof baseTime === 'number' ? baseTime : Date.now();
+  const result = { treatment: [], scouting: [] };
+  LOG_STORE_KINDS.forEach(kind => {
+    let parsed = [];
+    try {
+      const raw = storage.getItem(LEGACY_LOG_KEYS[kind]);
+      parsed = raw ? JSON.parse(raw) : [];
+    } catch (e) {
+      console.warn(`Failed to read ${LEGACY_LOG_KEYS[kind]} from localStorage`, e);
+      parsed = [];
+    }
+    if (!Array.isArray(parsed)) parsed = [];
+    result[kind] = parsed
+      .filter(entry => entry && typeof entry === 'object')
+      .map((entry, i) => normalizeLogEntry(kind, {
+        ...entry,
+        createdAt: entry.createdAt || new Date(start + i).toISOString()
+      }));
+  });
+  return result;
+}
+
+/**
+ * Sort records into display order (oldest first, as the tables always showed)
+ * @param {Array} records
+ * @returns {Array}
+ */
+function sortLogEntries(records) {
+  return (records || []).slice().sort((a, b) => {
+    const ca = a.createdAt || '';
+    const cb = b.createdAt || '';
+    if (ca === cb) return 0;
+    return ca < cb ? -1 : 1;
+  });
+}
+
+// ====== INDEXEDDB ACCESS ======
+
+function openLogDB() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const request = indexedDB.open(LOG_STORE_DB_NAME, LOG_STORE_VERSION);
+    request.onupgradeneeded = event => {
+      const db = request.result;
+      pendingMigrations(event.oldVersion).forEach(m => m.migrate(db, request.transaction));
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('Log database upgrade blocked by another open tab'));
+  });
+}
+
+function runLogTransaction(storeNames, mode, work) {
+  return openLogDB().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const request = work(tx);
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request ? request.result : undefined);
+    };
+    // Quota errors surface here instead of failing silently
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Log database transaction aborted'));
+    };
+  }));
+}
+
+/**
+ * All records of one kind, in display order
+ * @param {string} kind - 'treatment' or 'scouting'
+ * @returns {Promise<Array>}
+ */
+function getAllLogEntries(kind) {
+  return runLogTransaction(kind, 'readonly', tx => tx.objectStore(kind).getAll())
+    .then(sortLogEntries);
+}
+
+/**
+ * Records matching one index value (date, area, crop or chemical)
+ * @param {string} kind
+ * @param {string} indexName
+ * @param {*} value - Exact value or IDBKeyRange
+ * @returns {Promise<Array>}
+ */
+function queryLogEntries(kind, indexName, value) {
+  return runLogTransaction(kind, 'readonly', tx => tx.objectStore(kind).index(indexName).getAll(value))
+    .then(sortLogEntries);
+}
+
+/**
+ * Insert or replace records
+ * @param {string} kind
+ * @param {Array<Object>} records - Normalized records
+ * @returns {Promise<void>}
+ */
+function putLogEntries(kind, records) {
+  return runLogTransaction(kind, 'readwrite', tx => {
+    const store = tx.objectStore(kind);
+    records.forEach(record => store.put(record));
+  });
+}
+
+/**
+ * Delete records by id
+ * @param {string} kind
+ * @param {Array<string>} ids
+ * @returns {Promise<void>}
+ */
+function deleteLogEntries(kind, ids) {
+  return runLogTransaction(kind, 'readwrite', tx => {
+    const store = tx.objectStore(kind);
+    ids.forEach(id => store.delete(id));
+  });
+}
+
+/**
+ * One-time import of the legacy localStorage arrays. Records and the
+ * "imported" flag are written in one transaction, so an interrupted import
+ * simply runs again; the localStorage keys are removed only afterwards.
+ * @param {{getItem: Function, removeItem: Function}} storage
+ * @returns {Promise<{imported: boolean, treatment: number, scouting: number}>}
+ */
+function importLegacyLocalStorage(storage) {
+  const clearLegacy = () => {
+    Object.values(LEGACY_LOG_KEYS).forEach(key => storage.removeItem(key));
+  };
+
+  return runLogTransaction(LOG_STORE_META, 'readonly', tx => tx.objectStore(LOG_STORE_META).get(LEGACY_IMPORT_FLAG))
+    .then(flag => {
+      if (flag) {
+        clearLegacy();
+        return { imported: false, treatment: 0, scouting: 0 };
+      }
+      const legacy = readLegacyLogEntries(storage);
+      return runLogTransaction(LOG_STORE_KINDS.concat(LOG_STORE_META), 'readwrite', tx => {
+        LOG_STORE_KINDS.forEach(kind => {
+          const store = tx.objectStore(kind);
+          legacy[kind].forEach(record => store.put(record));
+        });
+        tx.objectStore(LOG_STORE_META).put({ key: LEGACY_IMPORT_FLAG, value: new Date().toISOString() });
+      }).then(() => {
+        clearLegacy();
+        return { imported: true, treatment: legacy.treatment.length, scouting: legacy.scouting.length };
+      });
+    });
+}
+
+const LogStore = {
+  LOG_STORE_VERSION,
+  LOG_STORE_MIGRATIONS,
+  LEGACY_LOG_KEYS,
+  pendingMigrations,
+  generateId,
+  extractChemicalKeys,
+  entryChemicalKeys,
+  normalizeLogEntry,
+  readLegacyLogEntries,
+  sortLogEntries,
+  getAllLogEntries,
+  queryLogEntries,
+  putLogEntries,
+  deleteLogEntries,
+  importLegacyLocalStorage
+};
+
+// Export functions for use in main script
+if (typeof window !== 'undefined') {
+  window.LogStore = LogStore;
+}
+
+// For Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LogStore;
+}
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for log store helpers (migrations, normalization, legacy import)
+ * Run with: node log-store.test.js
+ */
+
+const {
+  LOG_STORE_VERSION,
+  LOG_STORE_MIGRATIONS,
+  pendingMigrations,
+  extractChemicalKeys,
+  entryChemicalKeys,
+  normalizeLogEntry,
+  readLegacyLogEntries,
+  sortLogEntries
+} = require('./log-store.js');
+
+let passed = 0;
+let failed = 0;
+
+function test(description, fn) {
+  try {
+    fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected} but got ${actual}. ${message}`);
+  }
+}
+
+function assertTruthy(value, message = '') {
+  if (!value) {
+    throw new Error(`Expected truthy value. ${message}`);
+  }
+}
+
+function fakeStorage(values) {
+  return {
+    getItem: key => (key in values ? values[key] : null),
+    removeItem: key => { delete values[key]; }
+  };
+}
+
+console.log('🧪 Log Store Test Suite\n');
+console.log('='.repeat(60));
+
+console.log('\n🗄️  Migration Tests:');
+
+test('Schema version matches the newest migration', () => {
+  assertEquals(LOG_STORE_VERSION, LOG_STORE_MIGRATIONS[LOG_STORE_MIGRATIONS.length - 1].version);
+});
+
+test('Migration versions are unique and ascending', () => {
+  LOG_STORE_MIGRATIONS.forEach((m, i) => {
+    if (i > 0) assertTruthy(m.version > LOG_STORE_MIGRATIONS[i - 1].version, `version ${m.version}`);
+  });
+});
+
+test('A new database runs every migration', () => {
+  assertEquals(pendingMigrations(0).length, LOG_STORE_MIGRATIONS.length);
+});
+
+test('An up-to-date database runs none', () => {
+  assertEquals(pendingMigrations(LOG_STORE_VERSION).length, 0);
+});
+
+test('Version 1 creates the indexed stores', () => {
+  const created = {};
+  const fakeDb = {
+    createObjectStore(name) {
+      created[name] = [];
+      return { createIndex: (indexName) => created[name].push(indexName) };
+    }
+  };
+  LOG_STORE_MIGRATIONS[0].migrate(fakeDb);
+  ['date', 'area', 'crop', 'chemical'].forEach(index => {
+    assertTruthy(created.treatment.includes(index), `treatment.${index}`);
+  });
+  assertTruthy(created.scouting.includes('date'));
+  assertTruthy(created.meta, 'meta store');
+});
+
+test('Version 2 recomputes stale chemical keys on stored treatment records', () => {
+  const records = [
+    { id: 'a', mix: 'Tempo SC Ultra: 2 fl oz', inputs: [{ chemical_id: 'C012', name: 'Tempo SC Ultra' }], chemicalKeys: ['tempo sc ultra'] },
+    { id: 'b', mix: 'Capsil: 1 fl oz', chemicalKeys: ['capsil'] }
+  ];
+  const updated = [];
+  const request = {};
+  let position = 0;
+  const fakeTx = {
+    objectStore(name) {
+      assertEquals(name, 'treatment');
+      return { openCursor: () => request };
+    }
+  };
+  function step() {
+    const value = records[position];
+    request.result = value ? {
+      value,
+      update: record => updated.push(record),
+      continue: () => { position++; step(); }
+    } : null;
+    request.onsuccess();
+  }
+  LOG_STORE_MIGRATIONS.find(m => m.version === 2).migrate(null, fakeTx);
+  step();
+  assertEquals(updated.length, 1, 'Records already keyed correctly are left alone');
+  assertEquals(updated[0].id, 'a');
+  assertEquals(updated[0].chemicalKeys.join('|'), 'C012');
+});
+
+console.log('\n🧾 Record Tests:');
+
+test('extractChemicalKeys reads product names from mix lines', () => {
+  const keys = extractChemicalKeys('Tempo SC: 2 fl oz\nCapsil: 1 fl oz\nTempo SC: 1 fl oz');
+  assertEquals(keys.join('|'), 'tempo sc|capsil');
+});
+
+test('entryChemicalKeys indexes structured inputs by chemical id', () => {
+  const keys = entryChemicalKeys({
+    mix: 'Tempo SC Ultra: 2 fl oz',
+    inputs: [
+      { chemical_id: 'C012', name: 'Tempo SC Ultra' },
+      { chemical_id: null, name: 'House Surfactant' },
+      { chemical_id: 'C012', name: 'Tempo SC Ultra' }
+    ]
+  });
+  assertEquals(keys.join('|'), 'C012|house surfactant');
+  assertEquals(entryChemicalKeys({ mix: 'Capsil: 1 fl oz' })[0], 'capsil', 'Falls back to mix names');
+});
+
+test('normalizeLogEntry assigns id, timestamps and index keys', () => {
+  const record = normalizeLogEntry('treatment', { mix: 'Tempo SC: 2 fl oz' }, '2024-05-01T00:00:00.000Z');
+  assertTruthy(/^[0-9a-f-]{36}$/.test(record.id), 'UUID id');
+  assertEquals(record.createdAt, '2024-05-01T00:00:00.000Z');
+  assertEquals(record.syncedAt, null);
+  assertEquals(record.chemicalKeys[0], 'tempo sc');
+  assertEquals(record.area, '', 'Indexed fields are never undefined');
+});
+
+test('normalizeLogEntry keeps existing ids and sync state', () => {
+  const record = normalizeLogEntry('scouting', { id: 'abc', updatedAt: 'u', syncedAt: 'u' });
+  assertEquals(record.id, 'abc');
+  assertEquals(record.syncedAt, 'u');
+  assertEquals(record.chemicalKeys, undefined, 'Scouting records have no chemical index');
+});
+
+console.log('\n📥 Legacy Import Tests:');
+
+test('readLegacyLogEntries converts both arrays and keeps order', () => {
+  const storage = fakeStorage({
+    treatmentEntries: JSON.stringify([{ date: '2024-05-02', mix: 'A: 1' }, { date: '2024-05-01', mix: 'B: 1' }]),
+    scoutingEntries: JSON.stringify([{ area: 'Block A' }])
+  });
+  const legacy = readLegacyLogEntries(storage, 0);
+  assertEquals(legacy.treatment.length, 2);
+  assertEquals(legacy.scouting.length, 1);
+  const sorted = sortLogEntries(legacy.treatment.slice().reverse());
+  assertEquals(sorted[0].date, '2024-05-02', 'Original array order survives');
+});
+
+test('readLegacyLogEntries tolerates corrupt data', () => {
+  const legacy = readLegacyLogEntries(fakeStorage({ treatmentEntries: '{not json', scoutingEntries: '{}' }), 0);
+  assertEquals(legacy.treatment.length, 0);
+  assertEquals(legacy.scouting.length, 0);
+});
+
+test('readLegacyLogEntries keeps ids from synced entries', () => {
+  const storage = fakeStorage({ treatmentEntries: JSON.stringify([{ id: 'keep-me', syncedAt: 'x', updatedAt: 'x' }]) });
+  const legacy = readLegacyLogEntries(storage, 0);
+  assertEquals(legacy.treatment[0].id, 'keep-me');
+  assertEquals(legacy.treatment[0].syncedAt, 'x');
+});
+
+// Summary
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Test Results:`);
+console.log(`   ✓ Passed: ${passed}`);
+console.log(`   ✗ Failed: ${failed}`);
+console.log(`   Total:  ${passed + failed}`);
+
+if (failed === 0) {
+  console.log('\n✅ All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed.\n');
+  process.exit(1);
+}
@@ -0,0 +1,671 @@
+/**
+ * Log Sync Module
+ * Syncs treatment and scouting entries stored on the device with the
+ * Supabase treatment_logs and scouting_logs tables (sql/002, sql/003).
+ *
+ * Mapping and merge functions are pure for testability. The network layer
+ * talks to Supabase's REST (PostgREST) and Auth endpoints with fetch, so the
+ * PWA does not need a bundler or supabase-js.
+ *
+ * Conflict rule: every local entry carries a stable `id`, an `updatedAt`
+ * timestamp and `syncedAt` (the updatedAt last confirmed by the server).
+ * When both the device and the server changed the same entry since the last
+ * sync, the most recent `updatedAt` wins and the other version is reported
+ * back as a conflict so it can be kept for review. Treatment revisions are
+ * never dropped: the winner carries the union of both histories.
+ *
+ * Scouting photos are uploaded to Supabase Storage before the push; the
+ * row's photos column lists their public URLs.
+ *
+ * When the connection drops mid-sync, the service worker outbox (sw.js)
+ * queues the push or upload and answers 202. That is not a confirmation:
+ * queued entries stay pending and their photo blobs stay on the device.
+ */
+
+const LOG_SYNC_TABLES = {
+  treatment: 'treatment_logs',
+  scouting: 'scouting_logs'
+};
+
+// Placeholder used for NOT NULL text columns when the local entry left them blank
+const UNSPECIFIED = 'Unspecified';
+
+// Supabase Storage bucket shared with the React client's photo uploads
+const LOG_PHOTO_BUCKET = 'request-images';
+
+// Local scouting pressure <-> pests_observed severity used by the React client
+const PRESSURE_TO_SEVERITY = { low: 'light', medium: 'moderate', high: 'severe' };
+const SEVERITY_TO_PRESSURE = { light: 'low', moderate: 'medium', severe: 'high' };
+
+/**
+ * True when the entry has local changes the server has not confirmed yet
+ * @param {Object} entry - Local log entry
+ * @returns {boolean}
+ */
+function needsPush(entry) {
+  return !!entry && (!entry.syncedAt || entry.syncedAt !== entry.updatedAt);
+}
+
+function fallbackDate(entry) {
+  const stamp = entry.date || entry.updatedAt || new Date().toISOString();
+  return String(stamp).slice(0, 10);
+}
+
+function blankIfUnspecified(value) {
+  return !value || value === UNSPECIFIED ? '' : value;
+}
+
+/**
+ * Split free-text mix lines ("Name: 62.50 fl oz (~1848 mL) at 2.5 fl oz/gal")
+ * into the inputs JSONB shape used by treatment_logs.
+ * @param {string} mixText
+ * @returns {Array<{name: string, rate: string}>}
+ */
+function mixTextToInputs(mixText) {
+  return String(mixText || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const colon = line.indexOf(':');
+      if (colon === -1) return { name: line, rate: '' };
+      return { name: line.slice(0, colon).trim(), rate: line.slice(colon + 1).trim() };
+    });
+}
+
+// Inputs saved by treatment-inputs.js (chemical id, units) rather than split mix lines
+function hasStructuredInputs(inputs) {
+  return Array.isArray(inputs) && inputs.length > 0 &&
+    inputs.every(input => input && Object.prototype.hasOwnProperty.call(input, 'chemical_id'));
+}
+
+function inputsToMixText(inputs) {
+  if (!Array.isArray(inputs)) return '';
+  return inputs
+    .filter(input => input && input.name)
+    .map(input => (input.rate ? `${input.name}: ${input.rate}` : input.name))
+    .join('\n');
+}
+
+/**
+ * Convert a local treatment entry into a treatment_logs row
+ * @param {Object} entry - Local treatment entry
+ * @param {{id: string, name: string}} employee - Signed-in employee
+ * @returns {Object} - Row for upsert
+ */
+function treatmentEntryToRow(entry, employee) {
+  const inputs = hasStructuredInputs(entry.inputs) ? entry.inputs : mixTextToInputs(entry.mix);
+  return {
+    id: entry.id,
+    employee_id: employee.id,
+    employee_name: employee.name,
+    date: fallbackDate(entry),
+    location: entry.area || UNSPECIFIED,
+    crop: entry.crop || UNSPECIFIED,
+    inputs: inputs.length ? inputs : [{ name: UNSPECIFIED, rate: '' }],
+    notes: entry.notes || null,
+    metadata: {
+      source: 'vine-pwa',
+      client_updated_at: entry.updatedAt,
+      time: entry.time || '',
+      tank_size: entry.tankSize || '',
+      sprayer: entry.sprayer || '',
+      spray_volume: entry.sprayVolume || '',
+      coverage: entry.coverage || '',
+      mix: entry.mix || '',
+      created_by: entry.createdBy || '',
+      revision: entry.revision || 1,
+      history: Array.isArray(entry.history) ? entry.history : [],
+      ...(entry.deleted ? { deleted: true, deleted_at: entry.deletedAt || entry.updatedAt, deleted_by: entry.deletedBy || '' } : {})
+    }
+  };
+}
+
+/**
+ * Convert a treatment_logs row into a local treatment entry
+ * @param {Object} row - Row returned by Supabase
+ * @returns {Object} - Local entry (with `deleted` set for soft-deleted rows)
+ */
+function rowToTreatmentEntry(row) {
+  const meta = row.metadata || {};
+  const updatedAt = meta.client_updated_at || row.updated_at;
+  const hasPwaInputs = !(Array.isArray(row.inputs) && row.inputs.length === 1 && row.inputs[0].name === UNSPECIFIED);
+  return {
+    id: row.id,
+    date: row.date || '',
+    time: meta.time || '',
+    area: blankIfUnspecified(row.location),
+    crop: blankIfUnspecified(row.crop),
+    tankSize: meta.tank_size || '',
+    sprayer: meta.sprayer || '',
+    sprayVolume: meta.spray_volume || '',
+    coverage: meta.coverage || '',
+    mix: meta.mix !== undefined ? meta.mix : (hasPwaInputs ? inputsToMixText(row.inputs) : ''),
+    ...(hasStructuredInputs(row.inputs) ? { inputs: row.inputs } : {}),
+    notes: row.notes || '',
+    createdBy: meta.created_by || row.employee_name || '',
+    revision: meta.revision || 1,
+    history: Array.isArray(meta.history) ? meta.history : [],
+    updatedAt,
+    syncedAt: updatedAt,
+    ...(meta.deleted ? { deleted: true, deletedAt: meta.deleted_at || updatedAt, deletedBy: meta.deleted_by || '' } : {})
+  };
+}
+
+/**
+ * Public URLs for the photos JSONB column (photos not uploaded yet are left out)
+ * @param {Array<Object>} photos - Local photo refs from photo-store.js
+ * @returns {Array<string>}
+ */
+function photoUrls(photos) {
+  return (Array.isArray(photos) ? photos : [])
+    .map(photo => (photo && photo.url) || '')
+    .filter(Boolean);
+}
+
+// Photo refs without their thumbnails, which only live on the device that took them
+function photoRefsToMetadata(photos) {
+  return (Array.isArray(photos) ? photos : [])
+    .filter(photo => photo && photo.id)
+    .map(photo => ({
+      id: photo.id,
+      taken_at: photo.takenAt || '',
+      width: photo.width || null,
+      height: photo.height || null,
+      url: photo.url || ''
+    }));
+}
+
+function rowPhotosToRefs(row, meta) {
+  if (Array.isArray(meta.photos)) {
+    return meta.photos.map(photo => ({
+      id: photo.id,
+      takenAt: photo.taken_at || '',
+      width: photo.width || null,
+      height: photo.height || null,
+      url: photo.url || ''
+    }));
+  }
+  // Rows from the React client store plain URLs
+  return (Array.isArray(row.photos) ? row.photos : [])
+    .filter(url => typeof url === 'string' && url)
+    .map(url => ({ id: url, takenAt: '', url }));
+}
+
+/**
+ * Convert a local scouting entry into a scouting_logs row
+ * @param {Object} entry - Local scouting entry
+ * @param {{id: string, name: string}} employee - Signed-in employee
+ * @returns {Object} - Row for upsert
+ */
+function scoutingEntryToRow(entry, employee) {
+  const observation = { name: entry.issueType || 'observation' };
+  if (PRESSURE_TO_SEVERITY[entry.pressure]) {
+    observation.severity = PRESSURE_TO_SEVERITY[entry.pressure];
+  }
+  return {
+    id: entry.id,
+    employee_id: employee.id,
+    employee_name: employee.name,
+    date: fallbackDate(entry),
+    location: entry.area || UNSPECIFIED,
+    crop: entry.crop || UNSPECIFIED,
+    pests_observed: [observation],
+    notes: entry.notes || null,
+    photos: photoUrls(entry.photos),
+    metadata: {
+      source: 'vine-pwa',
+      client_updated_at: entry.updatedAt,
+      issue_type: entry.issueType || '',
+      pressure: entry.pressure || '',
+      photos: photoRefsToMetadata(entry.photos),
+      ...(entry.deleted ? { deleted: true } : {})
+    }
+  };
+}
+
+/**
+ * Convert a scouting_logs row into a local scouting entry. Rows created by
+ * other clients (no PWA metadata) list their observations in the notes.
+ * @param {Object} row - Row returned by Supabase
+ * @returns {Object} - Local entry (with `deleted` set for soft-deleted rows)
+ */
+function rowToScoutingEntry(row) {
+  const meta = row.metadata || {};
+  const updatedAt = meta.client_updated_at || row.updated_at;
+  const pests = Array.isArray(row.pests_observed) ? row.pests_observed : [];
+  const fromPwa = meta.source === 'vine-pwa';
+
+  let notes = row.notes || '';
+  if (!fromPwa && pests.length) {
+    const observed = pests
+      .map(p => (p.severity ? `${p.name} (${p.severity})` : p.name))
+      .join(', ');
+    notes = notes ? `Observed: ${observed}. ${notes}` : `Observed: ${observed}`;
+  }
+
+  const firstSeverity = pests[0] && pests[0].severity;
+  const photos = rowPhotosToRefs(row, meta);
+  return {
+    id: row.id,
+    date: row.date || '',
+    area: blankIfUnspecified(row.location),
+    crop: blankIfUnspecified(row.crop),
+    issueType: fromPwa ? (meta.issue_type || '') : '',
+    pressure: fromPwa ? (meta.pressure || '') : (SEVERITY_TO_PRESSURE[firstSeverity] || ''),
+    notes,
+    ...(photos.length ? { photos } : {}),
+    updatedAt,
+    syncedAt: updatedAt,
+    ...(meta.deleted ? { deleted: true } : {})
+  };
+}
+
+/**
+ * Combine the revision histories of two versions of an entry. Revisions both
+ * sides share (same revision number and time) appear once; the rest are
+ * ordered by time and renumbered.
+ * @param {Array} a - History of one version
+ * @param {Array} b - History of the other
+ * @returns {Array}
+ */
+function mergeRevisionHistories(a, b) {
+  const seen = new Set();
+  const union = [];
+  (a || []).concat(b || []).forEach(rev => {
+    if (!rev) return;
+    const key = `${rev.revision}|${rev.at}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    union.push(rev);
+  });
+  return union
+    .map((rev, i) => ({ rev, i }))
+    .sort((x, y) => String(x.rev.at || '').localeCompare(String(y.rev.at || '')) ||
+      (x.rev.revision || 0) - (y.rev.revision || 0) || x.i - y.i)
+    .map(({ rev }, i) => ({ ...rev, revision: i + 1 }));
+}
+
+function hasHistory(entry) {
+  return Array.isArray(entry.history) && entry.history.length > 0;
+}
+
+/**
+ * Merge entries pulled from the server into the local list.
+ * Local order is preserved and new entries are appended.
+ * @param {Array} localEntries - Entries on this device
+ * @param {Array} remoteEntries - Entries converted from server rows
+ * @param {Object} [options]
+ * @param {boolean} [options.keepDeleted] - Keep soft-deleted entries as
+ *   records (treatment audit trail) instead of removing them
+ * @returns {{entries: Array, conflicts: Array}} - Merged entries and any
+ *   conflicts ({id, winner: 'local'|'remote', discarded})
+ */
+function mergeRemoteEntries(localEntries, remoteEntries, { keepDeleted = false } = {}) {
+  const merged = (localEntries || []).map(entry => ({ ...entry }));
+  const indexById = new Map();
+  merged.forEach((entry, i) => {
+    if (entry.id) indexById.set(entry.id, i);
+  });
+
+  const removed = new Set();
+  const conflicts = [];
+
+  (remoteEntries || []).forEach(remote => {
+    if (!remote || !remote.id) return;
+
+    if (!indexById.has(remote.id)) {
+      if (!remote.deleted || keepDeleted) {
+        indexById.set(remote.id, merged.length);
+        merged.push({ ...remote });
+      }
+      return;
+    }
+
+    const i = indexById.get(remote.id);
+    const local = merged[i];
+
+    // Server echoes what we already have (e.g. our own previous push)
+    if (local.updatedAt === remote.updatedAt) {
+      local.syncedAt = remote.updatedAt;
+      if (remote.deleted && !keepDeleted) removed.add(i);
+      return;
+    }
+
+    const localDirty = needsPush(local);
+    const remoteChanged = remote.updatedAt !== local.syncedAt;
+    let takeRemote;
+
+    if (!localDirty) {
+      takeRemote = remoteChanged;
+    } else if (!remoteChanged) {
+      takeRemote = false;
+    } else {
+      // Edited on two devices since the last sync: newest edit wins
+      takeRemote = String(remote.updatedAt) > String(local.updatedAt);
+      conflicts.push({
+        id: remote.id,
+        winner: takeRemote ? 'remote' : 'local',
+        discarded: takeRemote ? { ...local } : { ...remote }
+      });
+    }
+
+    // When local wins it is still dirty, so the next push overwrites the server copy
+    if (takeRemote) {
+      if (remote.deleted && !keepDeleted) {
+        removed.add(i);
+      } else {
+        merged[i] = { ...remote };
+      }
+    }
+
+    // Both sides added revisions: the winner carries both histories and is
+    // left dirty so the push writes the combined history to the server
+    if (localDirty && remoteChanged && !removed.has(i) && (hasHistory(local) || hasHistory(remote))) {
+      const history = mergeRevisionHistories(local.history, remote.history);
+      merged[i] = { ...merged[i], history, revision: history.length, ...(takeRemote ? { syncedAt: null } : {}) };
+    }
+  });
+
+  return {
+    entries: merged.filter((_, i) => !removed.has(i)),
+    conflicts
+  };
+}
+
+/**
+ * Sync one log type: pull server changes, merge them, then push local changes
+ * and pending deletions.
+ * @param {Object} options
+ * @param {Object} options.remote - Transport with selectChangedRows/upsertRows
+ *   (upsertRows may resolve to {queued: true} when the outbox held the push)
+ * @param {string} options.table - Supabase table name
+ * @param {Array} options.entries - Local entries
+ * @param {Array} options.tombstones - Locally deleted entries still to be pushed
+ * @param {string|null} options.cursor - Server updated_at of the last pulled row
+ * @param {{id: string, name: string}} options.employee - Signed-in employee
+ * @param {Function} options.toRow - Local entry -> row
+ * @param {Function} options.fromRow - Row -> local entry
+ * @param {boolean} [options.keepDeleted] - Keep soft-deleted entries locally
+ * @returns {Promise<Object>} - { entries, tombstones, cursor, conflicts, pulled, pushed, queued }
+ */
+async function syncTable({ remote, table, entries, tombstones, cursor, employee, toRow, fromRow, keepDeleted = false }) {
+  const rows = await remote.selectChangedRows(table, cursor);
+  let nextCursor = cursor || null;
+  rows.forEach(row => {
+    if (row.updated_at && (!nextCursor || row.updated_at > nextCursor)) {
+      nextCursor = row.updated_at;
+    }
+  });
+
+  const pendingDeletes = (tombstones || []).filter(t => t && t.id);
+  const deletedIds = new Set(pendingDeletes.map(t => t.id));
+  const remoteEntries = rows.map(fromRow).filter(e => !deletedIds.has(e.id));
+
+  const { entries: merged, conflicts } = mergeRemoteEntries(entries, remoteEntries, { keepDeleted });
+
+  const toPush = merged.filter(needsPush);
+  const pushRows = toPush
+    .map(entry => toRow(entry, employee))
+    .concat(pendingDeletes.map(entry => toRow({ ...entry, deleted: true }, employee)));
+
+  const pushResult = pushRows.length ? await remote.upsertRows(table, pushRows) : null;
+  // Queued in the outbox: pushed again next sync (upserts are idempotent)
+  const queued = !!(pushResult && pushResult.queued);
+
+  const pushedIds = new Set(queued ? [] : toPush.map(e => e.id));
+  const synced = merged.map(entry =>
+    pushedIds.has(entry.id) ? { ...entry, syncedAt: entry.updatedAt } : entry
+  );
+
+  return {
+    entries: synced,
+    tombstones: queued ? pendingDeletes : [],
+    cursor: nextCursor,
+    conflicts,
+    pulled: rows.length,
+    pushed: queued ? 0 : pushRows.length,
+    queued
+  };
+}
+
+/**
+ * Fold a finished sync into the entries on the device now. Saves made while
+ * the sync was awaiting the server are kept (and pushed next time) instead
+ * of being replaced by the snapshot the sync started from.
+ * @param {Array} snapshot - Entries the sync started from (same objects as the cache held)
+ * @param {Array} current - Entries on the device when the sync finished
+ * @param {Array} synced - Entries returned by syncTable
+ * @returns {Array}
+ */
+function mergeSyncedEntries(snapshot, current, synced) {
+  const before = new Map((snapshot || []).map(entry => [entry.id, entry]));
+  const after = new Map((synced || []).map(entry => [entry.id, entry]));
+  const result = [];
+  const seen = new Set();
+
+  (current || []).forEach(entry => {
+    seen.add(entry.id);
+    const started = before.get(entry.id);
+    const done = after.get(entry.id);
+    if (started === entry) {
+      // Untouched during the sync; gone from the result means the server deleted it
+      if (done) result.push(done);
+      return;
+    }
+    // Saved during the sync. If the sync confirmed the version it started
+    // from, the new save builds on it; otherwise leave syncedAt alone.
+    const confirmed = started && done && done.updatedAt === started.updatedAt && !needsPush(done);
+    result.push(confirmed ? { ...entry, syncedAt: done.syncedAt } : entry);
+  });
+
+  // Pulled entries; snapshot entries removed from the device meanwhile stay removed
+  (synced || []).forEach(entry => {
+    if (!seen.has(entry.id) && !before.has(entry.id)) result.push(entry);
+  });
+  return result;
+}
+
+/**
+ * Upload photos taken on this device that have no URL yet. Entries that gain
+ * a URL get a new updatedAt so the next push writes their photos column.
+ * Photos whose stored copy is gone, or whose upload was only queued in the
+ * outbox, are left as they are and tried again next sync.
+ * @param {Object} options
+ * @param {Object} options.remote - Transport with uploadPhoto(path, blob) -> URL, or null when queued
+ * @param {Array} options.entries - Local entries with `photos` refs
+ * @param {Function} options.readPhoto - Photo id -> Promise<Blob|null>
+ * @param {string} [options.now] - ISO timestamp for updatedAt
+ * @returns {Promise<{entries: Array, uploaded: Array<string>}>} - Updated entries and uploaded photo ids
+ */
+async function uploadEntryPhotos({ remote, entries, readPhoto, now }) {
+  const stamp = now || new Date().toISOString();
+  const uploaded = [];
+  const result = [];
+
+  for (const entry of entries || []) {
+    const pending = (entry.photos || []).filter(photo => photo && photo.id && !photo.url);
+    if (!pending.length || entry.deleted) {
+      result.push(entry);
+      continue;
+    }
+    const urls = {};
+    for (const photo of pending) {
+      const blob = await readPhoto(photo.id);
+      if (!blob) continue;
+      // The path is stable, so a retry after a lost response overwrites the same object
+      const url = await remote.uploadPhoto(`${entry.id}/${photo.id}.jpg`, blob);
+      if (!url) continue;
+      urls[photo.id] = url;
+      uploaded.push(photo.id);
+    }
+    if (!Object.keys(urls).length) {
+      result.push(entry);
+      continue;
+    }
+    result.push({
+      ...entry,
+      photos: entry.photos.map(photo => (urls[photo.id] ? { ...photo, url: urls[photo.id] } : photo)),
+      updatedAt: stamp
+    });
+  }
+
+  return { entries: result, uploaded };
+}
+
+// ====== SUPABASE REST TRANSPORT ======
+
+function authHeaders(config, accessToken) {
+  return {
+    apikey: config.anonKey,
+    Authorization: `Bearer ${accessToken || config.anonKey}`,
+    'Content-Type': 'application/json'
+  };
+}
+
+// 202 from the service worker outbox: stored for replay, not delivered
+function isOutboxQueued(res) {
+  return res.status === 202 && res.headers.get('X-Vine-Outbox') === 'queued';
+}
+
+async function readJsonResponse(res, context) {
+  const text = await res.text();
+  const body = text ? JSON.parse(text) : null;
+  if (!res.ok) {
+    const message = (body && (body.message || body.error_description || body.msg || body.error)) || res.statusText;
+    const err = new Error(`${context} failed (${res.status}): ${message}`);
+    err.status = res.status;
+    throw err;
+  }
+  return body;
+}
+
+function sessionFromAuthResponse(body) {
+  const user = body.user || {};
+  const meta = user.user_metadata || {};
+  return {
+    accessToken: body.access_token,
+    refreshToken: body.refresh_token,
+    expiresAt: Date.now() + (body.expires_in || 3600) * 1000,
+    user: {
+      id: user.id,
+      email: user.email || '',
+      name: meta.full_name || meta.name || (user.email || '').split('@')[0] || 'Employee'
+    }
+  };
+}
+
+/**
+ * Sign in with email and password against Supabase Auth
+ * @param {{url: string, anonKey: string}} config
+ * @returns {Promise<Object>} - Session {accessToken, refreshToken, expiresAt, user}
+ */
+async function signInWithPassword(config, email, password) {
+  const res = await fetch(`${config.url}/auth/v1/token?grant_type=password`, {
+    method: 'POST',
+    headers: authHeaders(config),
+    body: JSON.stringify({ email, password })
+  });
+  return sessionFromAuthResponse(await readJsonResponse(res, 'Sign in'));
+}
+
+/**
+ * Exchange a refresh token for a new session
+ * @param {{url: string, anonKey: string}} config
+ * @returns {Promise<Object>} - Session {accessToken, refreshToken, expiresAt, user}
+ */
+async function refreshSession(config, refreshToken) {
+  const res = await fetch(`${config.url}/auth/v1/token?grant_type=refresh_token`, {
+    method: 'POST',
+    headers: authHeaders(config),
+    body: JSON.stringify({ refresh_token: refreshToken })
+  });
+  return sessionFromAuthResponse(await readJsonResponse(res, 'Session refresh'));
+}
+
+/**
+ * Create a REST transport bound to a signed-in session. RLS limits every
+ * query to the employee's own rows.
+ * @param {{url: string, anonKey: string}} config
+ * @param {string} accessToken
+ * @returns {{selectChangedRows: Function, upsertRows: Function, uploadPhoto: Function}}
+ */
+function createSupabaseRemote(config, accessToken) {
+  const headers = authHeaders(config, accessToken);
+  return {
+    async selectChangedRows(table, since) {
+      const params = new URLSearchParams({ select: '*', order: 'updated_at.asc' });
+      if (since) params.set('updated_at', `gt.${since}`);
+      const res = await fetch(`${config.url}/rest/v1/${table}?${params.toString()}`, { headers });
+      return (await readJsonResponse(res, `Fetching ${table}`)) || [];
+    },
+    async upsertRows(table, rows) {
+      const res = await fetch(`${config.url}/rest/v1/${table}?on_conflict=id`, {
+        method: 'POST',
+        headers: { ...headers, Prefer: 'resolution=merge-duplicates,return=minimal' },
+        body: JSON.stringify(rows)
+      });
+      await readJsonResponse(res, `Saving ${table}`);
+      return { queued: isOutboxQueued(res) };
+    },
+    async uploadPhoto(path, blob) {
+      const res = await fetch(`${config.url}/storage/v1/object/${LOG_PHOTO_BUCKET}/${path}`, {
+        method: 'POST',
+        headers: {
+          apikey: config.anonKey,
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': blob.type || 'image/jpeg',
+          'x-upsert': 'true'
+        },
+        body: blob
+      });
+      await readJsonResponse(res, 'Uploading photo');
+      if (isOutboxQueued(res)) return null;
+      return `${config.url}/storage/v1/object/public/${LOG_PHOTO_BUCKET}/${path}`;
+    }
+  };
+}
+
+// Export functions for use in main script
+if (typeof window !== 'undefined') {
+  window.LogSync = {
+    LOG_SYNC_TABLES,
+    needsPush,
+    mixTextToInputs,
+    photoUrls,
+    treatmentEntryToRow,
+    rowToTreatmentEntry,
+    scoutingEntryToRow,
+    rowToScoutingEntry,
+    mergeRevisionHistories,
+    mergeRemoteEntries,
+    syncTable,
+    mergeSyncedEntries,
+    uploadEntryPhotos,
+    signInWithPassword,
+    refreshSession,
+    createSupabaseRemote
+  };
+}
+
+// For Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LOG_SYNC_TABLES,
+    needsPush,
+    mixTextToInputs,
+    photoUrls,
+    treatmentEntryToRow,
+    rowToTreatmentEntry,
+    scoutingEntryToRow,
+    rowToScoutingEntry,
+    mergeRevisionHistories,
+    mergeRemoteEntries,
+    syncTable,
+    mergeSyncedEntries,
+    uploadEntryPhotos,
+    signInWithPassword,
+    refreshSession,
+    createSupabaseRemote
+  };
+}
@@ -0,0 +1,450 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for log sync mapping and merge functions
+ * Run with: node log-sync.test.js
+ */
+
+const {
+  needsPush,
+  mixTextToInputs,
+  treatmentEntryToRow,
+  rowToTreatmentEntry,
+  scoutingEntryToRow,
+  rowToScoutingEntry,
+  mergeRevisionHistories,
+  mergeRemoteEntries,
+  syncTable,
+  mergeSyncedEntries,
+  uploadEntryPhotos,
+  createSupabaseRemote
+} = require('./log-sync.js');
+
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected} but got ${actual}. ${message}`);
+  }
+}
+
+function assertTruthy(value, message = '') {
+  if (!value) {
+    throw new Error(`Expected truthy value. ${message}`);
+  }
+}
+
+const EMPLOYEE = { id: '123e4567-e89b-12d3-a456-426614174000', name: 'Sam' };
+const ID_A = '11111111-1111-4111-8111-111111111111';
+const ID_B = '22222222-2222-4222-8222-222222222222';
+
+function treatmentEntry(overrides = {}) {
+  return {
+    id: ID_A,
+    date: '2024-05-01',
+    time: '07:45',
+    area: 'Block A',
+    crop: 'Rose',
+    tankSize: '25',
+    sprayer: 'Backpack 2 (Flat fan XR8002, 30 psi)',
+    sprayVolume: '1',
+    coverage: '25000',
+    mix: 'Tempo SC: 2.00 fl oz (~59 mL) at 0.08 fl oz/gal',
+    notes: 'Aphids',
+    updatedAt: '2024-05-01T10:00:00.000Z',
+    syncedAt: null,
+    ...overrides
+  };
+}
+
+// In-memory stand-in for the Supabase REST transport
+function createFakeRemote(rows = []) {
+  let clock = 0;
+  return {
+    rows,
+    upserts: [],
+    async selectChangedRows(table, since) {
+      return this.rows
+        .filter(row => !since || row.updated_at > since)
+        .map(row => ({ ...row }));
+    },
+    async upsertRows(table, pushRows) {
+      this.upserts.push(pushRows);
+      pushRows.forEach(row => {
+        clock++;
+        const stored = { ...row, updated_at: `2099-01-01T00:00:0${clock}.000Z` };
+        const i = this.rows.findIndex(r => r.id === row.id);
+        if (i === -1) this.rows.push(stored); else this.rows[i] = stored;
+      });
+    }
+  };
+}
+
+async function run() {
+  console.log('🧪 Log Sync Test Suite\n');
+  console.log('='.repeat(60));
+
+  console.log('\n🔁 Row Mapping Tests:');
+
+  await test('needsPush is true for unsynced and edited entries', () => {
+    assertEquals(needsPush({ updatedAt: 'a', syncedAt: null }), true);
+    assertEquals(needsPush({ updatedAt: 'b', syncedAt: 'a' }), true);
+    assertEquals(needsPush({ updatedAt: 'a', syncedAt: 'a' }), false);
+  });
+
+  await test('mixTextToInputs splits name and rate per line', () => {
+    const inputs = mixTextToInputs('Tempo SC: 2 fl oz\nCapsil: 1 fl oz\n');
+    assertEquals(inputs.length, 2);
+    assertEquals(inputs[0].name, 'Tempo SC');
+    assertEquals(inputs[1].rate, '1 fl oz');
+  });
+
+  await test('treatmentEntryToRow maps area and fills NOT NULL columns', () => {
+    const row = treatmentEntryToRow(treatmentEntry({ area: '', crop: '' }), EMPLOYEE);
+    assertEquals(row.id, ID_A);
+    assertEquals(row.employee_id, EMPLOYEE.id);
+    assertEquals(row.location, 'Unspecified');
+    assertEquals(row.crop, 'Unspecified');
+    assertEquals(row.inputs[0].name, 'Tempo SC');
+    assertEquals(row.metadata.client_updated_at, '2024-05-01T10:00:00.000Z');
+  });
+
+  await test('treatmentEntryToRow falls back to updatedAt date when date is blank', () => {
+    const row = treatmentEntryToRow(treatmentEntry({ date: '' }), EMPLOYEE);
+    assertEquals(row.date, '2024-05-01');
+  });
+
+  await test('Treatment entries round-trip through a row', () => {
+    const entry = treatmentEntry();
+    const back = rowToTreatmentEntry({ ...treatmentEntryToRow(entry, EMPLOYEE), updated_at: '2024-05-02T00:00:00Z' });
+    ['id', 'date', 'time', 'area', 'crop', 'tankSize', 'sprayer', 'sprayVolume', 'coverage', 'mix', 'notes', 'updatedAt'].forEach(key => {
+      assertEquals(back[key], entry[key], key);
+    });
+    assertEquals(back.syncedAt, entry.updatedAt, 'Pulled entries are already synced');
+  });
+
+  await test('Structured treatment inputs are sent as-is and restored', () => {
+    const inputs = [{
+      chemical_id: 'C012', name: 'Tempo SC Ultra', epa_reg_num: '432-1363', active_ingredient: 'Beta-cyfluthrin',
+      rate: 0.08, rate_unit: 'fl oz/gal', amount: 2, amount_unit: 'fl oz'
+    }];
+    const row = treatmentEntryToRow(treatmentEntry({ inputs }), EMPLOYEE);
+    assertEquals(row.inputs, inputs);
+    const back = rowToTreatmentEntry(row);
+    assertEquals(back.inputs[0].chemical_id, 'C012');
+    assertEquals(rowToTreatmentEntry(treatmentEntryToRow(treatmentEntry(), EMPLOYEE)).inputs, undefined,
+      'Split mix lines are not mistaken for structured inputs');
+  });
+
+  await test('Scouting pressure maps to pests_observed severity', () => {
+    const row = scoutingEntryToRow({
+      id: ID_B, date: '2024-05-01', area: 'Block B', crop: 'Rose',
+      issueType: 'insect', pressure: 'high', notes: '', updatedAt: '2024-05-01T10:00:00Z'
+    }, EMPLOYEE);
+    assertEquals(row.pests_observed[0].name, 'insect');
+    assertEquals(row.pests_observed[0].severity, 'severe');
+    const back = rowToScoutingEntry(row);
+    assertEquals(back.pressure, 'high');
+    assertEquals(back.issueType, 'insect');
+  });
+
+  await test('Scouting rows from other clients list observations in notes', () => {
+    const entry = rowToScoutingEntry({
+      id: ID_B, date: '2024-05-01', location: 'Greenhouse 1', crop: 'Tomato',
+      pests_observed: [{ name: 'aphids', severity: 'moderate' }],
+      notes: 'Underside of leaves', metadata: {}, updated_at: '2024-05-01T12:00:00Z'
+    });
+    assertEquals(entry.pressure, 'medium');
+    assertTruthy(entry.notes.includes('aphids (moderate)'));
+    assertEquals(entry.updatedAt, '2024-05-01T12:00:00Z');
+  });
+
+  await test('Uploaded scouting photos fill the photos column and keep their EXIF time', () => {
+    const row = scoutingEntryToRow({
+      id: ID_B, date: '2024-05-01', area: 'Block B', crop: 'Rose', issueType: 'pest', pressure: 'low', notes: '',
+      photos: [
+        { id: 'p1', takenAt: '2024-05-01T09:15:00', width: 1600, height: 1200, thumb: 'data:image/jpeg;base64,AAA', url: 'https://x.supabase.co/p1.jpg' },
+        { id: 'p2', takenAt: '2024-05-01T09:16:00', width: 1200, height: 1600, thumb: 'data:image/jpeg;base64,BBB', url: '' }
+      ],
+      updatedAt: '2024-05-01T10:00:00Z'
+    }, EMPLOYEE);
+    assertEquals(JSON.stringify(row.photos), '["https://x.supabase.co/p1.jpg"]');
+    assertEquals(JSON.stringify(row.metadata).includes('base64'), false, 'Thumbnails stay on the device');
+    const back = rowToScoutingEntry(row);
+    assertEquals(back.photos.length, 2);
+    assertEquals(back.photos[1].takenAt, '2024-05-01T09:16:00');
+    const fromReact = rowToScoutingEntry({
+      id: ID_B, location: 'Greenhouse 1', crop: 'Tomato', pests_observed: [], metadata: {},
+      photos: ['https://x.supabase.co/a.jpg'], updated_at: '2024-05-01T12:00:00Z'
+    });
+    assertEquals(fromReact.photos[0].url, 'https://x.supabase.co/a.jpg');
+  });
+
+  await test('Soft-deleted rows are flagged', () => {
+    const row = treatmentEntryToRow(treatmentEntry({ deleted: true }), EMPLOYEE);
+    assertEquals(row.metadata.deleted, true);
+    assertEquals(rowToTreatmentEntry(row).deleted, true);
+  });
+
+  console.log('\n🔀 Merge Tests:');
+
+  await test('New remote entries are appended', () => {
+    const { entries } = mergeRemoteEntries([treatmentEntry()], [treatmentEntry({ id: ID_B, syncedAt: 'x', updatedAt: 'x' })]);
+    assertEquals(entries.length, 2);
+    assertEquals(entries[1].id, ID_B);
+  });
+
+  await test('Remote edit replaces an unchanged local entry', () => {
+    const local = treatmentEntry({ syncedAt: '2024-05-01T10:00:00.000Z' });
+    const remote = treatmentEntry({ notes: 'Edited elsewhere', updatedAt: '2024-05-02T00:00:00.000Z', syncedAt: '2024-05-02T00:00:00.000Z' });
+    const { entries, conflicts } = mergeRemoteEntries([local], [remote]);
+    assertEquals(entries[0].notes, 'Edited elsewhere');
+    assertEquals(conflicts.length, 0);
+  });
+
+  await test('Local edit is kept when the server has not changed', () => {
+    const local = treatmentEntry({ notes: 'Edited here', updatedAt: '2024-05-03T00:00:00.000Z', syncedAt: '2024-05-01T10:00:00.000Z' });
+    const remote = treatmentEntry({ syncedAt: '2024-05-01T10:00:00.000Z' });
+    const { entries, conflicts } = mergeRemoteEntries([local], [remote]);
+    assertEquals(entries[0].notes, 'Edited here');
+    assertEquals(conflicts.length, 0);
+  });
+
+  await test('Edits on two devices resolve to the newest and report a conflict', () => {
+    const local = treatmentEntry({ notes: 'Older', updatedAt: '2024-05-02T00:00:00.000Z', syncedAt: '2024-05-01T10:00:00.000Z' });
+    const remote = treatmentEntry({ notes: 'Newer', updatedAt: '2024-05-03T00:00:00.000Z', syncedAt: '2024-05-03T00:00:00.000Z' });
+    const { entries, conflicts } = mergeRemoteEntries([local], [remote]);
+    assertEquals(entries[0].notes, 'Newer');
+    assertEquals(conflicts.length, 1);
+    assertEquals(conflicts[0].winner, 'remote');
+    assertEquals(conflicts[0].discarded.notes, 'Older');
+  });
+
+  await test('Treatment edits on two devices keep both revision histories', async () => {
+    const created = { revision: 1, action: 'created', at: '2024-05-01T10:00:00.000Z', by: 'Sam' };
+    const local = treatmentEntry({
+      notes: 'Older', revision: 2, updatedAt: '2024-05-02T00:00:00.000Z', syncedAt: '2024-05-01T10:00:00.000Z',
+      history: [created, { revision: 2, action: 'edited', at: '2024-05-02T00:00:00.000Z', by: 'Sam', reason: 'Rate typo' }]
+    });
+    const remote = treatmentEntry({
+      notes: 'Newer', revision: 2, updatedAt: '2024-05-03T00:00:00.000Z', syncedAt: '2024-05-03T00:00:00.000Z',
+      history: [created, { revision: 2, action: 'edited', at: '2024-05-03T00:00:00.000Z', by: 'Lee', reason: 'Wrong block' }]
+    });
+    const { entries, conflicts } = mergeRemoteEntries([local], [remote], { keepDeleted: true });
+    assertEquals(entries[0].notes, 'Newer');
+    assertEquals(conflicts.length, 1);
+    assertEquals(entries[0].history.map(rev => `${rev.revision}:${rev.reason || rev.action}`).join(','),
+      '1:created,2:Rate typo,3:Wrong block');
+    assertEquals(entries[0].revision, 3);
+    assertEquals(needsPush(entries[0]), true, 'The combined history is pushed');
+
+    const remoteRows = createFakeRemote([{ ...treatmentEntryToRow(remote, EMPLOYEE), updated_at: '2024-05-03T00:00:01.000Z' }]);
+    const result = await syncTable({
+      remote: remoteRows, table: 'treatment_logs', entries: [local], tombstones: [], cursor: null,
+      employee: EMPLOYEE, toRow: treatmentEntryToRow, fromRow: rowToTreatmentEntry, keepDeleted: true
+    });
+    assertEquals(remoteRows.rows[0].metadata.history.length, 3);
+    assertEquals(needsPush(result.entries[0]), false);
+  });
+
+  await test('mergeRevisionHistories keeps shared revisions once', () => {
+    const shared = { revision: 1, action: 'created', at: 'a' };
+    assertEquals(mergeRevisionHistories([shared], [shared]).length, 1);
+    assertEquals(mergeRevisionHistories([shared], []).length, 1);
+  });
+
+  await test('Remote soft delete removes the local entry', () => {
+    const local = treatmentEntry({ syncedAt: '2024-05-01T10:00:00.000Z' });
+    const remote = treatmentEntry({ deleted: true, updatedAt: '2024-05-02T00:00:00.000Z' });
+    const { entries } = mergeRemoteEntries([local], [remote]);
+    assertEquals(entries.length, 0);
+  });
+
+  await test('Soft-deleted treatment entries are kept when keepDeleted is set', () => {
+    const local = treatmentEntry({ syncedAt: '2024-05-01T10:00:00.000Z' });
+    const remote = treatmentEntry({ deleted: true, deletedBy: 'Sam', updatedAt: '2024-05-02T00:00:00.000Z' });
+    const { entries } = mergeRemoteEntries([local], [remote], { keepDeleted: true });
+    assertEquals(entries.length, 1);
+    assertEquals(entries[0].deleted, true);
+    assertEquals(entries[0].deletedBy, 'Sam');
+  });
+
+  await test('Revision history round-trips through row metadata', () => {
+    const history = [{ revision: 1, action: 'created' }, { revision: 2, action: 'edited', reason: 'Rate typo' }];
+    const row = treatmentEntryToRow(treatmentEntry({ revision: 2, history, createdBy: 'Sam' }), EMPLOYEE);
+    assertEquals(row.metadata.revision, 2);
+    const back = rowToTreatmentEntry(row);
+    assertEquals(back.history.length, 2);
+    assertEquals(back.history[1].reason, 'Rate typo');
+    assertEquals(back.createdBy, 'Sam');
+  });
+
+  console.log('\n☁️  Sync Tests:');
+
+  await test('syncTable pushes new entries and marks them synced', async () => {
+    const remote = createFakeRemote();
+    const result = await syncTable({
+      remote, table: 'treatment_logs', entries: [treatmentEntry()], tombstones: [], cursor: null,
+      employee: EMPLOYEE, toRow: treatmentEntryToRow, fromRow: rowToTreatmentEntry
+    });
+    assertEquals(result.pushed, 1);
+    assertEquals(remote.rows.length, 1);
+    assertEquals(needsPush(result.entries[0]), false);
+  });
+
+  await test('syncTable pulls entries from another device', async () => {
+    const remote = createFakeRemote([
+      { ...treatmentEntryToRow(treatmentEntry({ id: ID_B }), EMPLOYEE), updated_at: '2024-05-05T00:00:00.000Z' }
+    ]);
+    const result = await syncTable({
+      remote, table: 'treatment_logs', entries: [], tombstones: [], cursor: null,
+      employee: EMPLOYEE, toRow: treatmentEntryToRow, fromRow: rowToTreatmentEntry
+    });
+    assertEquals(result.entries.length, 1);
+    assertEquals(result.pushed, 0);
+    assertEquals(result.cursor, '2024-05-05T00:00:00.000Z');
+  });
+
+  await test('syncTable pushes tombstones as soft deletes', async () => {
+    const entry = treatmentEntry({ syncedAt: '2024-05-01T10:00:00.000Z' });
+    const remote = createFakeRemote([{ ...treatmentEntryToRow(entry, EMPLOYEE), updated_at: '2024-05-01T10:00:01.000Z' }]);
+    const result = await syncTable({
+      remote, table: 'treatment_logs', entries: [], tombstones: [entry], cursor: '2024-05-01T10:00:01.000Z',
+      employee: EMPLOYEE, toRow: treatmentEntryToRow, fromRow: rowToTreatmentEntry
+    });
+    assertEquals(result.tombstones.length, 0);
+    assertEquals(remote.rows[0].metadata.deleted, true);
+  });
+
+  await test('Entries saved while a sync is running survive its result', async () => {
+    const remote = createFakeRemote([
+      { ...treatmentEntryToRow(treatmentEntry({ id: ID_B }), EMPLOYEE), updated_at: '2024-05-05T00:00:00.000Z' }
+    ]);
+    const snapshot = [treatmentEntry()];
+    const result = await syncTable({
+      remote, table: 'treatment_logs', entries: snapshot, tombstones: [], cursor: null,
+      employee: EMPLOYEE, toRow: treatmentEntryToRow, fromRow: rowToTreatmentEntry
+    });
+    const ID_C = '33333333-3333-4333-8333-333333333333';
+    const edited = { ...snapshot[0], notes: 'Edited during sync', updatedAt: '2024-05-01T10:05:00.000Z' };
+    const added = treatmentEntry({ id: ID_C, notes: 'Saved during sync' });
+    const merged = mergeSyncedEntries(snapshot, [edited, added], result.entries);
+
+    assertEquals(merged.map(e => e.id).join(','), [ID_A, ID_C, ID_B].join(','));
+    assertEquals(merged[0].notes, 'Edited during sync');
+    assertEquals(merged[0].syncedAt, '2024-05-01T10:00:00.000Z', 'Builds on the pushed version');
+    assertEquals(needsPush(merged[0]), true);
+    assertEquals(needsPush(merged[1]), true, 'The new entry is pushed next time');
+  });
+
+  await test('Untouched entries take the synced version; entries removed meanwhile stay removed', () => {
+    const snapshot = [treatmentEntry(), treatmentEntry({ id: ID_B })];
+    const synced = snapshot.map(e => ({ ...e, syncedAt: e.updatedAt }));
+    const merged = mergeSyncedEntries(snapshot, [snapshot[0]], synced);
+    assertEquals(merged.length, 1);
+    assertEquals(needsPush(merged[0]), false);
+  });
+
+  await test('uploadEntryPhotos uploads stored photos once and marks the entry for push', async () => {
+    const uploads = [];
+    const remote = {
+      async uploadPhoto(path, blob) {
+        uploads.push(path);
+        return `https://x.supabase.co/storage/v1/object/public/request-images/${path}`;
+      }
+    };
+    const entries = [
+      { id: ID_A, photos: [{ id: 'p1', url: '' }, { id: 'gone', url: '' }], updatedAt: '2024-05-01T10:00:00Z', syncedAt: '2024-05-01T10:00:00Z' },
+      { id: ID_B, photos: [{ id: 'p2', url: 'https://x.supabase.co/p2.jpg' }], updatedAt: '2024-05-01T10:00:00Z', syncedAt: '2024-05-01T10:00:00Z' }
+    ];
+    const blobs = { p1: { type: 'image/jpeg' } };
+    const result = await uploadEntryPhotos({
+      remote, entries, readPhoto: async id => blobs[id] || null, now: '2024-05-02T08:00:00Z'
+    });
+    assertEquals(uploads.join(','), `${ID_A}/p1.jpg`);
+    assertEquals(result.uploaded.join(','), 'p1');
+    assertTruthy(result.entries[0].photos[0].url.endsWith(`${ID_A}/p1.jpg`));
+    assertEquals(result.entries[0].photos[1].url, '', 'Photos without a stored copy wait');
+    assertEquals(needsPush(result.entries[0]), true);
+    assertEquals(result.entries[1], entries[1], 'Entries with nothing to upload are unchanged');
+  });
+
+  await test('A push queued in the offline outbox stays pending', async () => {
+    const remote = createFakeRemote();
+    remote.upsertRows = async () => ({ queued: true });
+    const tombstone = treatmentEntry({ id: ID_B, syncedAt: '2024-05-01T10:00:00.000Z' });
+    const result = await syncTable({
+      remote, table: 'treatment_logs', entries: [treatmentEntry()], tombstones: [tombstone], cursor: null,
+      employee: EMPLOYEE, toRow: treatmentEntryToRow, fromRow: rowToTreatmentEntry
+    });
+    assertEquals(result.queued, true);
+    assertEquals(result.pushed, 0);
+    assertEquals(needsPush(result.entries[0]), true);
+    assertEquals(result.tombstones.length, 1, 'Deletions are pushed again next sync');
+  });
+
+  await test('The Supabase transport reports outbox 202 responses as queued', async () => {
+    const originalFetch = global.fetch;
+    global.fetch = async () => new Response(JSON.stringify({ queued: true }), {
+      status: 202,
+      headers: { 'Content-Type': 'application/json', 'X-Vine-Outbox': 'queued' }
+    });
+    try {
+      const remote = createSupabaseRemote({ url: 'https://x.supabase.co', anonKey: 'anon' }, 'token');
+      assertEquals((await remote.upsertRows('treatment_logs', [{ id: ID_A }])).queued, true);
+      assertEquals(await remote.uploadPhoto(`${ID_A}/p1.jpg`, new Blob(['x'], { type: 'image/jpeg' })), null);
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  await test('Photo uploads queued in the outbox keep their blobs', async () => {
+    const remote = { async uploadPhoto() { return null; } };
+    const entries = [{ id: ID_A, photos: [{ id: 'p1', url: '' }], updatedAt: 'a', syncedAt: 'a' }];
+    const result = await uploadEntryPhotos({ remote, entries, readPhoto: async () => ({ type: 'image/jpeg' }) });
+    assertEquals(result.uploaded.length, 0);
+    assertEquals(result.entries[0], entries[0]);
+  });
+
+  await test('A second sync is a no-op', async () => {
+    const remote = createFakeRemote();
+    const options = {
+      remote, table: 'treatment_logs', tombstones: [], employee: EMPLOYEE,
+      toRow: treatmentEntryToRow, fromRow: rowToTreatmentEntry
+    };
+    const first = await syncTable({ ...options, entries: [treatmentEntry()], cursor: null });
+    const second = await syncTable({ ...options, entries: first.entries, cursor: first.cursor });
+    assertEquals(second.pushed, 0);
+    assertEquals(second.entries.length, 1);
+    assertEquals(second.conflicts.length, 0);
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log(`\n📊 Test Results:`);
+  console.log(`   ✓ Passed: ${passed}`);
+  console.log(`   ✗ Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+
+  if (failed === 0) {
+    console.log('\n✅ All tests passed!\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ Some tests failed.\n');
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,398 @@
+/**
+ * MOA Utilities Module
+ * Parses the free-form `moa` codes in chemicals.js ("15", "WSSA 14 + 3",
+ * "IRAC 4A", "M1", "21+3", "NC", ...) into structured groups:
+ *
+ *   [{ scheme: 'WSSA', group: '21' }, { scheme: 'WSSA', group: '3' }]
+ *
+ * Bare codes take their scheme from the product category (herbicide → WSSA,
+ * insecticide/miticide → IRAC, fungicide → FRAC). HRAC numbering has matched
+ * WSSA since the 2020 global update, so HRAC codes (including the legacy
+ * letters such as K1 or E) are reported as the equivalent WSSA group and
+ * rotate together with them.
+ */
+
+const MOA_SCHEMES = ['WSSA', 'HRAC', 'IRAC', 'FRAC'];
+
+// Group names by scheme (WSSA / HRAC numeric, IRAC, FRAC)
+const MOA_REFERENCE = {
+  WSSA: {
+    '1': 'ACCase inhibitors',
+    '2': 'ALS inhibitors',
+    '3': 'Microtubule assembly inhibitors (dinitroanilines)',
+    '4': 'Synthetic auxins',
+    '5': 'PSII inhibitors (triazines, uracils)',
+    '6': 'PSII inhibitors (nitriles, benzothiadiazinones)',
+    '7': 'PSII inhibitors (ureas, amides)',
+    '8': 'Lipid synthesis inhibitors (thiocarbamates)',
+    '9': 'EPSP synthase inhibitors (glyphosate)',
+    '10': 'Glutamine synthetase inhibitors (glufosinate)',
+    '11': 'Carotenoid biosynthesis inhibitors (amitrole)',
+    '12': 'Phytoene desaturase (PDS) inhibitors',
+    '13': 'DOXP synthase inhibitors (clomazone)',
+    '14': 'PPO inhibitors',
+    '15': 'Very-long-chain fatty acid (VLCFA) inhibitors',
+    '16': 'Lipid synthesis inhibitors (benzofurans)',
+    '17': 'Unknown (organic arsenicals)',
+    '18': 'DHP synthase inhibitors (asulam)',
+    '19': 'Auxin transport inhibitors',
+    '20': 'Cellulose synthesis inhibitors (nitriles)',
+    '21': 'Cellulose synthesis inhibitors (benzamides)',
+    '22': 'PSI electron diverters (bipyridyliums)',
+    '23': 'Microtubule organization inhibitors (carbamates)',
+    '24': 'Uncouplers (membrane disruptors)',
+    '27': 'HPPD inhibitors',
+    '28': 'DHODH inhibitors',
+    '29': 'Cellulose synthesis inhibitors (alkylazines)',
+    '30': 'Fatty acid thioesterase inhibitors',
+    '31': 'Serine-threonine protein phosphatase inhibitors (endothall)',
+    '32': 'Solanesyl diphosphate synthase inhibitors',
+    '33': 'Homogentisate solanesyltransferase inhibitors',
+    '34': 'Lycopene cyclase inhibitors',
+    'Z': 'Unknown mode of action'
+  },
+  IRAC: {
+    '1A': 'Acetylcholinesterase inhibitors (carbamates)',
+    '1B': 'Acetylcholinesterase inhibitors (organophosphates)',
+    '2A': 'GABA-gated chloride channel blockers (cyclodienes)',
+    '2B': 'GABA-gated chloride channel blockers (phenylpyrazoles)',
+    '3A': 'Sodium channel modulators (pyrethroids, pyrethrins)',
+    '3B': 'Sodium channel modulators (DDT, methoxychlor)',
+    '4A': 'Nicotinic receptor competitive modulators (neonicotinoids)',
+    '4B': 'Nicotinic receptor competitive modulators (nicotine)',
+    '4C': 'Nicotinic receptor competitive modulators (sulfoximines)',
+    '4D': 'Nicotinic receptor competitive modulators (butenolides)',
+    '4E': 'Nicotinic receptor competitive modulators (mesoionics)',
+    '4F': 'Nicotinic receptor competitive modulators (pyridylidenes)',
+    '5': 'Nicotinic receptor allosteric modulators (spinosyns)',
+    '6': 'Glutamate-gated chloride channel allosteric modulators (avermectins)',
+    '7A': 'Juvenile hormone mimics (juvenile hormone analogues)',
+    '7B': 'Juvenile hormone mimics (fenoxycarb)',
+    '7C': 'Juvenile hormone mimics (pyriproxyfen)',
+    '8A': 'Miscellaneous non-specific inhibitors (alkyl halides)',
+    '8B': 'Miscellaneous non-specific inhibitors (chloropicrin)',
+    '8C': 'Miscellaneous non-specific inhibitors (fluorides)',
+    '8D': 'Miscellaneous non-specific inhibitors (borates)',
+    '8E': 'Miscellaneous non-specific inhibitors (tartar emetic)',
+    '8F': 'Miscellaneous non-specific inhibitors (methyl isothiocyanate generators)',
+    '9B': 'Chordotonal organ TRPV channel modulators (pyridine azomethines)',
+    '9D': 'Chordotonal organ TRPV channel modulators (pyropenes)',
+    '10A': 'Mite growth inhibitors (clofentezine, hexythiazox)',
+    '10B': 'Mite growth inhibitors (etoxazole)',
+    '11A': 'Microbial midgut disruptors (Bacillus thuringiensis israelensis)',
+    '11B': 'Microbial midgut disruptors (Bacillus thuringiensis)',
+    '12A': 'ATP synthase inhibitors (diafenthiuron)',
+    '12B': 'ATP synthase inhibitors (organotin miticides)',
+    '12C': 'ATP synthase inhibitors (propargite)',
+    '12D': 'ATP synthase inhibitors (tetradifon)',
+    '13': 'Uncouplers of oxidative phosphorylation',
+    '14': 'Nicotinic receptor channel blockers (nereistoxin analogues)',
+    '15': 'Chitin biosynthesis inhibitors, type 0 (benzoylureas)',
+    '16': 'Chitin biosynthesis inhibitors, type 1 (buprofezin)',
+    '17': 'Moulting disruptors, Dipteran (cyromazine)',
+    '18': 'Ecdysone receptor agonists (diacylhydrazines)',
+    '19': 'Octopamine receptor agonists (amitraz)',
+    '20A': 'Mitochondrial complex III inhibitors (hydramethylnon)',
+    '20B': 'Mitochondrial complex III inhibitors (acequinocyl)',
+    '20C': 'Mitochondrial complex III inhibitors (fluacrypyrim)',
+    '20D': 'Mitochondrial complex III inhibitors (bifenazate)',
+    '21A': 'Mitochondrial complex I inhibitors (METI acaricides)',
+    '21B': 'Mitochondrial complex I inhibitors (rotenone)',
+    '22A': 'Voltage-dependent sodium channel blockers (indoxacarb)',
+    '22B': 'Voltage-dependent sodium channel blockers (metaflumizone)',
+    '23': 'Acetyl CoA carboxylase inhibitors (tetronic and tetramic acids)',
+    '24A': 'Mitochondrial complex IV inhibitors (phosphides)',
+    '24B': 'Mitochondrial complex IV inhibitors (cyanides)',
+    '25': 'Mitochondrial complex II inhibitors (beta-ketonitriles, carboxanilides)',
+    '28': 'Ryanodine receptor modulators (diamides)',
+    '29': 'Chordotonal organ modulators, undefined target (flonicamid)',
+    '30': 'GABA-gated chloride channel allosteric modulators (meta-diamides, isoxazolines)',
+    '31': 'Baculovirus midgut disruptors (granuloviruses)',
+    '32': 'Nicotinic receptor allosteric modulators, site II (GS-omega/kappa HXTX-Hv1a peptide)',
+    '33': 'Calcium-activated potassium channel modulators',
+    '34': 'Mitochondrial complex III inhibitors, Qi site (flometoquin)',
+    'UN': 'Unknown or uncertain mode of action',
+    'UNB': 'Bacterial agents of unknown mode of action',
+    'UNE': 'Botanical essences of unknown mode of action',
+    'UNF': 'Fungal agents of unknown mode of action',
+    'UNM': 'Non-specific mechanical and physical disruptors'
+  },
+  FRAC: {
+    '1': 'MBC fungicides (benzimidazoles)',
+    '2': 'Dicarboximides',
+    '3': 'Demethylation inhibitors (DMI)',
+    '4': 'Phenylamides',
+    '5': 'Amines (morpholines)',
+    '6': 'Phosphorothiolates and dithiolanes',
+    '7': 'Succinate dehydrogenase inhibitors (SDHI)',
+    '8': 'Hydroxy-(2-amino-)pyrimidines',
+    '9': 'Anilinopyrimidines',
+    '10': 'N-phenyl carbamates',
+    '11': 'Quinone outside inhibitors (QoI)',
+    '12': 'Phenylpyrroles',
+    '13': 'Aza-naphthalenes',
+    '14': 'Aromatic hydrocarbons',
+    '16.1': 'Melanin biosynthesis inhibitors – reductase',
+    '16.2': 'Melanin biosynthesis inhibitors – dehydratase',
+    '16.3': 'Melanin biosynthesis inhibitors – polyketide synthase',
+    '17': 'Ketoreductase inhibitors (hydroxyanilides)',
+    '18': 'Squalene epoxidase inhibitors',
+    '19': 'Polyoxins',
+    '20': 'Phenylureas',
+    '21': 'Quinone inside inhibitors (QiI)',
+    '22': 'Benzamides (toluamides)',
+    '23': 'Enopyranuronic acid antibiotics',
+    '24': 'Hexopyranosyl antibiotics',
+    '25': 'Glucopyranosyl antibiotics (streptomycin)',
+    '27': 'Cyanoacetamide-oximes',
+    '28': 'Carbamates (propamocarb)',
+    '29': 'Uncouplers of oxidative phosphorylation (fluazinam)',
+    '30': 'Organo tin compounds',
+    '31': 'Carboxylic acids',
+    '32': 'Heteroaromatics (hymexazol)',
+    '34': 'Thiophene-carboxamides',
+    '35': 'Triazolopyrimidylamines',
+    '36': 'Benzene-sulfonamides',
+    '37': 'Pyridazinones',
+    '38': 'Thiophene-carboxamides (silthiofam)',
+    '39': 'Complex I NADH oxidoreductase inhibitors',
+    '40': 'Carboxylic acid amides (CAA)',
+    '41': 'Tetracycline antibiotics',
+    '42': 'Thiocarbamates',
+    '43': 'Pyridinylmethyl-benzamides (fluopicolide)',
+    '45': 'Quinone outside inhibitors, stigmatellin binding (QoSI)',
+    '47': 'Cyanoacrylates',
+    '48': 'Polyene antibiotics (natamycin)',
+    '49': 'Oxysterol binding protein inhibitors (OSBPI)',
+    '50': 'Aryl-phenyl-ketones',
+    'M01': 'Multi-site: inorganic (copper)',
+    'M02': 'Multi-site: inorganic (sulfur)',
+    'M03': 'Multi-site: dithiocarbamates',
+    'M04': 'Multi-site: phthalimides',
+    'M05': 'Multi-site: chloronitriles (chlorothalonil)',
+    'M06': 'Multi-site: sulfamides',
+    'M07': 'Multi-site: bis-guanidines',
+    'M08': 'Multi-site: triazines',
+    'M09': 'Multi-site: quinones (anthraquinones)',
+    'M10': 'Multi-site: quinoxalines',
+    'M11': 'Multi-site: maleimides',
+    'P01': 'Host plant defence induction (benzothiadiazoles)',
+    'P02': 'Host plant defence induction (benzisothiazoles)',
+    'P03': 'Host plant defence induction (thiadiazole-carboxamides)',
+    'P04': 'Host plant defence induction (polysaccharides)',
+    'P05': 'Host plant defence induction (plant extracts)',
+    'P06': 'Host plant defence induction (microbial)',
+    'P07': 'Host plant defence induction (phosphonates)',
+    'BM01': 'Biologicals: plant extracts',
+    'BM02': 'Biologicals: microbial strains',
+    'U': 'Unknown mode of action'
+  }
+};
+
+// Legacy HRAC letter codes and their WSSA / HRAC (2020) numeric group
+const HRAC_LETTER_TO_WSSA = {
+  A: '1', B: '2', C1: '5', C2: '7', C3: '6', D: '22', E: '14',
+  F1: '12', F2: '27', F3: '11', F4: '13', G: '9', H: '10', I: '18',
+  K1: '3', K2: '23', K3: '15', L: '29', M: '24', N: '8', O: '4', P: '19', Z: 'Z'
+};
+
+// Codes that mean "not classified" rather than a group
+const UNCLASSIFIED_CODES = ['NC', 'NA', 'N/A', 'NONE'];
+
+/**
+ * Scheme implied by a product category
+ * @param {string} category - chemicals.js category ("Herbicide - Pre-emergent")
+ * @returns {string|null} - 'WSSA', 'IRAC', 'FRAC' or null
+ */
+function schemeForCategory(category) {
+  const cat = String(category || '').toLowerCase();
+  if (cat.includes('herbicide')) return 'WSSA';
+  if (cat.includes('insecticide') || cat.includes('miticide') || cat.includes('acaricide')) return 'IRAC';
+  if (cat.includes('fungicide') || cat.includes('bactericide') || cat.includes('algaecide')) return 'FRAC';
+  return null;
+}
+
+/**
+ * Canonical spelling of a group code within a scheme ("m1" → "M01", "4a" → "4A")
+ * @param {string} scheme
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeGroupCode(scheme, code) {
+  const upper = String(code || '').trim().toUpperCase();
+  if (scheme === 'FRAC') {
+    const prefixed = upper.match(/^(M|P|BM)0*(\d+)$/);
+    if (prefixed) return `${prefixed[1]}${prefixed[2].padStart(2, '0')}`;
+  }
+  // Drop leading zeros from numeric groups ("03" → "3", "09D" → "9D")
+  return upper.replace(/^0+(?=\d)/, '');
+}
+
+// Scheme for a bare code when the category does not say
+function schemeForBareCode(code) {
+  if (/^(M|P|BM)\d+$/.test(code) || code === 'U') return 'FRAC';
+  if (/^\d+[A-F]$/.test(code) || /^UN[BEFM]?$/.test(code)) return 'IRAC';
+  return null;
+}
+
+/**
+ * Parse a raw MOA code into structured groups. Premixes ("21+3",
+ * "WSSA 14 + 3", "M3+M1") give one entry per group; a scheme prefix carries
+ * over to the following bare parts. Not-classified codes ("NC", "",
+ * "Oxidizer (non-classified)") return an empty list.
+ * @param {string} raw - The `moa` field
+ * @param {string} [category] - Product category, for bare codes
+ * @returns {Array<{scheme: string, group: string}>} - Unique groups in order
+ */
+function parseMoaCode(raw, category) {
+  const text = String(raw || '').trim();
+  if (!text || UNCLASSIFIED_CODES.includes(text.toUpperCase()) || /non-?classified|not classified/i.test(text)) return [];
+
+  const fallbackScheme = schemeForCategory(category);
+  const groups = [];
+  let scheme = null;
+
+  text.split(/\s*[+,&]\s*|\s+and\s+/i).forEach(part => {
+    const match = part.trim().match(/^(?:(WSSA|HRAC|IRAC|FRAC)\s*(?:group\s*)?)?([A-Za-z]{0,2}\d+(?:\.\d+)?[A-Za-z]?|[A-Za-z]{1,4}\d?)$/i);
+    if (!match) return;
+    if (match[1]) scheme = match[1].toUpperCase();
+    const code = match[2].toUpperCase();
+    if (UNCLASSIFIED_CODES.includes(code)) return;
+
+    let partScheme = scheme || schemeForBareCode(code) || fallbackScheme;
+    let group = code;
+    if (partScheme === 'HRAC') {
+      partScheme = 'WSSA';
+      group = HRAC_LETTER_TO_WSSA[code] || code;
+    }
+    if (!partScheme) return;
+
+    group = normalizeGroupCode(partScheme, group);
+    if (!groups.some(g => g.scheme === partScheme && g.group === group)) {
+      groups.push({ scheme: partScheme, group });
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Rotation key for a group ("WSSA 3", "FRAC M01")
+ * @param {{scheme: string, group: string}} moa
+ * @returns {string}
+ */
+function moaKey(moa) {
+  return `${moa.scheme} ${moa.group}`;
+}
+
+/**
+ * Reference name for a group
+ * @param {string} scheme
+ * @param {string} group
+ * @returns {string} - Name, or '' for groups missing from the reference table
+ */
+function moaGroupName(scheme, group) {
+  const table = MOA_REFERENCE[scheme] || {};
+  return table[group] || '';
+}
+
+/**
+ * Parse a key produced by moaKey back into a group
+ * @param {string} key
+ * @returns {{scheme: string, group: string}|null}
+ */
+function parseMoaKey(key) {
+  const match = String(key || '').match(/^(WSSA|IRAC|FRAC) (\S+)$/);
+  return match ? { scheme: match[1], group: match[2] } : null;
+}
+
+/**
+ * Structured MOA groups for a chemicals.js product, with keys and names
+ * @param {Object} chem - Chemical record (uses `moa` and `category`)
+ * @returns {Array<{scheme: string, group: string, key: string, name: string}>}
+ */
+function getChemicalMoaGroups(chem) {
+  if (!chem) return [];
+  return parseMoaCode(chem.moa, chem.category).map(moa => ({
+    ...moa,
+    key: moaKey(moa),
+    name: moaGroupName(moa.scheme, moa.group)
+  }));
+}
+
+/**
+ * Short display label: "WSSA 21 + 3", "FRAC M03 + M01", or "Not classified"
+ * @param {Array<{scheme: string, group: string}>} groups
+ * @returns {string}
+ */
+function formatMoaGroups(groups) {
+  if (!groups || !groups.length) return 'Not classified';
+  const parts = [];
+  groups.forEach((moa, i) => {
+    const sameScheme = i > 0 && groups[i - 1].scheme === moa.scheme;
+    parts.push(sameScheme ? moa.group : moaKey(moa));
+  });
+  return parts.join(' + ');
+}
+
+/**
+ * Whether a product belongs to a rotation group
+ * @param {Object} chem
+ * @param {string} key - e.g. "WSSA 3"
+ * @returns {boolean}
+ */
+function chemicalHasMoa(chem, key) {
+  return getChemicalMoaGroups(chem).some(moa => moa.key === key);
+}
+
+/**
+ * Searchable text for a product's MOA: keys, bare groups and group names,
+ * so "wssa 3", "4a" and "neonicotinoid" all match
+ * @param {Object} chem
+ * @returns {string} - Lower-cased text
+ */
+function moaSearchText(chem) {
+  return getChemicalMoaGroups(chem)
+    .map(moa => `${moa.key} ${moa.group} ${moa.name}`)
+    .concat(chem && chem.moa ? chem.moa : '')
+    .join(' ')
+    .toLowerCase();
+}
+
+// Export functions for use in main script
+if (typeof window !== 'undefined') {
+  window.MoaUtils = {
+    MOA_SCHEMES,
+    MOA_REFERENCE,
+    HRAC_LETTER_TO_WSSA,
+    schemeForCategory,
+    normalizeGroupCode,
+    parseMoaCode,
+    moaKey,
+    parseMoaKey,
+    moaGroupName,
+    getChemicalMoaGroups,
+    formatMoaGroups,
+    chemicalHasMoa,
+    moaSearchText
+  };
+}
+
+// For Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MOA_SCHEMES,
+    MOA_REFERENCE,
+    HRAC_LETTER_TO_WSSA,
+    schemeForCategory,
+    normalizeGroupCode,
+    parseMoaCode,
+    moaKey,
+    parseMoaKey,
+    moaGroupName,
+    getChemicalMoaGroups,
+    formatMoaGroups,
+    chemicalHasMoa,
+    moaSearchText
+  };
+}
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for MOA code parsing and normalization
+ * Run with: node moa-utils.test.js
+ */
+
+const {
+  MOA_REFERENCE,
+  parseMoaCode,
+  normalizeGroupCode,
+  moaKey,
+  parseMoaKey,
+  getChemicalMoaGroups,
+  formatMoaGroups,
+  chemicalHasMoa,
+  moaSearchText
+} = require('./moa-utils.js');
+const fs = require('fs');
+const vm = require('vm');
+
+// chemicals.js is a browser script (window.chemicals); evaluate it in a sandbox
+const chemicals = vm.runInNewContext(`${fs.readFileSync(`${__dirname}/chemicals.js`, 'utf8')}\nchemicals;`, {});
+
+let passed = 0;
+let failed = 0;
+
+function test(description, fn) {
+  try {
+    fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected} but got ${actual}. ${message}`);
+  }
+}
+
+function assertTruthy(value, message = '') {
+  if (!value) {
+    throw new Error(`Expected truthy value. ${message}`);
+  }
+}
+
+const keys = groups => groups.map(moaKey).join('|');
+
+console.log('\n🔤 Parsing Tests:');
+
+test('Prefixed codes keep their scheme', () => {
+  assertEquals(keys(parseMoaCode('WSSA 15')), 'WSSA 15');
+  assertEquals(keys(parseMoaCode('IRAC 4A')), 'IRAC 4A');
+  assertEquals(keys(parseMoaCode('FRAC M1')), 'FRAC M01');
+});
+
+test('Bare codes take their scheme from the category', () => {
+  assertEquals(keys(parseMoaCode('15', 'Herbicide')), 'WSSA 15');
+  assertEquals(keys(parseMoaCode('15', 'Insecticide')), 'IRAC 15');
+  assertEquals(keys(parseMoaCode('3', 'Fungicide')), 'FRAC 3');
+  assertEquals(keys(parseMoaCode('20D', 'Miticide')), 'IRAC 20D');
+});
+
+test('Letter-coded groups are recognised without a category', () => {
+  assertEquals(keys(parseMoaCode('4A')), 'IRAC 4A');
+  assertEquals(keys(parseMoaCode('M5')), 'FRAC M05');
+  assertEquals(keys(parseMoaCode('P07')), 'FRAC P07');
+  assertEquals(keys(parseMoaCode('BM02')), 'FRAC BM02');
+  assertEquals(parseMoaCode('15').length, 0, 'Bare numbers need a scheme or category');
+});
+
+test('Premixes give one group per component', () => {
+  assertEquals(keys(parseMoaCode('21+3', 'Herbicide')), 'WSSA 21|WSSA 3');
+  assertEquals(keys(parseMoaCode('WSSA 14 + 3')), 'WSSA 14|WSSA 3', 'Prefix carries to later parts');
+  assertEquals(keys(parseMoaCode('M3+M1', 'Fungicide')), 'FRAC M03|FRAC M01');
+  assertEquals(keys(parseMoaCode('14+14', 'Herbicide')), 'WSSA 14', 'Duplicate groups collapse');
+});
+
+test('HRAC codes map onto WSSA groups', () => {
+  assertEquals(keys(parseMoaCode('HRAC 15')), 'WSSA 15');
+  assertEquals(keys(parseMoaCode('HRAC K1')), 'WSSA 3');
+  assertEquals(keys(parseMoaCode('HRAC E + K1')), 'WSSA 14|WSSA 3');
+});
+
+test('Not-classified codes return no groups', () => {
+  assertEquals(parseMoaCode('').length, 0);
+  assertEquals(parseMoaCode('NC', 'Insecticide').length, 0);
+  assertEquals(parseMoaCode('Oxidizer (non-classified)', 'Algaecide').length, 0);
+  assertEquals(keys(parseMoaCode('UN', 'Insecticide')), 'IRAC UN', 'UN is an IRAC group');
+});
+
+test('normalizeGroupCode canonicalizes case and padding', () => {
+  assertEquals(normalizeGroupCode('IRAC', '4a'), '4A');
+  assertEquals(normalizeGroupCode('FRAC', 'm1'), 'M01');
+  assertEquals(normalizeGroupCode('WSSA', '03'), '3');
+});
+
+console.log('\n🏷️ Display Tests:');
+
+test('formatMoaGroups shortens repeated schemes', () => {
+  assertEquals(formatMoaGroups(parseMoaCode('21+3', 'Herbicide')), 'WSSA 21 + 3');
+  assertEquals(formatMoaGroups([]), 'Not classified');
+});
+
+test('parseMoaKey reverses moaKey', () => {
+  const moa = parseMoaKey('FRAC M01');
+  assertEquals(moa.scheme, 'FRAC');
+  assertEquals(moa.group, 'M01');
+  assertEquals(parseMoaKey('nonsense'), null);
+});
+
+test('Search text matches keys and group names', () => {
+  const chem = { moa: '4A', category: 'Insecticide' };
+  const text = moaSearchText(chem);
+  assertTruthy(text.includes('irac 4a'));
+  assertTruthy(text.includes('neonicotinoid'));
+  assertTruthy(chemicalHasMoa({ moa: '21+3', category: 'Herbicide' }, 'WSSA 3'));
+});
+
+console.log('\n📚 Chemical Database Tests:');
+
+test('Every classified product in chemicals.js maps to reference groups', () => {
+  const unnamed = [];
+  chemicals.forEach(chem => {
+    getChemicalMoaGroups(chem).forEach(moa => {
+      if (!moa.name) unnamed.push(`${chem.id} ${moa.key}`);
+    });
+  });
+  assertEquals(unnamed.join(', '), '', 'Groups missing from MOA_REFERENCE');
+});
+
+test('Only explicitly unclassified products have no groups', () => {
+  const empty = chemicals.filter(chem => getChemicalMoaGroups(chem).length === 0);
+  empty.forEach(chem => {
+    assertTruthy(!chem.moa || /^NC$|non-classified/i.test(chem.moa), `${chem.id} (${chem.moa}) did not parse`);
+  });
+  assertTruthy(Object.keys(MOA_REFERENCE.IRAC).length > 50, 'Reference table is complete');
+});
+
+// Summary
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Test Results:`);
+console.log(`   ✓ Passed: ${passed}`);
+console.log(`   ✗ Failed: ${failed}`);
+console.log(`   Total:  ${passed + failed}`);
+
+if (failed === 0) {
+  console.log('\n✅ All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed.\n');
+  process.exit(1);
+}
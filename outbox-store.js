@@ -0,0 +1,265 @@
+/**
+ * Outbox Store
+ * IndexedDB-backed queue for treatment log, scouting log and diagnosis request
+ * submissions that were POSTed while offline.
+ *
+ * Shared by sw.js (capture + replay) and the page (status list, retry,
+ * discard). Route matching, backoff and the replay pass are pure or take
+ * their dependencies as arguments so they can be tested in Node.
+ */
+
+const OUTBOX_DB_NAME = 'vine-outbox';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE = 'items';
+const OUTBOX_META_STORE = 'meta';
+const OUTBOX_SYNC_TAG = 'vine-outbox';
+
+const OUTBOX_MAX_ATTEMPTS = 8;
+const OUTBOX_BASE_DELAY_MS = 30 * 1000;
+const OUTBOX_MAX_DELAY_MS = 60 * 60 * 1000;
+
+// POST endpoints captured while offline: Supabase REST (PWA sync and React
+// client), the Express admin API, and photo uploads that precede a request
+const OUTBOX_ROUTES = [
+  { kind: 'treatment', label: 'Treatment log', pattern: /\/(rest\/v1\/treatment_logs|api\/admin\/treatment-logs)$/ },
+  { kind: 'scouting', label: 'Scouting log', pattern: /\/(rest\/v1\/scouting_logs|api\/admin\/scouting-logs)$/ },
+  { kind: 'request', label: 'Diagnosis request', pattern: /\/(rest\/v1\/requests|api\/admin\/requests\/anonymous)$/ },
+  { kind: 'photo', label: 'Photo upload', pattern: /\/storage\/v1\/object\/request-images\// }
+];
+
+/**
+ * Find the outbox route for a request, or null if it should not be queued
+ * @param {string} method - HTTP method
+ * @param {string} url - Absolute request URL
+ * @returns {Object|null} - { kind, label, pattern }
+ */
+function matchOutboxRoute(method, url) {
+  if (String(method || '').toUpperCase() !== 'POST') return null;
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (e) {
+    return null;
+  }
+  return OUTBOX_ROUTES.find(route => route.pattern.test(pathname)) || null;
+}
+
+function multipartField(bodyText, name) {
+  const match = bodyText.match(new RegExp(`name="${name}"\\r?\\n\\r?\\n([^\\r\\n]*)`));
+  return match ? match[1] : '';
+}
+
+/**
+ * Build a short human-readable label for a queued submission
+ * @param {Object} route - Route from matchOutboxRoute
+ * @param {string} contentType - Request Content-Type
+ * @param {string} bodyText - Request body decoded as text
+ * @returns {string} - e.g. "Treatment log – Block A, 2024-05-01"
+ */
+function describeOutboxBody(route, contentType, bodyText) {
+  if (!route) return 'Submission';
+  const type = String(contentType || '');
+  let rows = [];
+
+  if (type.includes('application/json')) {
+    try {
+      const parsed = JSON.parse(bodyText || 'null');
+      rows = Array.isArray(parsed) ? parsed : (parsed ? [parsed] : []);
+    } catch (e) {
+      rows = [];
+    }
+  } else if (type.includes('multipart/form-data') && bodyText) {
+    rows = [{
+      location: multipartField(bodyText, 'location'),
+      date: multipartField(bodyText, 'date'),
+      plant_type: multipartField(bodyText, 'plant_type')
+    }];
+  }
+
+  const first = rows[0] || {};
+  const details = route.kind === 'request'
+    ? [first.plant_type, first.urgency]
+    : [first.location, first.date];
+  let label = route.label;
+  const detailText = details.filter(Boolean).join(', ');
+  if (detailText) label += ` – ${detailText}`;
+  if (rows.length > 1) label += ` (+${rows.length - 1} more)`;
+  return label;
+}
+
+/**
+ * Delay before the next replay attempt (exponential backoff, capped)
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} - Milliseconds
+ */
+function nextRetryDelay(attempts) {
+  const exponent = Math.max(0, (attempts || 1) - 1);
+  return Math.min(OUTBOX_BASE_DELAY_MS * Math.pow(2, exponent), OUTBOX_MAX_DELAY_MS);
+}
+
+/**
+ * Decide what to do with an item after a replay response
+ * @param {number} status - HTTP status
+ * @returns {'done'|'retry'|'fail'}
+ */
+function classifyReplayStatus(status) {
+  if (status >= 200 && status < 300) return 'done';
+  // Already stored by an earlier attempt whose response was lost
+  if (status === 409) return 'done';
+  if (status === 408 || status === 429 || status >= 500) return 'retry';
+  return 'fail';
+}
+
+/**
+ * Apply a replay outcome to an item (returns a new object)
+ * @param {Object} item - Outbox item
+ * @param {'retry'|'fail'} outcome
+ * @param {number} now - Current time (ms)
+ * @param {string} message - Error shown in the UI
+ * @returns {Object} - Updated item
+ */
+function applyReplayFailure(item, outcome, now, message) {
+  const attempts = (item.attempts || 0) + 1;
+  if (outcome === 'fail' || attempts >= OUTBOX_MAX_ATTEMPTS) {
+    return { ...item, attempts, status: 'failed', lastError: message, nextAttemptAt: null };
+  }
+  return { ...item, attempts, status: 'pending', lastError: message, nextAttemptAt: now + nextRetryDelay(attempts) };
+}
+
+/**
+ * Replay due items in the order they were queued.
+ * Stops at the first network error (still offline) so later items keep their
+ * order; HTTP errors only affect the item that failed.
+ * @param {Array} items - Outbox items
+ * @param {Object} options
+ * @param {Function} options.fetchFn - fetch implementation
+ * @param {number} options.now - Current time (ms)
+ * @param {boolean} [options.force] - Ignore backoff and retry failed items
+ * @param {Object} [options.authByOrigin] - Latest access token per origin
+ * @returns {Promise<{delivered: Array<number>, updated: Array<Object>, offline: boolean}>}
+ */
+async function replayOutboxItems(items, { fetchFn, now, force = false, authByOrigin = {} }) {
+  const delivered = [];
+  const updated = [];
+  const queue = (items || []).slice().sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+
+  for (const item of queue) {
+    const due = item.status === 'pending' && (!item.nextAttemptAt || item.nextAttemptAt <= now);
+    if (!force && !due) continue;
+
+    const headers = new Headers(item.headers || []);
+    const origin = new URL(item.url).origin;
+    // Queued Supabase tokens may have expired; use the newest one the page shared
+    if (authByOrigin[origin] && headers.has('Authorization')) {
+      headers.set('Authorization', `Bearer ${authByOrigin[origin]}`);
+    }
+
+    let res;
+    try {
+      res = await fetchFn(item.url, { method: item.method, headers, body: item.body || undefined });
+    } catch (e) {
+      updated.push(applyReplayFailure(item, 'retry', now, 'Waiting for connection'));
+      return { delivered, updated, offline: true };
+    }
+
+    const outcome = classifyReplayStatus(res.status);
+    if (outcome === 'done') {
+      delivered.push(item.id);
+    } else {
+      const message = res.status === 401 || res.status === 403
+        ? 'Not authorized – sign in again, then retry'
+        : `Server responded ${res.status}`;
+      updated.push(applyReplayFailure(item, outcome, now, message));
+    }
+  }
+
+  return { delivered, updated, offline: false };
+}
+
+// ====== INDEXEDDB ACCESS ======
+
+function openOutboxDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+        const store = db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('status', 'status');
+      }
+      if (!db.objectStoreNames.contains(OUTBOX_META_STORE)) {
+        db.createObjectStore(OUTBOX_META_STORE, { keyPath: 'key' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function runOutboxTransaction(storeName, mode, work) {
+  return openOutboxDB().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = work(tx.objectStore(storeName));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request ? request.result : undefined);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  }));
+}
+
+function addOutboxItem(item) {
+  return runOutboxTransaction(OUTBOX_STORE, 'readwrite', store => store.add(item));
+}
+
+function putOutboxItem(item) {
+  return runOutboxTransaction(OUTBOX_STORE, 'readwrite', store => store.put(item));
+}
+
+function deleteOutboxItem(id) {
+  return runOutboxTransaction(OUTBOX_STORE, 'readwrite', store => store.delete(id));
+}
+
+function listOutboxItems() {
+  return runOutboxTransaction(OUTBOX_STORE, 'readonly', store => store.getAll())
+    .then(items => (items || []).sort((a, b) => a.createdAt - b.createdAt));
+}
+
+function getOutboxMeta(key) {
+  return runOutboxTransaction(OUTBOX_META_STORE, 'readonly', store => store.get(key))
+    .then(record => (record ? record.value : undefined));
+}
+
+function setOutboxMeta(key, value) {
+  return runOutboxTransaction(OUTBOX_META_STORE, 'readwrite', store => store.put({ key, value }));
+}
+
+const VineOutbox = {
+  OUTBOX_SYNC_TAG,
+  OUTBOX_MAX_ATTEMPTS,
+  matchOutboxRoute,
+  describeOutboxBody,
+  nextRetryDelay,
+  classifyReplayStatus,
+  applyReplayFailure,
+  replayOutboxItems,
+  addOutboxItem,
+  putOutboxItem,
+  deleteOutboxItem,
+  listOutboxItems,
+  getOutboxMeta,
+  setOutboxMeta
+};
+
+// Export for the page and the service worker
+if (typeof self !== 'undefined') {
+  self.VineOutbox = VineOutbox;
+}
+
+// For Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VineOutbox;
+}
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the offline outbox helpers
+ * Run with: node outbox-store.test.js
+ */
+
+const {
+  OUTBOX_MAX_ATTEMPTS,
+  matchOutboxRoute,
+  describeOutboxBody,
+  nextRetryDelay,
+  classifyReplayStatus,
+  applyReplayFailure,
+  replayOutboxItems
+} = require('./outbox-store.js');
+
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected} but got ${actual}. ${message}`);
+  }
+}
+
+function assertTruthy(value, message = '') {
+  if (!value) {
+    throw new Error(`Expected truthy value. ${message}`);
+  }
+}
+
+const SUPABASE = 'https://demo.supabase.co';
+
+function item(id, overrides = {}) {
+  return {
+    id,
+    url: `${SUPABASE}/rest/v1/treatment_logs`,
+    method: 'POST',
+    headers: [['content-type', 'application/json'], ['authorization', 'Bearer old-token']],
+    body: '[]',
+    status: 'pending',
+    attempts: 0,
+    createdAt: id,
+    nextAttemptAt: null,
+    ...overrides
+  };
+}
+
+async function run() {
+  console.log('🧪 Outbox Test Suite\n');
+  console.log('='.repeat(60));
+
+  console.log('\n🧭 Route Matching Tests:');
+
+  await test('Matches treatment, scouting and request POSTs', () => {
+    assertEquals(matchOutboxRoute('POST', `${SUPABASE}/rest/v1/treatment_logs?on_conflict=id`).kind, 'treatment');
+    assertEquals(matchOutboxRoute('POST', 'https://api.example.com/api/admin/scouting-logs').kind, 'scouting');
+    assertEquals(matchOutboxRoute('POST', 'https://api.example.com/api/admin/requests/anonymous').kind, 'request');
+    assertEquals(matchOutboxRoute('POST', `${SUPABASE}/rest/v1/requests`).kind, 'request');
+  });
+
+  await test('Matches photo uploads to the request-images bucket', () => {
+    assertEquals(matchOutboxRoute('POST', `${SUPABASE}/storage/v1/object/request-images/abc/1.jpg`).kind, 'photo');
+  });
+
+  await test('Ignores GETs and unrelated POSTs', () => {
+    assertEquals(matchOutboxRoute('GET', `${SUPABASE}/rest/v1/treatment_logs`), null);
+    assertEquals(matchOutboxRoute('POST', `${SUPABASE}/auth/v1/token?grant_type=password`), null);
+    assertEquals(matchOutboxRoute('PATCH', 'https://api.example.com/api/admin/requests/123'), null);
+  });
+
+  await test('Describes JSON bodies with location and date', () => {
+    const route = matchOutboxRoute('POST', `${SUPABASE}/rest/v1/treatment_logs`);
+    const label = describeOutboxBody(route, 'application/json', JSON.stringify([
+      { location: 'Block A', date: '2024-05-01' },
+      { location: 'Block B', date: '2024-05-02' }
+    ]));
+    assertEquals(label, 'Treatment log – Block A, 2024-05-01 (+1 more)');
+  });
+
+  await test('Describes multipart diagnosis requests', () => {
+    const route = matchOutboxRoute('POST', 'https://api.example.com/api/admin/requests/anonymous');
+    const body = '------x\r\nContent-Disposition: form-data; name="plant_type"\r\n\r\nTomato\r\n------x--';
+    assertEquals(describeOutboxBody(route, 'multipart/form-data; boundary=----x', body), 'Diagnosis request – Tomato');
+  });
+
+  console.log('\n⏱️  Backoff Tests:');
+
+  await test('nextRetryDelay doubles and caps at one hour', () => {
+    assertEquals(nextRetryDelay(1), 30000);
+    assertEquals(nextRetryDelay(2), 60000);
+    assertEquals(nextRetryDelay(20), 3600000);
+  });
+
+  await test('classifyReplayStatus separates retryable errors', () => {
+    assertEquals(classifyReplayStatus(201), 'done');
+    assertEquals(classifyReplayStatus(409), 'done');
+    assertEquals(classifyReplayStatus(503), 'retry');
+    assertEquals(classifyReplayStatus(429), 'retry');
+    assertEquals(classifyReplayStatus(400), 'fail');
+  });
+
+  await test('Items fail after the maximum number of attempts', () => {
+    const next = applyReplayFailure(item(1, { attempts: OUTBOX_MAX_ATTEMPTS - 1 }), 'retry', 0, 'Server responded 500');
+    assertEquals(next.status, 'failed');
+    assertEquals(next.lastError, 'Server responded 500');
+  });
+
+  console.log('\n📤 Replay Tests:');
+
+  await test('Delivers due items in queue order', async () => {
+    const calls = [];
+    const fetchFn = async url => { calls.push(url); return { status: 201 }; };
+    const photo = item(1, { url: `${SUPABASE}/storage/v1/object/request-images/a/1.jpg` });
+    const result = await replayOutboxItems([item(2), photo], { fetchFn, now: 1000 });
+    assertEquals(result.delivered.join(','), '1,2');
+    assertTruthy(calls[0].includes('/storage/'), 'Photo upload replays before the insert');
+  });
+
+  await test('Stops on network errors and schedules a retry', async () => {
+    let calls = 0;
+    const fetchFn = async () => { calls++; throw new TypeError('Failed to fetch'); };
+    const result = await replayOutboxItems([item(1), item(2)], { fetchFn, now: 1000 });
+    assertEquals(calls, 1, 'Later items wait');
+    assertEquals(result.offline, true);
+    assertEquals(result.updated[0].attempts, 1);
+    assertEquals(result.updated[0].nextAttemptAt, 1000 + 30000);
+  });
+
+  await test('Skips items still backing off unless forced', async () => {
+    let calls = 0;
+    const fetchFn = async () => { calls++; return { status: 201 }; };
+    const waiting = item(1, { attempts: 1, nextAttemptAt: 5000 });
+    await replayOutboxItems([waiting], { fetchFn, now: 1000 });
+    assertEquals(calls, 0);
+    const forced = await replayOutboxItems([waiting, item(2, { status: 'failed' })], { fetchFn, now: 1000, force: true });
+    assertEquals(forced.delivered.length, 2);
+  });
+
+  await test('Marks client errors as failed', async () => {
+    const fetchFn = async () => ({ status: 401 });
+    const result = await replayOutboxItems([item(1)], { fetchFn, now: 1000 });
+    assertEquals(result.updated[0].status, 'failed');
+    assertTruthy(result.updated[0].lastError.includes('sign in'));
+  });
+
+  await test('Replays Supabase calls with the newest access token', async () => {
+    let auth = '';
+    const fetchFn = async (url, options) => { auth = options.headers.get('Authorization'); return { status: 201 }; };
+    await replayOutboxItems([item(1)], { fetchFn, now: 1000, authByOrigin: { [SUPABASE]: 'new-token' } });
+    assertEquals(auth, 'Bearer new-token');
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log(`\n📊 Test Results:`);
+  console.log(`   ✓ Passed: ${passed}`);
+  console.log(`   ✗ Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+
+  if (failed === 0) {
+    console.log('\n✅ All tests passed!\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ Some tests failed.\n');
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,353 @@
+/**
+ * Photo Store Module
+ * Photos taken on the Scouting Log and Diagnostics forms.
+ *
+ * Each photo is resized on the device, stamped with the time it was taken
+ * (EXIF DateTimeOriginal when the camera wrote one, otherwise the file's
+ * modified time) and kept in IndexedDB until log sync uploads it.
+ *
+ * Entries only carry small photo refs ({id, takenAt, width, height, thumb,
+ * url}); `thumb` is a JPEG data URL so tables render without a database
+ * read, and `url` is filled in once the upload to Supabase Storage succeeds.
+ */
+
+const PHOTO_DB_NAME = 'vine-photos';
+const PHOTO_DB_VERSION = 1;
+const PHOTO_STORE = 'photos';
+
+// Longest edge after resizing; matches what phones show full screen
+const PHOTO_MAX_EDGE = 1600;
+const PHOTO_THUMB_EDGE = 160;
+const PHOTO_JPEG_QUALITY = 0.82;
+// Same limit as the photo upload on the admin log API
+const PHOTO_LIMIT = 5;
+
+// EXIF lives in the APP1 segment, which cannot be larger than 64 KB
+const EXIF_SCAN_BYTES = 128 * 1024;
+
+const EXIF_TAGS = {
+  dateTime: 0x0132,
+  exifIfd: 0x8769,
+  dateTimeOriginal: 0x9003,
+  dateTimeDigitized: 0x9004,
+  offsetTimeOriginal: 0x9011
+};
+
+/**
+ * Size that fits inside a square of `maxEdge`, keeping the aspect ratio
+ * (images that already fit are not enlarged)
+ * @param {number} width
+ * @param {number} height
+ * @param {number} maxEdge
+ * @returns {{width: number, height: number}}
+ */
+function fitWithin(width, height, maxEdge) {
+  const longest = Math.max(width, height);
+  if (!longest || longest <= maxEdge) return { width, height };
+  const scale = maxEdge / longest;
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+}
+
+/**
+ * EXIF date text ("2026:10:19 14:03:22") as a local ISO timestamp
+ * @param {string} text
+ * @param {string} [offset] - OffsetTimeOriginal such as "-05:00"
+ * @returns {string} - "2026-10-19T14:03:22" (with the offset when known), or '' when unreadable
+ */
+function exifDateToISO(text, offset) {
+  const m = String(text || '').match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+  if (!m || m[1] === '0000') return '';
+  const zone = /^[+-]\d{2}:\d{2}$/.test(String(offset || '')) ? offset : '';
+  return `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}${zone}`;
+}
+
+function readIfdEntries(view, tiffStart, ifdOffset, little) {
+  const entries = {};
+  const start = tiffStart + ifdOffset;
+  if (start + 2 > view.byteLength) return entries;
+  const count = view.getUint16(start, little);
+  for (let i = 0; i < count; i++) {
+    const at = start + 2 + i * 12;
+    if (at + 12 > view.byteLength) break;
+    entries[view.getUint16(at, little)] = {
+      type: view.getUint16(at + 2, little),
+      count: view.getUint32(at + 4, little),
+      valueAt: at + 8
+    };
+  }
+  return entries;
+}
+
+function readExifAscii(view, tiffStart, entry, little) {
+  // ASCII values over 4 bytes are stored at an offset from the TIFF header
+  if (!entry || entry.type !== 2) return '';
+  const at = entry.count > 4 ? tiffStart + view.getUint32(entry.valueAt, little) : entry.valueAt;
+  let text = '';
+  for (let i = 0; i < entry.count && at + i < view.byteLength; i++) {
+    const code = view.getUint8(at + i);
+    if (!code) break;
+    text += String.fromCharCode(code);
+  }
+  return text;
+}
+
+/**
+ * When a JPEG was taken, from its EXIF block
+ * @param {ArrayBuffer} buffer - Start of the file (at least the APP1 segment)
+ * @returns {string} - Local ISO timestamp from DateTimeOriginal, DateTimeDigitized or DateTime; '' if none
+ */
+function readExifDateTime(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return '';
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    const length = view.getUint16(offset + 2);
+    // Start of scan: image data follows, no more metadata
+    if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return '';
+    if (marker === 0xFFE1 && offset + 10 <= view.byteLength &&
+        view.getUint32(offset + 4) === 0x45786966 && view.getUint16(offset + 8) === 0) {
+      try {
+        const tiffStart = offset + 10;
+        const little = view.getUint16(tiffStart) === 0x4949;
+        const ifd0 = readIfdEntries(view, tiffStart, view.getUint32(tiffStart + 4, little), little);
+        let exif = {};
+        if (ifd0[EXIF_TAGS.exifIfd]) {
+          exif = readIfdEntries(view, tiffStart, view.getUint32(ifd0[EXIF_TAGS.exifIfd].valueAt, little), little);
+        }
+        const taken = readExifAscii(view, tiffStart, exif[EXIF_TAGS.dateTimeOriginal], little) ||
+          readExifAscii(view, tiffStart, exif[EXIF_TAGS.dateTimeDigitized], little) ||
+          readExifAscii(view, tiffStart, ifd0[EXIF_TAGS.dateTime], little);
+        return exifDateToISO(taken, readExifAscii(view, tiffStart, exif[EXIF_TAGS.offsetTimeOriginal], little));
+      } catch (e) {
+        // Truncated or malformed EXIF: fall back to the file time
+        return '';
+      }
+    }
+    offset += 2 + length;
+  }
+  return '';
+}
+
+/**
+ * Ids of every photo still referenced by log entries (or open forms)
+ * @param {Array<Object>} entries - Entries with an optional `photos` array
+ * @returns {Set<string>}
+ */
+function referencedPhotoIds(entries) {
+  const ids = new Set();
+  (entries || []).forEach(entry => {
+    ((entry && entry.photos) || []).forEach(photo => {
+      if (photo && photo.id) ids.add(photo.id);
+    });
+  });
+  return ids;
+}
+
+/**
+ * Short label for when a photo was taken ("2026-10-19 14:03")
+ * @param {string} takenAt
+ * @returns {string}
+ */
+function formatPhotoTime(takenAt) {
+  const m = String(takenAt || '').match(/^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})/);
+  return m ? `${m[1]} ${m[2]}` : '';
+}
+
+/**
+ * Thumbnail strip for a table cell or form; images open the full photo
+ * @param {Array<Object>} photos - Photo refs
+ * @param {Object} [options]
+ * @param {Function} [options.onRemove] - Photo id -> onclick code for a remove button
+ * @returns {string} - HTML string ('' when there are no photos)
+ */
+function formatPhotoThumbsHTML(photos, options = {}) {
+  const list = (photos || []).filter(p => p && p.id);
+  if (!list.length) return '';
+  const items = list.map(p => {
+    const when = formatPhotoTime(p.takenAt);
+    const label = when ? `Photo taken ${when}` : 'Photo';
+    const src = p.thumb || p.url;
+    const image = src
+      ? `<img class="photo-thumb" src="${src}" alt="${label}" title="${label}" loading="lazy" onclick="openLogPhoto('${p.id}')" />`
+      : `<span class="photo-thumb photo-thumb-missing" title="${label}">Not uploaded yet</span>`;
+    const remove = options.onRemove
+      ? `<button type="button" class="photo-remove-btn" aria-label="Remove photo" onclick="${options.onRemove(p.id)}">×</button>`
+      : '';
+    return `<span class="photo-item">${image}${remove}</span>`;
+  });
+  return `<div class="photo-strip">${items.join('')}</div>`;
+}
+
+// ====== IMAGE PROCESSING (browser only) ======
+
+function loadImageElement(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`${file.name || 'Photo'} is not an image this browser can read`));
+    };
+    img.src = url;
+  });
+}
+
+function decodeImage(file) {
+  // createImageBitmap applies the EXIF orientation, so portrait shots stay upright
+  if (typeof createImageBitmap === 'function') {
+    return createImageBitmap(file, { imageOrientation: 'from-image' }).catch(() => loadImageElement(file));
+  }
+  return loadImageElement(file);
+}
+
+function drawScaled(image, maxEdge) {
+  const size = fitWithin(image.width, image.height, maxEdge);
+  const canvas = document.createElement('canvas');
+  canvas.width = size.width;
+  canvas.height = size.height;
+  canvas.getContext('2d').drawImage(image, 0, 0, size.width, size.height);
+  return canvas;
+}
+
+/**
+ * Resize a picked or captured image and read when it was taken
+ * @param {File} file
+ * @returns {Promise<{blob: Blob, thumb: string, width: number, height: number, takenAt: string}>}
+ */
+async function preparePhoto(file) {
+  const [head, image] = await Promise.all([
+    file.slice(0, EXIF_SCAN_BYTES).arrayBuffer(),
+    decodeImage(file)
+  ]);
+  const full = drawScaled(image, PHOTO_MAX_EDGE);
+  const blob = await new Promise((resolve, reject) => {
+    full.toBlob(b => (b ? resolve(b) : reject(new Error('Could not compress photo'))), 'image/jpeg', PHOTO_JPEG_QUALITY);
+  });
+  const thumb = drawScaled(full, PHOTO_THUMB_EDGE).toDataURL('image/jpeg', 0.7);
+  if (typeof image.close === 'function') image.close();
+
+  const fileTime = file.lastModified ? new Date(file.lastModified).toISOString() : new Date().toISOString();
+  return {
+    blob,
+    thumb,
+    width: full.width,
+    height: full.height,
+    takenAt: readExifDateTime(head) || fileTime
+  };
+}
+
+// ====== INDEXEDDB ACCESS ======
+
+function openPhotoDB() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const request = indexedDB.open(PHOTO_DB_NAME, PHOTO_DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(PHOTO_STORE, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function runPhotoTransaction(mode, work) {
+  return openPhotoDB().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(PHOTO_STORE, mode);
+    const request = work(tx.objectStore(PHOTO_STORE));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request ? request.result : undefined);
+    };
+    // Quota errors surface here instead of failing silently
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Photo database transaction aborted'));
+    };
+  }));
+}
+
+/**
+ * Keep a resized photo until it has been uploaded
+ * @param {string} id
+ * @param {Blob} blob
+ * @returns {Promise<void>}
+ */
+function putPhotoBlob(id, blob) {
+  return runPhotoTransaction('readwrite', store => {
+    store.put({ id, blob, createdAt: new Date().toISOString() });
+  });
+}
+
+/**
+ * Stored photo, or null once it has been uploaded and removed
+ * @param {string} id
+ * @returns {Promise<Blob|null>}
+ */
+function getPhotoBlob(id) {
+  return runPhotoTransaction('readonly', store => store.get(id))
+    .then(record => (record ? record.blob : null));
+}
+
+/**
+ * Remove stored photos
+ * @param {Array<string>} ids
+ * @returns {Promise<void>}
+ */
+function deletePhotoBlobs(ids) {
+  if (!ids || !ids.length) return Promise.resolve();
+  return runPhotoTransaction('readwrite', store => {
+    ids.forEach(id => store.delete(id));
+  });
+}
+
+/**
+ * Remove stored photos no entry refers to (forms left without saving)
+ * @param {Set<string>} keepIds - From referencedPhotoIds
+ * @returns {Promise<number>} - Photos removed
+ */
+function prunePhotoBlobs(keepIds) {
+  return runPhotoTransaction('readonly', store => store.getAllKeys())
+    .then(keys => {
+      const stale = (keys || []).filter(id => !keepIds.has(id));
+      return deletePhotoBlobs(stale).then(() => stale.length);
+    });
+}
+
+const PhotoStore = {
+  PHOTO_MAX_EDGE,
+  PHOTO_THUMB_EDGE,
+  PHOTO_LIMIT,
+  fitWithin,
+  exifDateToISO,
+  readExifDateTime,
+  referencedPhotoIds,
+  formatPhotoTime,
+  formatPhotoThumbsHTML,
+  preparePhoto,
+  putPhotoBlob,
+  getPhotoBlob,
+  deletePhotoBlobs,
+  prunePhotoBlobs
+};
+
+// Export functions for use in main script
+if (typeof window !== 'undefined') {
+  window.PhotoStore = PhotoStore;
+}
+
+// For Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PhotoStore;
+}
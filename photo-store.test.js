@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for scouting and diagnostics photos: resizing, EXIF time and thumbnails
+ * Run with: node photo-store.test.js
+ */
+
+const {
+  fitWithin,
+  exifDateToISO,
+  readExifDateTime,
+  referencedPhotoIds,
+  formatPhotoTime,
+  formatPhotoThumbsHTML
+} = require('./photo-store.js');
+
+let passed = 0;
+let failed = 0;
+
+function test(description, fn) {
+  try {
+    fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected} but got ${actual}. ${message}`);
+  }
+}
+
+function assertTruthy(value, message = '') {
+  if (!value) {
+    throw new Error(`Expected truthy value. ${message}`);
+  }
+}
+
+/**
+ * Minimal JPEG whose APP1 segment holds the given IFD0 and Exif IFD ASCII tags
+ * @param {Object} ifd0 - tag -> text
+ * @param {Object} exif - tag -> text
+ * @param {boolean} little - Intel (II) or Motorola (MM) byte order
+ */
+function jpegWithExif(ifd0, exif, little) {
+  const tiff = Buffer.alloc(512);
+  const u16 = (v, at) => (little ? tiff.writeUInt16LE(v, at) : tiff.writeUInt16BE(v, at));
+  const u32 = (v, at) => (little ? tiff.writeUInt32LE(v, at) : tiff.writeUInt32BE(v, at));
+  tiff.write(little ? 'II' : 'MM', 0, 'latin1');
+  u16(42, 2);
+  u32(8, 4);
+
+  let dataAt = 200;
+  function writeIfd(at, tags, extra) {
+    const entries = Object.keys(tags).map(Number).concat(extra ? [extra.tag] : []);
+    u16(entries.length, at);
+    entries.forEach((tag, i) => {
+      const e = at + 2 + i * 12;
+      u16(tag, e);
+      if (extra && tag === extra.tag) {
+        u16(4, e + 2);
+        u32(1, e + 4);
+        u32(extra.value, e + 8);
+        return;
+      }
+      const text = tags[tag] + '\0';
+      u16(2, e + 2);
+      u32(text.length, e + 4);
+      if (text.length <= 4) {
+        tiff.write(text, e + 8, 'latin1');
+      } else {
+        u32(dataAt, e + 8);
+        tiff.write(text, dataAt, 'latin1');
+        dataAt += text.length;
+      }
+    });
+  }
+  const hasExif = Object.keys(exif).length > 0;
+  writeIfd(8, ifd0, hasExif ? { tag: 0x8769, value: 100 } : null);
+  if (hasExif) writeIfd(100, exif);
+
+  const app1 = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(app1.length + 2);
+  const jpeg = Buffer.concat([
+    Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x04, 0x00, 0x00, 0xFF, 0xE1]),
+    length,
+    app1,
+    Buffer.from([0xFF, 0xDA, 0x00, 0x02, 0xFF, 0xD9])
+  ]);
+  return jpeg.buffer.slice(jpeg.byteOffset, jpeg.byteOffset + jpeg.length);
+}
+
+console.log('\n📐 Resize Tests:');
+
+test('fitWithin scales the longest edge down and never enlarges', () => {
+  const landscape = fitWithin(4032, 3024, 1600);
+  assertEquals(`${landscape.width}x${landscape.height}`, '1600x1200');
+  const portrait = fitWithin(3024, 4032, 160);
+  assertEquals(`${portrait.width}x${portrait.height}`, '120x160');
+  const small = fitWithin(800, 600, 1600);
+  assertEquals(`${small.width}x${small.height}`, '800x600');
+});
+
+console.log('\n🕒 EXIF Timestamp Tests:');
+
+test('DateTimeOriginal and its offset are read from a little-endian EXIF block', () => {
+  const buffer = jpegWithExif(
+    { 0x0132: '2026:10:20 09:00:00' },
+    { 0x9003: '2026:10:19 14:03:22', 0x9011: '-05:00' },
+    true
+  );
+  assertEquals(readExifDateTime(buffer), '2026-10-19T14:03:22-05:00');
+});
+
+test('Big-endian files without an Exif IFD fall back to DateTime', () => {
+  const buffer = jpegWithExif({ 0x0132: '2025:06:01 07:30:05' }, {}, false);
+  assertEquals(readExifDateTime(buffer), '2025-06-01T07:30:05');
+});
+
+test('Files without EXIF, non-JPEGs and blank camera clocks give no time', () => {
+  const plain = Buffer.from([0xFF, 0xD8, 0xFF, 0xDA, 0x00, 0x02, 0xFF, 0xD9]);
+  assertEquals(readExifDateTime(plain.buffer.slice(plain.byteOffset, plain.byteOffset + plain.length)), '');
+  const png = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+  assertEquals(readExifDateTime(png.buffer.slice(png.byteOffset, png.byteOffset + png.length)), '');
+  assertEquals(exifDateToISO('0000:00:00 00:00:00'), '');
+  assertEquals(exifDateToISO('2026:10:19 14:03:22', 'Z'), '2026-10-19T14:03:22');
+});
+
+console.log('\n🖼️  Thumbnail Tests:');
+
+test('Thumbnails show when each photo was taken and fall back to the uploaded URL', () => {
+  const html = formatPhotoThumbsHTML([
+    { id: 'p1', takenAt: '2026-10-19T14:03:22-05:00', thumb: 'data:image/jpeg;base64,AAA' },
+    { id: 'p2', takenAt: '', url: 'https://example.supabase.co/storage/v1/object/public/request-images/e1/p2.jpg' },
+    { id: 'p3', takenAt: '2026-10-18T08:00:00' }
+  ]);
+  assertTruthy(html.includes('title="Photo taken 2026-10-19 14:03"'), html);
+  assertTruthy(html.includes('src="https://example.supabase.co/'), html);
+  assertTruthy(html.includes('Not uploaded yet'), html);
+  assertTruthy(html.includes(`onclick="openLogPhoto('p1')"`), html);
+  assertEquals(html.includes('photo-remove-btn'), false);
+  assertEquals(formatPhotoThumbsHTML(undefined), '');
+  assertEquals(formatPhotoTime('not a date'), '');
+});
+
+test('Form thumbnails get remove buttons', () => {
+  const html = formatPhotoThumbsHTML([{ id: 'p1', thumb: 'data:,' }], {
+    onRemove: id => `removeFormPhoto('scout', '${id}')`
+  });
+  assertTruthy(html.includes(`onclick="removeFormPhoto('scout', 'p1')"`), html);
+});
+
+test('referencedPhotoIds collects photo ids across entries', () => {
+  const ids = referencedPhotoIds([
+    { id: 'e1', photos: [{ id: 'p1' }, { id: 'p2' }] },
+    { id: 'e2' },
+    { photos: [{ id: 'p2' }, { id: 'p3' }] }
+  ]);
+  assertEquals(Array.from(ids).join(','), 'p1,p2,p3');
+});
+
+// Summary
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Test Results:`);
+console.log(`   ✓ Passed: ${passed}`);
+console.log(`   ✗ Failed: ${failed}`);
+console.log(`   Total:  ${passed + failed}`);
+
+if (failed === 0) {
+  console.log('\n✅ All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed.\n');
+  process.exit(1);
+}
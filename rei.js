@@ -0,0 +1,269 @@
+/**
+ * REI Tracker Module
+ * Restricted-entry intervals: the stored REI text parsed into hours, the
+ * re-entry board built from the treatment log, and posting signs.
+ *
+ * chemicals.js stores rei as text ("12.0", "0.5 to 12 hours", "12 to 24
+ * hours", "Consult label"). Ranges use the longest interval, since the
+ * shorter one only applies to some crops or uses. An REI of 0 still means
+ * keeping out until the spray has dried.
+ *
+ * A treatment is applied at its date and `time`; entries logged before the
+ * time field existed are taken as applied at the end of their day, so the
+ * board never clears a block early.
+ */
+
+const DEFAULT_BOARD_DAYS = 7;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Treatment inputs module: window.TreatmentInputs in the browser, required in Node
+function getReiTreatmentInputs() {
+  if (typeof window !== 'undefined' && window.TreatmentInputs) return window.TreatmentInputs;
+  if (typeof require === 'function') return require('./treatment-inputs.js');
+  // In the browser there is no require(); say what is missing instead of a ReferenceError
+  throw new Error('treatment-inputs.js must be loaded before rei.js can read treatment products');
+}
+
+// Date utils module: window.DateUtils in the browser, required in Node
+function getReiDateUtils() {
+  if (typeof window !== 'undefined' && window.DateUtils) return window.DateUtils;
+  if (typeof require === 'function') return require('./date-utils.js');
+  // In the browser there is no require(); say what is missing instead of a ReferenceError
+  throw new Error('date-utils.js must be loaded before rei.js can match scouting dates');
+}
+
+/**
+ * Parse a stored REI into hours
+ * @param {string|number} text - "12.0", "0.5 to 12 hours", "2 days", "Until dry"
+ * @returns {{hours: number, minHours: number}|null} - null when the label has to be checked
+ */
+function parseReiHours(text) {
+  if (typeof text === 'number') return text >= 0 ? { hours: text, minHours: text } : null;
+  const value = String(text || '').trim().toLowerCase();
+  if (!value) return null;
+  if (/until .*dr(y|ied)/.test(value) && !/\d/.test(value)) {
+    return { hours: 0, minHours: 0 };
+  }
+
+  // Each number takes the unit written after it; the low end of a range ("12 to 24 hours")
+  // takes the next unit, and a bare number ("12.0") is in hours
+  const parts = [...value.matchAll(/(\d+(?:\.\d+)?)\s*(days?\b|hours?\b|hrs?\b|h\b|min(?:ute)?s?\b)?/g)]
+    .map(match => ({ value: Number(match[1]), unit: match[2] || null }));
+  if (!parts.length) return null;
+  let unit = 'hours';
+  for (let i = parts.length - 1; i >= 0; i--) {
+    if (parts[i].unit) unit = parts[i].unit;
+    else parts[i].unit = unit;
+  }
+  const perUnit = u => /^d/.test(u) ? 24 : /^m/.test(u) ? 1 / 60 : 1;
+  const hours = parts.map(part => part.value * perUnit(part.unit));
+  return { hours: Math.max(...hours), minHours: Math.min(...hours) };
+}
+
+/**
+ * When a treatment was applied (local time)
+ * @param {Object} entry - Treatment entry with date and optional time ("14:30")
+ * @returns {{at: Date, timeAssumed: boolean}|null}
+ */
+function applicationTime(entry) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.date || '')) return null;
+  const [y, m, d] = entry.date.split('-').map(Number);
+  const time = /^(\d{1,2}):(\d{2})$/.exec(entry.time || '');
+  if (time) return { at: new Date(y, m - 1, d, Number(time[1]), Number(time[2])), timeAssumed: false };
+  return { at: new Date(y, m - 1, d, 23, 59), timeAssumed: true };
+}
+
+function normalizeArea(area) {
+  return String(area || '').trim().toLowerCase();
+}
+
+/**
+ * Re-entry board: one row per block, with every product applied there recently
+ * @param {Array} entries - Active treatment entries
+ * @param {Array} chemicals - chemicals.js records
+ * @param {Date} [now]
+ * @param {Object} [options] - { days } how far back to list applications (default 7)
+ * @returns {Array<{area, status: 'active'|'unknown'|'clear', reentryAt: Date|null, remainingMs, products: Array}>}
+ *   Active blocks first, soonest re-entry first
+ */
+function buildReentryBoard(entries, chemicals, now = new Date(), options = {}) {
+  const days = options.days || DEFAULT_BOARD_DAYS;
+  const since = now.getTime() - days * 24 * HOUR_MS;
+  const treatmentInputs = getReiTreatmentInputs();
+  const byArea = new Map();
+
+  (entries || []).forEach(entry => {
+    const applied = applicationTime(entry);
+    if (!applied || applied.at.getTime() < since) return;
+    const area = (entry.area || '').trim() || 'Unspecified area';
+    const key = normalizeArea(area);
+    if (!byArea.has(key)) byArea.set(key, { area, products: [] });
+
+    treatmentInputs.getEntryInputs(entry, chemicals).forEach(input => {
+      const chem = treatmentInputs.resolveInputChemical(input, chemicals);
+      const rei = parseReiHours(chem ? chem.rei : '');
+      byArea.get(key).products.push({
+        entryId: entry.id,
+        name: chem ? chem.name : input.name,
+        epaRegNum: (chem && chem.epaRegNum) || input.epa_reg_num || '',
+        reiText: chem ? chem.rei : '',
+        reiHours: rei ? rei.hours : null,
+        appliedAt: applied.at,
+        timeAssumed: applied.timeAssumed,
+        reentryAt: rei ? new Date(applied.at.getTime() + rei.hours * HOUR_MS) : null
+      });
+    });
+  });
+
+  const board = [];
+  byArea.forEach(group => {
+    if (!group.products.length) return;
+    const known = group.products.filter(p => p.reentryAt);
+    const reentryAt = known.length ? new Date(Math.max(...known.map(p => p.reentryAt.getTime()))) : null;
+    const remainingMs = reentryAt ? Math.max(reentryAt.getTime() - now.getTime(), 0) : 0;
+    // A product whose REI is not on record keeps the block flagged until someone checks the label
+    const unknown = group.products.some(p => !p.reentryAt);
+    let status = 'clear';
+    if (remainingMs > 0) status = 'active';
+    else if (unknown) status = 'unknown';
+    group.products.sort((a, b) => b.appliedAt - a.appliedAt);
+    board.push({ area: group.area, status, reentryAt, remainingMs, products: group.products });
+  });
+
+  const rank = { active: 0, unknown: 1, clear: 2 };
+  return board.sort((a, b) => rank[a.status] - rank[b.status] ||
+    (a.status === 'active' ? a.remainingMs - b.remainingMs : (b.reentryAt || 0) - (a.reentryAt || 0)));
+}
+
+/**
+ * The board row for a block that is still restricted
+ * @param {Array} board - From buildReentryBoard
+ * @param {string} area - Block / area typed by the user (case-insensitive)
+ * @returns {Object|null}
+ */
+function findRestrictedArea(board, area) {
+  const key = normalizeArea(area);
+  if (!key) return null;
+  return board.find(row => row.status !== 'clear' && normalizeArea(row.area) === key) || null;
+}
+
+/**
+ * Scouting entries recorded in a block while it was under REI
+ * @param {Array} scoutingEntries - Scouting entries (date, area, updatedAt)
+ * @param {Array} board - From buildReentryBoard
+ * @returns {Array<{entry, area, scoutedAt: Date, reentryAt: Date, products: Array<string>, possible: boolean}>}
+ *   `possible` when the scouting only overlaps because the treatment had no time logged
+ */
+function findScoutingDuringRei(scoutingEntries, board) {
+  const findings = [];
+  (scoutingEntries || []).forEach(entry => {
+    const key = normalizeArea(entry.area);
+    const row = key && board.find(r => normalizeArea(r.area) === key);
+    if (!row || !/^\d{4}-\d{2}-\d{2}$/.test(entry.date || '')) return;
+
+    // Entries are saved as they are scouted; otherwise only the date is known, so take midday
+    const saved = entry.updatedAt ? new Date(entry.updatedAt) : null;
+    const [y, m, d] = entry.date.split('-').map(Number);
+    const scoutedAt = saved && !isNaN(saved) && getReiDateUtils().localDateKey(saved) === entry.date ? saved : new Date(y, m - 1, d, 12, 0);
+
+    // An untimed treatment counts from the end of its day for re-entry, but it may have
+    // gone on any time that day, so scouting earlier the same day is flagged as possible
+    const appliedFrom = p => p.timeAssumed
+      ? new Date(p.appliedAt.getFullYear(), p.appliedAt.getMonth(), p.appliedAt.getDate())
+      : p.appliedAt;
+    const during = row.products.filter(p => p.reentryAt && scoutedAt >= appliedFrom(p) && scoutedAt < p.reentryAt);
+    if (during.length) {
+      findings.push({
+        entry,
+        area: row.area,
+        scoutedAt,
+        reentryAt: new Date(Math.max(...during.map(p => p.reentryAt.getTime()))),
+        products: during.map(p => p.name),
+        possible: during.every(p => scoutedAt < p.appliedAt)
+      });
+    }
+  });
+  return findings;
+}
+
+/**
+ * "2 d 4 h", "3 h 20 min", "12 min"
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatCountdown(ms) {
+  if (!(ms > 0)) return 'Re-entry allowed';
+  const totalMinutes = Math.ceil(ms / 60000);
+  const daysLeft = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+  if (daysLeft > 0) return `${daysLeft} d ${hours} h`;
+  if (hours > 0) return `${hours} h ${minutes} min`;
+  return `${minutes} min`;
+}
+
+// Block and product names are typed by users and end up in innerHTML
+function escapeReiText(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatReiDateTime(date) {
+  return date.toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Printable WPS-style posting sign for a block
+ * @param {Object} row - Board row from buildReentryBoard
+ * @returns {string} - HTML string
+ */
+function formatPostingSignHTML(row) {
+  const products = row.products.map(p => `${escapeReiText(p.name)}${p.epaRegNum ? ` (EPA Reg. No. ${escapeReiText(p.epaRegNum)})` : ''}`);
+  const applied = new Date(Math.min(...row.products.map(p => p.appliedAt.getTime())));
+  return `
+    <article class="rei-sign">
+      <p class="rei-sign-danger">DANGER<br>PELIGRO</p>
+      <p class="rei-sign-title">PESTICIDES<br>PESTICIDAS</p>
+      <p class="rei-sign-keep-out">KEEP OUT<br>NO ENTRE</p>
+      <dl class="rei-sign-details">
+        <dt>Area</dt><dd>${escapeReiText(row.area)}</dd>
+        <dt>Applied</dt><dd>${formatReiDateTime(applied)}</dd>
+        <dt>Re-entry allowed</dt><dd>${row.reentryAt ? formatReiDateTime(row.reentryAt) : 'Check the product label'}</dd>
+        <dt>Products</dt><dd>${products.join('<br>')}</dd>
+      </dl>
+    </article>
+  `;
+}
+
+// Export functions for use in main script
+if (typeof window !== 'undefined') {
+  window.ReiTracker = {
+    parseReiHours,
+    applicationTime,
+    buildReentryBoard,
+    findRestrictedArea,
+    findScoutingDuringRei,
+    formatCountdown,
+    formatReiDateTime,
+    formatPostingSignHTML,
+    DEFAULT_BOARD_DAYS
+  };
+}
+
+// For Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseReiHours,
+    applicationTime,
+    buildReentryBoard,
+    findRestrictedArea,
+    findScoutingDuringRei,
+    formatCountdown,
+    formatReiDateTime,
+    formatPostingSignHTML,
+    DEFAULT_BOARD_DAYS
+  };
+}
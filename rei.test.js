@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the REI tracker: parsing, the re-entry board and posting signs
+ * Run with: node rei.test.js
+ */
+
+const {
+  parseReiHours,
+  applicationTime,
+  buildReentryBoard,
+  findRestrictedArea,
+  findScoutingDuringRei,
+  formatCountdown,
+  formatPostingSignHTML
+} = require('./rei.js');
+const { localDateKey } = require('./date-utils.js');
+
+let passed = 0;
+let failed = 0;
+
+function test(description, fn) {
+  try {
+    fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected} but got ${actual}. ${message}`);
+  }
+}
+
+function assertTruthy(value, message = '') {
+  if (!value) {
+    throw new Error(`Expected truthy value. ${message}`);
+  }
+}
+
+// Trimmed records from chemicals.js
+const CHEMICALS = [
+  { id: 'C001', name: 'Tempo SC Ultra', epaRegNum: '432-1363', rei: '12.0' },
+  { id: 'C024', name: '3336 F Fungicide', epaRegNum: '1001-69', rei: '12 to 24 hours' },
+  { id: 'C040', name: 'Mystery Product', epaRegNum: '', rei: 'Consult label' },
+  { id: 'C050', name: 'Horticultural Soap', epaRegNum: '', rei: '0.0' }
+];
+
+function input(chem) {
+  return { chemical_id: chem.id, name: chem.name, epa_reg_num: chem.epaRegNum };
+}
+
+function treatment(id, date, time, area, chems) {
+  return { id, date, time, area, inputs: chems.map(input) };
+}
+
+const NOW = new Date(2026, 5, 2, 14, 0); // Jun 2, 2 PM local
+const HOUR_MS = 60 * 60 * 1000;
+
+console.log('\n⏱️ REI Parsing Tests:');
+
+test('Stored REI text is read as hours, using the longest interval of a range', () => {
+  assertEquals(parseReiHours('12.0').hours, 12);
+  const range = parseReiHours('0.5 to 12 hours');
+  assertEquals(range.hours, 12);
+  assertEquals(range.minHours, 0.5);
+  assertEquals(parseReiHours('2 days').hours, 48);
+  assertEquals(parseReiHours('12 to 24 hours').minHours, 12);
+  assertEquals(parseReiHours('0.0').hours, 0);
+  assertEquals(parseReiHours('Until sprays have dried').hours, 0);
+  assertEquals(parseReiHours('Consult label'), null);
+  assertEquals(parseReiHours(''), null);
+});
+
+test('parseReiHours reads the unit after each number', () => {
+  const mixed = parseReiHours('12 hours; 2 days for cut flowers');
+  assertEquals(mixed.hours, 48);
+  assertEquals(mixed.minHours, 12, 'Hours are not multiplied because days appear elsewhere');
+  assertEquals(parseReiHours('30 minutes to 4 hrs').minHours, 0.5);
+  assertEquals(parseReiHours('1 to 2 days').minHours, 24, 'The low end of a range takes the unit after it');
+});
+
+test('Entries without a time are applied at the end of their day', () => {
+  const timed = applicationTime({ date: '2026-06-02', time: '07:45' });
+  assertEquals(timed.at.getHours(), 7);
+  assertEquals(timed.timeAssumed, false);
+  const untimed = applicationTime({ date: '2026-06-02' });
+  assertEquals(untimed.at.getHours(), 23);
+  assertEquals(untimed.timeAssumed, true);
+  assertEquals(applicationTime({ date: '' }), null);
+});
+
+test('An evening entry defaults to the local date, so its REI runs from that evening', () => {
+  const originalTz = process.env.TZ;
+  process.env.TZ = 'America/Chicago';
+  try {
+    const evening = new Date('2026-06-03T02:30:00Z'); // Jun 2, 9:30 PM in Chicago
+    assertEquals(evening.toISOString().slice(0, 10), '2026-06-03', 'The UTC date is already tomorrow');
+    assertEquals(localDateKey(evening), '2026-06-02');
+    const entry = treatment('t1', localDateKey(evening), evening.toTimeString().slice(0, 5), 'Block A', [CHEMICALS[0]]);
+    assertEquals(applicationTime(entry).at.getTime(), evening.getTime());
+    const board = buildReentryBoard([entry], CHEMICALS, new Date(evening.getTime() + HOUR_MS));
+    assertEquals(board[0].reentryAt.getTime(), evening.getTime() + 12 * HOUR_MS);
+  } finally {
+    if (originalTz === undefined) delete process.env.TZ;
+    else process.env.TZ = originalTz;
+  }
+});
+
+console.log('\n🚧 Re-entry Board Tests:');
+
+test('Blocks are grouped and restricted until the longest REI has passed', () => {
+  const board = buildReentryBoard([
+    treatment('t1', '2026-06-02', '08:00', 'Block A', [CHEMICALS[0]]),
+    treatment('t2', '2026-06-02', '10:00', 'block a ', [CHEMICALS[1]]),
+    treatment('t3', '2026-06-01', '08:00', 'Block B', [CHEMICALS[0]])
+  ], CHEMICALS, NOW);
+
+  assertEquals(board.length, 2);
+  assertEquals(board[0].area, 'Block A');
+  assertEquals(board[0].status, 'active');
+  assertEquals(board[0].products.length, 2);
+  assertEquals(board[0].reentryAt.getTime(), new Date(2026, 5, 3, 10, 0).getTime(), 'The 24 h end of the range counts');
+  assertEquals(board[0].remainingMs, 20 * 60 * 60 * 1000);
+  assertEquals(board[1].status, 'clear');
+});
+
+test('Products without an REI on record flag the block; old treatments drop off', () => {
+  const board = buildReentryBoard([
+    treatment('t1', '2026-06-01', '08:00', 'Shade House', [CHEMICALS[2]]),
+    treatment('t2', '2026-05-20', '08:00', 'Block C', [CHEMICALS[0]]),
+    treatment('t3', '2026-06-02', '13:00', 'Front bed', [CHEMICALS[3]])
+  ], CHEMICALS, NOW);
+
+  assertEquals(board.map(row => `${row.area}:${row.status}`).join(','), 'Shade House:unknown,Front bed:clear');
+  assertEquals(board[0].reentryAt, null);
+});
+
+test('An untimed treatment today keeps its block restricted past midnight', () => {
+  const board = buildReentryBoard([{ id: 't1', date: '2026-06-02', area: 'Block A', mix: 'Tempo SC Ultra' }], CHEMICALS, NOW);
+  assertEquals(board[0].status, 'active');
+  assertEquals(board[0].products[0].timeAssumed, true);
+  assertEquals(board[0].reentryAt.getTime(), new Date(2026, 5, 3, 11, 59).getTime());
+});
+
+test('Restricted areas are found case-insensitively; clear blocks are not', () => {
+  const board = buildReentryBoard([
+    treatment('t1', '2026-06-02', '08:00', 'Block A', [CHEMICALS[0]]),
+    treatment('t2', '2026-05-30', '08:00', 'Block B', [CHEMICALS[0]])
+  ], CHEMICALS, NOW);
+  assertEquals(findRestrictedArea(board, ' block a').area, 'Block A');
+  assertEquals(findRestrictedArea(board, 'Block B'), null);
+  assertEquals(findRestrictedArea(board, ''), null);
+});
+
+test('Scouting saved in a block before its re-entry time is reported', () => {
+  const board = buildReentryBoard([treatment('t1', '2026-06-02', '08:00', 'Block A', [CHEMICALS[0]])], CHEMICALS, NOW);
+  const findings = findScoutingDuringRei([
+    { id: 's1', date: '2026-06-02', area: 'Block A', updatedAt: new Date(2026, 5, 2, 9, 30).toISOString() },
+    { id: 's2', date: '2026-06-02', area: 'Block A', updatedAt: new Date(2026, 5, 2, 7, 0).toISOString() },
+    { id: 's3', date: '2026-06-02', area: 'Block B' },
+    { id: 's4', date: '2026-06-02', area: 'block a' }
+  ], board);
+
+  assertEquals(findings.map(f => f.entry.id).join(','), 's1,s4', 'Before the spray and other blocks are fine; untimed entries count at midday');
+  assertEquals(findings[0].products.join(), 'Tempo SC Ultra');
+  assertEquals(findings[0].reentryAt.getTime(), new Date(2026, 5, 2, 20, 0).getTime());
+  assertEquals(findings[0].possible, false);
+});
+
+test('Scouting the same day as an untimed treatment is flagged as possible', () => {
+  const board = buildReentryBoard([treatment('t1', '2026-06-02', '', 'Block A', [CHEMICALS[0]])], CHEMICALS, NOW);
+  const findings = findScoutingDuringRei([
+    { id: 's1', date: '2026-06-02', area: 'Block A', updatedAt: new Date(2026, 5, 2, 9, 30).toISOString() },
+    { id: 's2', date: '2026-06-01', area: 'Block A', updatedAt: new Date(2026, 5, 1, 16, 0).toISOString() },
+    { id: 's3', date: '2026-06-03', area: 'Block A', updatedAt: new Date(2026, 5, 3, 8, 0).toISOString() }
+  ], board);
+
+  assertEquals(findings.map(f => f.entry.id).join(','), 's1,s3', 'The day before is fine');
+  assertEquals(findings[0].possible, true, 'The spray may have gone on after the scouting');
+  assertEquals(findings[1].possible, false, 'The next morning is inside the REI whatever time it was applied');
+});
+
+console.log('\n🪧 Countdown & Sign Tests:');
+
+test('formatCountdown shows days, hours and minutes left', () => {
+  assertEquals(formatCountdown((2 * 24 + 4) * 60 * 60 * 1000), '2 d 4 h');
+  assertEquals(formatCountdown((3 * 60 + 20) * 60 * 1000), '3 h 20 min');
+  assertEquals(formatCountdown(11.5 * 60 * 1000), '12 min');
+  assertEquals(formatCountdown(0), 'Re-entry allowed');
+});
+
+test('formatPostingSignHTML shows the bilingual warning, block, products and re-entry time', () => {
+  const board = buildReentryBoard([treatment('t1', '2026-06-02', '08:00', 'Block A', [CHEMICALS[0], CHEMICALS[2]])], CHEMICALS, NOW);
+  const html = formatPostingSignHTML(board[0]);
+  assertTruthy(html.includes('DANGER<br>PELIGRO'), html);
+  assertTruthy(html.includes('KEEP OUT<br>NO ENTRE'), html);
+  assertTruthy(html.includes('<dd>Block A</dd>'), html);
+  assertTruthy(html.includes('Tempo SC Ultra (EPA Reg. No. 432-1363)'), html);
+  assertTruthy(html.includes('Mystery Product<'), 'Products without an EPA number are listed by name');
+});
+
+test('formatPostingSignHTML escapes the typed block and product names', () => {
+  const entry = { id: 't1', date: '2026-06-02', time: '08:00', area: '<b>Row 3</b>', inputs: [{ name: 'Mix <img src=x>' }] };
+  const html = formatPostingSignHTML(buildReentryBoard([entry], CHEMICALS, NOW)[0]);
+  assertTruthy(html.includes('<dd>&lt;b&gt;Row 3&lt;/b&gt;</dd>'), html);
+  assertTruthy(html.includes('Mix &lt;img src=x&gt;'), html);
+  assertTruthy(!html.includes('<img'), html);
+});
+
+// Summary
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Test Results:`);
+console.log(`   ✓ Passed: ${passed}`);
+console.log(`   ✗ Failed: ${failed}`);
+console.log(`   Total:  ${passed + failed}`);
+
+if (failed === 0) {
+  console.log('\n✅ All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed.\n');
+  process.exit(1);
+}
@@ -59,11 +59,39 @@ function _loadScript(src) {
   });
 }
 
+// Chemical pages need both the library and the MOA normalizer
+function chemicalDataReady() {
+  return Array.isArray(window.chemicals) && typeof window.MoaUtils !== 'undefined';
+}
+
 function ensureChemicalsAvailable() {
-  if (typeof window.chemicals !== 'undefined' && Array.isArray(window.chemicals)) {
-    return Promise.resolve();
-  }
-  return _loadScript('./chemicals.js');
+  const loads = [];
+  if (!Array.isArray(window.chemicals)) loads.push(_loadScript('./chemicals.js'));
+  if (typeof window.MoaUtils === 'undefined') loads.push(_loadScript('./moa-utils.js'));
+  return Promise.all(loads);
+}
+
+// Calculator math, with the unit conversion engine, label limit and tank-mix checks, spreader tables and work orders it uses
+function calculatorsReady() {
+  return typeof window.CalculatorUtils !== 'undefined' &&
+    typeof window.UnitConversion !== 'undefined' &&
+    typeof window.SprayerCalibration !== 'undefined' &&
+    typeof window.LabelLimits !== 'undefined' &&
+    typeof window.TankMix !== 'undefined' &&
+    typeof window.SpreaderSettings !== 'undefined' &&
+    typeof window.WorkOrder !== 'undefined';
+}
+
+function ensureCalculatorsAvailable() {
+  const loads = [];
+  if (typeof window.UnitConversion === 'undefined') loads.push(_loadScript('./unit-conversion.js'));
+  if (typeof window.CalculatorUtils === 'undefined') loads.push(_loadScript('./calculators-utils.js'));
+  if (typeof window.SprayerCalibration === 'undefined') loads.push(_loadScript('./sprayer-calibration.js'));
+  if (typeof window.LabelLimits === 'undefined') loads.push(_loadScript('./label-limits.js'));
+  if (typeof window.TankMix === 'undefined') loads.push(_loadScript('./tank-mix.js'));
+  if (typeof window.SpreaderSettings === 'undefined') loads.push(_loadScript('./spreader-settings.js'));
+  if (typeof window.WorkOrder === 'undefined') loads.push(_loadScript('./work-order.js'));
+  return Promise.all(loads);
 }
 
 function ensurePlantsAvailable() {
@@ -139,10 +167,16 @@ function addToMix(id) {
 // Handoff state from Diagnostics -> Scouting
 let pendingScoutingFromDiagnostics = null;
 
+// Photos attached to the open Scouting and Diagnostics forms (photo-store.js refs)
+const formPhotos = { scout: [], diag: [] };
+
 // Handoff state from Mix Calculator -> Treatment Log
 let lastMixCalc = null;
 let pendingTreatmentFromMix = null;
 
+// Treatment entry currently open in the form for an audited edit
+let editingTreatmentId = null;
+
 async function populatePlantSelect(selectId, searchInputId) {
   await ensurePlantsAvailable().catch(() => { console.warn('Plant master failed to load'); });
 
@@ -217,6 +251,72 @@ function saveFavoriteChemicalIds() {
   }
 }
 
+// Last calibrated spray volume used in the Mix Calculator (persisted in localStorage)
+function loadMixSprayVolume() {
+  try {
+    const raw = localStorage.getItem('mixSprayVolume');
+    const parsed = raw ? JSON.parse(raw) : null;
+    if (parsed && parsed.value > 0) return parsed;
+  } catch (e) {
+    console.warn("Failed to read mixSprayVolume from localStorage", e);
+  }
+  return { value: 1, basis: 'gal/1000 sq ft' };
+}
+
+function saveMixSprayVolume(value, basis) {
+  try {
+    localStorage.setItem('mixSprayVolume', JSON.stringify({ value, basis }));
+  } catch (e) {
+    console.warn("Failed to write mixSprayVolume to localStorage", e);
+  }
+}
+
+// Saved sprayer calibration profiles (persisted in localStorage)
+function loadSprayerProfiles() {
+  try {
+    const raw = localStorage.getItem('sprayerProfiles');
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    console.warn("Failed to read sprayerProfiles from localStorage", e);
+    return [];
+  }
+}
+
+function saveSprayerProfiles(profiles) {
+  try {
+    localStorage.setItem('sprayerProfiles', JSON.stringify(profiles));
+  } catch (e) {
+    console.warn("Failed to write sprayerProfiles to localStorage", e);
+  }
+}
+
+function getSprayerProfile(id) {
+  return id ? loadSprayerProfiles().find(p => p.id === id) || null : null;
+}
+
+// The sprayer last chosen in the Mix Calculator
+function getSelectedSprayerProfileId() {
+  const id = localStorage.getItem('selectedSprayerProfileId') || '';
+  return getSprayerProfile(id) ? id : '';
+}
+
+function setSelectedSprayerProfileId(id) {
+  try {
+    if (id) localStorage.setItem('selectedSprayerProfileId', id);
+    else localStorage.removeItem('selectedSprayerProfileId');
+  } catch (e) {
+    console.warn("Failed to write selectedSprayerProfileId to localStorage", e);
+  }
+}
+
+function sprayerProfileOptionsHTML(selectedId, emptyLabel) {
+  return [
+    `<option value="">${emptyLabel}</option>`,
+    ...loadSprayerProfiles().map(p => `<option value="${escapeHTML(p.id)}"${p.id === selectedId ? ' selected' : ''}>${escapeHTML(p.name)} – ${escapeHTML(p.galPer1000SqFt)} gal/1,000 sq ft</option>`)
+  ].join('');
+}
+
 function isChemicalFavorite(id) {
   return favoriteChemicalIds.includes(id);
 }
@@ -260,6 +360,16 @@ function queueChemForMix(id) {
   }
 }
 
+// Escape user- or server-supplied text before it goes into innerHTML or an attribute
+function escapeHTML(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 
 // ====== MAIN NAVIGATION ======
 /**
@@ -327,6 +437,8 @@ function showPage(page) {
       <h2>Welcome</h2>
       <p>Select a section above or jump into a core tool.</p>
 
+      <div id="homeReiWarning"></div>
+
       <div class="home-quick-links">
         <button type="button"
                 class="tools-menu-item home-quick-link"
@@ -423,6 +535,7 @@ function showPage(page) {
   // Determine which page to render
   if (page === 'home') {
     smoothTransition(renderHome);
+    updateHomeReiWarning();
     return;
   }
 
@@ -439,7 +552,7 @@ function showPage(page) {
   // For other pages, cross fade into the appropriate renderer
   if (page === 'calculators') {
     smoothTransition(() => {
-      renderCalculators();
+      withLogsLoaded(() => renderCalculators());
     });
     return;
   }
@@ -447,19 +560,25 @@ function showPage(page) {
   if (page === 'mix' || page === 'granular') {
     const tab = page; // preserve which tab to show
     smoothTransition(() => {
-      renderCalculators(tab);
+      withLogsLoaded(() => renderCalculators(tab));
     });
     return;
   }
   if (page === 'logs') {
     smoothTransition(() => {
-      renderLogs();
+      withLogsLoaded(() => renderLogs());
     });
     return;
   }
   if (page === 'treatment') {
     smoothTransition(() => {
-      renderLogs('treatment');
+      withLogsLoaded(() => renderLogs('treatment'));
+    });
+    return;
+  }
+  if (page === 'rei') {
+    smoothTransition(() => {
+      withLogsLoaded(() => renderLogs('rei'));
     });
     return;
   }
@@ -471,19 +590,19 @@ function showPage(page) {
   }
   if (page === 'scouting') {
     smoothTransition(() => {
-      renderLogs('scouting');
+      withLogsLoaded(() => renderLogs('scouting'));
     });
     return;
   }
   if (page === 'rotation') {
     smoothTransition(() => {
-      renderRotation();
+      withLogsLoaded(() => renderRotation());
     });
     return;
   }
   if (page === 'review') {
     smoothTransition(() => {
-      renderLogReview();
+      withLogsLoaded(() => renderLogReview());
     });
     return;
   }
@@ -555,6 +674,11 @@ function updateChemFilterButtons() {
 
 
 // ====== CHEMICAL TABLE + DROPDOWN DETAILS ======
+// A rate the Mix Calculator can use: defaultRate + defaultRateUnit, or the older fl oz/gal field
+function chemHasStoredRate(chem) {
+  const positive = value => typeof value === "number" && value > 0;
+  return (positive(chem.defaultRate) && !!chem.defaultRateUnit) || positive(chem.defaultRatePerGallon);
+}
 
 // Helper function to generate table rows with details (used by both quick results and full table)
 function generateChemicalTableRows(chem) {
@@ -568,7 +692,7 @@ function generateChemicalTableRows(chem) {
         </span>
       </td>
       <td>${chem.type}</td>
-      <td>${chem.moa}</td>
+      <td>${window.MoaUtils.formatMoaGroups(window.MoaUtils.getChemicalMoaGroups(chem))}</td>
       <td>${chem.rei || "See label"}</td>
       <td>${chem.mixRate || ""}</td>
     </tr>
@@ -589,6 +713,7 @@ function generateChemicalTableRows(chem) {
           <div>
             <h3 class="subheading">Mode of Action (MOA)</h3>
             <p><strong>MOA Code:</strong> ${chem.moa || "N/A"}</p>
+            <p><strong>MOA Groups:</strong> ${formatMoaGroupListHTML(window.MoaUtils.getChemicalMoaGroups(chem))}</p>
             <p><strong>MOA Name:</strong> ${chem.moaName || "N/A"}</p>
             <p><strong>MOA Description:</strong> ${chem.moaDescription || "N/A"}</p>
             <p><strong>IPM Category:</strong> ${chem.ipmCategory || "N/A"}</p>
@@ -608,6 +733,7 @@ function generateChemicalTableRows(chem) {
             <h3 class="subheading">Legal & Safety</h3>
             <p><strong>Allowed Sites (FL):</strong> ${chem.allowedSites || "N/A"}</p>
             <p><strong>Restrictions:</strong> ${chem.restrictions || "N/A"}</p>
+            ${chem.ppe ? `<p><strong>PPE:</strong> ${chem.ppe}</p>` : ''}
             <p><strong>EPA Reg #:</strong> ${chem.epaRegNum || "N/A"}</p>
             <p><strong>EPA Label:</strong> <a href="${chem.epaLabelUrl || '#'}" target="_blank" style="color: var(--color-accent);">View Label ${chem.epaLabelUrl && chem.epaLabelUrl !== "Check EPA website" ? "↗" : ""}</a></p>
           </div>
@@ -633,7 +759,7 @@ function generateChemicalTableRows(chem) {
           </button>
 
           ${
-            (typeof chem.defaultRatePerGallon === "number" && !isNaN(chem.defaultRatePerGallon))
+            chemHasStoredRate(chem)
               ? `<button type="button"
                          class="btn-accent chem-to-mix-btn"
                          onclick="event.stopPropagation(); addToMix('${chem.id}')">
@@ -642,7 +768,7 @@ function generateChemicalTableRows(chem) {
               : `<button type="button"
                          class="btn-disabled chem-to-mix-btn"
                          disabled>
-                   No stored per-gallon rate
+                   No stored spray rate
                  </button>`
           }
         </div>
@@ -678,7 +804,7 @@ function toggleChemicalDetail(id) {
 
 // ====== QUICK RESULTS (SEARCH-FIRST VIEW) ======
 function renderChemicalQuickResults(filterTerm = "") {
-  if (typeof window.chemicals === 'undefined') {
+  if (!chemicalDataReady()) {
     const container = document.getElementById('chemQuickResults');
     showLoadingTarget(container, 'Loading chemical library…');
     ensureChemicalsAvailable()
@@ -721,7 +847,7 @@ function renderChemicalQuickResults(filterTerm = "") {
   const filtered = base.filter(c =>
     c.name.toLowerCase().includes(term) ||
     c.type.toLowerCase().includes(term) ||
-    c.moa.toLowerCase().includes(term)
+    window.MoaUtils.moaSearchText(c).includes(term)
   );
 
   if (!filtered.length) {
@@ -769,7 +895,7 @@ document.addEventListener('keydown', function (evt) {
 
 // ====== CALCULATORS (UNIFIED MIX CALCULATOR + GRANULAR HELPER) ======
 function renderCalculators(defaultTab) {
-  if (typeof window.chemicals === 'undefined') {
+  if (!chemicalDataReady()) {
     const content = document.getElementById('content');
     showLoadingTarget(content, 'Loading chemical data for Calculators…');
     ensureChemicalsAvailable()
@@ -784,10 +910,10 @@ function renderCalculators(defaultTab) {
   content.innerHTML = `
     <h2>Calculators</h2>
     <p class="muted">
-      Calculate spray mixes and granular applications for your nursery.
+      Calculate spray mixes, granular applications and fertilizer feeds for your nursery.
     </p>
 
-    <div class="logs-tabs" role="tablist" aria-label="Mix Calculator and Granular Helper">
+    <div class="logs-tabs" role="tablist" aria-label="Mix Calculator, Granular Helper, Sprayer Calibration and Fertilizer">
       <button type="button"
               class="logs-tab-btn logs-tab-active"
               data-tab="mix"
@@ -804,12 +930,28 @@ function renderCalculators(defaultTab) {
               onclick="showCalculatorTab('granular')">
         Granular Helper
       </button>
+      <button type="button"
+              class="logs-tab-btn"
+              data-tab="calibration"
+              role="tab"
+              aria-selected="false"
+              onclick="showCalculatorTab('calibration')">
+        Sprayer Calibration
+      </button>
+      <button type="button"
+              class="logs-tab-btn"
+              data-tab="fertilizer"
+              role="tab"
+              aria-selected="false"
+              onclick="showCalculatorTab('fertilizer')">
+        Fertilizer
+      </button>
     </div>
 
     <div id="calculatorBody" class="logs-body" role="tabpanel" aria-live="polite"></div>
   `;
 
-  const initial = defaultTab === 'granular' ? 'granular' : 'mix';
+  const initial = ['granular', 'calibration', 'fertilizer'].includes(defaultTab) ? defaultTab : 'mix';
   showCalculatorTab(initial);
 }
 
@@ -827,18 +969,245 @@ function showCalculatorTab(tab) {
 
   if (tab === 'granular') {
     renderGranularHelperTab(body);
+  } else if (tab === 'calibration') {
+    renderCalibrationTab(body);
+  } else if (tab === 'fertilizer') {
+    renderFertilizerTab(body);
   } else {
     renderMixCalculatorTab(body);
   }
 }
 
+// ====== SPRAYER CALIBRATION TAB ======
+// Result of the last calibration run, saved into a profile on request
+let lastCalibration = null;
+
+function renderCalibrationTab(targetEl) {
+  const content = targetEl || document.getElementById('content');
+
+  if (!calculatorsReady()) {
+    showLoadingTarget(content, 'Loading Sprayer Calibration…');
+    ensureCalculatorsAvailable()
+      .then(() => renderCalibrationTab(targetEl))
+      .catch(() => { if (content) content.innerHTML = '<p>Failed to load Sprayer Calibration.</p>'; });
+    return;
+  }
+
+  lastCalibration = null;
+  const courseSqFt = window.SprayerCalibration.CALIBRATION_COURSE_SQFT.toFixed(0);
+
+  content.innerHTML = `
+    <h3 class="subheading">Sprayer Calibration</h3>
+    <p class="muted">
+      Measure what each sprayer really applies, then save it as a profile.
+      The Mix Calculator and Treatment Log use the chosen profile's gallons per 1,000 sq ft.
+      Calibrate with clean water.
+    </p>
+
+    <form class="mix-form" onsubmit="event.preventDefault(); runSprayerCalibration();">
+      <div class="mix-mode-toggle" role="radiogroup" aria-label="Calibration method">
+        <label><input type="radio" name="calibMethod" value="backpack-timed" checked onchange="updateCalibrationMethod()" /> Backpack (timed pass)</label>
+        <label><input type="radio" name="calibMethod" value="boom-128" onchange="updateCalibrationMethod()" /> Boom (1/128 acre)</label>
+      </div>
+
+      <div id="calibBackpackFields">
+        <p class="muted">
+          Mark out a test area and spray it with water at your normal pace and pressure, timing the pass.
+          Then spray into a measuring container for the same number of seconds.
+        </p>
+        <label for="calibTestArea">Test area (sq ft)</label>
+        <input id="calibTestArea" type="number" step="any" min="0" value="1000" />
+        <label for="calibPassSeconds">Time to spray the test area (seconds)</label>
+        <input id="calibPassSeconds" type="number" step="any" min="0" placeholder="e.g. 45" />
+        <label for="calibOunces">Water collected in that time (fl oz)</label>
+        <input id="calibOunces" type="number" step="any" min="0" placeholder="e.g. 64" />
+      </div>
+
+      <div id="calibBoomFields" hidden>
+        <p class="muted">
+          Each nozzle covers a strip as wide as the nozzle spacing; a course of 1/128 acre (${courseSqFt} sq ft) per strip
+          makes the fl oz caught from one nozzle equal gallons per acre. Drive the course at spraying speed and time it,
+          then catch each nozzle for that many seconds.
+        </p>
+        <label for="calibNozzleSpacing">Nozzle spacing (inches)</label>
+        <input id="calibNozzleSpacing" type="number" step="any" min="0" placeholder="e.g. 20" oninput="updateBoomCourseLength()" />
+        <p id="calibCourseLength" class="muted"></p>
+        <label for="calibNozzleOunces">Fl oz caught from each nozzle (separate with commas)</label>
+        <input id="calibNozzleOunces" placeholder="e.g. 20, 21, 19.5, 20" />
+      </div>
+
+      <button class="btn-primary mix-btn">Calculate Spray Volume</button>
+    </form>
+
+    <div id="calibResult" class="mix-result muted">
+      Enter your calibration measurements to see gallons per 1,000 sq ft.
+    </div>
+
+    <h3 class="subheading">Saved sprayers</h3>
+    <div id="sprayerProfileList"></div>
+  `;
+
+  renderSprayerProfileList();
+}
+
+function updateCalibrationMethod() {
+  const method = document.querySelector('input[name="calibMethod"]:checked').value;
+  document.getElementById('calibBackpackFields').hidden = method !== 'backpack-timed';
+  document.getElementById('calibBoomFields').hidden = method !== 'boom-128';
+}
+
+function updateBoomCourseLength() {
+  const spacing = parseFloat(document.getElementById('calibNozzleSpacing').value);
+  const length = window.SprayerCalibration.boomCourseLengthFt(spacing);
+  const el = document.getElementById('calibCourseLength');
+  if (el) el.textContent = length ? `Calibration course: ${length.toFixed(1)} ft` : '';
+}
+
+function runSprayerCalibration() {
+  const { SprayerCalibration } = window;
+  const resultDiv = document.getElementById('calibResult');
+  const method = document.querySelector('input[name="calibMethod"]:checked').value;
+
+  const result = method === 'boom-128'
+    ? SprayerCalibration.calibrateBoom({
+      nozzleSpacingInches: parseFloat(document.getElementById('calibNozzleSpacing').value),
+      ounces: document.getElementById('calibNozzleOunces').value.split(',').map(v => v.trim()).filter(Boolean).map(parseFloat)
+    })
+    : SprayerCalibration.calibrateBackpack({
+      testAreaSqFt: parseFloat(document.getElementById('calibTestArea').value),
+      passSeconds: parseFloat(document.getElementById('calibPassSeconds').value),
+      ouncesCollected: parseFloat(document.getElementById('calibOunces').value)
+    });
+
+  if (result.error) {
+    lastCalibration = null;
+    resultDiv.innerHTML = result.error;
+    return;
+  }
+  lastCalibration = { method, ...result };
+
+  let html = `
+    <p><strong>Spray volume:</strong> ${result.galPer1000SqFt.toFixed(2)} gal per 1,000 sq ft
+      (${result.galPerAcre.toFixed(1)} gal per acre)</p>
+  `;
+  if (method === 'boom-128') {
+    html += `<p><strong>Course length:</strong> ${result.courseLengthFt.toFixed(1)} ft · <strong>Average catch:</strong> ${result.averageOunces.toFixed(1)} fl oz</p>`;
+    const offNozzles = result.nozzles.filter(n => n.outOfRange);
+    if (offNozzles.length) {
+      html += `<p class="muted">Clean or replace nozzle${offNozzles.length > 1 ? 's' : ''}
+        ${offNozzles.map(n => `${n.nozzle} (${n.deviationPct > 0 ? '+' : ''}${n.deviationPct}%)`).join(', ')}:
+        more than ${window.SprayerCalibration.NOZZLE_TOLERANCE * 100}% off the average. Then recalibrate.</p>`;
+    }
+  } else {
+    html += `<p><strong>Output:</strong> ${result.flowOzPerMinute.toFixed(1)} fl oz per minute</p>`;
+  }
+
+  const isBoom = method === 'boom-128';
+  html += `
+    <form class="mix-form" onsubmit="event.preventDefault(); saveSprayerProfileFromCalibration();">
+      <h3 class="subheading">Save as a sprayer profile</h3>
+      <label for="profileName">Sprayer name</label>
+      <input id="profileName" placeholder="${isBoom ? 'e.g. Boom rig 1' : 'e.g. Backpack 2'}" />
+      <label for="profileTankSize">Tank size (gallons)</label>
+      <input id="profileTankSize" type="number" step="any" min="0" placeholder="${isBoom ? 'e.g. 50' : 'e.g. 4'}" />
+      <label for="profileNozzleType">Nozzle type</label>
+      <input id="profileNozzleType" placeholder="e.g. Flat fan, Hollow cone" />
+      <label for="profileNozzleSize">Nozzle size / tip</label>
+      <input id="profileNozzleSize" placeholder="e.g. XR8002" />
+      <label for="profilePressure">Pressure (psi)</label>
+      <input id="profilePressure" type="number" step="any" min="0" placeholder="e.g. 30" />
+      <label for="profileNotes">Notes</label>
+      <input id="profileNotes" placeholder="e.g. Walking pace, 2 passes per bench" />
+      <button class="btn-accent mix-btn">Save Sprayer</button>
+    </form>
+  `;
+  resultDiv.innerHTML = html;
+}
+
+function saveSprayerProfileFromCalibration() {
+  if (!lastCalibration) return;
+  const value = id => (document.getElementById(id)?.value || '').trim();
+  const isBoom = lastCalibration.method === 'boom-128';
+
+  const result = window.SprayerCalibration.createSprayerProfile({
+    name: value('profileName'),
+    type: isBoom ? 'boom' : 'backpack',
+    galPer1000SqFt: lastCalibration.galPer1000SqFt,
+    tankSizeGallons: value('profileTankSize'),
+    nozzle: {
+      type: value('profileNozzleType'),
+      size: value('profileNozzleSize'),
+      count: isBoom ? lastCalibration.nozzles.length : 1,
+      spacingInches: isBoom ? value('calibNozzleSpacing') : null,
+      pressurePsi: value('profilePressure')
+    },
+    method: lastCalibration.method,
+    notes: value('profileNotes')
+  });
+  if (result.error) {
+    alert(result.error);
+    return;
+  }
+
+  // A sprayer saved again under the same name replaces its old calibration
+  const profiles = loadSprayerProfiles().filter(p => p.name.toLowerCase() !== result.profile.name.toLowerCase());
+  profiles.push(result.profile);
+  saveSprayerProfiles(profiles);
+  setSelectedSprayerProfileId(result.profile.id);
+
+  lastCalibration = null;
+  document.getElementById('calibResult').innerHTML =
+    `Saved ${escapeHTML(result.profile.name)}. It is now the selected sprayer in the Mix Calculator.`;
+  renderSprayerProfileList();
+}
+
+function renderSprayerProfileList() {
+  const list = document.getElementById('sprayerProfileList');
+  if (!list) return;
+  const profiles = loadSprayerProfiles();
+  if (!profiles.length) {
+    list.innerHTML = '<p class="muted">No sprayers saved yet.</p>';
+    return;
+  }
+  const selectedId = getSelectedSprayerProfileId();
+  list.innerHTML = profiles.map(p => `
+    <div class="sprayer-profile">
+      <div>
+        <strong>${escapeHTML(window.SprayerCalibration.describeSprayerProfile(p))}</strong>${p.id === selectedId ? ' <span class="muted">(selected)</span>' : ''}
+        <div class="muted">
+          ${escapeHTML(p.galPer1000SqFt)} gal per 1,000 sq ft${p.tankSizeGallons ? ` · ${escapeHTML(p.tankSizeGallons)} gal tank` : ''}
+          · calibrated ${new Date(p.calibratedAt).toLocaleDateString()}
+        </div>
+      </div>
+      <!-- The id travels in a data attribute so a saved id can never break out of the onclick -->
+      <div class="sprayer-profile-actions" data-profile-id="${escapeHTML(p.id)}">
+        <button type="button" class="btn-accent" onclick="useSprayerProfile(this.parentNode.dataset.profileId)">Use in Mix Calculator</button>
+        <button type="button" class="mix-remove-btn" onclick="deleteSprayerProfile(this.parentNode.dataset.profileId)">Delete</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+function useSprayerProfile(id) {
+  setSelectedSprayerProfileId(id);
+  showCalculatorTab('mix');
+}
+
+function deleteSprayerProfile(id) {
+  const profile = getSprayerProfile(id);
+  if (!profile || !confirm(`Delete sprayer "${profile.name}"?`)) return;
+  saveSprayerProfiles(loadSprayerProfiles().filter(p => p.id !== id));
+  if (getSelectedSprayerProfileId() === id) setSelectedSprayerProfileId('');
+  renderSprayerProfileList();
+}
+
 // ====== MIX CALCULATOR TAB (DYNAMIC MULTI-CHEMICAL + COVERAGE) ======
 function renderMixCalculatorTab(targetEl) {
   const content = targetEl || document.getElementById('content');
 
-  if (typeof window.chemicals === 'undefined') {
+  if (!chemicalDataReady() || !calculatorsReady()) {
     showLoadingTarget(content, 'Loading chemical data for Mix Calculator…');
-    ensureChemicalsAvailable()
+    Promise.all([ensureChemicalsAvailable(), ensureCalculatorsAvailable()])
       .then(() => renderMixCalculatorTab(targetEl))
       .catch(() => { if (content) content.innerHTML = '<p>Failed to load chemical data.</p>'; });
     return;
@@ -865,22 +1234,54 @@ function renderMixCalculatorTab(targetEl) {
 
   // reset row count each time we open the Mix tab
   mixChemRowCount = 0;
+  const sprayVolume = loadMixSprayVolume();
+  const selectedSprayerId = getSelectedSprayerProfileId();
 
   content.innerHTML = `
     <h3 class="subheading">Mix Calculator</h3>
     <p class="muted">
-      Select one or more chemicals and enter your tank size in gallons.
-      Rates are based on each product's stored per-gallon rate
-      (often coming from label guidance per 1,000 sq ft). Always verify against the current label.
+      Select one or more chemicals, your tank size and your calibrated spray volume.
+      Mix one tank, or enter the area to treat to get the number of tanks and product per tank.
+      Rates are based on each product's stored label rate, in the label's own units
+      (per gallon, per 100 gallons, or per area). Always verify against the current label.
     </p>
 
-    <form class="mix-form" onsubmit="event.preventDefault(); calculateMix();">
+    <form class="mix-form" onsubmit="event.preventDefault(); runMixCalculator();">
+      <div class="mix-mode-toggle" role="radiogroup" aria-label="Calculation mode">
+        <label><input type="radio" name="mixMode" value="tank" checked onchange="updateMixMode()" /> One tank</label>
+        <label><input type="radio" name="mixMode" value="area" onchange="updateMixMode()" /> Treat an area</label>
+      </div>
+
+      <label for="mixBlock">Block / Area (checks label limits against this block's log)</label>
+      <input id="mixBlock" placeholder="e.g. Block A" />
+
+      <label for="mixSprayerProfile">Sprayer</label>
+      <select id="mixSprayerProfile" onchange="applyMixSprayerProfile()">
+        ${sprayerProfileOptionsHTML(selectedSprayerId, 'Manual spray volume')}
+      </select>
+
       <label for="mixTankSize">Tank size (gallons)</label>
       <input id="mixTankSize" type="number" step="1" min="1" placeholder="e.g. 25" />
 
-      <p class="muted" style="font-size:0.8rem; margin-top:0.1rem;">
-        Coverage assumes <strong>1 gallon of spray per 1,000 sq ft</strong>. Just enter your tank size in gallons.
-      </p>
+      <label for="mixSprayVolume">Spray volume (from your sprayer calibration)</label>
+      <div class="mix-inline">
+        <input id="mixSprayVolume" type="number" step="any" min="0" value="${sprayVolume.value}" oninput="clearMixSprayerProfile()" />
+        <select id="mixSprayVolumeBasis" aria-label="Spray volume basis" onchange="clearMixSprayerProfile()">
+          <option value="gal/1000 sq ft"${sprayVolume.basis === 'gal/1000 sq ft' ? ' selected' : ''}>gal per 1,000 sq ft</option>
+          <option value="gal/acre"${sprayVolume.basis === 'gal/acre' ? ' selected' : ''}>gal per acre</option>
+        </select>
+      </div>
+
+      <div id="mixAreaFields" hidden>
+        <label for="mixArea">Area to treat</label>
+        <div class="mix-inline">
+          <input id="mixArea" type="number" step="any" min="0" placeholder="e.g. 12000" />
+          <select id="mixAreaUnit" aria-label="Area unit">
+            <option value="sq ft">sq ft</option>
+            <option value="acre">acres</option>
+          </select>
+        </div>
+      </div>
 
       <div class="mix-chem-group">
         <h3 class="subheading">Chemicals in this tank</h3>
@@ -899,6 +1300,8 @@ function renderMixCalculatorTab(targetEl) {
     <div id="mixResult" class="mix-result muted">
       Enter a tank size, spray volume, and choose at least one chemical.
     </div>
+
+    <div id="workOrderList"></div>
   `;
 
   // Add rows based on any queued chemicals from the library.
@@ -920,6 +1323,37 @@ function renderMixCalculatorTab(targetEl) {
       addMixChemicalRow();
     }
   }
+
+  if (selectedSprayerId) applyMixSprayerProfile();
+  renderWorkOrderList();
+}
+
+// Fill spray volume and tank size from the chosen calibration profile
+function applyMixSprayerProfile() {
+  const select = document.getElementById('mixSprayerProfile');
+  const profile = getSprayerProfile(select && select.value);
+  setSelectedSprayerProfileId(profile ? profile.id : '');
+  if (!profile) return;
+
+  document.getElementById('mixSprayVolume').value = profile.galPer1000SqFt;
+  document.getElementById('mixSprayVolumeBasis').value = 'gal/1000 sq ft';
+  if (profile.tankSizeGallons) document.getElementById('mixTankSize').value = profile.tankSizeGallons;
+}
+
+// Typing a spray volume by hand means it no longer comes from a saved sprayer
+function clearMixSprayerProfile() {
+  const select = document.getElementById('mixSprayerProfile');
+  if (select && select.value) {
+    select.value = '';
+    setSelectedSprayerProfileId('');
+  }
+}
+
+// Show the area fields only when planning a whole job
+function updateMixMode() {
+  const areaMode = document.querySelector('input[name="mixMode"][value="area"]');
+  const areaFields = document.getElementById('mixAreaFields');
+  if (areaFields) areaFields.hidden = !(areaMode && areaMode.checked);
 }
 
 function addMixChemicalRow() {
@@ -1011,14 +1445,18 @@ function updateMixRateInfo(index) {
     return;
   }
 
-  if (typeof chem.defaultRatePerGallon === "number" && !isNaN(chem.defaultRatePerGallon) && chem.defaultRatePerGallon > 0) {
+  const moaLabel = `MOA: ${window.MoaUtils.formatMoaGroups(window.MoaUtils.getChemicalMoaGroups(chem))}.`;
+  const formulation = window.TankMix.classifyFormulation(chem);
+  const formulationLabel = `Formulation: ${formulation.label}${formulation.code ? ` (${formulation.code})` : ''}.`;
+  const rate = window.UnitConversion.getChemicalRate(chem);
+  if (rate) {
     infoDiv.textContent =
-      `Default: ${chem.defaultRatePerGallon} fl oz per gal. ${chem.rateNote || ""}`;
+      `Default: ${rate.value} ${rate.unit}. ${moaLabel} ${formulationLabel} ${chem.rateNote || ""}`;
   } else {
     const labelRate = chem.mixRate
       ? `Label mix rate: ${chem.mixRate}`
       : "Check the product label for mix rates.";
-    infoDiv.textContent = labelRate;
+    infoDiv.textContent = `${labelRate} ${moaLabel} ${formulationLabel}`;
   }
 }
 
@@ -1056,91 +1494,111 @@ function filterMixOptions(index, term) {
   }
 }
 
-function calculateMix() {
-  const FL_OZ_TO_ML = 29.57;
-
-  const tankSizeInput = document.getElementById('mixTankSize');
+// Named apart from CalculatorUtils.calculateMix, which calculators-utils.js also declares globally
+function runMixCalculator() {
+  const { CalculatorUtils } = window;
   const resultDiv = document.getElementById('mixResult');
 
-  const tank = parseFloat(tankSizeInput.value);
-  const sprayVol = 1; // fixed 1 gal per 1,000 sq ft assumption
+  const tank = parseFloat(document.getElementById('mixTankSize').value);
+  const sprayValue = parseFloat(document.getElementById('mixSprayVolume').value);
+  const sprayBasis = document.getElementById('mixSprayVolumeBasis').value;
+  const sprayVol = CalculatorUtils.sprayVolumePer1000SqFt(sprayValue, sprayBasis);
+  const areaMode = document.querySelector('input[name="mixMode"]:checked').value === 'area';
+  const sprayer = getSprayerProfile(document.getElementById('mixSprayerProfile').value);
+  const block = document.getElementById('mixBlock').value.trim();
 
-  if (!tank || tank <= 0) {
-    resultDiv.innerHTML = "Enter a valid tank size in gallons.";
+  if (!sprayVol) {
+    resultDiv.innerHTML = "Enter your calibrated spray volume.";
     return;
-
-  
   }
-  
-  // Coverage estimation: with fixed 1 gal per 1,000 sq ft,
-  // coverage is simply tank gallons * 1,000 sq ft per gallon.
-  const estimatedCoverageSqFt = tank * 1000;
+  saveMixSprayVolume(sprayValue, sprayBasis);
 
   // Collect all chosen chemicals from dynamically added rows
   const selectElements = document.querySelectorAll('.mix-chem-row select');
-  const chemIds = [];
+  const selected = [];
   selectElements.forEach(sel => {
-    const val = sel.value;
-    if (val) chemIds.push(val);
+    const chem = sel.value && chemicals.find(c => c.id === sel.value);
+    if (chem) selected.push(chem);
   });
 
-  if (chemIds.length === 0) {
-    resultDiv.innerHTML = "Select at least one chemical.";
-    return;
-  }
-
-  let html = `
-    <p><strong>Tank size:</strong> ${tank} gallons</p>
-    <p><strong>Spray volume:</strong> ${sprayVol} gal per 1,000 sq ft</p>
-    <p><strong>Estimated coverage:</strong> ${estimatedCoverageSqFt.toFixed(0)} sq ft</p>
-  `;
-
-  html += `<p><strong>Chemicals and amounts:</strong></p><ul>`;
-
-  const mixItems = [];
-
-  chemIds.forEach(id => {
-    const chem = chemicals.find(c => c.id === id);
-    if (!chem) return;
-
-    if (typeof chem.defaultRatePerGallon !== "number" || chem.defaultRatePerGallon <= 0) {
-      const labelRate = chem.mixRate
-        ? `Label mix rate: ${chem.mixRate}`
-        : "Check the product label for exact rates.";
-      html += `<li>${chem.name}: ${labelRate}</li>`;
+  let results;
+  let html;
+  let jobMix;
+  let coverageSqFt;
+  let tankPlan;
+  if (areaMode) {
+    const areaSqFt = CalculatorUtils.areaInSqFt(parseFloat(document.getElementById('mixArea').value),
+      document.getElementById('mixAreaUnit').value);
+    results = CalculatorUtils.calculateAreaMix({ areaSqFt, sprayVolumePer1000SqFt: sprayVol, tankSizeGallons: tank }, selected);
+    if (results.error) {
+      resultDiv.innerHTML = results.error;
       return;
     }
+    html = CalculatorUtils.formatAreaMixResultsHTML(results);
+    // The Treatment Log records the whole job
+    jobMix = results.totals;
+    coverageSqFt = results.areaSqFt;
+    tankPlan = {
+      fullTanks: results.fullTanks,
+      partialTankGallons: results.partialTankGallons,
+      perTankItems: results.perTank ? results.perTank.mixItems : [],
+      partialTankItems: results.partialTank ? results.partialTank.mixItems : []
+    };
+  } else {
+    results = CalculatorUtils.calculateMix(tank, selected, { sprayVolumePer1000SqFt: sprayVol });
+    if (results.error) {
+      resultDiv.innerHTML = results.error;
+      return;
+    }
+    html = CalculatorUtils.formatMixResultsHTML(results);
+    jobMix = results;
+    coverageSqFt = results.estimatedCoverageSqFt;
+    tankPlan = { fullTanks: 1, partialTankGallons: 0, perTankItems: results.mixItems, partialTankItems: [] };
+  }
+  const mixItems = jobMix.mixItems.filter(item => item.hasStoredRate);
 
-    const flOz = chem.defaultRatePerGallon * tank;
-    const ml = flOz * FL_OZ_TO_ML;
-
-    html += `<li>
-      ${chem.name}: ${flOz.toFixed(2)} fl oz (≈ ${ml.toFixed(0)} mL)
-      at ${chem.defaultRatePerGallon} fl oz per gal.
-    </li>`;
-
-    mixItems.push({
-      id,
-      name: chem.name,
-      ratePerGallon: chem.defaultRatePerGallon,
-      flOz,
-      ml
+  // Tank-level MOA summary; products sharing a group add resistance pressure without a second MOA
+  const tankMoaCounts = {};
+  selected.forEach(chem => {
+    window.MoaUtils.getChemicalMoaGroups(chem).forEach(moa => {
+      tankMoaCounts[moa.key] = (tankMoaCounts[moa.key] || 0) + 1;
     });
   });
+  const tankMoaKeys = Object.keys(tankMoaCounts);
+  if (tankMoaKeys.length > 0) {
+    html += `<p><strong>MOA groups in this tank:</strong> ${tankMoaKeys.join(', ')}</p>`;
+    const repeated = tankMoaKeys.filter(key => tankMoaCounts[key] > 1);
+    if (repeated.length > 0) {
+      html += `<p class="muted">More than one product in this tank is ${repeated.join(', ')}; they do not add a second mode of action.</p>`;
+    }
+  }
 
-  html += `</ul>`;
-
-  // Store last mix for Treatment Log handoff
-  if (mixItems.length > 0) {
-    const mixText = mixItems
-      .map(item => `${item.name}: ${item.flOz.toFixed(2)} fl oz (~${item.ml.toFixed(0)} mL) at ${item.ratePerGallon} fl oz/gal`)
-      .join('\n');
-
+  // Compatibility of the products sharing this tank, and the order to add them
+  html += window.TankMix.formatTankMixHTML(window.TankMix.checkTankMix(selected), window.TankMix.getMixingOrder(selected));
+
+  const limitChecks = checkPlanLabelLimits(selected, chem => ({
+    area: block,
+    rate: window.UnitConversion.getChemicalRate(chem),
+    sprayVolumePer1000SqFt: sprayVol
+  }));
+  html += window.LabelLimits.formatLabelLimitsHTML(limitChecks);
+  const overLimit = limitChecks.some(check => check.blocked);
+
+  // Store last mix for Treatment Log handoff; a mix over a label limit is not sent
+  lastMixCalc = null;
+  if (overLimit) {
+    html += `<p class="muted">Change the plan before sending it to the Treatment Log.</p>`;
+  } else if (mixItems.length > 0) {
     lastMixCalc = {
+      area: block,
       tank,
       sprayVol,
-      estimatedCoverageSqFt,
-      mixText
+      estimatedCoverageSqFt: coverageSqFt,
+      sprayerId: sprayer ? sprayer.id : '',
+      chemIds: selected.map(chem => chem.id),
+      ...tankPlan,
+      mixText: jobMix.mixText,
+      mixItems
     };
 
     html += `
@@ -1150,13 +1608,19 @@ function calculateMix() {
               onclick="sendLastMixToTreatment()">
         Send to Treatment Log
       </button>
+      <button type="button"
+              class="btn-primary mix-btn"
+              style="margin-top:0.5rem;"
+              onclick="createWorkOrderFromLastMix()">
+        Create Work Order
+      </button>
     `;
   }
 
   html += `
     <p class="muted" style="margin-top:0.5rem;">
-      Coverage is an estimate based on a fixed 1 gallon of spray per 1,000 sq ft.
-      Chemical amounts are based on stored per-gallon rates. Always verify exact rates
+      Coverage is an estimate based on the spray volume you entered; re-check it whenever the sprayer is recalibrated.
+      Chemical amounts are based on stored label rates. Always verify exact rates
       and maximum applications on the current product label. The label is the law.
     </p>
   `;
@@ -1165,17 +1629,28 @@ function calculateMix() {
 }
 
 // ====== GRANULAR HELPER TAB (GRANULAR PRODUCT CALCULATOR) ======
+function isGranularProduct(chem) {
+  const cat = (chem.category || '').toLowerCase();
+  const type = (chem.type || '').toLowerCase();
+  const name = (chem.name || '').toLowerCase();
+  if (type.includes('granular') || cat.includes('granular') || name.includes('granular')) return true;
+  return ['G', 'TG'].includes(window.TankMix.classifyFormulation(chem).code);
+}
+
 function renderGranularHelperTab(targetEl) {
   const content = targetEl || document.getElementById('content');
 
+  if (!calculatorsReady()) {
+    showLoadingTarget(content, 'Loading Granular Helper…');
+    ensureCalculatorsAvailable()
+      .then(() => renderGranularHelperTab(targetEl))
+      .catch(() => { if (content) content.innerHTML = '<p>Failed to load Granular Helper.</p>'; });
+    return;
+  }
+
   // Build a sorted list of granular products for selection
   const granularProducts = chemicals
-    .filter(c => {
-      const cat = (c.category || '').toLowerCase();
-      const type = (c.type || '').toLowerCase();
-      const name = (c.name || '').toLowerCase();
-      return type.includes('granular') || cat.includes('granular') || name.includes('granular');
-    })
+    .filter(isGranularProduct)
     .sort((a, b) => a.name.localeCompare(b.name));
 
   const options = [
@@ -1183,6 +1658,11 @@ function renderGranularHelperTab(targetEl) {
     ...granularProducts.map(c => `<option value="${c.id}">${c.name}</option>`)
   ].join('');
 
+  const spreaderOptions = [
+    '<option value="">No spreader selected</option>',
+    ...window.SpreaderSettings.SPREADERS.map(s => `<option value="${s.id}">${s.name} (${s.type}${s.estimate ? ', generic estimate' : ''})</option>`)
+  ].join('');
+
   content.innerHTML = `
     <h3 class="subheading">Granular Helper</h3>
     <p class="muted">
@@ -1190,17 +1670,45 @@ function renderGranularHelperTab(targetEl) {
       This is a helper only; always follow the current product label.
     </p>
 
-    <form id="granularForm" class="mix-form" onsubmit="event.preventDefault(); calculateGranular();">
+    <form id="granularForm" class="mix-form" onsubmit="event.preventDefault(); runGranularHelper();">
       <label for="granularProduct">Product</label>
       <select id="granularProduct">
         ${options}
       </select>
 
-      <label for="granularArea">Area to treat (sq ft)</label>
-      <input id="granularArea" type="number" step="1" min="0" placeholder="e.g. 5000" />
+      <label for="granularRate">Application rate</label>
+      <div class="mix-inline">
+        <input id="granularRate" type="number" step="any" min="0" placeholder="From the product label" />
+        <select id="granularRateUnit" aria-label="Rate unit">
+          ${window.CalculatorUtils.GRANULAR_RATE_UNITS.map(unit => `<option value="${unit}">${unit}</option>`).join('')}
+        </select>
+      </div>
+
+      <label for="granularArea">Area to treat</label>
+      <div class="mix-inline">
+        <input id="granularArea" type="number" step="any" min="0" placeholder="e.g. 5000" />
+        <select id="granularAreaUnit" aria-label="Area unit">
+          <option value="sq ft">sq ft</option>
+          <option value="acre">acres</option>
+        </select>
+      </div>
+
+      <label for="granularBlock">Block / Area (checks label limits against this block's log)</label>
+      <input id="granularBlock" placeholder="e.g. Block A" />
+
+      <label for="granularBagWeight">Bag weight (lb)</label>
+      <input id="granularBagWeight" type="number" step="any" min="0" placeholder="e.g. 50" />
 
-      <!-- Hidden input to store the calculated application rate (lbs per 1,000 sq ft) -->
-      <input id="granularRate" type="hidden" />
+      <label for="granularAnalysis">Fertilizer analysis (N-P-K, optional)</label>
+      <input id="granularAnalysis" placeholder="e.g. 16-4-8" />
+
+      <label for="granularAiPercent">Active ingredient (% by weight, optional)</label>
+      <input id="granularAiPercent" type="number" step="any" min="0" max="100" placeholder="e.g. 0.5" />
+
+      <label for="granularSpreader">Spreader</label>
+      <select id="granularSpreader">
+        ${spreaderOptions}
+      </select>
 
       <button class="btn-primary mix-btn" style="margin-top: 1rem;">Calculate Product Needed</button>
     </form>
@@ -1215,91 +1723,485 @@ function renderGranularHelperTab(targetEl) {
     </p>
   `;
 
-  // When a product is selected, automatically populate the rate field using the product's label rate if available
+  // When a product is selected, fill in its stored rate, bag weight, analysis and active ingredient
   const productSelect = document.getElementById('granularProduct');
+  if (productSelect) {
+    productSelect.addEventListener('change', () => fillGranularProduct(chemicals.find(c => c.id === productSelect.value)));
+  }
+}
+
+function fillGranularProduct(chem) {
   const rateInput = document.getElementById('granularRate');
-  if (productSelect && rateInput) {
-    productSelect.addEventListener('change', () => {
-      const selectedId = productSelect.value;
-      if (!selectedId) {
-        rateInput.value = '';
-        return;
-      }
-      const chem = chemicals.find(c => c.id === selectedId);
-      if (!chem) {
-        rateInput.value = '';
-        return;
-      }
-      // Use the stored default granular rate per thousand square feet if available
-      let rate = chem.defaultGranularRatePerThousandSqFt;
-      // If not present, attempt to extract a numeric rate from the chemical's mixRate string as a fallback
-      if (!rate && chem.mixRate) {
-        const match = chem.mixRate.match(/([0-9]+\.?[0-9]*)/);
-        if (match) rate = parseFloat(match[1]);
-      }
-      if (rate && !isNaN(rate)) {
-        rateInput.value = rate;
-      } else {
-        rateInput.value = '';
-      }
-    });
+  const rateUnitSelect = document.getElementById('granularRateUnit');
+  let rate = chem ? window.CalculatorUtils.getGranularRate(chem) : null;
+  // If not present, attempt to extract a numeric rate from the chemical's mixRate string as a fallback
+  if (!rate && chem && chem.mixRate) {
+    const match = chem.mixRate.match(/([0-9]+\.?[0-9]*)/);
+    if (match) rate = { value: parseFloat(match[1]), unit: 'lb/1000 sq ft' };
   }
+  rateInput.value = rate && !isNaN(rate.value) ? rate.value : '';
+  if (rate) rateUnitSelect.value = rate.unit;
+
+  const analysis = chem && (chem.analysis || (chem.name.match(/\b\d+(?:\.\d+)?-\d+(?:\.\d+)?-\d+(?:\.\d+)?\b/) || [])[0]);
+  document.getElementById('granularAnalysis').value = analysis || '';
+  document.getElementById('granularBagWeight').value = chem && chem.bagWeightLbs ? chem.bagWeightLbs : '';
+  let aiPercent = null;
+  if (chem) {
+    aiPercent = chem.aiContentUnit === '%' && chem.aiContent > 0 ? chem.aiContent : window.CalculatorUtils.activePercent(chem);
+  }
+  document.getElementById('granularAiPercent').value = aiPercent || '';
 }
 
-function calculateGranular() {
+// Named apart from CalculatorUtils.calculateGranular, which calculators-utils.js also declares globally
+function runGranularHelper() {
   const nameSelect = document.getElementById('granularProduct');
-  const areaInput = document.getElementById('granularArea');
-  const rateInput = document.getElementById('granularRate');
   const resultDiv = document.getElementById('granularResult');
-  const productName = nameSelect && nameSelect.selectedIndex > 0 ? nameSelect.options[nameSelect.selectedIndex].text : '';
-  const areaSqFt = parseFloat(areaInput.value);
-  const ratePerThousand = parseFloat(rateInput.value); // lbs per 1,000 sq ft (auto calculated)
-
-  if (!areaSqFt || areaSqFt <= 0) {
-    resultDiv.innerHTML = 'Enter a valid area in square feet.';
+  const chem = chemicals.find(c => c.id === nameSelect.value);
+  const areaSqFt = window.CalculatorUtils.areaInSqFt(parseFloat(document.getElementById('granularArea').value),
+    document.getElementById('granularAreaUnit').value);
+
+  const results = window.CalculatorUtils.calculateGranular(
+    areaSqFt,
+    parseFloat(document.getElementById('granularRate').value),
+    chem ? chem.name : '',
+    {
+      rateUnit: document.getElementById('granularRateUnit').value,
+      bagWeightLbs: parseFloat(document.getElementById('granularBagWeight').value),
+      analysis: document.getElementById('granularAnalysis').value,
+      aiPercent: parseFloat(document.getElementById('granularAiPercent').value)
+    }
+  );
+  if (results.error) {
+    resultDiv.innerHTML = results.error;
     return;
   }
-  if (!ratePerThousand || ratePerThousand <= 0 || isNaN(ratePerThousand)) {
-    resultDiv.innerHTML = 'No stored application rate for the selected product. Please refer to the product label.';
-    return;
+
+  let html = window.CalculatorUtils.formatGranularResultsHTML(results);
+  if (chem) {
+    html += `<p><strong>MOA:</strong> ${formatMoaGroupListHTML(window.MoaUtils.getChemicalMoaGroups(chem))}</p>`;
   }
 
-  const areaThousands = areaSqFt / 1000;
-  const totalLbs = areaThousands * ratePerThousand;
+  const spreaderId = document.getElementById('granularSpreader').value;
+  if (spreaderId) {
+    const setting = window.SpreaderSettings.lookupSpreaderSetting(spreaderId, results.ratePerThousandSqFt);
+    html += `<p><strong>Spreader setting:</strong> ${window.SpreaderSettings.describeSpreaderSetting(setting)}</p>`;
+    if (!setting.error && setting.spreader.estimate) {
+      html += '<p class="muted">A generic calibration estimate for medium granules, not the spreader maker\'s chart. Use the setting on the product bag if it lists one, and verify by calibrating before spreading.</p>';
+    } else if (!setting.error) {
+      html += '<p class="muted">A starting point for medium granules. Use the setting on the product bag if it lists one, and calibrate before spreading.</p>';
+    }
+  }
 
-  let html = '';
-  if (productName) {
-    html += `<p><strong>Product:</strong> ${productName}</p>`;
+  if (chem) {
+    html += window.LabelLimits.formatLabelLimitsHTML(checkPlanLabelLimits([chem], () => ({
+      area: document.getElementById('granularBlock').value.trim(),
+      rate: { value: results.ratePerThousandSqFt, unit: 'lb/1000 sq ft' }
+    })));
   }
-  html += `
-    <p><strong>Area:</strong> ${areaSqFt.toFixed(0)} sq ft (${areaThousands.toFixed(2)} × 1,000 sq ft)</p>
-    <p><strong>Rate:</strong> ${ratePerThousand} lbs per 1,000 sq ft</p>
-    <p><strong>Total product needed:</strong> ${totalLbs.toFixed(2)} lbs</p>
-  `;
   resultDiv.innerHTML = html;
 }
 
-// ====== DIAGNOSTICS (OBSERVATION ANALYZER) ======
-function renderDiagnostics() {
-  const content = document.getElementById('content');
+// ====== FERTILIZER TAB ======
+// Common water-soluble stock fertilizers offered alongside any in the chemical library
+const COMMON_FERTILIZER_ANALYSES = [
+  ['20-10-20', 'General purpose peat-lite'],
+  ['20-20-20', 'All purpose'],
+  ['15-5-15', 'Cal-Mag'],
+  ['15-0-15', 'Calcium nitrate blend'],
+  ['21-5-20', 'Low phosphorus'],
+  ['13-2-13', 'Cal-Mag plus']
+];
+
+function fertilizerAnalysisOptionsHTML() {
+  const fromLibrary = chemicals
+    .filter(c => c.analysis)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(c => [c.analysis, c.name]);
+  return [...fromLibrary, ...COMMON_FERTILIZER_ANALYSES]
+    .map(([analysis, label]) => `<option value="${analysis}" label="${analysis} – ${label}"></option>`)
+    .join('');
+}
 
-  content.innerHTML = `
-    <h2>Diagnostics</h2>
-    <p class="muted">Describe what you're observing. Later: full AI diagnostics.</p>
+function renderFertilizerTab(targetEl) {
+  const content = targetEl || document.getElementById('content');
 
-    <form class="diag-form" onsubmit="event.preventDefault(); diagnoseIssue();">
+  if (!calculatorsReady()) {
+    showLoadingTarget(content, 'Loading Fertilizer calculator…');
+    ensureCalculatorsAvailable()
+      .then(() => renderFertilizerTab(targetEl))
+      .catch(() => { if (content) content.innerHTML = '<p>Failed to load Fertilizer calculator.</p>'; });
+    return;
+  }
 
-      <label for="diagCrop">Crop</label>
-      <input id="diagCropSearch" placeholder="Search crops..." />
-      <select id="diagCrop">
-        <option value="">Select crop</option>
-      </select>
+  content.innerHTML = `
+    <h3 class="subheading">Fertilizer</h3>
+    <p class="muted">
+      Work out liquid feed through an injector, granular feed by nitrogen, check feed EC against your target,
+      and blend two stock fertilizers toward an N-P-K ratio. Analyses are the N-P₂O₅-K₂O numbers on the bag.
+    </p>
+    <datalist id="fertilizerAnalyses">${fertilizerAnalysisOptionsHTML()}</datalist>
+
+    <h3 class="subheading" style="margin-top: 1.5rem;">Liquid feed (ppm N through an injector)</h3>
+    <form class="mix-form" onsubmit="event.preventDefault(); runInjectorFeed();">
+      <label for="feedAnalysis">Fertilizer analysis</label>
+      <input id="feedAnalysis" list="fertilizerAnalyses" placeholder="e.g. 20-10-20" />
+      <label for="feedPpmN">Target ppm N</label>
+      <input id="feedPpmN" type="number" step="any" min="0" placeholder="e.g. 150" />
+      <label for="feedInjectorRatio">Injector ratio (1:100 is 100)</label>
+      <input id="feedInjectorRatio" type="number" step="any" min="1" value="100" />
+      <label for="feedStockGallons">Stock tank (gal, optional)</label>
+      <input id="feedStockGallons" type="number" step="any" min="0" placeholder="e.g. 5" />
+      <button class="btn-primary mix-btn">Calculate Stock Solution</button>
+    </form>
+    <div id="feedResult" class="mix-result muted">Enter the analysis, target ppm N and injector ratio.</div>
+
+    <h3 class="subheading" style="margin-top: 1.5rem;">Granular feed (lb N per 1,000 sq ft)</h3>
+    <form class="mix-form" onsubmit="event.preventDefault(); runNitrogenGranular();">
+      <label for="granularFeedAnalysis">Fertilizer analysis</label>
+      <input id="granularFeedAnalysis" list="fertilizerAnalyses" placeholder="e.g. 16-4-8" />
+      <label for="granularFeedLbsN">Target lb N per 1,000 sq ft</label>
+      <input id="granularFeedLbsN" type="number" step="any" min="0" placeholder="e.g. 1" />
+      <label for="granularFeedArea">Area to treat</label>
+      <div class="mix-inline">
+        <input id="granularFeedArea" type="number" step="any" min="0" placeholder="e.g. 5000" />
+        <select id="granularFeedAreaUnit" aria-label="Area unit">
+          <option value="sq ft">sq ft</option>
+          <option value="acre">acres</option>
+        </select>
+      </div>
+      <label for="granularFeedBagWeight">Bag weight (lb, optional)</label>
+      <input id="granularFeedBagWeight" type="number" step="any" min="0" placeholder="e.g. 50" />
+      <button class="btn-primary mix-btn">Calculate Product Needed</button>
+    </form>
+    <div id="granularFeedResult" class="mix-result muted">Enter the analysis, target lb N and area.</div>
+
+    <h3 class="subheading" style="margin-top: 1.5rem;">EC check</h3>
+    <form class="mix-form" onsubmit="event.preventDefault(); runFeedEcCheck();">
+      <label for="ecPpmN">Feed ppm N</label>
+      <input id="ecPpmN" type="number" step="any" min="0" placeholder="e.g. 150" />
+      <label for="ecPer100">Fertilizer EC at 100 ppm N (mS/cm, from the bag)</label>
+      <input id="ecPer100" type="number" step="any" min="0" placeholder="e.g. 0.68" />
+      <label for="ecWater">Source water EC (mS/cm)</label>
+      <input id="ecWater" type="number" step="any" min="0" placeholder="e.g. 0.3" />
+      <label for="ecTargetMin">Target EC range (mS/cm)</label>
+      <div class="mix-inline">
+        <input id="ecTargetMin" type="number" step="any" min="0" placeholder="min" aria-label="Target EC minimum" />
+        <input id="ecTargetMax" type="number" step="any" min="0" placeholder="max" aria-label="Target EC maximum" />
+      </div>
+      <label for="ecMeasured">Measured EC at the emitter (mS/cm, optional)</label>
+      <input id="ecMeasured" type="number" step="any" min="0" placeholder="e.g. 1.4" />
+      <button class="btn-primary mix-btn">Check EC</button>
+    </form>
+    <div id="ecResult" class="mix-result muted">Enter the feed ppm N and the fertilizer's EC at 100 ppm N.</div>
+
+    <h3 class="subheading" style="margin-top: 1.5rem;">Blend two fertilizers</h3>
+    <form class="mix-form" onsubmit="event.preventDefault(); runFertilizerBlend();">
+      <label for="blendAnalysisA">Fertilizer A analysis</label>
+      <input id="blendAnalysisA" list="fertilizerAnalyses" placeholder="e.g. 20-10-20" />
+      <label for="blendAnalysisB">Fertilizer B analysis</label>
+      <input id="blendAnalysisB" list="fertilizerAnalyses" placeholder="e.g. 15-0-15" />
+      <label for="blendRatio">Target N-P-K ratio</label>
+      <input id="blendRatio" placeholder="e.g. 3-1-2" />
+      <label for="blendPpmN">Target ppm N</label>
+      <input id="blendPpmN" type="number" step="any" min="0" placeholder="e.g. 150" />
+      <label for="blendInjectorRatio">Injector ratio (1:100 is 100; blank for no injector)</label>
+      <input id="blendInjectorRatio" type="number" step="any" min="1" value="100" />
+      <button class="btn-primary mix-btn">Suggest Blend</button>
+    </form>
+    <div id="blendResult" class="mix-result muted">Enter both analyses, the target ratio and ppm N.</div>
 
-      <label for="diagSymptomType">Issue type</label>
-      <select id="diagSymptomType">
-        <option value="">Select one</option>
-        <option value="pest">Pest / Insect</option>
-        <option value="disease">Disease</option>
+    <p class="muted" style="margin-top: 1.5rem; font-size: 0.85rem;">
+      Check feed EC and pH at the emitter after any change, and follow the fertilizer label.
+      Mix fertilizers that contain calcium and those that contain phosphate or sulfate in separate stock tanks.
+    </p>
+  `;
+}
+
+function runInjectorFeed() {
+  const results = window.CalculatorUtils.calculateInjectorFeed({
+    targetPpmN: parseFloat(document.getElementById('feedPpmN').value),
+    analysis: document.getElementById('feedAnalysis').value,
+    injectorRatio: parseFloat(document.getElementById('feedInjectorRatio').value),
+    stockGallons: parseFloat(document.getElementById('feedStockGallons').value)
+  });
+  document.getElementById('feedResult').innerHTML = window.CalculatorUtils.formatInjectorFeedHTML(results);
+}
+
+function runNitrogenGranular() {
+  const results = window.CalculatorUtils.calculateNitrogenGranular({
+    targetLbsN: parseFloat(document.getElementById('granularFeedLbsN').value),
+    analysis: document.getElementById('granularFeedAnalysis').value,
+    areaSqFt: window.CalculatorUtils.areaInSqFt(parseFloat(document.getElementById('granularFeedArea').value),
+      document.getElementById('granularFeedAreaUnit').value),
+    bagWeightLbs: parseFloat(document.getElementById('granularFeedBagWeight').value)
+  });
+  document.getElementById('granularFeedResult').innerHTML = window.CalculatorUtils.formatGranularResultsHTML(results);
+}
+
+function runFeedEcCheck() {
+  const value = id => parseFloat(document.getElementById(id).value);
+  const results = window.CalculatorUtils.checkFeedEc({
+    ppmN: value('ecPpmN'),
+    ecPer100PpmN: value('ecPer100'),
+    waterEc: value('ecWater'),
+    targetMin: value('ecTargetMin'),
+    targetMax: value('ecTargetMax'),
+    measuredEc: value('ecMeasured')
+  });
+  document.getElementById('ecResult').innerHTML = window.CalculatorUtils.formatFeedEcHTML(results);
+}
+
+function runFertilizerBlend() {
+  const results = window.CalculatorUtils.suggestFertilizerBlend(
+    document.getElementById('blendAnalysisA').value,
+    document.getElementById('blendAnalysisB').value,
+    document.getElementById('blendRatio').value,
+    parseFloat(document.getElementById('blendPpmN').value)
+  );
+  document.getElementById('blendResult').innerHTML = window.CalculatorUtils.formatFertilizerBlendHTML(
+    results, parseFloat(document.getElementById('blendInjectorRatio').value));
+}
+
+// ====== WORK ORDERS ======
+function loadWorkOrders() {
+  try {
+    const raw = localStorage.getItem('workOrders');
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    console.warn("Failed to read workOrders from localStorage", e);
+    return [];
+  }
+}
+
+function saveWorkOrders(orders) {
+  try {
+    localStorage.setItem('workOrders', JSON.stringify(orders));
+  } catch (e) {
+    console.warn("Failed to write workOrders to localStorage", e);
+  }
+}
+
+function getWorkOrder(id) {
+  return loadWorkOrders().find(o => o.id === id) || null;
+}
+
+function createWorkOrderFromLastMix() {
+  if (!lastMixCalc) {
+    alert("Run a mix calculation first.");
+    return;
+  }
+
+  const orders = loadWorkOrders();
+  const now = new Date().toISOString();
+  const number = window.WorkOrder.nextWorkOrderNumber(orders, window.DateUtils.localDateKey(new Date()));
+  const profile = getSprayerProfile(lastMixCalc.sprayerId);
+  const chems = lastMixCalc.chemIds.map(id => chemicals.find(c => c.id === id)).filter(Boolean);
+
+  const order = window.WorkOrder.buildWorkOrder(
+    { ...lastMixCalc, sprayer: profile ? window.SprayerCalibration.describeSprayerProfile(profile) : '' },
+    chems,
+    { id: generateLogEntryId(), number, createdAt: now }
+  );
+  orders.push(order);
+  saveWorkOrders(orders);
+  renderWorkOrder(order.id);
+}
+
+function renderWorkOrder(id) {
+  const content = document.getElementById('content');
+  const order = getWorkOrder(id);
+  if (!content) return;
+  if (!order) {
+    content.innerHTML = '<p>This work order no longer exists.</p>';
+    return;
+  }
+
+  const today = window.DateUtils.localDateKey(new Date());
+  content.innerHTML = `
+    <div class="work-order-toolbar no-print">
+      <button type="button" class="btn-accent" onclick="showPage('calculators')">Back to Calculators</button>
+      <button type="button" class="btn-primary" onclick="window.print()">Print / Save as PDF</button>
+    </div>
+
+    ${window.WorkOrder.formatWorkOrderHTML(order)}
+
+    ${order.status === 'completed' ? `
+      <p class="muted no-print">
+        Completed ${order.completion.date} by ${order.completion.applicator} and recorded in the Treatment Log.
+        <button type="button" class="btn-accent" onclick="showPage('treatment')">Open Treatment Log</button>
+      </p>
+    ` : `
+      <form class="scout-form no-print" onsubmit="event.preventDefault(); completeWorkOrder('${order.id}');">
+        <h3 class="subheading">Complete this work order</h3>
+        <p class="muted">Once the application is done, record who applied it. This adds the entry to the Treatment Log.</p>
+        <label for="woDate">Date applied</label>
+        <input id="woDate" type="date" value="${today}" />
+        <label for="woTime">Time finished (starts the REI)</label>
+        <input id="woTime" type="time" value="${new Date().toTimeString().slice(0, 5)}" />
+        <label for="woApplicator">Applicator</label>
+        <input id="woApplicator" value="${getLogAuthorName()}" placeholder="Name" />
+        <label for="woSupervisor">Supervisor</label>
+        <input id="woSupervisor" placeholder="Name" />
+        <label for="woArea">Blocks treated</label>
+        <input id="woArea" value="${order.area}" placeholder="e.g. Block A" />
+        <label for="woNotes">Notes</label>
+        <textarea id="woNotes" rows="2" placeholder="Weather, start and finish times, anything that changed"></textarea>
+        <button class="btn-primary mix-btn">Complete and Log Treatment</button>
+      </form>
+    `}
+  `;
+}
+
+function completeWorkOrder(id) {
+  const orders = loadWorkOrders();
+  const order = orders.find(o => o.id === id);
+  if (!order || order.status === 'completed') return;
+
+  const value = elId => (document.getElementById(elId)?.value || '').trim();
+  const completion = {
+    date: value('woDate'),
+    time: value('woTime'),
+    applicator: value('woApplicator'),
+    supervisor: value('woSupervisor'),
+    area: value('woArea'),
+    notes: value('woNotes')
+  };
+  const fields = window.WorkOrder.workOrderToTreatmentEntry(order, completion);
+  if (fields.error) {
+    alert(fields.error);
+    return;
+  }
+
+  // The log may have changed since the order was printed; check again as of the day applied
+  const chems = order.products.map(p => chemicals.find(c => c.id === p.id)).filter(Boolean);
+  const limitChecks = checkPlanLabelLimits(chems, chem => {
+    const product = order.products.find(p => p.id === chem.id);
+    return {
+      date: fields.date,
+      area: fields.area,
+      rate: product.rate !== null ? { value: product.rate, unit: product.rateUnit } : null,
+      sprayVolumePer1000SqFt: order.sprayVolume
+    };
+  });
+  const overLimit = limitChecks
+    .filter(check => check.blocked)
+    .flatMap(check => check.findings.filter(f => f.level === 'block').map(f => `• ${check.name}: ${f.message}`));
+  if (overLimit.length && !confirm(`This application is over a label limit:\n\n${overLimit.join('\n')}\n\nRecord it in the Treatment Log anyway?`)) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const entryId = generateLogEntryId();
+  const entries = getTreatmentEntries();
+  entries.push(window.LogAudit.createAuditedEntry({
+    id: entryId,
+    ...fields,
+    updatedAt: now,
+    syncedAt: null
+  }, { by: completion.applicator, at: now }));
+  setTreatmentEntries(entries);
+  setLogAuthorName(completion.applicator);
+  scheduleLogSync();
+
+  order.status = 'completed';
+  order.completion = { ...completion, treatmentId: entryId, completedAt: now };
+  saveWorkOrders(orders);
+  renderWorkOrder(id);
+}
+
+function deleteWorkOrder(id) {
+  if (!confirm("Delete this work order? Treatment entries it created stay in the log.")) return;
+  saveWorkOrders(loadWorkOrders().filter(o => o.id !== id));
+  renderWorkOrderList();
+}
+
+function renderWorkOrderList() {
+  const list = document.getElementById('workOrderList');
+  if (!list) return;
+  const orders = loadWorkOrders().slice().reverse();
+  if (!orders.length) {
+    list.innerHTML = '';
+    return;
+  }
+  list.innerHTML = `
+    <h3 class="subheading" style="margin-top: 1.5rem;">Work orders</h3>
+    ${orders.map(o => `
+      <div class="sprayer-profile">
+        <div>
+          <strong>${escapeHTML(o.number)}</strong> · ${o.area ? escapeHTML(o.area) : 'No block set'}
+          <div class="muted">
+            ${escapeHTML(o.products.map(p => p.name).join(', '))}
+            · ${o.status === 'completed' ? `completed ${escapeHTML(o.completion.date)}` : 'open'}
+          </div>
+        </div>
+        <div class="sprayer-profile-actions">
+          <button type="button" class="btn-accent" onclick="renderWorkOrder('${o.id}')">${o.status === 'completed' ? 'View' : 'Open'}</button>
+          <button type="button" class="mix-remove-btn" onclick="deleteWorkOrder('${o.id}')">Delete</button>
+        </div>
+      </div>
+    `).join('')}
+  `;
+}
+
+// ====== LABEL LIMITS ======
+// Logged applications of a chemical, in the shape LabelLimits.checkLabelLimits reads
+function getLoggedApplications(chem) {
+  const applications = [];
+  getActiveTreatmentEntries().forEach(entry => {
+    window.TreatmentInputs.getEntryInputs(entry, chemicals).forEach(input => {
+      const match = window.TreatmentInputs.resolveInputChemical(input, chemicals);
+      if (!match || match.id !== chem.id) return;
+      applications.push({
+        date: entry.date,
+        area: entry.area,
+        amount: input.amount,
+        amountUnit: input.amount_unit,
+        coverageSqFt: parseFloat(entry.coverage),
+        rate: input.rate,
+        rateUnit: input.rate_unit,
+        sprayVolume: parseFloat(entry.sprayVolume)
+      });
+    });
+  });
+  return applications;
+}
+
+/**
+ * Check each product in a plan against its label limits and the treatment log
+ * @param {Array} chems - Chemical records
+ * @param {Function} planFor - chem => { area, rate, sprayVolumePer1000SqFt, date }; the date defaults to today
+ * @returns {Array<{name: string, findings: Array, blocked: boolean}>}
+ */
+function checkPlanLabelLimits(chems, planFor) {
+  const today = window.DateUtils.localDateKey(new Date());
+  return chems.map(chem => {
+    const result = window.LabelLimits.checkLabelLimits(chem, { date: today, ...planFor(chem) }, getLoggedApplications(chem));
+    return { name: chem.name, ...result };
+  });
+}
+
+// ====== DIAGNOSTICS (OBSERVATION ANALYZER) ======
+function renderDiagnostics() {
+  const content = document.getElementById('content');
+
+  content.innerHTML = `
+    <h2>Diagnostics</h2>
+    <p class="muted">Describe what you're observing and attach photos; photos are checked on this device.</p>
+
+    <form class="diag-form" onsubmit="event.preventDefault(); diagnoseIssue();">
+
+      <label for="diagCrop">Crop</label>
+      <input id="diagCropSearch" placeholder="Search crops..." />
+      <select id="diagCrop">
+        <option value="">Select crop</option>
+      </select>
+
+      <label for="diagSymptomType">Issue type</label>
+      <select id="diagSymptomType">
+        <option value="">Select one</option>
+        <option value="pest">Pest / Insect</option>
+        <option value="disease">Disease</option>
         <option value="weed">Weed</option>
         <option value="nutrient">Nutrient issue</option>
         <option value="abiotic">Abiotic / Stress</option>
@@ -1322,7 +2224,13 @@ function renderDiagnostics() {
       <label for="diagNotes">Description</label>
       <textarea id="diagNotes" rows="3" placeholder="Describe symptoms, timing, weather..."></textarea>
 
+      <label>Photos</label>
+      ${photoCaptureHTML('diag')}
+
       <button class="btn-primary diag-btn">Analyze Observations</button>
+      <button type="button" class="btn-accent diag-btn" onclick="startGuidedDiagnosis()">
+        Guided Mode: Answer Step by Step
+      </button>
     </form>
 
     <div id="diagResult" class="diag-result muted">
@@ -1330,9 +2238,39 @@ function renderDiagnostics() {
     </div>
   `;
   populatePlantSelect('diagCrop', 'diagCropSearch');
+  renderFormPhotos('diag');
 }
 
-function diagnoseIssue() {
+// Guided question tree (diagnostic-tree.json), fetched with the Diagnostics modules
+let diagnosticTree = null;
+// Guided mode in progress: { crop, issueType, patterns, answers: [answer ids] }
+let guidedDiagnosis = null;
+// Photo findings for the Diagnostics form: { key: attached photo ids, result: ImageAnalysis.analyzeImages }
+let diagImageAnalysis = null;
+
+function ensureDiagnosticsAvailable() {
+  const loads = [];
+  if (typeof window.DiagnosticEngine === 'undefined') loads.push(_loadScript('./diagnostic-engine.js'));
+  if (typeof window.DiagnosticTree === 'undefined') loads.push(_loadScript('./diagnostic-tree.js'));
+  if (!diagnosticTree) {
+    loads.push(fetch('./diagnostic-tree.json')
+      .then(response => {
+        if (!response.ok) throw new Error(`diagnostic-tree.json: ${response.status}`);
+        return response.json();
+      })
+      .then(tree => { diagnosticTree = tree; }));
+  }
+  return Promise.all(loads);
+}
+
+function diagnosticsReady() {
+  return typeof window.DiagnosticEngine !== 'undefined' &&
+    typeof window.DiagnosticTree !== 'undefined' &&
+    !!diagnosticTree;
+}
+
+// Crop name and plantId selected on the Diagnostics form
+function getDiagnosticsCrop() {
   const cropSelect = document.getElementById('diagCrop');
   let crop = "";
   let plantId = "";
@@ -1343,6 +2281,38 @@ function diagnoseIssue() {
       plantId = (opt.getAttribute('data-plant-id') || opt.value || "").trim();
     }
   }
+  return { crop, plantId };
+}
+
+// Plant master record and diagnostic profile for the selected crop
+function lookupDiagnosticProfile(crop, plantId) {
+  let matchedPlant = null;
+  let diagProfile = null;
+
+  if (window.PlantUtils) {
+    try {
+      // Prefer an exact match via plantId when coming from the dropdown
+      if (plantId && window.PlantUtils.getDiagnosticProfileSync) {
+        diagProfile = window.PlantUtils.getDiagnosticProfileSync(plantId);
+        if (!matchedPlant && window.PlantUtils.getPlantByIdSync) {
+          matchedPlant = window.PlantUtils.getPlantByIdSync(plantId);
+        }
+      } else if (crop && window.PlantUtils.findBestPlantMatchSync) {
+        // Fallback: fuzzy match by name if no plantId
+        matchedPlant = window.PlantUtils.findBestPlantMatchSync(crop);
+        if (matchedPlant && window.PlantUtils.getDiagnosticProfileSync) {
+          diagProfile = window.PlantUtils.getDiagnosticProfileSync(matchedPlant.plantId);
+        }
+      }
+    } catch (err) {
+      console.error('Diagnostics lookup failed:', err);
+    }
+  }
+  return { matchedPlant, diagProfile };
+}
+
+function diagnoseIssue() {
+  const { crop, plantId } = getDiagnosticsCrop();
 
   const type = document.getElementById('diagSymptomType').value;
   const part = document.getElementById('diagPart').value.trim();
@@ -1351,10 +2321,26 @@ function diagnoseIssue() {
   const notes = document.getElementById('diagNotes').value.trim();
   const result = document.getElementById('diagResult');
 
-  if (!crop && !type && !notes) {
-    result.innerHTML = "Enter at least a crop, issue type, or symptoms.";
+  if (!crop && !type && !notes && !formPhotos.diag.length) {
+    result.innerHTML = "Enter at least a crop, issue type, symptoms, or a photo.";
+    return;
+  }
+
+  if (!diagnosticsReady()) {
+    showLoadingTarget(result, 'Loading diagnostics…');
+    ensureDiagnosticsAvailable()
+      .then(diagnoseIssue)
+      .catch(() => { result.innerHTML = 'Failed to load the diagnostic engine.'; });
+    return;
+  }
+
+  const photoKey = formPhotos.diag.map(p => p.id).join(',');
+  if (photoKey && (!diagImageAnalysis || diagImageAnalysis.key !== photoKey)) {
+    showLoadingTarget(result, 'Checking photos…');
+    analyzeDiagnosticsPhotos(photoKey).then(diagnoseIssue);
     return;
   }
+  const imageAnalysis = photoKey ? diagImageAnalysis.result : null;
 
   let output = "<p><strong>Observation Summary</strong></p><ul>";
 
@@ -1367,48 +2353,22 @@ function diagnoseIssue() {
 
   output += "</ul>";
 
+  if (window.ImageAnalysis) output += window.ImageAnalysis.formatImageFindingsHTML(imageAnalysis);
+
   // Core, label-safe guidance
   output += `
     <p><strong>Initial Thoughts</strong></p>
     <ul>
-      ${
-        type === "pest"
-          ? "<li>Check undersides of leaves for insects, frass, or webbing.</li>"
-        : type === "disease"
-          ? "<li>Look for leaf spots, lesions, molds; note new vs old growth.</li>"
-        : type === "nutrient"
-          ? "<li>Check if yellowing is between veins or at edges/tips.</li>"
-        : type === "abiotic"
-          ? "<li>Consider heat, irrigation, wind, chemical drift, or pot stress.</li>"
-        : "<li>Clarify issue type for better guidance.</li>"
-      }
-      <li>Capture photos and add this to the scouting log.</li>
+      <li>${window.DiagnosticTree.initialThought(diagnosticTree, type)}</li>
+      <li>${formPhotos.diag.length
+        ? `${formPhotos.diag.length} photo${formPhotos.diag.length === 1 ? '' : 's'} attached; send this to the scouting log to keep them.`
+        : 'Capture photos and add this to the scouting log.'}</li>
     </ul>
   `;
 
   // --- VINE plant intelligence (read-only, not a confirmed diagnosis) ---
-  let matchedPlant = null;
-  let diagProfile = null;
-
-  if (window.PlantUtils) {
-    try {
-      // Prefer an exact match via plantId when coming from the dropdown
-      if (plantId && window.PlantUtils.getDiagnosticProfileSync) {
-        diagProfile = window.PlantUtils.getDiagnosticProfileSync(plantId);
-        if (!matchedPlant && window.PlantUtils.getPlantByIdSync) {
-          matchedPlant = window.PlantUtils.getPlantByIdSync(plantId);
-        }
-      } else if (crop && window.PlantUtils.findBestPlantMatchSync) {
-        // Fallback: fuzzy match by name if no plantId
-        matchedPlant = window.PlantUtils.findBestPlantMatchSync(crop);
-        if (matchedPlant && window.PlantUtils.getDiagnosticProfileSync) {
-          diagProfile = window.PlantUtils.getDiagnosticProfileSync(matchedPlant.plantId);
-        }
-      }
-    } catch (err) {
-      console.error('Diagnostics lookup failed:', err);
-    }
-  }
+  const { matchedPlant, diagProfile } = lookupDiagnosticProfile(crop, plantId);
+  let candidates = [];
 
   if (diagProfile) {
     const name =
@@ -1445,53 +2405,16 @@ function diagnoseIssue() {
       output += "</ul>";
     }
 
-    const patterns = Array.isArray(diagProfile.symptomPatterns)
-      ? diagProfile.symptomPatterns.slice()
-      : [];
-
-    const priorityScore = (p) => {
-      const v = String(p.priority || "").toLowerCase();
-      if (v.startsWith("high")) return 3;
-      if (v.startsWith("medium")) return 2;
-      if (v.startsWith("low")) return 1;
-      return 0;
-    };
-
-    const categoryMatches = (patternCategory, issueType) => {
-      if (!issueType) return true;
-      const c = String(patternCategory || "").toLowerCase();
-      const t = String(issueType || "").toLowerCase();
-      if (t === "pest") return c.includes("pest") || c.includes("insect");
-      if (t === "disease") return c.includes("disease") || c.includes("fung");
-      if (t === "nutrient") return c.includes("nutrient");
-      if (t === "abiotic") return c.includes("abiotic") || c.includes("stress");
-      return true;
-    };
-
-    const filteredPatterns = patterns
-      .filter(p => categoryMatches(p.category, type))
-      .sort((a, b) => priorityScore(b) - priorityScore(a));
-
-    if (filteredPatterns.length) {
-      output += "<p><strong>Pattern-based leads (not confirmed):</strong></p><ol>";
-      for (const p of filteredPatterns) {
-        output += "<li>";
-        if (p.description) {
-          output += `<div><strong>Pattern:</strong> ${p.description}</div>`;
-        }
-        if (p.likelyCauses) {
-          output += `<div><strong>Likely causes:</strong> ${p.likelyCauses}</div>`;
-        }
-        if (p.category) {
-          output += `<div><strong>Category:</strong> ${p.category}</div>`;
-        }
-        if (p.priority) {
-          output += `<div><strong>Pattern priority:</strong> ${p.priority}</div>`;
-        }
-        output += "</li>";
-      }
-      output += "</ol>";
-    }
+    // Score patterns, pests and diseases against what was observed
+    candidates = window.DiagnosticEngine.scoreDiagnosis(diagProfile, {
+      issueType: type,
+      part,
+      pattern,
+      notes,
+      imageFindings: imageAnalysis ? imageAnalysis.findings : []
+    });
+    output += window.DiagnosticEngine.formatDiagnosisHTML(candidates);
+    output += '<div id="diagSuggestions"></div>';
   }
 
 
@@ -1514,7 +2437,56 @@ function diagnoseIssue() {
   `;
 
   result.innerHTML = output;
+  if (diagProfile) renderDiagnosisSuggestions(candidates, matchedPlant);
+}
+
+// Runs every registered image analyzer over the attached photos; failures show as
+// an empty result so the text diagnosis still renders
+async function analyzeDiagnosticsPhotos(key) {
+  let result;
+  try {
+    const loads = [ensurePhotoStoreAvailable()];
+    if (typeof window.ImageAnalysis === 'undefined') loads.push(_loadScript('./image-analysis.js'));
+    await Promise.all(loads);
+    const images = [];
+    for (const photo of formPhotos.diag) {
+      const blob = await window.PhotoStore.getPhotoBlob(photo.id).catch(() => null);
+      if (blob) images.push(await window.ImageAnalysis.loadImagePixels(blob));
+    }
+    result = await window.ImageAnalysis.analyzeImages(images);
+  } catch (e) {
+    console.warn('Photo analysis failed', e);
+    result = { images: 0, analyzers: [], findings: [], errors: [e.message] };
+  }
+  diagImageAnalysis = { key, result };
+}
+
+// Products for the better-ranked causes; the treatment log decides which MOA groups are due for rotation
+function renderDiagnosisSuggestions(candidates, plant) {
+  const target = document.getElementById('diagSuggestions');
+  if (!target) return;
+
+  const ready = chemicalDataReady() && typeof window.TreatmentSuggestions !== 'undefined' && !!logStorageMode;
+  if (!ready) {
+    showLoadingTarget(target, 'Loading treatment options…');
+    const loads = [ensureChemicalsAvailable(), ensureLogsLoaded()];
+    if (typeof window.TreatmentSuggestions === 'undefined') loads.push(_loadScript('./treatment-suggestions.js'));
+    Promise.all(loads)
+      .then(() => renderDiagnosisSuggestions(candidates, plant))
+      .catch(() => { target.innerHTML = '<p class="muted">Treatment options could not be loaded.</p>'; });
+    return;
+  }
+
+  const likely = candidates.filter(c => window.DiagnosticEngine.describeConfidence(c.confidence) !== 'Low');
+  if (!likely.length) {
+    target.innerHTML = '<p class="muted">Describe where and how the symptoms show to see treatment options.</p>';
+    return;
+  }
+  const usage = window.TreatmentSuggestions.recentMoaUsage(getActiveTreatmentEntries(), chemicals);
+  const groups = window.TreatmentSuggestions.suggestTreatments(likely, chemicals, { plant: plant || {}, usage });
+  target.innerHTML = window.TreatmentSuggestions.formatSuggestionsHTML(groups);
 }
+
 function sendDiagnosticsToScouting() {
   const crop = (document.getElementById('diagCrop').value || "").trim();
   const issueType = document.getElementById('diagSymptomType').value || "";
@@ -1525,16 +2497,415 @@ function sendDiagnosticsToScouting() {
     crop,
     issueType,
     severity,
-    notes
+    notes,
+    photos: formPhotos.diag
   };
+  formPhotos.diag = [];
 
   // Navigate to the Scouting page, which will auto-prefill the form
   showPage('scouting');
 }
 
 
+// ====== GUIDED DIAGNOSTICS (DECISION TREE) ======
+function startGuidedDiagnosis() {
+  const result = document.getElementById('diagResult');
+  if (!result) return;
+  if (!diagnosticsReady()) {
+    showLoadingTarget(result, 'Loading guided diagnostics…');
+    ensureDiagnosticsAvailable()
+      .then(startGuidedDiagnosis)
+      .catch(() => { result.innerHTML = 'Failed to load guided diagnostics.'; });
+    return;
+  }
+
+  const { crop, plantId } = getDiagnosticsCrop();
+  const { diagProfile } = lookupDiagnosticProfile(crop, plantId);
+  guidedDiagnosis = {
+    crop: diagProfile ? (diagProfile.commonName || crop) : crop,
+    issueType: document.getElementById('diagSymptomType').value,
+    patterns: diagProfile ? diagProfile.symptomPatterns : [],
+    answers: []
+  };
+  renderGuidedDiagnosis();
+}
+
+function answerGuidedQuestion(answerId) {
+  if (!guidedDiagnosis) return;
+  guidedDiagnosis.answers.push(answerId);
+  renderGuidedDiagnosis();
+}
+
+function undoGuidedAnswer() {
+  if (!guidedDiagnosis) return;
+  guidedDiagnosis.answers.pop();
+  renderGuidedDiagnosis();
+}
+
+function walkGuidedDiagnosis() {
+  return window.DiagnosticTree.walkTree(diagnosticTree, guidedDiagnosis.patterns, guidedDiagnosis.answers, {
+    issueType: guidedDiagnosis.issueType
+  });
+}
+
+function renderGuidedDiagnosis() {
+  const result = document.getElementById('diagResult');
+  if (!result || !guidedDiagnosis) return;
+  const walk = walkGuidedDiagnosis();
+  if (walk.error) {
+    result.innerHTML = walk.error;
+    return;
+  }
+  const total = guidedDiagnosis.patterns.length;
+
+  let output = `<p><strong>Guided diagnosis${guidedDiagnosis.crop ? `: ${guidedDiagnosis.crop}` : ''}</strong></p>`;
+  output += window.DiagnosticTree.formatGuidedPathHTML(walk, total);
 
-// ====== TREATMENT LOG (FORM + TABLE + LOCAL STORAGE) ======
+  if (!walk.done) {
+    output += `
+      <p><strong>${walk.node.question}</strong></p>
+      <div class="diag-guided-answers">
+        ${walk.node.answers.map(a => `
+          <button type="button" class="btn-accent" onclick="answerGuidedQuestion('${a.id}')">${a.label}</button>
+        `).join('')}
+      </div>
+    `;
+    if (total) {
+      output += `<p class="muted">${walk.candidates.length} of ${total} symptom patterns for this crop still fit.</p>`;
+    }
+  }
+
+  output += `
+    <div class="diag-guided-answers" style="margin-top:0.75rem;">
+      ${guidedDiagnosis.answers.length ? '<button type="button" class="btn-primary" onclick="undoGuidedAnswer()">Back One Step</button>' : ''}
+      <button type="button" class="btn-primary" onclick="startGuidedDiagnosis()">Start Over</button>
+      ${walk.done ? '<button type="button" class="btn-accent diag-to-scout-btn" onclick="sendGuidedDiagnosisToScouting()">Send to Scouting Log</button>' : ''}
+    </div>
+    <p class="muted" style="font-size:0.8rem;margin-top:0.5rem;">
+      This tool does not confirm a diagnosis. Always verify with labels, local extension guidance, and your own expertise.
+    </p>
+  `;
+  result.innerHTML = output;
+}
+
+// The answered path goes into the scouting notes after anything typed in the form
+function sendGuidedDiagnosisToScouting() {
+  if (!guidedDiagnosis) return;
+  const walk = walkGuidedDiagnosis();
+  const path = walk.path.map(step => `${step.question} ${step.answer}.`).join(' ');
+  const lead = walk.candidates.length && guidedDiagnosis.patterns.length
+    ? ` Most likely: ${walk.candidates[0].likelyCauses || walk.candidates[0].description}`
+    : '';
+  const typed = (document.getElementById('diagNotes').value || "").trim();
+
+  pendingScoutingFromDiagnostics = {
+    crop: (document.getElementById('diagCrop').value || "").trim(),
+    issueType: guidedDiagnosis.issueType,
+    severity: document.getElementById('diagSeverity').value || "",
+    notes: [typed, `Guided diagnosis: ${path}${lead}`].filter(Boolean).join('\n'),
+    photos: formPhotos.diag
+  };
+  formPhotos.diag = [];
+
+  showPage('scouting');
+}
+
+
+
+// ====== LOG STORAGE (INDEXEDDB + IN-MEMORY CACHE) ======
+// Entries are stored as records in IndexedDB (log-store.js) and mirrored in
+// memory so the log tables, rotation and review pages can read them
+// synchronously. Pages that read logs render through withLogsLoaded().
+const logEntriesCache = { treatment: [], scouting: [] };
+const LEGACY_LOG_STORAGE_KEYS = { treatment: 'treatmentEntries', scouting: 'scoutingEntries' };
+let logStorageMode = null; // 'indexeddb' once loaded, or 'localStorage' if IndexedDB is unavailable
+let logsLoadedPromise = null;
+
+function generateLogEntryId() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+  // RFC 4122 v4 fallback for older browsers
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+    const r = Math.random() * 16 | 0;
+    return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+  });
+}
+
+function ensureLogStoreAvailable() {
+  const loads = [];
+  if (typeof window.LogStore === 'undefined') loads.push(_loadScript('./log-store.js'));
+  if (typeof window.LogAudit === 'undefined') loads.push(_loadScript('./log-audit.js'));
+  if (typeof window.TreatmentInputs === 'undefined') loads.push(_loadScript('./treatment-inputs.js'));
+  if (typeof window.PhotoStore === 'undefined') loads.push(_loadScript('./photo-store.js'));
+  // Log forms and work orders default their dates with DateUtils.localDateKey
+  if (typeof window.DateUtils === 'undefined') loads.push(_loadScript('./date-utils.js'));
+  return Promise.all(loads);
+}
+
+// Fallback for browsers without IndexedDB: the original localStorage arrays
+function readLocalStorageLogEntries(kind) {
+  const key = LEGACY_LOG_STORAGE_KEYS[kind];
+  try {
+    const raw = localStorage.getItem(key);
+    const parsed = raw ? JSON.parse(raw) : [];
+    if (!Array.isArray(parsed)) return [];
+    parsed.forEach(entry => {
+      if (entry && !entry.id) {
+        entry.id = generateLogEntryId();
+        entry.updatedAt = entry.updatedAt || new Date().toISOString();
+        entry.syncedAt = null;
+      }
+    });
+    return parsed;
+  } catch (e) {
+    console.warn(`Failed to read ${key} from localStorage`, e);
+    return [];
+  }
+}
+
+function ensureLogsLoaded() {
+  if (!logsLoadedPromise) {
+    logsLoadedPromise = ensureLogStoreAvailable()
+      .then(() => window.LogStore.importLegacyLocalStorage(localStorage))
+      .then(result => {
+        if (result.imported) {
+          console.log(`Imported ${result.treatment} treatment and ${result.scouting} scouting entries into IndexedDB`);
+        }
+        return Promise.all([
+          window.LogStore.getAllLogEntries('treatment'),
+          window.LogStore.getAllLogEntries('scouting')
+        ]);
+      })
+      .then(([treatment, scouting]) => {
+        logEntriesCache.treatment = treatment;
+        logEntriesCache.scouting = scouting;
+        logStorageMode = 'indexeddb';
+      })
+      .catch(e => {
+        console.warn('IndexedDB log storage unavailable, using localStorage', e);
+        logEntriesCache.treatment = readLocalStorageLogEntries('treatment');
+        logEntriesCache.scouting = readLocalStorageLogEntries('scouting');
+        logStorageMode = 'localStorage';
+      });
+  }
+  return logsLoadedPromise;
+}
+
+// Run a renderer once entries are in memory (shows a loading note the first time)
+function withLogsLoaded(render) {
+  if (logStorageMode) {
+    render();
+    return;
+  }
+  showLoadingTarget(document.getElementById('content'), 'Loading logs…');
+  ensureLogsLoaded().then(render);
+}
+
+function reportLogStorageError(kind, e) {
+  console.warn(`Failed to save ${kind} entries`, e);
+  alert(`Could not save ${kind} entries on this device (${e && e.message ? e.message : 'storage error'}). ` +
+    'Free up storage space and try again.');
+}
+
+/**
+ * Replace the entries of one kind. Records that are unchanged (same object as
+ * in the cache) are skipped; new or replaced records are written and missing
+ * ids are deleted.
+ */
+function persistLogEntries(kind, entries) {
+  const previous = logEntriesCache[kind];
+  const previousSet = new Set(previous);
+  const records = entries.map(entry => {
+    if (previousSet.has(entry) || !window.LogStore) return entry;
+    return window.LogStore.normalizeLogEntry(kind, entry);
+  });
+  logEntriesCache[kind] = records;
+
+  if (logStorageMode !== 'indexeddb') {
+    try {
+      localStorage.setItem(LEGACY_LOG_STORAGE_KEYS[kind], JSON.stringify(records));
+    } catch (e) {
+      reportLogStorageError(kind, e);
+    }
+    return Promise.resolve();
+  }
+
+  const keepIds = new Set(records.map(r => r.id));
+  const removedIds = previous.filter(r => !keepIds.has(r.id)).map(r => r.id);
+  const changed = records.filter(r => !previousSet.has(r));
+  return Promise.all([
+    changed.length ? window.LogStore.putLogEntries(kind, changed) : null,
+    removedIds.length ? window.LogStore.deleteLogEntries(kind, removedIds) : null
+  ]).catch(e => reportLogStorageError(kind, e));
+}
+
+// ====== RE-ENTRY (REI) BOARD ======
+// Live countdowns on the board; cleared once the board is no longer on screen
+let reiCountdownTimer = null;
+
+// The board needs the treatment log, the chemical library (for each product's REI) and the REI tracker
+function ensureReiTrackerAvailable() {
+  const loads = [ensureLogsLoaded(), ensureChemicalsAvailable()];
+  if (typeof window.ReiTracker === 'undefined') loads.push(_loadScript('./rei.js'));
+  return Promise.all(loads);
+}
+
+function reiTrackerReady() {
+  return typeof window.ReiTracker !== 'undefined' && Array.isArray(window.chemicals) && !!logStorageMode;
+}
+
+function getReentryBoard() {
+  return window.ReiTracker.buildReentryBoard(getActiveTreatmentEntries(), chemicals);
+}
+
+const REI_STATUS_LABELS = {
+  active: '⛔ Keep out',
+  unknown: '⚠️ Check label',
+  clear: '✓ Re-entry allowed'
+};
+
+function renderReentryBoard(targetEl) {
+  const content = targetEl || document.getElementById('content');
+  if (!content) return;
+
+  if (!reiTrackerReady()) {
+    showLoadingTarget(content, 'Loading re-entry board…');
+    ensureReiTrackerAvailable()
+      .then(() => renderReentryBoard(targetEl))
+      .catch(() => { content.innerHTML = '<p>Failed to load the re-entry board.</p>'; });
+    return;
+  }
+
+  const board = getReentryBoard();
+  const { formatReiDateTime, formatCountdown } = window.ReiTracker;
+  const rows = board.map((row, index) => `
+    <tr class="rei-row-${row.status}">
+      <td>${escapeHTML(row.area)}</td>
+      <td>${REI_STATUS_LABELS[row.status]}</td>
+      <td>${row.products.map(p => `${escapeHTML(p.name)} <span class="muted">(REI ${p.reiHours !== null ? `${p.reiHours} h` : escapeHTML(p.reiText) || 'not on record'})</span>`).join('<br>')}</td>
+      <td>${row.products.map(p => `${formatReiDateTime(p.appliedAt)}${p.timeAssumed ? ' <span class="muted">(no time logged)</span>' : ''}`).join('<br>')}</td>
+      <td>${row.reentryAt ? formatReiDateTime(row.reentryAt) : 'Check the label'}</td>
+      <td>${row.status === 'active' ? `<span data-reentry-at="${row.reentryAt.getTime()}">${formatCountdown(row.remainingMs)}</span>` : ''}</td>
+      <td>${row.status !== 'clear' ? `<button type="button" class="btn-accent" onclick="renderPostingSign(${index})">Posting sign</button>` : ''}</td>
+    </tr>
+  `).join('');
+
+  content.innerHTML = `
+    <h3 class="subheading">Re-entry board</h3>
+    <p class="muted">
+      Blocks treated in the last ${window.ReiTracker.DEFAULT_BOARD_DAYS} days, from the Treatment Log.
+      Keep workers out of a block until its REI has passed, and post a sign at each restricted block.
+      Entries without a time are counted from the end of their day.
+    </p>
+    ${board.length ? `
+      <div class="table-wrapper">
+        <table class="rei-board">
+          <thead>
+            <tr>
+              <th>Block / Area</th>
+              <th>Status</th>
+              <th>Products</th>
+              <th>Applied</th>
+              <th>Re-entry allowed</th>
+              <th>Time left</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    ` : `<p class="muted">No treatments logged in the last ${window.ReiTracker.DEFAULT_BOARD_DAYS} days.</p>`}
+  `;
+  startReiCountdown();
+}
+
+function startReiCountdown() {
+  if (reiCountdownTimer) clearInterval(reiCountdownTimer);
+  reiCountdownTimer = setInterval(updateReiCountdowns, 30000);
+}
+
+function updateReiCountdowns() {
+  const spans = document.querySelectorAll('[data-reentry-at]');
+  if (!spans.length) {
+    clearInterval(reiCountdownTimer);
+    reiCountdownTimer = null;
+    return;
+  }
+  spans.forEach(span => {
+    span.textContent = window.ReiTracker.formatCountdown(Number(span.getAttribute('data-reentry-at')) - Date.now());
+  });
+}
+
+// Print-ready WPS posting sign for one board row
+function renderPostingSign(index) {
+  const content = document.getElementById('content');
+  const row = getReentryBoard()[index];
+  if (!content || !row) return;
+  content.innerHTML = `
+    <div class="work-order-toolbar no-print">
+      <button type="button" class="btn-accent" onclick="showPage('rei')">Back to Re-entry board</button>
+      <button type="button" class="btn-primary" onclick="window.print()">Print sign</button>
+    </div>
+    ${window.ReiTracker.formatPostingSignHTML(row)}
+  `;
+}
+
+// Home page: blocks under REI now, and scouting logged in a block before its re-entry time
+function updateHomeReiWarning() {
+  ensureReiTrackerAvailable()
+    .then(() => {
+      const target = document.getElementById('homeReiWarning');
+      if (!target) return;
+      const board = getReentryBoard();
+      const restricted = board.filter(row => row.status === 'active');
+      const scouted = window.ReiTracker.findScoutingDuringRei(getScoutingEntries(), board);
+      if (!restricted.length && !scouted.length) {
+        target.innerHTML = '';
+        return;
+      }
+
+      const { formatReiDateTime, formatCountdown } = window.ReiTracker;
+      let html = '<div class="rei-warning">';
+      if (restricted.length) {
+        html += '<p><strong>⛔ Restricted-entry intervals in effect</strong></p><ul>';
+        restricted.forEach(row => {
+          html += `<li>${escapeHTML(row.area)}: keep out for ${formatCountdown(row.remainingMs)} (until ${formatReiDateTime(row.reentryAt)})</li>`;
+        });
+        html += '</ul>';
+      }
+      if (scouted.length) {
+        html += '<p><strong>⚠️ Scouted during an REI</strong></p><ul>';
+        scouted.forEach(f => {
+          html += `<li>${escapeHTML(f.area)} was scouted ${formatReiDateTime(f.scoutedAt)}, before re-entry at ${formatReiDateTime(f.reentryAt)} (${f.products.map(escapeHTML).join(', ')})${f.possible ? '. The treatment has no time logged; check whether it went on before the scouting.' : ''}</li>`;
+        });
+        html += '</ul>';
+      }
+      html += `<button type="button" class="btn-accent" onclick="showPage('rei')">Open re-entry board</button></div>`;
+      target.innerHTML = html;
+    })
+    .catch(() => {});
+}
+
+// Scouting form: warn while typing a block that is still under REI
+function checkScoutAreaRei() {
+  const input = document.getElementById('scoutArea');
+  const warning = document.getElementById('scoutReiWarning');
+  if (!input || !warning) return;
+  if (!reiTrackerReady()) {
+    ensureReiTrackerAvailable().then(checkScoutAreaRei).catch(() => {});
+    return;
+  }
+
+  const row = window.ReiTracker.findRestrictedArea(getReentryBoard(), input.value);
+  warning.hidden = !row;
+  if (!row) return;
+  warning.innerHTML = row.status === 'active'
+    ? `⛔ ${escapeHTML(row.area)} is under a restricted-entry interval until ${window.ReiTracker.formatReiDateTime(row.reentryAt)}. Do not enter without the label's early-entry PPE.`
+    : `⚠️ ${escapeHTML(row.area)} was treated with a product whose REI is not on record. Check the label before entering.`;
+}
+
+// ====== TREATMENT LOG (FORM + TABLE) ======
 function sendLastMixToTreatment() {
   if (!lastMixCalc) {
     alert("Run a mix calculation first.");
@@ -1556,6 +2927,9 @@ function renderLogs(defaultTab) {
       Scouting and treatment records stored on this device.
     </p>
 
+    <div id="logSyncPanel" class="log-sync-panel"></div>
+    <div id="outboxPanel" class="outbox-panel"></div>
+
     <div class="logs-tabs" role="tablist" aria-label="Scouting and Treatment Logs">
       <button type="button"
               class="logs-tab-btn logs-tab-active"
@@ -1573,13 +2947,24 @@ function renderLogs(defaultTab) {
               onclick="showLogsTab('treatment')">
         Treatment
       </button>
+      <button type="button"
+              class="logs-tab-btn"
+              data-tab="rei"
+              role="tab"
+              aria-selected="false"
+              onclick="showLogsTab('rei')">
+        Re-entry
+      </button>
     </div>
 
     <div id="logsBody" class="logs-body" role="tabpanel" aria-live="polite"></div>
   `;
 
-  const initial = defaultTab === 'treatment' ? 'treatment' : 'scouting';
+  const initial = ['treatment', 'rei'].includes(defaultTab) ? defaultTab : 'scouting';
   showLogsTab(initial);
+
+  ensureLogSyncAvailable().then(updateLogSyncPanel).catch(() => {});
+  updateOutboxPanel();
 }
 
 function showLogsTab(tab) {
@@ -1596,6 +2981,8 @@ function showLogsTab(tab) {
 
   if (tab === 'treatment') {
     renderTreatment(body);
+  } else if (tab === 'rei') {
+    renderReentryBoard(body);
   } else {
     renderScouting(body);
   }
@@ -1605,12 +2992,25 @@ function renderTreatment(targetEl) {
   const content = targetEl || document.getElementById('content');
   if (!content) return;
 
-  const entries = getTreatmentEntries();
+  // The products-applied rows pick from the chemical library; the sprayer list needs saved calibrations
+  if (!chemicalDataReady() || !calculatorsReady()) {
+    showLoadingTarget(content, 'Loading chemical data for Treatment Log…');
+    Promise.all([ensureChemicalsAvailable(), ensureCalculatorsAvailable()])
+      .then(() => renderTreatment(targetEl))
+      .catch(() => { if (content) content.innerHTML = '<p>Failed to load chemical data.</p>'; });
+    return;
+  }
+
+  const entries = getActiveTreatmentEntries();
+  const editing = editingTreatmentId
+    ? getTreatmentEntries().find(e => e.id === editingTreatmentId && !e.deleted)
+    : null;
+  if (!editing) editingTreatmentId = null;
 
   content.innerHTML = `
     <h2>Treatment Log</h2>
     <p class="muted">
-      Record each spray application. Entries are stored in this browser only (local device).
+      Record each spray application. Entries are stored on this device and sync when you are signed in.
     </p>
 
     <form class="scout-form" onsubmit="event.preventDefault(); saveTreatmentEntry();">
@@ -1619,6 +3019,11 @@ function renderTreatment(targetEl) {
         <input id="treatDate" type="date" />
       </div>
 
+      <div class="scout-form-row">
+        <label for="treatTime">Time finished (starts the REI)</label>
+        <input id="treatTime" type="time" />
+      </div>
+
       <div class="scout-form-row">
         <label for="treatArea">Block / Area</label>
         <input id="treatArea" placeholder="e.g. Block A, Shade House, Front bed" />
@@ -1637,16 +3042,30 @@ function renderTreatment(targetEl) {
         <input id="treatTankSize" type="number" step="1" min="1" placeholder="e.g. 25" />
       </div>
 
-      <!-- Spray volume input removed. Spray volume is assumed to be 1 gal per 1,000 sq ft. -->
+      <div class="scout-form-row">
+        <label for="treatSprayer">Sprayer</label>
+        <select id="treatSprayer" onchange="applyTreatmentSprayerProfile()">
+          ${sprayerProfileOptionsHTML('', 'Not recorded')}
+        </select>
+      </div>
+
+      <div class="scout-form-row">
+        <label for="treatSprayVolume">Spray volume (gal per 1,000 sq ft)</label>
+        <input id="treatSprayVolume" type="number" step="any" min="0" value="1" />
+      </div>
 
       <div class="scout-form-row">
         <label for="treatCoverage">Estimated coverage (sq ft)</label>
         <input id="treatCoverage" type="number" step="1" min="0" placeholder="Auto-filled from mix" />
       </div>
 
-      <div class="scout-form-row">
-        <label for="treatMix">Chemicals & amounts</label>
-        <textarea id="treatMix" rows="4" placeholder="Auto-filled from Mix Calculator if sent, or enter manually."></textarea>
+      <div class="scout-form-row mix-chem-group">
+        <label>Products applied</label>
+        <p class="muted">Auto-filled from Mix Calculator if sent, or add each product with its rate and amount used.</p>
+        <div id="treatInputsContainer"></div>
+        <button type="button" class="btn-accent mix-add-btn" onclick="addTreatmentInputRow()">
+          + Add product
+        </button>
       </div>
 
       <div class="scout-form-row">
@@ -1654,64 +3073,257 @@ function renderTreatment(targetEl) {
         <textarea id="treatNotes" rows="3" placeholder="Target pest/disease, weather, intervals, etc."></textarea>
       </div>
 
+      ${editing ? `
+      <div class="scout-form-row">
+        <label for="treatChangedBy">Changed by</label>
+        <input id="treatChangedBy" placeholder="Your name" value="${getLogAuthorName()}" />
+      </div>
+
+      <div class="scout-form-row">
+        <label for="treatReason">Reason for change</label>
+        <textarea id="treatReason" rows="2" placeholder="Required – e.g. corrected rate, wrong block"></textarea>
+      </div>
+
+      <button class="btn-primary scout-btn">Save Changes (Rev ${(editing.revision || 1) + 1})</button>
+      <button type="button" class="mix-remove-btn" onclick="cancelTreatmentEdit()">Cancel</button>
+      ` : `
       <button class="btn-primary scout-btn">Save Treatment</button>
+      `}
     </form>
 
     <div id="treatTableWrapper" class="table-wrapper">
       ${renderTreatmentTableHTML(entries)}
     </div>
   `;
-  populatePlantSelect('treatCrop', 'treatCropSearch');
+  const cropsReady = populatePlantSelect('treatCrop', 'treatCropSearch');
+  treatInputRowCount = 0;
+
+  if (editing) {
+    fillTreatmentForm(editing, cropsReady);
+    return;
+  }
 
   // Default date to today if blank
   const dateInput = document.getElementById('treatDate');
   if (dateInput && !dateInput.value) {
-    const todayStr = new Date().toISOString().slice(0, 10);
+    const todayStr = window.DateUtils.localDateKey(new Date());
     dateInput.value = todayStr;
   }
+  const timeInput = document.getElementById('treatTime');
+  if (timeInput && !timeInput.value) {
+    timeInput.value = new Date().toTimeString().slice(0, 5);
+  }
 
   // If we arrived here from Mix Calculator, prefill from the stored mix
-    if (pendingTreatmentFromMix) {
-    const { tank, estimatedCoverageSqFt, mixText } = pendingTreatmentFromMix;
+  if (!pendingTreatmentFromMix) {
+    addTreatmentInputRow();
+  } else {
+    const { area, tank, sprayVol, sprayerId, estimatedCoverageSqFt, mixItems } = pendingTreatmentFromMix;
+
+    const areaInput = document.getElementById('treatArea');
+    if (areaInput && area) {
+      areaInput.value = area;
+    }
+
+    const sprayerSelect = document.getElementById('treatSprayer');
+    if (sprayerSelect && getSprayerProfile(sprayerId)) {
+      sprayerSelect.value = sprayerId;
+    }
 
     const tankInput = document.getElementById('treatTankSize');
     if (tankInput && typeof tank === 'number') {
       tankInput.value = tank;
     }
 
+    const sprayInput = document.getElementById('treatSprayVolume');
+    if (sprayInput && typeof sprayVol === 'number') {
+      sprayInput.value = Number(sprayVol.toFixed(3));
+    }
+
     const covInput = document.getElementById('treatCoverage');
     if (covInput && typeof estimatedCoverageSqFt === 'number') {
       covInput.value = estimatedCoverageSqFt.toFixed(0);
     }
 
-    const mixArea = document.getElementById('treatMix');
-    if (mixArea && mixText) {
-      mixArea.value = mixText;
-    }
+    (mixItems || []).forEach(item => {
+      const chem = chemicals.find(c => c.id === item.id);
+      addTreatmentInputRow(window.TreatmentInputs.buildTreatmentInput(chem, {
+        name: item.name,
+        rate: item.rate,
+        rateUnit: item.rateUnit,
+        amount: Number(item.amount.toFixed(2)),
+        amountUnit: item.amountUnit
+      }));
+    });
+    if (!treatInputRowCount) addTreatmentInputRow();
 
     // Clear after one use so future visits don't keep prefilling
     pendingTreatmentFromMix = null;
   }
 }
 
-function getTreatmentEntries() {
-  try {
-    const raw = localStorage.getItem('treatmentEntries');
-    if (!raw) return [];
-    const parsed = JSON.parse(raw);
-    return Array.isArray(parsed) ? parsed : [];
-  } catch (e) {
-    console.warn('Failed to read treatmentEntries from localStorage', e);
-    return [];
+// Picking a calibrated sprayer fills in the spray volume it was calibrated at
+function applyTreatmentSprayerProfile() {
+  const select = document.getElementById('treatSprayer');
+  const profile = getSprayerProfile(select && select.value);
+  const sprayInput = document.getElementById('treatSprayVolume');
+  if (profile && sprayInput) sprayInput.value = profile.galPer1000SqFt;
+}
+
+// The sprayer is recorded as text so the entry still reads correctly after a profile is recalibrated or deleted
+function readTreatmentSprayer() {
+  const select = document.getElementById('treatSprayer');
+  if (!select || !select.value) return '';
+  const profile = getSprayerProfile(select.value);
+  return profile ? window.SprayerCalibration.describeSprayerProfile(profile) : select.value;
+}
+
+// ---- Products applied (structured inputs) ----
+
+let treatInputRowCount = 0;
+
+function treatmentChemicalOptionsHTML(selectedId, term) {
+  const needle = (term || '').toLowerCase();
+  const options = chemicals
+    .filter(c => c.id === selectedId || !needle || c.name.toLowerCase().includes(needle))
+    .slice()
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(c => `<option value="${c.id}"${c.id === selectedId ? ' selected' : ''}>${c.name}</option>`);
+  return [
+    '<option value="">Select chemical</option>',
+    ...options,
+    `<option value="other"${selectedId === 'other' ? ' selected' : ''}>Other (not in library)</option>`
+  ].join('');
+}
+
+function treatmentUnitOptionsHTML(units, selected) {
+  const list = selected && !units.includes(selected) ? units.concat(selected) : units;
+  return list.map(u => `<option value="${u}"${u === selected ? ' selected' : ''}>${u}</option>`).join('');
+}
+
+/**
+ * Add a product row to the Treatment Log form
+ * @param {Object} [input] - Existing treatment input to show in the row
+ */
+function addTreatmentInputRow(input) {
+  const container = document.getElementById('treatInputsContainer');
+  if (!container) return;
+  const { RATE_UNITS, AMOUNT_UNITS } = window.TreatmentInputs;
+
+  treatInputRowCount += 1;
+  const index = treatInputRowCount;
+  const value = input || {};
+  const chem = value.chemical_id ? chemicals.find(c => c.id === value.chemical_id) : null;
+  const selectedId = chem ? chem.id : (value.name ? 'other' : '');
+
+  const row = document.createElement('div');
+  row.className = 'mix-chem-row treat-input-row';
+  row.setAttribute('data-index', index);
+  row.innerHTML = `
+    <label for="treatInputChem${index}">Product ${index}</label>
+    <div class="mix-search-select">
+      <input type="text" placeholder="Search chemical…" oninput="filterTreatmentInputOptions(${index}, this.value)" aria-label="Search chemicals" />
+      <select id="treatInputChem${index}" onchange="updateTreatmentInputRow(${index})">
+        ${treatmentChemicalOptionsHTML(selectedId)}
+      </select>
+    </div>
+    <input id="treatInputName${index}" placeholder="Product name" value="${chem ? '' : (value.name || '')}"
+           ${selectedId === 'other' ? '' : 'hidden'} />
+    <div class="treat-input-fields">
+      <label>EPA Reg. No.
+        <input id="treatInputEpa${index}" placeholder="e.g. 432-1363" value="${value.epa_reg_num || ''}" ${chem ? 'readonly data-from-library="1"' : ''} />
+      </label>
+      <label>Rate
+        <input id="treatInputRate${index}" type="number" step="any" min="0" value="${value.rate ?? ''}" />
+      </label>
+      <label>Rate unit
+        <select id="treatInputRateUnit${index}">${treatmentUnitOptionsHTML(RATE_UNITS, value.rate_unit || 'fl oz/gal')}</select>
+      </label>
+      <label>Amount used
+        <input id="treatInputAmount${index}" type="number" step="any" min="0" value="${value.amount ?? ''}" />
+      </label>
+      <label>Amount unit
+        <select id="treatInputAmountUnit${index}">${treatmentUnitOptionsHTML(AMOUNT_UNITS, value.amount_unit || 'fl oz')}</select>
+      </label>
+    </div>
+    <button type="button" class="mix-remove-btn" onclick="removeTreatmentInputRow(${index})">
+      Remove
+    </button>
+  `;
+  container.appendChild(row);
+}
+
+function removeTreatmentInputRow(index) {
+  const container = document.getElementById('treatInputsContainer');
+  if (!container) return;
+  const row = container.querySelector(`.treat-input-row[data-index="${index}"]`);
+  if (row) row.remove();
+}
+
+// Library products fill in (and lock) their EPA number; "Other" asks for a name
+function updateTreatmentInputRow(index) {
+  const select = document.getElementById(`treatInputChem${index}`);
+  const nameInput = document.getElementById(`treatInputName${index}`);
+  const epaInput = document.getElementById(`treatInputEpa${index}`);
+  if (!select || !nameInput || !epaInput) return;
+
+  const chem = chemicals.find(c => c.id === select.value);
+  nameInput.hidden = select.value !== 'other';
+  epaInput.readOnly = !!chem;
+  if (chem) {
+    epaInput.value = chem.epaRegNum || '';
+  } else if (epaInput.dataset.fromLibrary) {
+    epaInput.value = '';
   }
+  epaInput.dataset.fromLibrary = chem ? '1' : '';
+}
+
+function filterTreatmentInputOptions(index, term) {
+  const select = document.getElementById(`treatInputChem${index}`);
+  if (!select) return;
+  const current = select.value;
+  select.innerHTML = treatmentChemicalOptionsHTML(current, term);
+  select.value = current;
+}
+
+/**
+ * Read the product rows into treatment inputs (rows with no product are skipped)
+ * @returns {Array<Object>}
+ */
+function readTreatmentInputs() {
+  const rows = document.querySelectorAll('#treatInputsContainer .treat-input-row');
+  const inputs = [];
+  rows.forEach(row => {
+    const index = row.getAttribute('data-index');
+    const field = name => document.getElementById(`treatInput${name}${index}`);
+    const chemId = field('Chem').value;
+    const chem = chemicals.find(c => c.id === chemId) || null;
+    const name = chemId === 'other' ? field('Name').value.trim() : '';
+    if (!chem && !name) return;
+
+    inputs.push(window.TreatmentInputs.buildTreatmentInput(chem, {
+      name,
+      epaRegNum: field('Epa').value,
+      rate: field('Rate').value,
+      rateUnit: field('RateUnit').value,
+      amount: field('Amount').value,
+      amountUnit: field('AmountUnit').value
+    }));
+  });
+  return inputs;
+}
+
+function getTreatmentEntries() {
+  return logEntriesCache.treatment.slice();
+}
+
+// Entries shown in the log table and used for rotation analysis (soft-deleted entries are kept for the audit trail)
+function getActiveTreatmentEntries() {
+  return getTreatmentEntries().filter(entry => !entry.deleted);
 }
 
 function setTreatmentEntries(entries) {
-  try {
-    localStorage.setItem('treatmentEntries', JSON.stringify(entries));
-  } catch (e) {
-    console.warn('Failed to save treatmentEntries to localStorage', e);
-  }
+  return persistLogEntries('treatment', entries);
 }
 
 function renderTreatmentTableHTML(entries) {
@@ -1720,9 +3332,9 @@ function renderTreatmentTableHTML(entries) {
   }
 
   const rows = entries
-    .map((e, index) => `
+    .map(e => `
       <tr>
-        <td>${e.date || ""}</td>
+        <td>${e.date || ""}${e.time ? ` ${e.time}` : ""}</td>
         <td>${e.area || ""}</td>
         <td>${e.crop || ""}</td>
         <td>${e.tankSize || ""}</td>
@@ -1730,7 +3342,10 @@ function renderTreatmentTableHTML(entries) {
         <td>${(e.mix || "").replace(/\n/g, '<br>')}</td>
         <td>${e.notes || ""}</td>
         <td>
-          <button type="button" class="mix-remove-btn" onclick="deleteTreatmentEntry(${index})">
+          <button type="button" class="btn-primary" onclick="editTreatmentEntry('${e.id}')">
+            Edit
+          </button>
+          <button type="button" class="mix-remove-btn" onclick="deleteTreatmentEntry('${e.id}')">
             Delete
           </button>
         </td>
@@ -1761,43 +3376,87 @@ function renderTreatmentTableHTML(entries) {
 
 function saveTreatmentEntry() {
   const dateEl = document.getElementById('treatDate');
+  const timeEl = document.getElementById('treatTime');
   const areaEl = document.getElementById('treatArea');
   const cropEl = document.getElementById('treatCrop');
   const tankEl = document.getElementById('treatTankSize');
+  const sprayEl = document.getElementById('treatSprayVolume');
   const covEl = document.getElementById('treatCoverage');
-  const mixEl = document.getElementById('treatMix');
   const notesEl = document.getElementById('treatNotes');
 
   const date = dateEl ? dateEl.value.trim() : "";
+  // Local time the application finished; the REI runs from here
+  const time = timeEl ? timeEl.value.trim() : "";
   const area = areaEl ? areaEl.value.trim() : "";
   const crop = cropEl
     ? ((cropEl.options[cropEl.selectedIndex] || {}).text || (cropEl.value || "")).trim()
     : "";
   const tankSize = tankEl ? tankEl.value.trim() : "";
-  // Spray volume is assumed to be 1 gal per 1,000 sq ft; no input field
-  const sprayVolume = "1";
+  // Gallons of spray per 1,000 sq ft, as calibrated
+  const sprayVolume = sprayEl ? sprayEl.value.trim() : "";
+  const sprayer = readTreatmentSprayer();
   const coverage = covEl ? covEl.value.trim() : "";
-  const mix = mixEl ? mixEl.value.trim() : "";
   const notes = notesEl ? notesEl.value.trim() : "";
+  const inputs = readTreatmentInputs();
+  // Display text for the table, search and audit trail; inputs are the record
+  const mix = window.TreatmentInputs.formatInputsText(inputs);
 
-  if (!date && !area && !crop && !mix && !notes) {
-    alert("Enter at least a date, area, crop, mix, or notes.");
+  if (!date && !area && !crop && !inputs.length && !notes) {
+    alert("Enter at least a date, area, crop, product, or notes.");
+    return;
+  }
+
+  const inputError = window.TreatmentInputs.validateTreatmentInputs(inputs);
+  if (inputError) {
+    alert(inputError);
     return;
   }
 
   const entries = getTreatmentEntries();
-  entries.push({
-    date,
-    area,
-    crop,
-    tankSize,
-    sprayVolume,
-    coverage,
-    mix,
-    notes
-  });
+  const now = new Date().toISOString();
+
+  if (editingTreatmentId) {
+    const index = entries.findIndex(entry => entry.id === editingTreatmentId);
+    if (index === -1) {
+      editingTreatmentId = null;
+      alert("This entry no longer exists.");
+      return;
+    }
+    const by = (document.getElementById('treatChangedBy')?.value || '').trim();
+    const reason = (document.getElementById('treatReason')?.value || '').trim();
+    const result = window.LogAudit.applyAuditedEdit(
+      entries[index],
+      { date, time, area, crop, tankSize, sprayer, sprayVolume, coverage, inputs, mix, notes },
+      { by, at: now, reason }
+    );
+    if (result.error) {
+      alert(result.error);
+      return;
+    }
+    setLogAuthorName(by);
+    entries[index] = result.entry;
+    editingTreatmentId = null;
+  } else {
+    entries.push(window.LogAudit.createAuditedEntry({
+      id: generateLogEntryId(),
+      date,
+      time,
+      area,
+      crop,
+      tankSize,
+      sprayer,
+      sprayVolume,
+      coverage,
+      inputs,
+      mix,
+      notes,
+      updatedAt: now,
+      syncedAt: null
+    }, { by: getLogAuthorName(), at: now }));
+  }
 
   setTreatmentEntries(entries);
+  scheduleLogSync();
 
   // Re-render page (form + table) with updated data
   const logsBody = document.getElementById('logsBody');
@@ -1808,12 +3467,110 @@ function saveTreatmentEntry() {
   }
 }
 
-function deleteTreatmentEntry(index) {
+function editTreatmentEntry(id) {
+  editingTreatmentId = id;
+  const logsBody = document.getElementById('logsBody');
+  renderTreatment(logsBody || undefined);
+  const form = document.querySelector('.scout-form');
+  if (form) form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function cancelTreatmentEdit() {
+  editingTreatmentId = null;
+  const logsBody = document.getElementById('logsBody');
+  renderTreatment(logsBody || undefined);
+}
+
+function fillTreatmentForm(entry, cropsReady) {
+  const values = {
+    treatDate: entry.date,
+    treatTime: entry.time,
+    treatArea: entry.area,
+    treatTankSize: entry.tankSize,
+    treatSprayVolume: entry.sprayVolume,
+    treatCoverage: entry.coverage,
+    treatNotes: entry.notes
+  };
+  Object.keys(values).forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.value = values[id] || '';
+  });
+
+  // Match the recorded sprayer to a saved profile, or keep its text as recorded
+  const sprayerSelect = document.getElementById('treatSprayer');
+  if (sprayerSelect && entry.sprayer) {
+    const profile = loadSprayerProfiles()
+      .find(p => window.SprayerCalibration.describeSprayerProfile(p) === entry.sprayer);
+    if (profile) {
+      sprayerSelect.value = profile.id;
+    } else {
+      sprayerSelect.add(new Option(entry.sprayer, entry.sprayer));
+      sprayerSelect.value = entry.sprayer;
+    }
+  }
+
+  // Entries saved before structured inputs are converted from their mix text
+  const inputs = window.TreatmentInputs.getEntryInputs(entry, chemicals);
+  inputs.forEach(input => addTreatmentInputRow(input));
+  if (!inputs.length) addTreatmentInputRow();
+
+  // Crop options load asynchronously; select (or add) the saved crop once ready
+  Promise.resolve(cropsReady).then(() => {
+    const select = document.getElementById('treatCrop');
+    if (!select || !entry.crop) return;
+    let option = Array.from(select.options).find(o => o.text.trim() === entry.crop);
+    if (!option) {
+      option = new Option(entry.crop, entry.crop);
+      select.add(option);
+    }
+    select.value = option.value;
+  });
+}
+
+// Name recorded on revisions: the signed-in sync user, else the last name typed on this device
+function getLogAuthorName() {
+  const session = readLogSyncJSON(LOG_SYNC_SESSION_KEY, null);
+  if (session && session.user && session.user.name) return session.user.name;
+  return localStorage.getItem('logAuthorName') || '';
+}
+
+function setLogAuthorName(name) {
+  if (!name) return;
+  try {
+    localStorage.setItem('logAuthorName', name);
+  } catch (e) {
+    console.warn('Failed to save logAuthorName to localStorage', e);
+  }
+}
+
+// Soft delete: the entry stays on record (hidden from the log) with a revision saying who/why
+function deleteTreatmentEntry(id) {
   const entries = getTreatmentEntries();
-  if (index < 0 || index >= entries.length) return;
+  const index = entries.findIndex(entry => entry.id === id);
+  if (index === -1) return;
+
+  const reason = prompt('Reason for deleting this treatment record? (kept in the audit trail)');
+  if (reason === null) return;
+  let by = getLogAuthorName();
+  if (!by) {
+    by = prompt('Your name (for the audit trail):') || '';
+  }
+
+  const result = window.LogAudit.applyAuditedDelete(entries[index], {
+    by,
+    at: new Date().toISOString(),
+    reason
+  });
+  if (result.error) {
+    alert(result.error);
+    return;
+  }
+  setLogAuthorName(by);
+  if (editingTreatmentId === id) editingTreatmentId = null;
 
-  entries.splice(index, 1);
+  entries[index] = result.entry;
   setTreatmentEntries(entries);
+  scheduleLogSync();
 
   const logsBody = document.getElementById('logsBody');
   if (logsBody) {
@@ -1822,7 +3579,7 @@ function deleteTreatmentEntry(index) {
     renderTreatment();
   }
 }
-// ====== SCOUTING LOG (FORM + TABLE + LOCAL STORAGE) ======
+// ====== SCOUTING LOG (FORM + TABLE) ======
 
 function renderScouting(targetEl) {
   const content = targetEl || document.getElementById('content');
@@ -1831,7 +3588,7 @@ function renderScouting(targetEl) {
   content.innerHTML = `
     <h2>Scouting Log</h2>
     <p class="muted">
-      Record each scouting stop. Entries are stored in this browser only (local device).
+      Record each scouting stop. Entries are stored on this device and sync when you are signed in.
     </p>
 
     <form class="scout-form" onsubmit="event.preventDefault(); saveScoutingEntry();">
@@ -1842,7 +3599,8 @@ function renderScouting(targetEl) {
 
       <div class="scout-form-row">
         <label for="scoutArea">Block / Area</label>
-        <input id="scoutArea" placeholder="e.g. Block A, Shade House, Front bed" />
+        <input id="scoutArea" placeholder="e.g. Block A, Shade House, Front bed" oninput="checkScoutAreaRei()" />
+        <p id="scoutReiWarning" class="rei-warning" hidden></p>
       </div>
 
       <div class="scout-form-row">
@@ -1881,6 +3639,11 @@ function renderScouting(targetEl) {
         <textarea id="scoutNotes" rows="3" placeholder="Key observations, counts, weather, etc."></textarea>
       </div>
 
+      <div class="scout-form-row">
+        <label>Photos</label>
+        ${photoCaptureHTML('scout')}
+      </div>
+
       <button class="btn-primary scout-btn">Save Entry</button>
     </form>
 
@@ -1893,13 +3656,13 @@ function renderScouting(targetEl) {
   // Default date to today if blank
   const dateInput = document.getElementById('scoutDate');
   if (dateInput && !dateInput.value) {
-    const todayStr = new Date().toISOString().slice(0, 10);
+    const todayStr = window.DateUtils.localDateKey(new Date());
     dateInput.value = todayStr;
   }
 
   // If we arrived here from Diagnostics, prefill the form from the stored observation
   if (pendingScoutingFromDiagnostics) {
-    const { crop, issueType, severity, notes } = pendingScoutingFromDiagnostics;
+    const { crop, issueType, severity, notes, photos } = pendingScoutingFromDiagnostics;
 
     const cropInput = document.getElementById('scoutCrop');
     if (cropInput && crop) cropInput.value = crop;
@@ -1913,29 +3676,21 @@ function renderScouting(targetEl) {
     const notesEl = document.getElementById('scoutNotes');
     if (notesEl && notes) notesEl.value = notes;
 
+    if (photos && photos.length) formPhotos.scout = formPhotos.scout.concat(photos);
+
     // Clear after one use so future visits don't keep prefilling
     pendingScoutingFromDiagnostics = null;
   }
+  renderFormPhotos('scout');
+  pruneStalePhotos();
 }
 
 function getScoutingEntries() {
-  try {
-    const raw = localStorage.getItem('scoutingEntries');
-    if (!raw) return [];
-    const parsed = JSON.parse(raw);
-    return Array.isArray(parsed) ? parsed : [];
-  } catch (e) {
-    console.warn("Failed to read scoutingEntries from localStorage", e);
-    return [];
-  }
+  return logEntriesCache.scouting.slice();
 }
 
 function setScoutingEntries(entries) {
-  try {
-    localStorage.setItem('scoutingEntries', JSON.stringify(entries));
-  } catch (e) {
-    console.warn("Failed to save scoutingEntries to localStorage", e);
-  }
+  return persistLogEntries('scouting', entries);
 }
 
 function renderScoutingTableHTML(entries) {
@@ -1944,7 +3699,7 @@ function renderScoutingTableHTML(entries) {
   }
 
   const rows = entries
-    .map((e, index) => `
+    .map(e => `
       <tr>
         <td>${e.date || ""}</td>
         <td>${e.area || ""}</td>
@@ -1952,8 +3707,9 @@ function renderScoutingTableHTML(entries) {
         <td>${e.issueType || ""}</td>
         <td>${e.pressure || ""}</td>
         <td>${e.notes || ""}</td>
+        <td>${window.PhotoStore ? window.PhotoStore.formatPhotoThumbsHTML(e.photos) : ""}</td>
         <td>
-          <button type="button" class="mix-remove-btn" onclick="deleteScoutingEntry(${index})">
+          <button type="button" class="mix-remove-btn" onclick="deleteScoutingEntry('${e.id}')">
             Delete
           </button>
         </td>
@@ -1971,6 +3727,7 @@ function renderScoutingTableHTML(entries) {
           <th>Issue</th>
           <th>Severity</th>
           <th>Notes</th>
+          <th>Photos</th>
           <th></th>
         </tr>
       </thead>
@@ -1999,15 +3756,21 @@ function saveScoutingEntry() {
 
   const entries = getScoutingEntries();
   entries.push({
+    id: generateLogEntryId(),
     date,
     area,
     crop,
     issueType,
     pressure,
-    notes
+    notes,
+    ...(formPhotos.scout.length ? { photos: formPhotos.scout } : {}),
+    updatedAt: new Date().toISOString(),
+    syncedAt: null
   });
+  formPhotos.scout = [];
 
   setScoutingEntries(entries);
+  scheduleLogSync();
 
   // Re-render page (form + table) with updated data
   const logsBody = document.getElementById('logsBody');
@@ -2018,12 +3781,18 @@ function saveScoutingEntry() {
   }
 }
 
-function deleteScoutingEntry(index) {
+function deleteScoutingEntry(id) {
   const entries = getScoutingEntries();
-  if (index < 0 || index >= entries.length) return;
+  const index = entries.findIndex(entry => entry.id === id);
+  if (index === -1) return;
 
-  entries.splice(index, 1);
+  const [removed] = entries.splice(index, 1);
   setScoutingEntries(entries);
+  recordLogTombstone('scouting', removed);
+  if (removed.photos && window.PhotoStore) {
+    window.PhotoStore.deletePhotoBlobs(removed.photos.map(p => p.id)).catch(() => {});
+  }
+  scheduleLogSync();
 
   const logsBody = document.getElementById('logsBody');
   if (logsBody) {
@@ -2034,28 +3803,578 @@ function deleteScoutingEntry(index) {
 }
 
 
-// ====== CHEMICAL ROTATION SCHEDULE (RESISTANCE MANAGEMENT) ======
+// ====== PHOTOS (SCOUTING + DIAGNOSTICS) ======
+// Photos are resized and kept in IndexedDB by photo-store.js as soon as they
+// are picked, so they survive going offline; log sync uploads them later.
+function ensurePhotoStoreAvailable() {
+  if (typeof window.PhotoStore !== 'undefined') return Promise.resolve();
+  return _loadScript('./photo-store.js');
+}
+
+// Camera and file pickers for a form ('scout' or 'diag'); renderFormPhotos fills the list
+function photoCaptureHTML(form) {
+  return `
+    <div class="photo-capture">
+      <label class="btn-accent photo-capture-btn">
+        Take Photo
+        <input type="file" accept="image/*" capture="environment" hidden onchange="addFormPhotos('${form}', this)" />
+      </label>
+      <label class="btn-accent photo-capture-btn">
+        Choose Photos
+        <input type="file" accept="image/*" multiple hidden onchange="addFormPhotos('${form}', this)" />
+      </label>
+    </div>
+    <div id="${form}PhotoList"></div>
+  `;
+}
+
+function renderFormPhotos(form) {
+  const list = document.getElementById(`${form}PhotoList`);
+  if (!list) return;
+  if (!window.PhotoStore) {
+    list.innerHTML = '';
+    return;
+  }
+  list.innerHTML = window.PhotoStore.formatPhotoThumbsHTML(formPhotos[form], {
+    onRemove: id => `removeFormPhoto('${form}', '${id}')`
+  });
+}
+
+async function addFormPhotos(form, input) {
+  const files = Array.from(input.files || []);
+  input.value = '';
+  if (!files.length) return;
+
+  try {
+    await ensurePhotoStoreAvailable();
+  } catch (e) {
+    alert('Photos are not available right now.');
+    return;
+  }
+
+  const room = window.PhotoStore.PHOTO_LIMIT - formPhotos[form].length;
+  if (files.length > room) {
+    alert(`Up to ${window.PhotoStore.PHOTO_LIMIT} photos per entry.`);
+  }
+
+  for (const file of files.slice(0, Math.max(0, room))) {
+    try {
+      const photo = await window.PhotoStore.preparePhoto(file);
+      const id = generateLogEntryId();
+      await window.PhotoStore.putPhotoBlob(id, photo.blob);
+      formPhotos[form].push({
+        id,
+        takenAt: photo.takenAt,
+        width: photo.width,
+        height: photo.height,
+        thumb: photo.thumb,
+        url: ''
+      });
+    } catch (e) {
+      console.warn('Failed to add photo', e);
+      alert(`Could not add ${file.name || 'photo'} (${e && e.message ? e.message : 'storage error'}).`);
+    }
+    renderFormPhotos(form);
+  }
+}
+
+function removeFormPhoto(form, id) {
+  formPhotos[form] = formPhotos[form].filter(p => p.id !== id);
+  if (window.PhotoStore) window.PhotoStore.deletePhotoBlobs([id]).catch(() => {});
+  renderFormPhotos(form);
+}
+
+// Full-size photo: the uploaded copy when there is one, otherwise the one on this device
+async function openLogPhoto(id) {
+  const photo = formPhotos.scout.concat(formPhotos.diag)
+    .concat(...getScoutingEntries().map(e => e.photos || []))
+    .find(p => p.id === id);
+  if (!photo) return;
+  if (photo.url) {
+    window.open(photo.url, '_blank', 'noopener');
+    return;
+  }
+  const blob = window.PhotoStore ? await window.PhotoStore.getPhotoBlob(id).catch(() => null) : null;
+  if (!blob) {
+    alert('This photo is on another device and has not been uploaded yet.');
+    return;
+  }
+  const url = URL.createObjectURL(blob);
+  window.open(url, '_blank', 'noopener');
+  setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+}
+
+// Drop stored photos from forms that were never saved
+function pruneStalePhotos() {
+  if (!window.PhotoStore || logStorageMode !== 'indexeddb') return;
+  const keep = window.PhotoStore.referencedPhotoIds(
+    getScoutingEntries().concat([{ photos: formPhotos.scout }, { photos: formPhotos.diag }])
+  );
+  window.PhotoStore.prunePhotoBlobs(keep).catch(e => console.warn('Photo cleanup failed', e));
+}
 
-// MOA groups for resistance rotation
-const moaGroups = {
-  'WSSA 3': 'Dinitroanilines (Pre-emergent)',
-  'WSSA 4': 'Phenoxy herbicides',
-  'WSSA 9': 'Glyphosate (EPSPS inhibitor)',
-  'WSSA 12': 'Aquatic herbicides',
-  'WSSA 14': 'PPO inhibitors',
-  'WSSA 21': 'Chloroacetamides',
-  'WSSA 22': 'Bipyridyliums',
-  'WSSA 29': 'Isoxazoles',
-  'IRAC 3A': 'Pyrethroids',
-  'IRAC 4A': 'Neonicotinoids',
-  'IRAC 5': 'Spinosyns',
-  'FRAC 1': 'Benzimidazoles',
-  'FRAC 3': 'DMIs (Demethylation Inhibitors)',
-  'FRAC M1': 'Copper fungicides'
+
+// ====== LOG SYNC (SUPABASE) ======
+// Entries keep a stable id, updatedAt and syncedAt so they can be pushed to
+// treatment_logs / scouting_logs and merged with edits from other devices.
+const LOG_SYNC_SESSION_KEY = 'logSyncSession';
+const LOG_SYNC_STATE_KEY = 'logSyncState';
+const LOG_SYNC_CONFLICTS_KEY = 'logSyncConflicts';
+const LOG_SYNC_STORES = {
+  treatment: { table: 'treatment_logs' },
+  scouting: { table: 'scouting_logs' }
 };
 
+let logSyncInProgress = false;
+let logSyncTimer = null;
+
+function readLogSyncJSON(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (e) {
+    console.warn(`Failed to read ${key} from localStorage`, e);
+    return fallback;
+  }
+}
+
+function writeLogSyncJSON(key, value) {
+  try {
+    if (value === null) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, JSON.stringify(value));
+    }
+  } catch (e) {
+    console.warn(`Failed to save ${key} to localStorage`, e);
+  }
+}
+
+function getLogSyncState() {
+  const state = readLogSyncJSON(LOG_SYNC_STATE_KEY, {});
+  return {
+    cursors: state.cursors || {},
+    tombstones: state.tombstones || { treatment: [], scouting: [] },
+    lastSyncedAt: state.lastSyncedAt || null,
+    lastError: state.lastError || null
+  };
+}
+
+// Deleted entries the server already has are pushed as soft deletes
+// (RLS has no DELETE policy on the log tables)
+function recordLogTombstone(kind, entry) {
+  if (!entry || !entry.id || !entry.syncedAt) return;
+  const state = getLogSyncState();
+  const list = state.tombstones[kind] || [];
+  list.push({ ...entry, updatedAt: new Date().toISOString() });
+  state.tombstones[kind] = list;
+  writeLogSyncJSON(LOG_SYNC_STATE_KEY, state);
+}
+
+function getLogSyncConfig() {
+  const config = window.VINE_SUPABASE_CONFIG || {};
+  return config.url && config.anonKey ? config : null;
+}
+
+function ensureLogSyncAvailable() {
+  const loads = [];
+  if (typeof window.VINE_SUPABASE_CONFIG === 'undefined') {
+    loads.push(_loadScript('./supabase-config.js').catch(() => {}));
+  }
+  if (typeof window.LogSync === 'undefined') {
+    loads.push(_loadScript('./log-sync.js'));
+  }
+  return Promise.all(loads);
+}
+
+function countPendingLogChanges() {
+  const state = getLogSyncState();
+  const isPending = e => !e.syncedAt || e.syncedAt !== e.updatedAt;
+  return getTreatmentEntries().filter(isPending).length +
+    getScoutingEntries().filter(isPending).length +
+    (state.tombstones.treatment || []).length +
+    (state.tombstones.scouting || []).length;
+}
+
+async function getActiveSyncSession(config) {
+  const session = readLogSyncJSON(LOG_SYNC_SESSION_KEY, null);
+  if (!session || !session.refreshToken) return null;
+  // Refresh a minute early so requests don't race the expiry
+  if (session.expiresAt && session.expiresAt - Date.now() > 60 * 1000) {
+    return session;
+  }
+  let refreshed;
+  try {
+    refreshed = await window.LogSync.refreshSession(config, session.refreshToken);
+  } catch (e) {
+    // Supabase answers a revoked or expired refresh token with 400, not 401.
+    // Any rejection means the stored session is dead; network errors are not.
+    if (e.status >= 400 && e.status < 500) {
+      writeLogSyncJSON(LOG_SYNC_SESSION_KEY, null);
+      const expired = new Error('Your sync session expired. Sign in again.');
+      expired.status = 401;
+      throw expired;
+    }
+    throw e;
+  }
+  writeLogSyncJSON(LOG_SYNC_SESSION_KEY, refreshed);
+  shareSyncTokenWithOutbox(config, refreshed);
+  return refreshed;
+}
+
+// Debounced sync after local edits (no-op when offline or signed out)
+function scheduleLogSync() {
+  if (logSyncTimer) clearTimeout(logSyncTimer);
+  logSyncTimer = setTimeout(() => {
+    logSyncTimer = null;
+    syncLogsNow({ silent: true });
+  }, 2000);
+}
+
+async function syncLogsNow(options = {}) {
+  const { silent = false } = options;
+  if (logSyncInProgress) return;
+  if (!navigator.onLine) {
+    if (!silent) alert('You are offline. Entries will sync when the connection returns.');
+    return;
+  }
+
+  try {
+    await ensureLogSyncAvailable();
+  } catch (e) {
+    if (!silent) alert('Sync is not available right now.');
+    return;
+  }
+
+  const config = getLogSyncConfig();
+  if (!config || !readLogSyncJSON(LOG_SYNC_SESSION_KEY, null)) {
+    if (!silent) alert('Sign in on the Logs page to sync entries.');
+    return;
+  }
+
+  await ensureLogsLoaded();
+  logSyncInProgress = true;
+  updateLogSyncPanel();
+  const state = getLogSyncState();
+
+  try {
+    const session = await getActiveSyncSession(config);
+    const remote = window.LogSync.createSupabaseRemote(config, session.accessToken);
+    const employee = { id: session.user.id, name: session.user.name };
+    const conflicts = readLogSyncJSON(LOG_SYNC_CONFLICTS_KEY, []);
+    let changedLocal = false;
+
+    for (const kind of Object.keys(LOG_SYNC_STORES)) {
+      const { table } = LOG_SYNC_STORES[kind];
+      const isTreatment = kind === 'treatment';
+      const snapshot = isTreatment ? getTreatmentEntries() : getScoutingEntries();
+      const pushedTombstones = state.tombstones[kind] || [];
+      let entries = snapshot;
+      let uploadedPhotos = [];
+      if (!isTreatment && window.PhotoStore) {
+        const upload = await window.LogSync.uploadEntryPhotos({
+          remote,
+          entries,
+          readPhoto: id => window.PhotoStore.getPhotoBlob(id).catch(() => null)
+        });
+        entries = upload.entries;
+        uploadedPhotos = upload.uploaded;
+      }
+      const result = await window.LogSync.syncTable({
+        remote,
+        table,
+        entries,
+        tombstones: pushedTombstones,
+        cursor: state.cursors[table] || null,
+        employee,
+        toRow: isTreatment ? window.LogSync.treatmentEntryToRow : window.LogSync.scoutingEntryToRow,
+        fromRow: isTreatment ? window.LogSync.rowToTreatmentEntry : window.LogSync.rowToScoutingEntry,
+        // Treatment records are soft-deleted and kept for the audit trail
+        keepDeleted: isTreatment
+      });
+
+      // Entries and deletions saved while the sync awaited the server are kept, not overwritten
+      const current = isTreatment ? getTreatmentEntries() : getScoutingEntries();
+      const merged = window.LogSync.mergeSyncedEntries(snapshot, current, result.entries);
+      if (isTreatment) {
+        await setTreatmentEntries(merged);
+      } else {
+        await setScoutingEntries(merged);
+        // Storage serves the uploaded copies now; entries keep their thumbnails
+        if (uploadedPhotos.length) await window.PhotoStore.deletePhotoBlobs(uploadedPhotos).catch(() => {});
+      }
+      const newTombstones = (getLogSyncState().tombstones[kind] || []).filter(t => !pushedTombstones.some(p => p.id === t.id));
+      state.tombstones[kind] = result.tombstones.concat(newTombstones);
+      state.cursors[table] = result.cursor;
+      result.conflicts.forEach(c => conflicts.push({ ...c, kind, at: new Date().toISOString() }));
+      if (result.pulled) changedLocal = true;
+    }
+
+    state.lastSyncedAt = new Date().toISOString();
+    state.lastError = null;
+    writeLogSyncJSON(LOG_SYNC_CONFLICTS_KEY, conflicts);
+
+    // Refresh an open log table with pulled entries
+    const logsBody = document.getElementById('logsBody');
+    if (changedLocal && logsBody) {
+      const activeTab = document.querySelector('.logs-tab-btn.logs-tab-active');
+      showLogsTab(activeTab ? activeTab.getAttribute('data-tab') : 'scouting');
+    }
+  } catch (e) {
+    console.warn('Log sync failed', e);
+    state.lastError = e.message;
+    if (e.status === 401) writeLogSyncJSON(LOG_SYNC_SESSION_KEY, null);
+    if (!silent) alert('Sync failed: ' + e.message);
+  } finally {
+    writeLogSyncJSON(LOG_SYNC_STATE_KEY, state);
+    logSyncInProgress = false;
+    updateLogSyncPanel();
+  }
+}
+
+async function signInForLogSync() {
+  const emailEl = document.getElementById('syncEmail');
+  const passwordEl = document.getElementById('syncPassword');
+  const email = emailEl ? emailEl.value.trim() : '';
+  const password = passwordEl ? passwordEl.value : '';
+  if (!email || !password) {
+    alert('Enter your email and password.');
+    return;
+  }
+
+  try {
+    await ensureLogSyncAvailable();
+    const config = getLogSyncConfig();
+    if (!config) {
+      alert('Sync is not configured for this app.');
+      return;
+    }
+    const session = await window.LogSync.signInWithPassword(config, email, password);
+    writeLogSyncJSON(LOG_SYNC_SESSION_KEY, session);
+    shareSyncTokenWithOutbox(config, session);
+  } catch (e) {
+    alert('Sign in failed: ' + e.message);
+    return;
+  }
+
+  updateLogSyncPanel();
+  syncLogsNow();
+}
+
+// Queued Supabase calls are replayed with the newest token, not the one they were queued with
+function shareSyncTokenWithOutbox(config, session) {
+  postToServiceWorker({
+    type: 'outbox-auth',
+    origin: new URL(config.url).origin,
+    accessToken: session ? session.accessToken : null
+  });
+}
+
+function signOutOfLogSync() {
+  if (logSyncInProgress) {
+    alert('Wait for the sync to finish, then sign out.');
+    return;
+  }
+  const config = getLogSyncConfig();
+  if (config) shareSyncTokenWithOutbox(config, null);
+  writeLogSyncJSON(LOG_SYNC_SESSION_KEY, null);
+  // Cursors and pending deletions belong to this employee's rows; the next
+  // employee to sign in pulls their own rows from the start
+  writeLogSyncJSON(LOG_SYNC_STATE_KEY, null);
+  updateLogSyncPanel();
+}
+
+function renderLogSyncPanelHTML() {
+  const config = getLogSyncConfig();
+  if (!config) {
+    return `<p class="muted">Cloud sync is not configured; entries stay on this device.</p>`;
+  }
+
+  const session = readLogSyncJSON(LOG_SYNC_SESSION_KEY, null);
+  if (!session) {
+    return `
+      <form class="scout-form" onsubmit="event.preventDefault(); signInForLogSync();">
+        <p class="muted">Sign in to back up entries and share them across your devices.</p>
+        <div class="scout-form-row">
+          <label for="syncEmail">Email</label>
+          <input id="syncEmail" type="email" autocomplete="username" />
+        </div>
+        <div class="scout-form-row">
+          <label for="syncPassword">Password</label>
+          <input id="syncPassword" type="password" autocomplete="current-password" />
+        </div>
+        <button class="btn-primary scout-btn">Sign in to Sync</button>
+      </form>
+    `;
+  }
+
+  const state = getLogSyncState();
+  const pending = countPendingLogChanges();
+  const conflicts = readLogSyncJSON(LOG_SYNC_CONFLICTS_KEY, []).length;
+  let status;
+  if (logSyncInProgress) {
+    status = 'Syncing…';
+  } else if (!navigator.onLine) {
+    status = `Offline – ${pending} change(s) waiting to sync`;
+  } else if (state.lastError) {
+    status = `Last sync failed: ${state.lastError}`;
+  } else if (state.lastSyncedAt) {
+    status = `Last synced ${new Date(state.lastSyncedAt).toLocaleString()}` +
+      (pending ? ` – ${pending} change(s) pending` : '');
+  } else {
+    status = 'Not synced yet';
+  }
+
+  return `
+    <p class="muted">
+      Signed in as ${escapeHTML(session.user.email || session.user.name)}. ${escapeHTML(status)}
+      ${conflicts ? `<br>${conflicts} conflicting edit(s) were replaced by a newer version.` : ''}
+    </p>
+    <button type="button" class="btn-primary" onclick="syncLogsNow()" ${logSyncInProgress ? 'disabled' : ''}>Sync now</button>
+    <button type="button" class="mix-remove-btn" onclick="signOutOfLogSync()">Sign out</button>
+  `;
+}
+
+function updateLogSyncPanel() {
+  const panel = document.getElementById('logSyncPanel');
+  if (panel) panel.innerHTML = renderLogSyncPanelHTML();
+}
+
+// Push offline edits as soon as the connection comes back
+window.addEventListener('online', () => syncLogsNow({ silent: true }));
+window.addEventListener('offline', updateLogSyncPanel);
+
+// Catch up on entries saved while the app was closed or offline
+syncLogsNow({ silent: true });
+
+// ====== OFFLINE OUTBOX (QUEUED SUBMISSIONS) ======
+// sw.js queues log and diagnosis request POSTs made without a connection.
+// The Logs page lists them with their pending/failed status.
+function ensureOutboxAvailable() {
+  if (typeof window.VineOutbox !== 'undefined') {
+    return Promise.resolve();
+  }
+  return _loadScript('./outbox-store.js');
+}
+
+function postToServiceWorker(message) {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then(reg => {
+      if (reg.active) reg.active.postMessage(message);
+    })
+    .catch(() => {});
+}
+
+function replayOutboxNow(force = false) {
+  postToServiceWorker({ type: 'replay-outbox', force });
+}
+
+function retryOutboxItem(id) {
+  ensureOutboxAvailable()
+    .then(() => window.VineOutbox.listOutboxItems())
+    .then(items => {
+      const item = items.find(i => i.id === id);
+      if (!item) return;
+      return window.VineOutbox.putOutboxItem({ ...item, status: 'pending', attempts: 0, nextAttemptAt: null, lastError: null });
+    })
+    .then(() => {
+      updateOutboxPanel();
+      replayOutboxNow();
+    })
+    .catch(e => console.warn('Failed to retry outbox item', e));
+}
+
+function discardOutboxItem(id) {
+  if (!confirm('Discard this queued submission? It will not be sent.')) return;
+  ensureOutboxAvailable()
+    .then(() => window.VineOutbox.deleteOutboxItem(id))
+    .then(updateOutboxPanel)
+    .catch(e => console.warn('Failed to discard outbox item', e));
+}
+
+function renderOutboxPanelHTML(items) {
+  if (!items || !items.length) return '';
+
+  const rows = items
+    .map(item => {
+      const queued = new Date(item.createdAt).toLocaleString();
+      let status;
+      if (item.status === 'failed') {
+        status = `<strong>Failed</strong>${item.lastError ? ` – ${item.lastError}` : ''}`;
+      } else if (item.nextAttemptAt) {
+        status = `Pending – retry ${item.attempts} at ${new Date(item.nextAttemptAt).toLocaleTimeString()}`;
+      } else {
+        status = 'Pending – waiting for connection';
+      }
+      return `
+        <tr>
+          <td>${item.label || item.kind}</td>
+          <td>${queued}</td>
+          <td>${status}</td>
+          <td>
+            ${item.status === 'failed' ? `<button type="button" class="btn-primary" onclick="retryOutboxItem(${item.id})">Retry</button>` : ''}
+            <button type="button" class="mix-remove-btn" onclick="discardOutboxItem(${item.id})">Discard</button>
+          </td>
+        </tr>
+      `;
+    })
+    .join('');
+
+  return `
+    <h3>Waiting to send (${items.length})</h3>
+    <p class="muted">Saved while offline. These are sent automatically when the connection returns.</p>
+    <table class="scout-table">
+      <thead>
+        <tr>
+          <th>Submission</th>
+          <th>Queued</th>
+          <th>Status</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows}
+      </tbody>
+    </table>
+    <button type="button" class="btn-primary" onclick="replayOutboxNow(true)">Send now</button>
+  `;
+}
+
+function updateOutboxPanel() {
+  const panel = document.getElementById('outboxPanel');
+  if (!panel || !('indexedDB' in window)) return;
+  ensureOutboxAvailable()
+    .then(() => window.VineOutbox.listOutboxItems())
+    .then(items => {
+      panel.innerHTML = renderOutboxPanelHTML(items);
+    })
+    .catch(e => console.warn('Failed to read outbox', e));
+}
+
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.addEventListener('message', event => {
+    if (event.data && event.data.type === 'outbox-updated') {
+      updateOutboxPanel();
+    }
+  });
+}
+
+window.addEventListener('online', () => replayOutboxNow());
+
+// Flush anything queued during a previous session
+replayOutboxNow();
+
+// ====== CHEMICAL ROTATION SCHEDULE (RESISTANCE MANAGEMENT) ======
+
+// MOA groups (structured by moa-utils.js) as "WSSA 3 – Name" list items
+function formatMoaGroupListHTML(groups) {
+  if (!groups.length) return 'Not classified';
+  return groups.map(moa => `${moa.key}${moa.name ? ` – ${moa.name}` : ''}`).join('; ');
+}
+
 function analyzeChemicalUsage() {
-  if (typeof window.chemicals === 'undefined') {
+  if (!chemicalDataReady()) {
     console.warn('analyzeChemicalUsage: chemicals not loaded; returning empty analysis');
     return {
       recentlyUsed: {},
@@ -2066,7 +4385,7 @@ function analyzeChemicalUsage() {
     };
   }
 
-  const treatmentEntries = getTreatmentEntries();
+  const treatmentEntries = getActiveTreatmentEntries();
   const scoutingEntries = getScoutingEntries();
   
   const analysis = {
@@ -2080,35 +4399,32 @@ function analyzeChemicalUsage() {
     }
   };
 
-  // Parse treatment logs for chemical usage
+  // Match each entry's inputs to the library by chemical id (EPA number / name for older entries)
   treatmentEntries.forEach((entry, idx) => {
-    if (entry.mix) {
-      const chemLines = entry.mix.split('\n');
-      chemLines.forEach(line => {
-        const chemMatch = line.match(/^([^:]+):/);
-        if (chemMatch) {
-          const chemName = chemMatch[1].trim();
-          const chem = chemicals.find(c => c.name === chemName);
-          
-          if (chem) {
-            analysis.recentlyUsed[chem.id] = {
-              name: chem.name,
-              moa: chem.moa,
-              lastUsed: entry.date,
-              count: (analysis.recentlyUsed[chem.id]?.count || 0) + 1
-            };
-            
-            if (!analysis.byMOA[chem.moa]) {
-              analysis.byMOA[chem.moa] = [];
-            }
-            if (!analysis.byMOA[chem.moa].find(c => c.id === chem.id)) {
-              analysis.byMOA[chem.moa].push({ id: chem.id, name: chem.name, count: 0 });
-            }
-            analysis.byMOA[chem.moa].find(c => c.id === chem.id).count += 1;
+    window.TreatmentInputs.getEntryInputs(entry, chemicals).forEach(input => {
+      const chem = window.TreatmentInputs.resolveInputChemical(input, chemicals);
+
+      if (chem) {
+        const moaGroups = window.MoaUtils.getChemicalMoaGroups(chem);
+        analysis.recentlyUsed[chem.id] = {
+          name: chem.name,
+          moa: window.MoaUtils.formatMoaGroups(moaGroups),
+          lastUsed: entry.date,
+          count: (analysis.recentlyUsed[chem.id]?.count || 0) + 1
+        };
+
+        // Premixes count toward every group they contain
+        moaGroups.forEach(moa => {
+          if (!analysis.byMOA[moa.key]) {
+            analysis.byMOA[moa.key] = [];
           }
-        }
-      });
-    }
+          if (!analysis.byMOA[moa.key].find(c => c.id === chem.id)) {
+            analysis.byMOA[moa.key].push({ id: chem.id, name: chem.name, count: 0 });
+          }
+          analysis.byMOA[moa.key].find(c => c.id === chem.id).count += 1;
+        });
+      }
+    });
     if (entry.date) {
       if (!analysis.dateRange.earliest || entry.date < analysis.dateRange.earliest) {
         analysis.dateRange.earliest = entry.date;
@@ -2157,18 +4473,30 @@ function generateRotationRecommendations(analysis) {
     }
   });
 
-  // Find available alternatives
-  const availableMOAs = Object.keys(moaGroups).filter(moa => !usedMOAs.includes(moa));
+  // Find available alternatives: unused groups, in the schemes being used, that the library stocks
+  const usedSchemes = usedMOAs.map(key => window.MoaUtils.parseMoaKey(key)).filter(Boolean).map(moa => moa.scheme);
+  const stockedMOAs = [];
+  chemicals.forEach(chem => {
+    window.MoaUtils.getChemicalMoaGroups(chem).forEach(moa => {
+      if (!stockedMOAs.includes(moa.key)) stockedMOAs.push(moa.key);
+    });
+  });
+  const availableMOAs = stockedMOAs.filter(key =>
+    !usedMOAs.includes(key) && usedSchemes.includes(window.MoaUtils.parseMoaKey(key).scheme)
+  );
   
   if (recommendations.length > 0 && availableMOAs.length > 0) {
     recommendations.push({
       priority: 'info',
       issue: 'Alternative MOA groups available',
-      alternatives: availableMOAs.map(moa => ({
-        moa,
-        description: moaGroups[moa],
-        examples: chemicals.filter(c => c.moa === moa).slice(0, 3)
-      })),
+      alternatives: availableMOAs.map(moa => {
+        const { scheme, group } = window.MoaUtils.parseMoaKey(moa);
+        return {
+          moa,
+          description: window.MoaUtils.moaGroupName(scheme, group) || 'Not classified',
+          examples: chemicals.filter(c => window.MoaUtils.chemicalHasMoa(c, moa)).slice(0, 3)
+        };
+      }),
       suggestion: 'Consider rotating to one of these MOA groups for your next application.',
       reason: 'Rotation prevents resistance development.'
     });
@@ -2179,6 +4507,13 @@ function generateRotationRecommendations(analysis) {
 
 function renderRotation() {
   const content = document.getElementById('content');
+  if (!chemicalDataReady()) {
+    showLoadingTarget(content, 'Loading chemical data for Rotation Schedule…');
+    ensureChemicalsAvailable()
+      .then(() => renderRotation())
+      .catch(() => { if (content) content.innerHTML = '<p>Failed to load chemical data.</p>'; });
+    return;
+  }
   const analysis = analyzeChemicalUsage();
   const recommendations = generateRotationRecommendations(analysis);
 
@@ -2228,7 +4563,8 @@ function renderRotation() {
     moaList.forEach(([moa, chems]) => {
       const totalUses = chems.reduce((s, c) => s + c.count, 0);
       const chemNames = chems.map(c => c.name).join(', ');
-      html += `<tr><td><strong>${moa}</strong></td><td>${moaGroups[moa] || 'Not classified'}</td><td>${totalUses}</td><td style="font-size:0.85rem;">${chemNames}</td></tr>`;
+      const { scheme, group } = window.MoaUtils.parseMoaKey(moa);
+      html += `<tr><td><strong>${moa}</strong></td><td>${window.MoaUtils.moaGroupName(scheme, group) || 'Not classified'}</td><td>${totalUses}</td><td style="font-size:0.85rem;">${chemNames}</td></tr>`;
     });
     html += `</tbody></table>`;
   }
@@ -2340,6 +4676,10 @@ function renderLogReview() {
              id="logReviewSearch" 
              placeholder="Search by date, chemicals, area, issue, notes..."
              onkeyup="filterLogReview()">
+      ${currentReviewLogType === 'treatment' ? `
+      <label class="muted">
+        <input type="checkbox" id="logReviewShowDeleted" onchange="filterLogReview()"> Show deleted entries
+      </label>` : ''}
     </div>
 
     <div id="logReviewResults"></div>
@@ -2355,7 +4695,8 @@ function filterLogReview() {
   
   let entries = [];
   if (currentReviewLogType === 'treatment') {
-    entries = getTreatmentEntries();
+    const showDeleted = !!document.getElementById('logReviewShowDeleted')?.checked;
+    entries = showDeleted ? getTreatmentEntries() : getActiveTreatmentEntries();
   } else {
     entries = getScoutingEntries();
   }
@@ -2386,11 +4727,14 @@ function filterLogReview() {
 
   filtered.forEach((entry, idx) => {
     if (currentReviewLogType === 'treatment') {
+      const revision = entry.revision || 1;
       html += `
-        <div class="log-entry treatment-entry">
+        <div class="log-entry treatment-entry${entry.deleted ? ' log-entry-deleted' : ''}">
           <div class="log-entry-header">
             <strong>${entry.date || 'No date'}</strong>
             <span class="log-entry-area">${entry.area || 'N/A'}</span>
+            ${entry.deleted ? `<span class="severity-badge severity-high">Deleted</span>` : ''}
+            <span class="muted">Rev ${revision}</span>
           </div>
           <div class="log-entry-details">
             <p><strong>Crop:</strong> ${entry.crop || 'N/A'}</p>
@@ -2399,6 +4743,11 @@ function filterLogReview() {
             ${entry.mix ? `<p><strong>Mix:</strong><br/><code>${entry.mix.replace(/\n/g, '<br/>')}</code></p>` : ''}
             ${entry.coverage ? `<p><strong>Coverage:</strong> ${entry.coverage}</p>` : ''}
             ${entry.notes ? `<p><strong>Notes:</strong> ${entry.notes}</p>` : ''}
+            ${entry.deleted ? `<p><strong>Deleted:</strong> ${entry.deletedAt ? new Date(entry.deletedAt).toLocaleString() : ''}${entry.deletedBy ? ` by ${entry.deletedBy}` : ''}</p>` : ''}
+            <button type="button" class="btn-accent" onclick="toggleTreatmentHistory('${entry.id}')">
+              History (${revision} revision${revision === 1 ? '' : 's'})
+            </button>
+            <div id="treatHistory-${entry.id}" class="log-history-panel" hidden></div>
           </div>
         </div>
       `;
@@ -2428,6 +4777,18 @@ function filterLogReview() {
   resultsContainer.innerHTML = html;
 }
 
+function toggleTreatmentHistory(id) {
+  const panel = document.getElementById(`treatHistory-${id}`);
+  if (!panel) return;
+  if (!panel.hidden) {
+    panel.hidden = true;
+    return;
+  }
+  const entry = getTreatmentEntries().find(e => e.id === id);
+  if (!entry || !window.LogAudit) return;
+  panel.innerHTML = window.LogAudit.formatHistoryHTML(entry);
+  panel.hidden = false;
+}
 
 // ====== RESTORE LAST PAGE ON LOAD ======
 // Flag to track if the page has been initialized
@@ -0,0 +1,264 @@
+/**
+ * In-memory stand-in for the Supabase client, used by the server test suites.
+ * Implements only the subset of the query builder and storage API that the
+ * admin routes in server/index.js rely on.
+ *
+ * Usage (before requiring ./index):
+ *   const fake = createFakeSupabase()
+ *   installFakeSupabase(fake)
+ *   const app = require('./index')
+ */
+
+const crypto = require('crypto')
+
+// Mirrors GENERATED ALWAYS columns from the sql/ migrations
+const GENERATED_COLUMNS = {
+  requests: {
+    urgency_rank: row => ({ low: 1, medium: 2, high: 3, critical: 4 })[row.urgency] || null
+  }
+}
+
+function generateColumns(table, row) {
+  const columns = GENERATED_COLUMNS[table] || {}
+  Object.keys(columns).forEach(column => { row[column] = columns[column](row) })
+  return row
+}
+
+function createFakeSupabase(seed = {}) {
+  const tables = {}
+  const uploads = []
+  const failures = {}
+  const throws = {}
+
+  Object.keys(seed).forEach(name => {
+    tables[name] = seed[name].map(row => generateColumns(name, { ...row }))
+  })
+
+  function rowsFor(table) {
+    if (!tables[table]) tables[table] = []
+    return tables[table]
+  }
+
+  class Query {
+    constructor(table) {
+      this.table = table
+      this.action = 'select'
+      this.filters = []
+      this.sort = null
+      this.rangeFrom = null
+      this.rangeTo = null
+      this.countMode = null
+      this.singleMode = null
+      this.payload = null
+    }
+
+    select(columns, options = {}) {
+      if (options.count) this.countMode = options.count
+      return this
+    }
+
+    insert(values) {
+      this.action = 'insert'
+      this.payload = Array.isArray(values) ? values : [values]
+      return this
+    }
+
+    update(values) {
+      this.action = 'update'
+      this.payload = values
+      return this
+    }
+
+    upsert(values) {
+      this.action = 'upsert'
+      this.payload = Array.isArray(values) ? values : [values]
+      return this
+    }
+
+    delete() {
+      this.action = 'delete'
+      return this
+    }
+
+    eq(column, value) {
+      this.filters.push(row => row[column] === value)
+      return this
+    }
+
+    in(column, values) {
+      this.filters.push(row => values.includes(row[column]))
+      return this
+    }
+
+    gte(column, value) {
+      this.filters.push(row => row[column] != null && String(row[column]) >= String(value))
+      return this
+    }
+
+    lte(column, value) {
+      this.filters.push(row => row[column] != null && String(row[column]) <= String(value))
+      return this
+    }
+
+    gt(column, value) {
+      this.filters.push(row => row[column] != null && String(row[column]) > String(value))
+      return this
+    }
+
+    ilike(column, pattern) {
+      const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.')
+      const regex = new RegExp(`^${escaped}$`, 'i')
+      this.filters.push(row => regex.test(String(row[column] || '')))
+      return this
+    }
+
+    order(column, { ascending = true } = {}) {
+      this.sort = { column, ascending }
+      return this
+    }
+
+    range(from, to) {
+      this.rangeFrom = from
+      this.rangeTo = to
+      return this
+    }
+
+    limit(count) {
+      this.rangeFrom = 0
+      this.rangeTo = count - 1
+      return this
+    }
+
+    single() {
+      this.singleMode = 'single'
+      return this
+    }
+
+    maybeSingle() {
+      this.singleMode = 'maybe'
+      return this
+    }
+
+    then(resolve, reject) {
+      return Promise.resolve().then(() => this.execute()).then(resolve, reject)
+    }
+
+    matches(row) {
+      return this.filters.every(filter => filter(row))
+    }
+
+    execute() {
+      const thrown = throws[this.table]
+      if (thrown) {
+        delete throws[this.table]
+        throw new Error(thrown)
+      }
+
+      const failure = failures[this.table]
+      if (failure) {
+        delete failures[this.table]
+        return { data: null, error: { message: failure }, count: null }
+      }
+
+      const rows = rowsFor(this.table)
+      const now = new Date().toISOString()
+      let data
+
+      if (this.action === 'insert' || this.action === 'upsert') {
+        data = this.payload.map(values => {
+          const existing = values.id && rows.find(row => row.id === values.id)
+          if (existing && this.action === 'upsert') {
+            generateColumns(this.table, Object.assign(existing, values, { updated_at: now }))
+            return { ...existing }
+          }
+          const row = generateColumns(this.table, { id: crypto.randomUUID(), created_at: now, updated_at: now, ...values })
+          rows.push(row)
+          return { ...row }
+        })
+      } else if (this.action === 'update') {
+        data = rows.filter(row => this.matches(row)).map(row => {
+          generateColumns(this.table, Object.assign(row, this.payload, { updated_at: now }))
+          return { ...row }
+        })
+      } else if (this.action === 'delete') {
+        data = rows.filter(row => this.matches(row))
+        tables[this.table] = rows.filter(row => !this.matches(row))
+      } else {
+        data = rows.filter(row => this.matches(row)).map(row => ({ ...row }))
+      }
+
+      if (this.sort) {
+        const { column, ascending } = this.sort
+        data.sort((a, b) => {
+          if (a[column] === b[column]) return 0
+          const cmp = String(a[column]) < String(b[column]) ? -1 : 1
+          return ascending ? cmp : -cmp
+        })
+      }
+
+      const count = this.countMode ? data.length : null
+
+      if (this.rangeFrom !== null) {
+        data = data.slice(this.rangeFrom, this.rangeTo + 1)
+      }
+
+      if (this.singleMode) {
+        if (data.length === 1) return { data: data[0], error: null, count }
+        if (data.length === 0 && this.singleMode === 'maybe') return { data: null, error: null, count }
+        return {
+          data: null,
+          error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' },
+          count
+        }
+      }
+
+      return { data, error: null, count }
+    }
+  }
+
+  return {
+    tables,
+    uploads,
+
+    /** Make the next query against `table` resolve with an error. */
+    failNext(table, message = 'Simulated database failure') {
+      failures[table] = message
+    },
+
+    /** Make the next query against `table` reject, as a dropped connection would. */
+    throwNext(table, message = 'Simulated network failure') {
+      throws[table] = message
+    },
+
+    from(table) {
+      return new Query(table)
+    },
+
+    storage: {
+      from(bucket) {
+        return {
+          async upload(path, body, options = {}) {
+            uploads.push({ bucket, path, size: body ? body.length : 0, contentType: options.contentType })
+            return { data: { path }, error: null }
+          },
+          getPublicUrl(path) {
+            return { data: { publicUrl: `https://storage.test/${bucket}/${path}` } }
+          }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Register `fake` as the export of the server's Supabase client modules so
+ * that requiring ./index does not need real credentials.
+ */
+function installFakeSupabase(fake) {
+  ['./supabaseClient', './supabaseAdmin'].forEach(mod => {
+    const filename = require.resolve(mod)
+    require.cache[filename] = { id: filename, filename, loaded: true, exports: fake, children: [] }
+  })
+}
+
+module.exports = { createFakeSupabase, installFakeSupabase }
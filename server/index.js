@@ -1,18 +1,682 @@
+const crypto = require('crypto')
 const express = require('express')
 const cors = require('cors')
+const multer = require('multer')
 const supabase = require('./supabaseClient')
+const supabaseAdmin = require('./supabaseAdmin')
 const app = express()
 
+const STORAGE_BUCKET = process.env.STORAGE_BUCKET || 'request-images'
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY
+const NOTIFICATIONS_WEBHOOK_URL = process.env.NOTIFICATIONS_WEBHOOK_URL
+
+// Allowed values mirror the CHECK constraints in sql/001_create_requests.sql
+const REQUEST_URGENCIES = ['low', 'medium', 'high', 'critical']
+const REQUEST_STATUSES = ['pending', 'in-progress', 'resolved', 'closed']
+const REQUEST_ORDER_BY_FIELDS = ['created_at', 'updated_at', 'urgency', 'status']
+// urgency is text; sort by the numeric rank from sql/004_add_request_urgency_rank.sql
+const REQUEST_SORT_COLUMNS = { urgency: 'urgency_rank' }
+const SORT_ORDERS = ['asc', 'desc']
+
+const DEFAULT_PAGE_LIMIT = 50
+const MAX_PAGE_LIMIT = 100
+
+// Upload limits match the client-side checks in client/src/RequestButton.jsx
+const MAX_UPLOAD_FILES = 5
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024 // 10MB
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp']
+
+// Treatment and scouting logs (sql/002_create_treatment_logs.sql, sql/003_create_scouting_logs.sql)
+const LOG_ORDER_BY_FIELDS = ['date', 'created_at', 'updated_at', 'location', 'crop']
+const PEST_SEVERITIES = ['light', 'moderate', 'severe']
+const WEATHER_FIELDS = ['temperature', 'humidity', 'wind_speed', 'conditions']
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/
+
+if (!ADMIN_API_KEY) {
+  console.warn('ADMIN_API_KEY not configured - admin endpoints are unprotected. Set it in production.')
+}
+
 app.use(cors())
 app.use(express.json())
 
-app.get('/api/plants', async (req, res) => {
+// Images are kept in memory only long enough to stream them to Supabase Storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_UPLOAD_FILES },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      return cb(new Error('Only image files (JPEG, PNG, GIF, WebP) are allowed'))
+    }
+    cb(null, true)
+  }
+})
+
+// ====== HELPERS ======
+/**
+ * Forward errors thrown or rejected by an async route to the error handler
+ * at the bottom of this file instead of leaving the request hanging.
+ */
+function asyncHandler(fn) {
+  return (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next)
+}
+
+function validationError(res, message) {
+  return res.status(400).json({ error: 'Validation error', message })
+}
+
+function keysMatch(provided, expected) {
+  const a = Buffer.from(String(provided || ''))
+  const b = Buffer.from(String(expected))
+  return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+/**
+ * Protect admin routes with ADMIN_API_KEY when it is configured.
+ * Accepts either the X-Admin-API-Key header or an Authorization: Bearer token.
+ */
+function requireAdminKey(req, res, next) {
+  if (!ADMIN_API_KEY) return next()
+
+  const headerKey = req.get('X-Admin-API-Key')
+  const bearerKey = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '')
+
+  if (keysMatch(headerKey, ADMIN_API_KEY) || keysMatch(bearerKey, ADMIN_API_KEY)) {
+    return next()
+  }
+  res.status(401).json({ error: 'Unauthorized', message: 'Missing or invalid admin API key' })
+}
+
+/**
+ * Run multer for a multipart field and turn upload errors into 400 responses
+ * instead of letting them fall through to Express' default error handler.
+ */
+function acceptImages(field) {
+  const middleware = upload.array(field, MAX_UPLOAD_FILES)
+  return (req, res, next) => {
+    middleware(req, res, err => {
+      if (!err) return next()
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return validationError(res, 'Each file must be under 10MB')
+      }
+      if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return validationError(res, `Maximum ${MAX_UPLOAD_FILES} images allowed`)
+      }
+      return validationError(res, err.message)
+    })
+  }
+}
+
+/**
+ * Parse limit/offset query params. Invalid values fall back to the defaults
+ * and limit is capped at MAX_PAGE_LIMIT.
+ */
+function parsePagination(query) {
+  const limit = Math.min(parseInt(query.limit) || DEFAULT_PAGE_LIMIT, MAX_PAGE_LIMIT)
+  const offset = Math.max(parseInt(query.offset) || 0, 0)
+  return { limit: Math.max(limit, 1), offset }
+}
+
+function buildPagination(total, limit, offset, returned) {
+  return {
+    total,
+    limit,
+    offset,
+    has_more: offset + returned < total
+  }
+}
+
+function isBlank(value) {
+  return typeof value !== 'string' || value.trim() === ''
+}
+
+/**
+ * Check a YYYY-MM-DD string is both well formed and a real calendar date.
+ */
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_REGEX.test(value)) return false
+  const parsed = new Date(`${value}T00:00:00Z`)
+  return !isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * JSONB fields arrive as strings in multipart bodies and as parsed values in
+ * JSON bodies. Returns { value } or { error }.
+ */
+function parseJsonField(raw, field) {
+  if (typeof raw !== 'string') return { value: raw }
+  try {
+    return { value: JSON.parse(raw) }
+  } catch (err) {
+    return { error: `${field} must be valid JSON` }
+  }
+}
+
+function isOptionalText(value) {
+  return value === undefined || value === null || typeof value === 'string'
+}
+
+function isOptionalAmount(value) {
+  return value === undefined || value === null || (typeof value === 'number' && Number.isFinite(value) && value >= 0)
+}
+
+const INPUT_TEXT_FIELDS = ['active_ingredient', 'chemical_id', 'epa_reg_num', 'rate_unit', 'amount_unit']
+
+/**
+ * Validate a treatment log `inputs` array:
+ * [{"name":"Product","rate":"2 qt/acre","active_ingredient":"glyphosate"}]
+ * The PWA also sends structured inputs with a numeric rate and amount:
+ * [{"chemical_id":"C012","name":"Product","epa_reg_num":"432-1363",
+ *   "rate":0.08,"rate_unit":"fl oz/gal","amount":2,"amount_unit":"fl oz"}]
+ */
+function validateInputs(inputs) {
+  if (!Array.isArray(inputs) || inputs.length === 0) {
+    return 'inputs must be a non-empty JSON array'
+  }
+  for (let i = 0; i < inputs.length; i++) {
+    const item = inputs[i]
+    if (!isPlainObject(item) || isBlank(item.name)) {
+      return `inputs[${i}] must be an object with a name`
+    }
+    if (!isOptionalText(item.rate) && !isOptionalAmount(item.rate)) {
+      return `inputs[${i}].rate must be a string or a non-negative number`
+    }
+    if (!isOptionalAmount(item.amount)) {
+      return `inputs[${i}].amount must be a non-negative number`
+    }
+    const badField = INPUT_TEXT_FIELDS.find(field => !isOptionalText(item[field]))
+    if (badField) {
+      return `inputs[${i}].${badField} must be a string`
+    }
+  }
+  return null
+}
+
+/**
+ * Validate a scouting log `pests_observed` array:
+ * [{"name":"aphids","severity":"moderate","count":"15"}]
+ */
+function validatePestsObserved(pests) {
+  if (!Array.isArray(pests) || pests.length === 0) {
+    return 'pests_observed must be a non-empty JSON array'
+  }
+  for (let i = 0; i < pests.length; i++) {
+    const item = pests[i]
+    if (!isPlainObject(item) || isBlank(item.name)) {
+      return `pests_observed[${i}] must be an object with a name`
+    }
+    if (item.severity && !PEST_SEVERITIES.includes(item.severity)) {
+      return `pests_observed[${i}].severity must be one of: ${PEST_SEVERITIES.join(', ')}`
+    }
+    if (item.count !== undefined && item.count !== null && !['string', 'number'].includes(typeof item.count)) {
+      return `pests_observed[${i}].count must be a string or number`
+    }
+  }
+  return null
+}
+
+/**
+ * Validate the optional `weather` object:
+ * {"temperature":"72","humidity":"65","wind_speed":"5","conditions":"clear"}
+ */
+function validateWeather(weather) {
+  if (!isPlainObject(weather)) {
+    return 'weather must be a JSON object'
+  }
+  for (const [key, value] of Object.entries(weather)) {
+    if (!WEATHER_FIELDS.includes(key)) {
+      return `weather.${key} is not supported (allowed: ${WEATHER_FIELDS.join(', ')})`
+    }
+    if (value !== null && !['string', 'number'].includes(typeof value)) {
+      return `weather.${key} must be a string or number`
+    }
+  }
+  return null
+}
+
+/**
+ * Upload files to Supabase Storage under `${folder}/` and return their public URLs.
+ */
+async function uploadImages(folder, files) {
+  const urls = []
+  for (let index = 0; index < files.length; index++) {
+    const file = files[index]
+    const fileExt = (file.originalname || '').split('.').pop() || 'jpg'
+    const fileName = `${folder}/${Date.now()}-${index}.${fileExt}`
+
+    const { error } = await supabaseAdmin.storage
+      .from(STORAGE_BUCKET)
+      .upload(fileName, file.buffer, { contentType: file.mimetype, upsert: false })
+
+    if (error) {
+      throw new Error(`Failed to upload ${file.originalname}: ${error.message}`)
+    }
+
+    const { data } = supabaseAdmin.storage.from(STORAGE_BUCKET).getPublicUrl(fileName)
+    urls.push(data.publicUrl)
+  }
+  return urls
+}
+
+/**
+ * POST a new-request event to NOTIFICATIONS_WEBHOOK_URL. Failures are logged
+ * and never affect the API response.
+ */
+async function notifyNewRequest(request) {
+  if (!NOTIFICATIONS_WEBHOOK_URL) return
+  try {
+    await fetch(NOTIFICATIONS_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        event: 'new_request',
+        request_id: request.id,
+        urgency: request.urgency,
+        plant_type: request.plant_type,
+        created_at: request.created_at
+      })
+    })
+  } catch (err) {
+    console.error('Failed to send new request notification:', err.message)
+  }
+}
+
+// ====== PUBLIC ROUTES ======
+app.get('/api/plants', asyncHandler(async (req, res) => {
   const { data, error } = await supabase.from('plants').select('*').limit(100)
   if (error) return res.status(500).json({ error: error.message })
   res.json(data)
-})
+}))
 
 app.get('/health', (req, res) => res.send('OK'))
 
-const port = process.env.PORT || 3000
-app.listen(port, () => console.log(`Server listening on ${port}`))
+// ====== ADMIN: DIAGNOSIS REQUESTS ======
+app.post('/api/admin/requests/anonymous', requireAdminKey, acceptImages('images'), asyncHandler(async (req, res) => {
+  const body = req.body || {}
+  const requiredFields = ['reporter_name', 'contact', 'plant_type', 'symptoms', 'urgency']
+  const missing = requiredFields.filter(field => isBlank(body[field]))
+  if (missing.length) {
+    return validationError(res, `Missing required fields: ${missing.join(', ')}`)
+  }
+
+  const urgency = body.urgency.trim().toLowerCase()
+  if (!REQUEST_URGENCIES.includes(urgency)) {
+    return validationError(res, `urgency must be one of: ${REQUEST_URGENCIES.join(', ')}`)
+  }
+
+  const { data: request, error: insertError } = await supabaseAdmin
+    .from('requests')
+    .insert({
+      reporter_id: null,
+      reporter_name: body.reporter_name.trim(),
+      contact: body.contact.trim(),
+      plant_type: body.plant_type.trim(),
+      symptoms: body.symptoms.trim(),
+      urgency,
+      status: 'pending'
+    })
+    .select()
+    .single()
+
+  if (insertError) {
+    console.error('Failed to create anonymous request:', insertError)
+    return res.status(500).json({ error: 'Database error', message: 'Failed to create request' })
+  }
+
+  let images = []
+  const files = req.files || []
+  if (files.length > 0) {
+    try {
+      images = await uploadImages(request.id, files)
+      const { error: updateError } = await supabaseAdmin
+        .from('requests')
+        .update({ images })
+        .eq('id', request.id)
+      if (updateError) throw new Error(updateError.message)
+    } catch (err) {
+      console.error('Image upload failed for request', request.id, err.message)
+      // Don't leave a half-submitted request behind
+      await supabaseAdmin.from('requests').delete().eq('id', request.id)
+      return res.status(500).json({ error: 'Upload error', message: 'Failed to upload images' })
+    }
+  }
+
+  notifyNewRequest(request)
+
+  res.status(201).json({
+    id: request.id,
+    message: 'Anonymous request created successfully',
+    images,
+    created_at: request.created_at
+  })
+}))
+
+app.get('/api/admin/requests', requireAdminKey, asyncHandler(async (req, res) => {
+  const { status, urgency, assigned_to } = req.query
+  const orderBy = req.query.order_by || 'created_at'
+  const order = (req.query.order || 'desc').toLowerCase()
+
+  if (status && !REQUEST_STATUSES.includes(status)) {
+    return validationError(res, `status must be one of: ${REQUEST_STATUSES.join(', ')}`)
+  }
+  if (urgency && !REQUEST_URGENCIES.includes(urgency)) {
+    return validationError(res, `urgency must be one of: ${REQUEST_URGENCIES.join(', ')}`)
+  }
+  if (assigned_to && !UUID_REGEX.test(assigned_to)) {
+    return validationError(res, 'assigned_to must be a valid UUID')
+  }
+  if (!REQUEST_ORDER_BY_FIELDS.includes(orderBy)) {
+    return validationError(res, `order_by must be one of: ${REQUEST_ORDER_BY_FIELDS.join(', ')}`)
+  }
+  if (!SORT_ORDERS.includes(order)) {
+    return validationError(res, "order must be 'asc' or 'desc'")
+  }
+
+  const { limit, offset } = parsePagination(req.query)
+
+  let query = supabaseAdmin
+    .from('requests')
+    .select('*', { count: 'exact' })
+    .order(REQUEST_SORT_COLUMNS[orderBy] || orderBy, { ascending: order === 'asc' })
+    .range(offset, offset + limit - 1)
+
+  if (status) query = query.eq('status', status)
+  if (urgency) query = query.eq('urgency', urgency)
+  if (assigned_to) query = query.eq('assigned_to', assigned_to)
+
+  const { data, error, count } = await query
+  if (error) {
+    console.error('Failed to list requests:', error)
+    return res.status(500).json({ error: 'Database error', message: 'Failed to fetch requests' })
+  }
+
+  const requests = data || []
+  res.json({
+    requests,
+    pagination: buildPagination(count || 0, limit, offset, requests.length)
+  })
+}))
+
+app.patch('/api/admin/requests/:id', requireAdminKey, asyncHandler(async (req, res) => {
+  const { id } = req.params
+  const body = req.body || {}
+
+  if (!UUID_REGEX.test(id)) {
+    return validationError(res, 'Request id must be a valid UUID')
+  }
+
+  const updates = {}
+  if (body.status !== undefined) {
+    if (!REQUEST_STATUSES.includes(body.status)) {
+      return validationError(res, `status must be one of: ${REQUEST_STATUSES.join(', ')}`)
+    }
+    updates.status = body.status
+  }
+  if (body.assigned_to !== undefined) {
+    if (body.assigned_to !== null && !UUID_REGEX.test(String(body.assigned_to))) {
+      return validationError(res, 'assigned_to must be a valid UUID or null')
+    }
+    updates.assigned_to = body.assigned_to
+  }
+
+  const hasComment = body.comment !== undefined
+  if (hasComment) {
+    if (isBlank(body.comment)) {
+      return validationError(res, 'comment must be a non-empty string')
+    }
+    // request_comments.user_id and user_name are NOT NULL, so an author is required
+    if (!body.user_id || !UUID_REGEX.test(String(body.user_id))) {
+      return validationError(res, 'user_id (UUID) is required when adding a comment')
+    }
+    if (isBlank(body.user_name)) {
+      return validationError(res, 'user_name is required when adding a comment')
+    }
+  }
+
+  if (Object.keys(updates).length === 0 && !hasComment) {
+    return validationError(res, 'Provide at least one of: status, assigned_to, comment')
+  }
+
+  let request
+  if (Object.keys(updates).length > 0) {
+    const { data, error } = await supabaseAdmin
+      .from('requests')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .maybeSingle()
+    if (error) {
+      console.error('Failed to update request', id, error)
+      return res.status(500).json({ error: 'Database error', message: 'Failed to update request' })
+    }
+    request = data
+  } else {
+    const { data, error } = await supabaseAdmin
+      .from('requests')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle()
+    if (error) {
+      console.error('Failed to load request', id, error)
+      return res.status(500).json({ error: 'Database error', message: 'Failed to load request' })
+    }
+    request = data
+  }
+
+  if (!request) {
+    return res.status(404).json({ error: 'Not found', message: `Request ${id} not found` })
+  }
+
+  let comment
+  if (hasComment) {
+    const { data, error } = await supabaseAdmin
+      .from('request_comments')
+      .insert({
+        request_id: id,
+        user_id: body.user_id,
+        user_name: body.user_name.trim(),
+        comment: body.comment.trim(),
+        is_internal: body.is_internal === true
+      })
+      .select()
+      .single()
+    if (error) {
+      console.error('Failed to add comment to request', id, error)
+      return res.status(500).json({ error: 'Database error', message: 'Failed to add comment' })
+    }
+    comment = data
+  }
+
+  res.json({
+    message: 'Request updated successfully',
+    request,
+    ...(comment ? { comment } : {})
+  })
+}))
+
+// ====== ADMIN: TREATMENT & SCOUTING LOGS ======
+/**
+ * Register POST and GET routes for a log table. Treatment and scouting logs
+ * share the same columns apart from their observations field.
+ * @param {Object} config
+ * @param {string} config.path - Route path, e.g. '/api/admin/treatment-logs'
+ * @param {string} config.table - Supabase table name
+ * @param {string} config.label - Human readable name used in messages
+ * @param {string} config.recordsField - JSONB array column ('inputs' or 'pests_observed')
+ * @param {Function} config.validateRecords - Validator for recordsField
+ */
+function registerLogRoutes({ path, table, label, recordsField, validateRecords }) {
+  app.post(path, requireAdminKey, acceptImages('photos'), asyncHandler(async (req, res) => {
+    const body = req.body || {}
+    const requiredFields = ['employee_name', 'employee_id', 'date', 'location', 'crop', recordsField]
+    const missing = requiredFields.filter(field => {
+      const value = body[field]
+      return value === undefined || value === null || (typeof value === 'string' && value.trim() === '')
+    })
+    if (missing.length) {
+      return validationError(res, `Missing required fields: ${missing.join(', ')}`)
+    }
+
+    if (!UUID_REGEX.test(String(body.employee_id))) {
+      return validationError(res, 'employee_id must be a valid UUID')
+    }
+    if (!isValidDate(body.date)) {
+      return validationError(res, 'date must be a valid date in YYYY-MM-DD format')
+    }
+
+    const records = parseJsonField(body[recordsField], recordsField)
+    if (records.error) return validationError(res, records.error)
+    const recordsError = validateRecords(records.value)
+    if (recordsError) return validationError(res, recordsError)
+
+    let weather = null
+    if (body.weather !== undefined && body.weather !== null && body.weather !== '') {
+      const parsed = parseJsonField(body.weather, 'weather')
+      if (parsed.error) return validationError(res, parsed.error)
+      const weatherError = validateWeather(parsed.value)
+      if (weatherError) return validationError(res, weatherError)
+      weather = parsed.value
+    }
+
+    if (!isOptionalText(body.notes)) {
+      return validationError(res, 'notes must be a string')
+    }
+
+    const { data: log, error: insertError } = await supabaseAdmin
+      .from(table)
+      .insert({
+        employee_id: body.employee_id,
+        employee_name: body.employee_name.trim(),
+        date: body.date,
+        location: body.location.trim(),
+        crop: body.crop.trim(),
+        [recordsField]: records.value,
+        notes: body.notes ? body.notes.trim() : null,
+        weather
+      })
+      .select()
+      .single()
+
+    if (insertError) {
+      console.error(`Failed to create ${label}:`, insertError)
+      return res.status(500).json({ error: 'Database error', message: `Failed to create ${label}` })
+    }
+
+    let photos = []
+    const files = req.files || []
+    if (files.length > 0) {
+      try {
+        photos = await uploadImages(log.id, files)
+        const { error: updateError } = await supabaseAdmin
+          .from(table)
+          .update({ photos })
+          .eq('id', log.id)
+        if (updateError) throw new Error(updateError.message)
+      } catch (err) {
+        console.error(`Photo upload failed for ${label}`, log.id, err.message)
+        await supabaseAdmin.from(table).delete().eq('id', log.id)
+        return res.status(500).json({ error: 'Upload error', message: 'Failed to upload photos' })
+      }
+    }
+
+    res.status(201).json({
+      id: log.id,
+      message: `${label.charAt(0).toUpperCase()}${label.slice(1)} created successfully`,
+      photos,
+      created_at: log.created_at
+    })
+  }))
+
+  app.get(path, requireAdminKey, asyncHandler(async (req, res) => {
+    const { employee_id, location, crop, date_from, date_to } = req.query
+    const orderBy = req.query.order_by || 'date'
+    const order = (req.query.order || 'desc').toLowerCase()
+
+    if (employee_id && !UUID_REGEX.test(employee_id)) {
+      return validationError(res, 'employee_id must be a valid UUID')
+    }
+    if (date_from && !isValidDate(date_from)) {
+      return validationError(res, 'date_from must be a valid date in YYYY-MM-DD format')
+    }
+    if (date_to && !isValidDate(date_to)) {
+      return validationError(res, 'date_to must be a valid date in YYYY-MM-DD format')
+    }
+    if (date_from && date_to && date_from > date_to) {
+      return validationError(res, 'date_from must be on or before date_to')
+    }
+    if (!LOG_ORDER_BY_FIELDS.includes(orderBy)) {
+      return validationError(res, `order_by must be one of: ${LOG_ORDER_BY_FIELDS.join(', ')}`)
+    }
+    if (!SORT_ORDERS.includes(order)) {
+      return validationError(res, "order must be 'asc' or 'desc'")
+    }
+
+    const { limit, offset } = parsePagination(req.query)
+
+    let query = supabaseAdmin
+      .from(table)
+      .select('*', { count: 'exact' })
+      .order(orderBy, { ascending: order === 'asc' })
+      .range(offset, offset + limit - 1)
+
+    if (employee_id) query = query.eq('employee_id', employee_id)
+    if (location) query = query.eq('location', location)
+    if (crop) query = query.eq('crop', crop)
+    if (date_from) query = query.gte('date', date_from)
+    if (date_to) query = query.lte('date', date_to)
+
+    const { data, error, count } = await query
+    if (error) {
+      console.error(`Failed to list ${label}s:`, error)
+      return res.status(500).json({ error: 'Database error', message: `Failed to fetch ${label}s` })
+    }
+
+    const logs = data || []
+    res.json({
+      logs,
+      pagination: buildPagination(count || 0, limit, offset, logs.length)
+    })
+  }))
+}
+
+registerLogRoutes({
+  path: '/api/admin/treatment-logs',
+  table: 'treatment_logs',
+  label: 'treatment log',
+  recordsField: 'inputs',
+  validateRecords: validateInputs
+})
+
+registerLogRoutes({
+  path: '/api/admin/scouting-logs',
+  table: 'scouting_logs',
+  label: 'scouting log',
+  recordsField: 'pests_observed',
+  validateRecords: validatePestsObserved
+})
+
+// ====== ERROR HANDLER ======
+// Must stay after every route. Client errors raised by middleware (e.g. a
+// malformed JSON body) keep their status; anything else is a 500.
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err)
+  const status = err.status >= 400 && err.status < 500 ? err.status : 500
+  if (status < 500) {
+    return res.status(status).json({ error: 'Bad request', message: err.message })
+  }
+  console.error(`Unhandled error on ${req.method} ${req.path}:`, err)
+  res.status(500).json({ error: 'Server error', message: 'Unexpected server error' })
+})
+
+// Only bind a port when run directly (npm start); tests require the app instead
+if (require.main === module) {
+  const port = process.env.PORT || 3000
+  app.listen(port, () => console.log(`Server listening on ${port}`))
+}
+
+module.exports = app
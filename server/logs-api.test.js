@@ -2,19 +2,27 @@
 /**
  * Unit tests for Treatment and Scouting Logs API endpoints
  * Run with: node server/logs-api.test.js
- * 
- * Note: These are basic validation tests. For full integration tests,
- * you would need a test Supabase instance and valid credentials.
+ *
+ * Requests go through the real Express handlers in server/index.js. Supabase
+ * is replaced by the in-memory stand-in from fake-supabase.js, so no
+ * credentials or network access are needed.
  */
 
-const http = require('http');
+const { createFakeSupabase, installFakeSupabase } = require('./fake-supabase');
+
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const fake = createFakeSupabase();
+installFakeSupabase(fake);
+const app = require('./index');
 
 let passed = 0;
 let failed = 0;
+let baseUrl = '';
 
-function test(description, fn) {
+async function test(description, fn) {
   try {
-    fn();
+    await fn();
     console.log(`✓ ${description}`);
     passed++;
   } catch (e) {
@@ -42,334 +50,383 @@ function assertFalsy(value, message = '') {
   }
 }
 
-console.log('🧪 Logs API Test Suite\n');
-console.log('='.repeat(60));
-
-// Test Input Validation Functions
-console.log('\n🧪 Input Validation Tests:');
-
-test('Date regex validates correct format', () => {
-  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-  assertTruthy(dateRegex.test('2024-01-15'), 'Should accept valid date');
-  assertFalsy(dateRegex.test('2024-1-5'), 'Should reject date without leading zeros');
-  assertFalsy(dateRegex.test('01/15/2024'), 'Should reject US date format');
-  // Note: regex only checks format, not validity. Invalid dates like 2024-13-01
-  // would be caught by database or Date parsing, not by this regex
-  assertTruthy(dateRegex.test('2024-13-01'), 'Regex only checks format, not date validity');
-});
-
-test('UUID regex validates correct format', () => {
-  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-  assertTruthy(uuidRegex.test('123e4567-e89b-12d3-a456-426614174000'), 'Should accept valid UUID');
-  assertFalsy(uuidRegex.test('not-a-uuid'), 'Should reject invalid UUID');
-  assertFalsy(uuidRegex.test('123e4567-e89b-12d3-a456'), 'Should reject incomplete UUID');
-});
-
-test('JSON parsing handles valid inputs array', () => {
-  const validInputs = '[{"name":"Roundup","rate":"2 qt/acre","active_ingredient":"glyphosate"}]';
-  let parsed;
-  try {
-    parsed = JSON.parse(validInputs);
-    assertTruthy(Array.isArray(parsed), 'Should be an array');
-    assertEquals(parsed.length, 1, 'Should have one element');
-    assertEquals(parsed[0].name, 'Roundup', 'Should have correct name');
-  } catch (e) {
-    throw new Error(`Valid JSON should parse: ${e.message}`);
-  }
-});
-
-test('JSON parsing handles valid pests array', () => {
-  const validPests = '[{"name":"aphids","severity":"moderate","count":"15"}]';
-  let parsed;
-  try {
-    parsed = JSON.parse(validPests);
-    assertTruthy(Array.isArray(parsed), 'Should be an array');
-    assertEquals(parsed.length, 1, 'Should have one element');
-    assertEquals(parsed[0].name, 'aphids', 'Should have correct name');
-    assertEquals(parsed[0].severity, 'moderate', 'Should have correct severity');
-  } catch (e) {
-    throw new Error(`Valid JSON should parse: ${e.message}`);
-  }
-});
-
-test('JSON parsing handles valid weather object', () => {
-  const validWeather = '{"temperature":"72","humidity":"65","wind_speed":"5","conditions":"clear"}';
-  let parsed;
-  try {
-    parsed = JSON.parse(validWeather);
-    assertTruthy(typeof parsed === 'object', 'Should be an object');
-    assertEquals(parsed.temperature, '72', 'Should have correct temperature');
-    assertEquals(parsed.conditions, 'clear', 'Should have correct conditions');
-  } catch (e) {
-    throw new Error(`Valid JSON should parse: ${e.message}`);
-  }
-});
-
-test('JSON parsing rejects invalid JSON', () => {
-  const invalidJson = '{invalid json}';
-  try {
-    JSON.parse(invalidJson);
-    throw new Error('Should have thrown an error');
-  } catch (e) {
-    assertTruthy(e.message.includes('JSON') || e.message.includes('Unexpected'), 
-                'Should throw JSON parse error');
+const ADMIN_HEADERS = { 'X-Admin-API-Key': 'test-admin-key' };
+const EMPLOYEE_ID = '123e4567-e89b-12d3-a456-426614174000';
+const OTHER_EMPLOYEE_ID = '223e4567-e89b-12d3-a456-426614174000';
+
+async function request(method, path, { body, headers = ADMIN_HEADERS, form } = {}) {
+  const options = { method, headers: { ...headers } };
+  if (form) {
+    options.body = form;
+  } else if (body !== undefined) {
+    options.headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify(body);
   }
-});
-
-// Test Request Body Validation Logic
-console.log('\n🧪 Request Body Validation Tests:');
+  const res = await fetch(baseUrl + path, options);
+  const text = await res.text();
+  let json = null;
+  try { json = JSON.parse(text); } catch (e) { /* non-JSON response */ }
+  return { status: res.status, body: json };
+}
 
-test('Treatment log validates required fields', () => {
-  const requiredFields = ['employee_name', 'date', 'location', 'crop', 'inputs'];
-  const body = {
+function treatmentBody(overrides = {}) {
+  return {
     employee_name: 'John Doe',
+    employee_id: EMPLOYEE_ID,
     date: '2024-01-15',
     location: 'North Field',
     crop: 'Tomatoes',
-    inputs: '[{"name":"Test"}]'
+    inputs: '[{"name":"Roundup","rate":"2 qt/acre","active_ingredient":"glyphosate"}]',
+    ...overrides
   };
-  
-  for (const field of requiredFields) {
-    assertTruthy(body[field], `Should have ${field}`);
-  }
-});
+}
 
-test('Scouting log validates required fields', () => {
-  const requiredFields = ['employee_name', 'date', 'location', 'crop', 'pests_observed'];
-  const body = {
+function scoutingBody(overrides = {}) {
+  return {
     employee_name: 'Jane Smith',
+    employee_id: EMPLOYEE_ID,
     date: '2024-01-15',
     location: 'South Field',
     crop: 'Corn',
-    pests_observed: '[{"name":"aphids"}]'
+    pests_observed: '[{"name":"aphids","severity":"moderate","count":"15"}]',
+    ...overrides
   };
-  
-  for (const field of requiredFields) {
-    assertTruthy(body[field], `Should have ${field}`);
-  }
-});
+}
 
-test('Treatment log rejects missing required fields', () => {
-  const incompleteBody = {
-    employee_name: 'John Doe',
-    date: '2024-01-15'
-    // Missing: location, crop, inputs
-  };
-  
-  const requiredFields = ['employee_name', 'date', 'location', 'crop', 'inputs'];
-  const missingFields = requiredFields.filter(field => !incompleteBody[field]);
-  
-  assertTruthy(missingFields.length > 0, 'Should have missing fields');
-  assertTruthy(missingFields.includes('location'), 'Should include location');
-  assertTruthy(missingFields.includes('crop'), 'Should include crop');
-  assertTruthy(missingFields.includes('inputs'), 'Should include inputs');
-});
+function toForm(fields) {
+  const form = new FormData();
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined) form.append(key, value);
+  });
+  return form;
+}
 
-// Test Query Parameter Validation
-console.log('\n🧪 Query Parameter Validation Tests:');
+async function run() {
+  console.log('🧪 Logs API Test Suite\n');
+  console.log('='.repeat(60));
 
-test('GET endpoint validates order_by parameter', () => {
-  const validOrderByFields = ['date', 'created_at', 'updated_at', 'location', 'crop'];
-  
-  assertTruthy(validOrderByFields.includes('date'), 'Should include date');
-  assertTruthy(validOrderByFields.includes('location'), 'Should include location');
-  assertFalsy(validOrderByFields.includes('invalid'), 'Should not include invalid');
-});
+  // Test Input Validation
+  console.log('\n🧪 Input Validation Tests:');
 
-test('GET endpoint validates order parameter', () => {
-  const validOrders = ['asc', 'desc'];
-  
-  assertTruthy(validOrders.includes('asc'), 'Should include asc');
-  assertTruthy(validOrders.includes('desc'), 'Should include desc');
-  assertFalsy(validOrders.includes('invalid'), 'Should not include invalid');
-});
+  await test('Date format is validated', async () => {
+    const ok = await request('POST', '/api/admin/treatment-logs', { body: treatmentBody() });
+    assertEquals(ok.status, 201, 'Should accept valid date');
+    const noPadding = await request('POST', '/api/admin/treatment-logs', { body: treatmentBody({ date: '2024-1-5' }) });
+    assertEquals(noPadding.status, 400, 'Should reject date without leading zeros');
+    const usFormat = await request('POST', '/api/admin/treatment-logs', { body: treatmentBody({ date: '01/15/2024' }) });
+    assertEquals(usFormat.status, 400, 'Should reject US date format');
+  });
 
-test('GET endpoint validates limit parameter', () => {
-  const limit = 75;
-  const parsedLimit = Math.min(parseInt(limit) || 50, 100);
-  
-  assertEquals(parsedLimit, 75, 'Should accept valid limit');
-  
-  const tooLarge = 150;
-  const cappedLimit = Math.min(parseInt(tooLarge) || 50, 100);
-  assertEquals(cappedLimit, 100, 'Should cap at 100');
-  
-  const invalid = 'abc';
-  const defaultLimit = Math.min(parseInt(invalid) || 50, 100);
-  assertEquals(defaultLimit, 50, 'Should default to 50 for invalid');
-});
+  await test('Impossible calendar dates are rejected', async () => {
+    const res = await request('POST', '/api/admin/treatment-logs', { body: treatmentBody({ date: '2024-13-01' }) });
+    assertEquals(res.status, 400);
+    const feb30 = await request('POST', '/api/admin/treatment-logs', { body: treatmentBody({ date: '2023-02-30' }) });
+    assertEquals(feb30.status, 400);
+  });
 
-// Test Data Structure Validation
-console.log('\n🧪 Data Structure Tests:');
-
-test('Treatment inputs array has correct structure', () => {
-  const inputs = [
-    { name: 'Roundup', rate: '2 qt/acre', active_ingredient: 'glyphosate' },
-    { name: 'Fertilizer', rate: '1 lb/acre' }
-  ];
-  
-  assertTruthy(Array.isArray(inputs), 'Should be an array');
-  assertEquals(inputs.length, 2, 'Should have 2 items');
-  assertTruthy(inputs[0].name, 'First item should have name');
-  assertTruthy(inputs[0].rate, 'First item should have rate');
-  assertTruthy(inputs[1].name, 'Second item should have name');
-});
+  await test('employee_id must be a UUID', async () => {
+    const res = await request('POST', '/api/admin/treatment-logs', { body: treatmentBody({ employee_id: 'not-a-uuid' }) });
+    assertEquals(res.status, 400);
+    assertTruthy(res.body.message.includes('employee_id'));
+  });
 
-test('Pests observed array has correct structure', () => {
-  const pests = [
-    { name: 'aphids', severity: 'moderate', count: '15' },
-    { name: 'powdery mildew', severity: 'light' }
-  ];
-  
-  assertTruthy(Array.isArray(pests), 'Should be an array');
-  assertEquals(pests.length, 2, 'Should have 2 items');
-  assertTruthy(pests[0].name, 'First item should have name');
-  assertTruthy(pests[0].severity, 'First item should have severity');
-  assertTruthy(pests[1].name, 'Second item should have name');
-});
+  await test('Invalid inputs JSON is rejected', async () => {
+    const res = await request('POST', '/api/admin/treatment-logs', { body: treatmentBody({ inputs: '{invalid json}' }) });
+    assertEquals(res.status, 400);
+    assertTruthy(res.body.message.includes('valid JSON'));
+  });
 
-test('Weather object has correct structure', () => {
-  const weather = {
-    temperature: '72',
-    humidity: '65',
-    wind_speed: '5',
-    conditions: 'partly cloudy'
-  };
-  
-  assertTruthy(typeof weather === 'object', 'Should be an object');
-  assertTruthy(weather.temperature, 'Should have temperature');
-  assertTruthy(weather.conditions, 'Should have conditions');
-});
+  await test('Inputs accept an already-parsed JSON array', async () => {
+    const res = await request('POST', '/api/admin/treatment-logs', {
+      body: treatmentBody({ inputs: [{ name: 'Fertilizer', rate: '1 lb/acre' }] })
+    });
+    assertEquals(res.status, 201);
+  });
 
-// Test File Validation Logic
-console.log('\n🧪 File Upload Validation Tests:');
-
-test('File size validation logic', () => {
-  const maxSize = 10 * 1024 * 1024; // 10MB
-  
-  const validFile = { size: 5 * 1024 * 1024 }; // 5MB
-  assertTruthy(validFile.size <= maxSize, 'Should accept file under limit');
-  
-  const tooLarge = { size: 15 * 1024 * 1024 }; // 15MB
-  assertFalsy(tooLarge.size <= maxSize, 'Should reject file over limit');
-});
+  await test('Structured inputs with numeric rate and amount are accepted', async () => {
+    const res = await request('POST', '/api/admin/treatment-logs', {
+      body: treatmentBody({
+        inputs: [{
+          chemical_id: 'C012', name: 'Tempo SC Ultra', epa_reg_num: '432-1363',
+          rate: 0.08, rate_unit: 'fl oz/gal', amount: 2, amount_unit: 'fl oz'
+        }]
+      })
+    });
+    assertEquals(res.status, 201);
+    const stored = fake.tables.treatment_logs.find(l => l.id === res.body.id);
+    assertEquals(stored.inputs[0].chemical_id, 'C012');
+    assertEquals(stored.inputs[0].amount, 2);
+  });
 
-test('File type validation logic', () => {
-  const validTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
-  
-  assertTruthy(validTypes.includes('image/jpeg'), 'Should accept JPEG');
-  assertTruthy(validTypes.includes('image/png'), 'Should accept PNG');
-  assertFalsy(validTypes.includes('application/pdf'), 'Should reject PDF');
-  assertFalsy(validTypes.includes('video/mp4'), 'Should reject video');
-});
+  await test('Input amounts must be non-negative numbers', async () => {
+    const negative = await request('POST', '/api/admin/treatment-logs', {
+      body: treatmentBody({ inputs: [{ name: 'Tempo SC Ultra', amount: -1 }] })
+    });
+    assertEquals(negative.status, 400);
+    assertTruthy(negative.body.message.includes('amount'));
+    const badUnit = await request('POST', '/api/admin/treatment-logs', {
+      body: treatmentBody({ inputs: [{ name: 'Tempo SC Ultra', rate_unit: 5 }] })
+    });
+    assertEquals(badUnit.status, 400);
+    assertTruthy(badUnit.body.message.includes('rate_unit'));
+  });
 
-test('File count validation logic', () => {
-  const maxFiles = 5;
-  
-  const files3 = [1, 2, 3];
-  assertTruthy(files3.length <= maxFiles, 'Should accept 3 files');
-  
-  const files7 = [1, 2, 3, 4, 5, 6, 7];
-  assertFalsy(files7.length <= maxFiles, 'Should reject 7 files');
-});
+  await test('Weather must be an object with known fields', async () => {
+    const arr = await request('POST', '/api/admin/scouting-logs', { body: scoutingBody({ weather: '[1,2]' }) });
+    assertEquals(arr.status, 400, 'Should reject array');
+    const unknown = await request('POST', '/api/admin/scouting-logs', { body: scoutingBody({ weather: '{"pressure":"1013"}' }) });
+    assertEquals(unknown.status, 400, 'Should reject unknown key');
+    const nested = await request('POST', '/api/admin/scouting-logs', { body: scoutingBody({ weather: { temperature: { f: 72 } } }) });
+    assertEquals(nested.status, 400, 'Should reject nested values');
+  });
 
-// Test Response Structure
-console.log('\n🧪 Response Structure Tests:');
+  await test('Valid weather object is stored', async () => {
+    const res = await request('POST', '/api/admin/scouting-logs', {
+      body: scoutingBody({ weather: '{"temperature":"72","humidity":"65","wind_speed":"5","conditions":"clear"}' })
+    });
+    assertEquals(res.status, 201);
+    const stored = fake.tables.scouting_logs.find(l => l.id === res.body.id);
+    assertEquals(stored.weather.conditions, 'clear');
+  });
 
-test('Success response has correct structure', () => {
-  const successResponse = {
-    id: '123e4567-e89b-12d3-a456-426614174000',
-    message: 'Treatment log created successfully',
-    photos: ['url1', 'url2'],
-    created_at: '2024-01-15T10:00:00Z'
-  };
-  
-  assertTruthy(successResponse.id, 'Should have id');
-  assertTruthy(successResponse.message, 'Should have message');
-  assertTruthy(Array.isArray(successResponse.photos), 'Photos should be array');
-  assertTruthy(successResponse.created_at, 'Should have created_at');
-});
+  // Test Request Body Validation Logic
+  console.log('\n🧪 Request Body Validation Tests:');
 
-test('Error response has correct structure', () => {
-  const errorResponse = {
-    error: 'Validation error',
-    message: 'Missing required fields'
-  };
-  
-  assertTruthy(errorResponse.error, 'Should have error');
-  assertTruthy(errorResponse.message, 'Should have message');
-});
+  await test('Treatment log is created with required fields', async () => {
+    const res = await request('POST', '/api/admin/treatment-logs', { body: treatmentBody({ notes: 'Applied early morning' }) });
+    assertEquals(res.status, 201);
+    assertEquals(res.body.message, 'Treatment log created successfully');
+    const stored = fake.tables.treatment_logs.find(l => l.id === res.body.id);
+    assertEquals(stored.inputs[0].name, 'Roundup');
+    assertEquals(stored.notes, 'Applied early morning');
+  });
 
-test('List response has correct structure', () => {
-  const listResponse = {
-    logs: [
-      { id: 'uuid1', employee_name: 'John' },
-      { id: 'uuid2', employee_name: 'Jane' }
-    ],
-    pagination: {
-      total: 100,
-      limit: 50,
-      offset: 0,
-      has_more: true
+  await test('Scouting log is created with required fields', async () => {
+    const res = await request('POST', '/api/admin/scouting-logs', { body: scoutingBody() });
+    assertEquals(res.status, 201);
+    assertEquals(res.body.message, 'Scouting log created successfully');
+    const stored = fake.tables.scouting_logs.find(l => l.id === res.body.id);
+    assertEquals(stored.pests_observed[0].severity, 'moderate');
+  });
+
+  await test('Treatment log rejects missing required fields', async () => {
+    const res = await request('POST', '/api/admin/treatment-logs', {
+      body: { employee_name: 'John Doe', employee_id: EMPLOYEE_ID, date: '2024-01-15' }
+    });
+    assertEquals(res.status, 400);
+    assertTruthy(res.body.message.includes('location'), 'Should include location');
+    assertTruthy(res.body.message.includes('crop'), 'Should include crop');
+    assertTruthy(res.body.message.includes('inputs'), 'Should include inputs');
+  });
+
+  await test('Scouting log rejects unknown severity', async () => {
+    const res = await request('POST', '/api/admin/scouting-logs', {
+      body: scoutingBody({ pests_observed: '[{"name":"thrips","severity":"extreme"}]' })
+    });
+    assertEquals(res.status, 400);
+  });
+
+  await test('Pest entries need a name', async () => {
+    const res = await request('POST', '/api/admin/scouting-logs', {
+      body: scoutingBody({ pests_observed: '[{"severity":"light"}]' })
+    });
+    assertEquals(res.status, 400);
+  });
+
+  await test('Multipart submissions are accepted', async () => {
+    const res = await request('POST', '/api/admin/scouting-logs', { form: toForm(scoutingBody({ location: 'Shade House' })) });
+    assertEquals(res.status, 201);
+  });
+
+  // Test Query Parameter Validation
+  console.log('\n🧪 Query Parameter Validation Tests:');
+
+  await test('GET endpoint validates order_by parameter', async () => {
+    const ok = await request('GET', '/api/admin/treatment-logs?order_by=location');
+    assertEquals(ok.status, 200);
+    const bad = await request('GET', '/api/admin/treatment-logs?order_by=invalid');
+    assertEquals(bad.status, 400);
+  });
+
+  await test('GET endpoint validates order parameter', async () => {
+    const asc = await request('GET', '/api/admin/scouting-logs?order=asc');
+    assertEquals(asc.status, 200);
+    const bad = await request('GET', '/api/admin/scouting-logs?order=sideways');
+    assertEquals(bad.status, 400);
+  });
+
+  await test('GET endpoint validates limit parameter', async () => {
+    const valid = await request('GET', '/api/admin/treatment-logs?limit=75');
+    assertEquals(valid.body.pagination.limit, 75, 'Should accept valid limit');
+    const tooLarge = await request('GET', '/api/admin/treatment-logs?limit=150');
+    assertEquals(tooLarge.body.pagination.limit, 100, 'Should cap at 100');
+    const invalid = await request('GET', '/api/admin/treatment-logs?limit=abc');
+    assertEquals(invalid.body.pagination.limit, 50, 'Should default to 50 for invalid');
+  });
+
+  await test('GET endpoint validates date filters', async () => {
+    const bad = await request('GET', '/api/admin/treatment-logs?date_from=2024-1-1');
+    assertEquals(bad.status, 400);
+    const reversed = await request('GET', '/api/admin/treatment-logs?date_from=2024-02-01&date_to=2024-01-01');
+    assertEquals(reversed.status, 400);
+  });
+
+  // Test Filtering
+  console.log('\n🧪 Filtering Tests:');
+
+  await test('Filters by location', async () => {
+    const res = await request('GET', '/api/admin/scouting-logs?location=Shade%20House');
+    assertEquals(res.status, 200);
+    assertEquals(res.body.logs.length, 1);
+    assertEquals(res.body.logs[0].location, 'Shade House');
+  });
+
+  await test('Filters by date range', async () => {
+    await request('POST', '/api/admin/treatment-logs', { body: treatmentBody({ date: '2024-03-10' }) });
+    await request('POST', '/api/admin/treatment-logs', { body: treatmentBody({ date: '2024-04-20' }) });
+    const res = await request('GET', '/api/admin/treatment-logs?date_from=2024-03-01&date_to=2024-03-31');
+    assertEquals(res.body.logs.length, 1);
+    assertEquals(res.body.logs[0].date, '2024-03-10');
+  });
+
+  await test('Filters by employee_id', async () => {
+    await request('POST', '/api/admin/treatment-logs', { body: treatmentBody({ employee_id: OTHER_EMPLOYEE_ID }) });
+    const res = await request('GET', `/api/admin/treatment-logs?employee_id=${OTHER_EMPLOYEE_ID}`);
+    assertEquals(res.body.logs.length, 1);
+  });
+
+  await test('Orders by date descending by default', async () => {
+    const res = await request('GET', '/api/admin/treatment-logs');
+    assertEquals(res.body.logs[0].date, '2024-04-20');
+  });
+
+  // Test File Validation Logic
+  console.log('\n🧪 File Upload Validation Tests:');
+
+  await test('Photos are uploaded and stored on the log', async () => {
+    const form = toForm(treatmentBody());
+    form.append('photos', new Blob([Buffer.from('img')], { type: 'image/jpeg' }), 'spray.jpg');
+    const res = await request('POST', '/api/admin/treatment-logs', { form });
+    assertEquals(res.status, 201);
+    assertEquals(res.body.photos.length, 1);
+    const stored = fake.tables.treatment_logs.find(l => l.id === res.body.id);
+    assertEquals(stored.photos.length, 1);
+  });
+
+  await test('File size validation rejects files over 10MB', async () => {
+    const form = toForm(treatmentBody());
+    form.append('photos', new Blob([Buffer.alloc(10 * 1024 * 1024 + 1)], { type: 'image/png' }), 'big.png');
+    const res = await request('POST', '/api/admin/treatment-logs', { form });
+    assertEquals(res.status, 400);
+  });
+
+  await test('File type validation rejects non-images', async () => {
+    const form = toForm(scoutingBody());
+    form.append('photos', new Blob(['x'], { type: 'video/mp4' }), 'clip.mp4');
+    const res = await request('POST', '/api/admin/scouting-logs', { form });
+    assertEquals(res.status, 400);
+  });
+
+  await test('File count validation rejects more than 5 photos', async () => {
+    const form = toForm(scoutingBody());
+    for (let i = 0; i < 7; i++) {
+      form.append('photos', new Blob(['x'], { type: 'image/png' }), `p${i}.png`);
     }
-  };
-  
-  assertTruthy(Array.isArray(listResponse.logs), 'Should have logs array');
-  assertTruthy(listResponse.pagination, 'Should have pagination');
-  assertEquals(listResponse.pagination.total, 100, 'Should have total');
-  assertEquals(listResponse.pagination.limit, 50, 'Should have limit');
-  assertTruthy(listResponse.pagination.has_more, 'Should have has_more');
-});
+    const res = await request('POST', '/api/admin/scouting-logs', { form });
+    assertEquals(res.status, 400);
+  });
 
-// Test Edge Cases
-console.log('\n🧪 Edge Case Tests:');
+  // Test Response Structure
+  console.log('\n🧪 Response Structure Tests:');
 
-test('Empty inputs array should be rejected', () => {
-  const emptyInputs = [];
-  assertFalsy(emptyInputs.length > 0, 'Empty array should fail validation');
-});
+  await test('Success response has correct structure', async () => {
+    const res = await request('POST', '/api/admin/scouting-logs', { body: scoutingBody() });
+    assertTruthy(res.body.id, 'Should have id');
+    assertTruthy(res.body.message, 'Should have message');
+    assertTruthy(Array.isArray(res.body.photos), 'Photos should be array');
+    assertTruthy(res.body.created_at, 'Should have created_at');
+  });
 
-test('Empty pests array should be rejected', () => {
-  const emptyPests = [];
-  assertFalsy(emptyPests.length > 0, 'Empty array should fail validation');
-});
+  await test('Error response has correct structure', async () => {
+    const res = await request('POST', '/api/admin/scouting-logs', { body: {} });
+    assertEquals(res.body.error, 'Validation error');
+    assertTruthy(res.body.message, 'Should have message');
+  });
 
-test('Optional fields can be null or undefined', () => {
-  const optionalFields = {
-    notes: null,
-    weather: undefined
-  };
-  
-  // These should be allowed (tested by not throwing errors)
-  assertTruthy(optionalFields.notes === null, 'Notes can be null');
-  assertTruthy(optionalFields.weather === undefined, 'Weather can be undefined');
-});
+  await test('List response has correct structure', async () => {
+    const res = await request('GET', '/api/admin/treatment-logs?limit=2');
+    assertTruthy(Array.isArray(res.body.logs), 'Should have logs array');
+    assertEquals(res.body.logs.length, 2);
+    assertEquals(res.body.pagination.total, fake.tables.treatment_logs.length, 'Should have total');
+    assertEquals(res.body.pagination.limit, 2, 'Should have limit');
+    assertEquals(res.body.pagination.offset, 0, 'Should have offset');
+    assertTruthy(res.body.pagination.has_more, 'Should have has_more');
+  });
 
-test('Date boundaries are handled correctly', () => {
-  const validDates = [
-    '2024-01-01',
-    '2024-12-31',
-    '2023-02-28',
-    '2024-02-29' // Leap year
-  ];
-  
-  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-  validDates.forEach(date => {
-    assertTruthy(dateRegex.test(date), `Should accept ${date}`);
+  await test('Database errors return 500', async () => {
+    fake.failNext('scouting_logs');
+    const res = await request('GET', '/api/admin/scouting-logs');
+    assertEquals(res.status, 500);
+    assertEquals(res.body.error, 'Database error');
   });
-});
 
-// Summary
-console.log('\n' + '='.repeat(60));
-console.log(`\n📊 Test Results:`);
-console.log(`   ✓ Passed: ${passed}`);
-console.log(`   ✗ Failed: ${failed}`);
-console.log(`   Total:  ${passed + failed}`);
-
-if (failed === 0) {
-  console.log('\n✅ All tests passed!\n');
-  process.exit(0);
-} else {
-  console.log('\n❌ Some tests failed.\n');
-  process.exit(1);
+  await test('Admin key is required', async () => {
+    const res = await request('GET', '/api/admin/treatment-logs', { headers: {} });
+    assertEquals(res.status, 401);
+  });
+
+  // Test Edge Cases
+  console.log('\n🧪 Edge Case Tests:');
+
+  await test('Empty inputs array should be rejected', async () => {
+    const res = await request('POST', '/api/admin/treatment-logs', { body: treatmentBody({ inputs: '[]' }) });
+    assertEquals(res.status, 400);
+  });
+
+  await test('Empty pests array should be rejected', async () => {
+    const res = await request('POST', '/api/admin/scouting-logs', { body: scoutingBody({ pests_observed: [] }) });
+    assertEquals(res.status, 400);
+  });
+
+  await test('Optional fields can be null or undefined', async () => {
+    const res = await request('POST', '/api/admin/treatment-logs', { body: treatmentBody({ notes: null, weather: undefined }) });
+    assertEquals(res.status, 201);
+    const stored = fake.tables.treatment_logs.find(l => l.id === res.body.id);
+    assertEquals(stored.notes, null);
+    assertEquals(stored.weather, null);
+  });
+
+  await test('Date boundaries are handled correctly', async () => {
+    const validDates = ['2024-01-01', '2024-12-31', '2023-02-28', '2024-02-29'];
+    for (const date of validDates) {
+      const res = await request('POST', '/api/admin/scouting-logs', { body: scoutingBody({ date }) });
+      assertEquals(res.status, 201, `Should accept ${date}`);
+    }
+    const res = await request('POST', '/api/admin/scouting-logs', { body: scoutingBody({ date: '2023-02-29' }) });
+    assertFalsy(res.status === 201, 'Should reject 2023-02-29 (not a leap year)');
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log(`\n📊 Test Results:`);
+  console.log(`   ✓ Passed: ${passed}`);
+  console.log(`   ✗ Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
 }
+
+const server = app.listen(0, async () => {
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await run();
+  } finally {
+    server.close();
+  }
+
+  if (failed === 0) {
+    console.log('\n✅ All tests passed!\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ Some tests failed.\n');
+    process.exit(1);
+  }
+});
@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+/**
+ * Tests for the /api/admin/requests endpoints
+ * Run with: node server/requests-api.test.js
+ *
+ * The routes run against an in-memory Supabase stand-in (see fake-supabase.js),
+ * so no credentials or network access are needed.
+ */
+
+const { createFakeSupabase, installFakeSupabase } = require('./fake-supabase');
+
+process.env.ADMIN_API_KEY = 'test-admin-key';
+delete process.env.NOTIFICATIONS_WEBHOOK_URL;
+
+const fake = createFakeSupabase();
+installFakeSupabase(fake);
+const app = require('./index');
+
+let passed = 0;
+let failed = 0;
+let baseUrl = '';
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected} but got ${actual}. ${message}`);
+  }
+}
+
+function assertTruthy(value, message = '') {
+  if (!value) {
+    throw new Error(`Expected truthy value. ${message}`);
+  }
+}
+
+const ADMIN_HEADERS = { 'X-Admin-API-Key': 'test-admin-key' };
+const STAFF_ID = '123e4567-e89b-12d3-a456-426614174000';
+
+async function request(method, path, { body, headers = ADMIN_HEADERS, form } = {}) {
+  const options = { method, headers: { ...headers } };
+  if (form) {
+    options.body = form;
+  } else if (body !== undefined) {
+    options.headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify(body);
+  }
+  const res = await fetch(baseUrl + path, options);
+  const text = await res.text();
+  let json = null;
+  try { json = JSON.parse(text); } catch (e) { /* non-JSON response */ }
+  return { status: res.status, body: json };
+}
+
+function anonymousForm(overrides = {}) {
+  const form = new FormData();
+  const fields = {
+    reporter_name: 'Anonymous User',
+    contact: 'test@example.com',
+    plant_type: 'Tomato',
+    symptoms: 'Yellow leaves with brown spots',
+    urgency: 'medium',
+    ...overrides
+  };
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined) form.append(key, value);
+  });
+  return form;
+}
+
+async function run() {
+  console.log('🧪 Requests API Test Suite\n');
+  console.log('='.repeat(60));
+
+  console.log('\n🔐 Admin API Key Tests:');
+
+  await test('Rejects requests without an admin key', async () => {
+    const res = await request('GET', '/api/admin/requests', { headers: {} });
+    assertEquals(res.status, 401);
+    assertEquals(res.body.error, 'Unauthorized');
+  });
+
+  await test('Rejects requests with the wrong admin key', async () => {
+    const res = await request('GET', '/api/admin/requests', { headers: { 'X-Admin-API-Key': 'nope' } });
+    assertEquals(res.status, 401);
+  });
+
+  await test('Accepts Authorization: Bearer admin key', async () => {
+    const res = await request('GET', '/api/admin/requests', {
+      headers: { Authorization: 'Bearer test-admin-key' }
+    });
+    assertEquals(res.status, 200);
+  });
+
+  console.log('\n📝 Anonymous Submission Tests:');
+
+  await test('Creates an anonymous request', async () => {
+    const res = await request('POST', '/api/admin/requests/anonymous', { form: anonymousForm() });
+    assertEquals(res.status, 201);
+    assertTruthy(res.body.id, 'Should return id');
+    assertEquals(res.body.message, 'Anonymous request created successfully');
+    const stored = fake.tables.requests.find(r => r.id === res.body.id);
+    assertEquals(stored.reporter_id, null, 'Anonymous requests have no reporter_id');
+    assertEquals(stored.status, 'pending');
+  });
+
+  await test('Rejects missing required fields', async () => {
+    const res = await request('POST', '/api/admin/requests/anonymous', {
+      form: anonymousForm({ contact: undefined, symptoms: '  ' })
+    });
+    assertEquals(res.status, 400);
+    assertTruthy(res.body.message.includes('contact'), 'Should name contact');
+    assertTruthy(res.body.message.includes('symptoms'), 'Should name symptoms');
+  });
+
+  await test('Rejects urgency outside the CHECK constraint', async () => {
+    const res = await request('POST', '/api/admin/requests/anonymous', {
+      form: anonymousForm({ urgency: 'urgent' })
+    });
+    assertEquals(res.status, 400);
+  });
+
+  await test('Uploads images and stores their URLs', async () => {
+    const form = anonymousForm({ urgency: 'high' });
+    form.append('images', new Blob([Buffer.from('fake-jpeg')], { type: 'image/jpeg' }), 'leaf.jpg');
+    const res = await request('POST', '/api/admin/requests/anonymous', { form });
+    assertEquals(res.status, 201);
+    assertEquals(res.body.images.length, 1);
+    assertTruthy(res.body.images[0].includes(`${res.body.id}/`), 'Image stored under request folder');
+    const stored = fake.tables.requests.find(r => r.id === res.body.id);
+    assertEquals(stored.images.length, 1);
+  });
+
+  await test('Rejects non-image uploads', async () => {
+    const form = anonymousForm();
+    form.append('images', new Blob(['%PDF'], { type: 'application/pdf' }), 'report.pdf');
+    const res = await request('POST', '/api/admin/requests/anonymous', { form });
+    assertEquals(res.status, 400);
+  });
+
+  await test('Rejects more than 5 images', async () => {
+    const form = anonymousForm();
+    for (let i = 0; i < 6; i++) {
+      form.append('images', new Blob(['x'], { type: 'image/png' }), `img${i}.png`);
+    }
+    const res = await request('POST', '/api/admin/requests/anonymous', { form });
+    assertEquals(res.status, 400);
+  });
+
+  console.log('\n📋 List Tests:');
+
+  await test('Lists requests with pagination metadata', async () => {
+    const res = await request('GET', '/api/admin/requests?limit=1');
+    assertEquals(res.status, 200);
+    assertEquals(res.body.requests.length, 1);
+    assertEquals(res.body.pagination.limit, 1);
+    assertEquals(res.body.pagination.total, 2);
+    assertEquals(res.body.pagination.has_more, true);
+  });
+
+  await test('Caps limit at 100', async () => {
+    const res = await request('GET', '/api/admin/requests?limit=500');
+    assertEquals(res.body.pagination.limit, 100);
+  });
+
+  await test('Filters by urgency', async () => {
+    const res = await request('GET', '/api/admin/requests?urgency=high');
+    assertEquals(res.body.requests.length, 1);
+    assertEquals(res.body.requests[0].urgency, 'high');
+  });
+
+  await test('Rejects invalid status filter', async () => {
+    const res = await request('GET', '/api/admin/requests?status=done');
+    assertEquals(res.status, 400);
+  });
+
+  await test('Rejects invalid order_by', async () => {
+    const res = await request('GET', '/api/admin/requests?order_by=contact');
+    assertEquals(res.status, 400);
+  });
+
+  console.log('\n✏️  Update Tests:');
+
+  await test('Updates status and assignment', async () => {
+    const id = fake.tables.requests[0].id;
+    const res = await request('PATCH', `/api/admin/requests/${id}`, {
+      body: { status: 'in-progress', assigned_to: STAFF_ID }
+    });
+    assertEquals(res.status, 200);
+    assertEquals(res.body.request.status, 'in-progress');
+    assertEquals(res.body.request.assigned_to, STAFF_ID);
+  });
+
+  await test('Filters by status after update', async () => {
+    const res = await request('GET', '/api/admin/requests?status=in-progress');
+    assertEquals(res.body.requests.length, 1);
+  });
+
+  await test('Rejects invalid status on update', async () => {
+    const id = fake.tables.requests[0].id;
+    const res = await request('PATCH', `/api/admin/requests/${id}`, { body: { status: 'archived' } });
+    assertEquals(res.status, 400);
+  });
+
+  await test('Rejects malformed request id', async () => {
+    const res = await request('PATCH', '/api/admin/requests/not-a-uuid', { body: { status: 'closed' } });
+    assertEquals(res.status, 400);
+  });
+
+  await test('Returns 404 for unknown request', async () => {
+    const res = await request('PATCH', `/api/admin/requests/${STAFF_ID}`, { body: { status: 'closed' } });
+    assertEquals(res.status, 404);
+  });
+
+  await test('Adds a comment with an author', async () => {
+    const id = fake.tables.requests[0].id;
+    const res = await request('PATCH', `/api/admin/requests/${id}`, {
+      body: { comment: 'Looks like early blight', user_id: STAFF_ID, user_name: 'Staff' }
+    });
+    assertEquals(res.status, 200);
+    assertEquals(res.body.comment.request_id, id);
+    assertEquals(fake.tables.request_comments.length, 1);
+  });
+
+  await test('Rejects a comment without an author', async () => {
+    const id = fake.tables.requests[0].id;
+    const res = await request('PATCH', `/api/admin/requests/${id}`, { body: { comment: 'Hi' } });
+    assertEquals(res.status, 400);
+  });
+
+  await test('Rejects an empty update', async () => {
+    const id = fake.tables.requests[0].id;
+    const res = await request('PATCH', `/api/admin/requests/${id}`, { body: {} });
+    assertEquals(res.status, 400);
+  });
+
+  console.log('\n🔢 Urgency Ordering Tests:');
+
+  await test('Orders by urgency rank, not alphabetically', async () => {
+    await fake.from('requests').insert([
+      { reporter_name: 'A', contact: 'a@example.com', plant_type: 'Rose', symptoms: 'Spots', urgency: 'low', status: 'pending' },
+      { reporter_name: 'B', contact: 'b@example.com', plant_type: 'Rose', symptoms: 'Wilt', urgency: 'critical', status: 'pending' }
+    ]);
+    const desc = await request('GET', '/api/admin/requests?order_by=urgency&order=desc');
+    assertEquals(desc.status, 200);
+    assertEquals(desc.body.requests.map(r => r.urgency).join(','), 'critical,high,medium,low');
+    const asc = await request('GET', '/api/admin/requests?order_by=urgency&order=asc&limit=2');
+    assertEquals(asc.body.requests.map(r => r.urgency).join(','), 'low,medium');
+    assertEquals(asc.body.pagination.has_more, true);
+  });
+
+  console.log('\n⚠️  Error Handling Tests:');
+
+  await test('A thrown database call returns a 500 JSON error', async () => {
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      fake.throwNext('requests');
+      const res = await request('GET', '/api/admin/requests');
+      assertEquals(res.status, 500);
+      assertEquals(res.body.error, 'Server error');
+    } finally {
+      console.error = originalError;
+    }
+    const after = await request('GET', '/api/admin/requests');
+    assertEquals(after.status, 200, 'The server keeps serving after an error');
+  });
+
+  await test('A malformed JSON body is a 400, not a 500', async () => {
+    const id = fake.tables.requests[0].id;
+    const res = await fetch(`${baseUrl}/api/admin/requests/${id}`, {
+      method: 'PATCH',
+      headers: { ...ADMIN_HEADERS, 'Content-Type': 'application/json' },
+      body: '{"status":'
+    });
+    assertEquals(res.status, 400);
+    assertEquals((await res.json()).error, 'Bad request');
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log(`\n📊 Test Results:`);
+  console.log(`   ✓ Passed: ${passed}`);
+  console.log(`   ✗ Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+}
+
+const server = app.listen(0, async () => {
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await run();
+  } finally {
+    server.close();
+  }
+
+  if (failed === 0) {
+    console.log('\n✅ All tests passed!\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ Some tests failed.\n');
+    process.exit(1);
+  }
+});
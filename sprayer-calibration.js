@@ -0,0 +1,198 @@
+/**
+ * Sprayer Calibration Module
+ * Works out what a sprayer actually applies, and keeps saved per-sprayer
+ * profiles for the Mix Calculator and Treatment Log.
+ *
+ *   Boom (1/128-acre method): drive a course of 1/128 acre per nozzle width,
+ *   then catch one nozzle for the same time. Fluid ounces caught = gallons
+ *   per acre, because 1 gal = 128 fl oz.
+ *
+ *   Backpack (timed pass): spray a measured test area with water at normal
+ *   pace and time it, then spray into a container for the same time.
+ *
+ * Profiles are plain objects:
+ *   {
+ *     id, name, type: 'boom' | 'backpack',
+ *     galPer1000SqFt: 0.5, tankSizeGallons: 4,
+ *     nozzle: { type: 'Flat fan', size: 'XR8002', count: 1, spacingInches: null, pressurePsi: 30 },
+ *     method: 'boom-128' | 'backpack-timed' | 'manual',
+ *     calibratedAt: ISO string, notes
+ *   }
+ */
+
+const ACRE_SQFT = 43560;
+// One calibration course is 1/128 acre
+const CALIBRATION_COURSE_SQFT = ACRE_SQFT / 128;
+// Nozzles more than 10% off the average should be cleaned or replaced
+const NOZZLE_TOLERANCE = 0.1;
+const SPRAYER_TYPES = ['boom', 'backpack'];
+const CALIBRATION_METHODS = ['boom-128', 'backpack-timed', 'manual'];
+
+function galPerAcreToPer1000SqFt(galPerAcre) {
+  return galPerAcre * 1000 / ACRE_SQFT;
+}
+
+function isPositive(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Length of the 1/128-acre course for a nozzle spacing
+ * @param {number} nozzleSpacingInches
+ * @returns {number|null} - Feet, or null for an invalid spacing
+ */
+function boomCourseLengthFt(nozzleSpacingInches) {
+  if (!isPositive(nozzleSpacingInches)) return null;
+  return CALIBRATION_COURSE_SQFT / (nozzleSpacingInches / 12);
+}
+
+/**
+ * Boom calibration by the 1/128-acre method
+ * @param {Object} params
+ * @param {number} params.nozzleSpacingInches - Distance between nozzles
+ * @param {Array<number>} params.ounces - Fl oz caught from each nozzle over the course time
+ * @returns {Object} - { galPerAcre, galPer1000SqFt, courseLengthFt, averageOunces, nozzles: [{ nozzle, ounces, deviationPct, outOfRange }] } or { error }
+ */
+function calibrateBoom(params) {
+  const { nozzleSpacingInches, ounces } = params || {};
+  const courseLengthFt = boomCourseLengthFt(nozzleSpacingInches);
+  if (!courseLengthFt) return { error: 'Enter the nozzle spacing in inches.' };
+
+  const catches = (ounces || []).filter(oz => oz !== null && oz !== '' && oz !== undefined).map(Number);
+  if (!catches.length || !catches.every(isPositive)) {
+    return { error: 'Enter the fl oz caught from each nozzle.' };
+  }
+
+  const averageOunces = catches.reduce((sum, oz) => sum + oz, 0) / catches.length;
+  const nozzles = catches.map((oz, i) => {
+    const deviation = (oz - averageOunces) / averageOunces;
+    return {
+      nozzle: i + 1,
+      ounces: oz,
+      deviationPct: Math.round(deviation * 1000) / 10,
+      outOfRange: Math.abs(deviation) > NOZZLE_TOLERANCE
+    };
+  });
+
+  return {
+    galPerAcre: averageOunces,
+    galPer1000SqFt: galPerAcreToPer1000SqFt(averageOunces),
+    courseLengthFt,
+    averageOunces,
+    nozzles
+  };
+}
+
+/**
+ * Backpack calibration by a timed pass over a measured test area
+ * @param {Object} params
+ * @param {number} params.testAreaSqFt - Area sprayed during the timed pass
+ * @param {number} params.passSeconds - Time taken to spray the test area
+ * @param {number} params.ouncesCollected - Fl oz sprayed into a container over the same time
+ * @returns {Object} - { galPer1000SqFt, galPerAcre, flowOzPerMinute } or { error }
+ */
+function calibrateBackpack(params) {
+  const { testAreaSqFt, passSeconds, ouncesCollected } = params || {};
+  if (!isPositive(testAreaSqFt)) return { error: 'Enter the size of the test area in sq ft.' };
+  if (!isPositive(passSeconds)) return { error: 'Enter how many seconds the pass took.' };
+  if (!isPositive(ouncesCollected)) return { error: 'Enter the fl oz collected.' };
+
+  const galPer1000SqFt = ouncesCollected / 128 / testAreaSqFt * 1000;
+  return {
+    galPer1000SqFt,
+    galPerAcre: galPer1000SqFt * ACRE_SQFT / 1000,
+    flowOzPerMinute: ouncesCollected / passSeconds * 60
+  };
+}
+
+function profileNumber(value) {
+  if (value === '' || value === null || value === undefined) return null;
+  const n = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Validate and build a sprayer profile
+ * @param {Object} values - { id?, name, type, galPer1000SqFt, tankSizeGallons, nozzle: {...}, method, notes }
+ * @param {string} [now] - ISO timestamp for calibratedAt
+ * @returns {{profile: Object}|{error: string}}
+ */
+function createSprayerProfile(values, now) {
+  const v = values || {};
+  const name = String(v.name || '').trim();
+  if (!name) return { error: 'Give the sprayer a name.' };
+  if (!SPRAYER_TYPES.includes(v.type)) return { error: 'Choose boom or backpack.' };
+
+  const galPer1000SqFt = profileNumber(v.galPer1000SqFt);
+  if (!isPositive(galPer1000SqFt)) return { error: 'Calibrate the sprayer or enter its gallons per 1,000 sq ft.' };
+
+  const tankSizeGallons = profileNumber(v.tankSizeGallons);
+  if (tankSizeGallons !== null && tankSizeGallons <= 0) return { error: 'Tank size must be more than 0 gallons.' };
+
+  const nozzle = v.nozzle || {};
+  const pressurePsi = profileNumber(nozzle.pressurePsi);
+  if (pressurePsi !== null && pressurePsi <= 0) return { error: 'Pressure must be more than 0 psi.' };
+
+  return {
+    profile: {
+      id: v.id || `sprayer-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+      name,
+      type: v.type,
+      galPer1000SqFt: Math.round(galPer1000SqFt * 1000) / 1000,
+      tankSizeGallons,
+      nozzle: {
+        type: String(nozzle.type || '').trim(),
+        size: String(nozzle.size || '').trim(),
+        count: profileNumber(nozzle.count),
+        spacingInches: profileNumber(nozzle.spacingInches),
+        pressurePsi
+      },
+      method: CALIBRATION_METHODS.includes(v.method) ? v.method : 'manual',
+      calibratedAt: now || new Date().toISOString(),
+      notes: String(v.notes || '').trim()
+    }
+  };
+}
+
+/**
+ * "Backpack 2 (Flat fan XR8002, 30 psi)"
+ * @param {Object} profile
+ * @returns {string}
+ */
+function describeSprayerProfile(profile) {
+  if (!profile) return '';
+  const nozzle = profile.nozzle || {};
+  const parts = [];
+  const nozzleName = [nozzle.type, nozzle.size].filter(Boolean).join(' ');
+  if (nozzleName) parts.push(nozzleName);
+  if (nozzle.pressurePsi) parts.push(`${nozzle.pressurePsi} psi`);
+  return parts.length ? `${profile.name} (${parts.join(', ')})` : profile.name;
+}
+
+// Export functions for use in main script
+if (typeof window !== 'undefined') {
+  window.SprayerCalibration = {
+    CALIBRATION_COURSE_SQFT,
+    NOZZLE_TOLERANCE,
+    SPRAYER_TYPES,
+    boomCourseLengthFt,
+    calibrateBoom,
+    calibrateBackpack,
+    createSprayerProfile,
+    describeSprayerProfile
+  };
+}
+
+// For Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CALIBRATION_COURSE_SQFT,
+    NOZZLE_TOLERANCE,
+    SPRAYER_TYPES,
+    boomCourseLengthFt,
+    calibrateBoom,
+    calibrateBackpack,
+    createSprayerProfile,
+    describeSprayerProfile
+  };
+}
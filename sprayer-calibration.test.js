@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for sprayer calibration (1/128-acre boom method, timed backpack pass, saved profiles)
+ * Run with: node sprayer-calibration.test.js
+ */
+
+const {
+  CALIBRATION_COURSE_SQFT,
+  boomCourseLengthFt,
+  calibrateBoom,
+  calibrateBackpack,
+  createSprayerProfile,
+  describeSprayerProfile
+} = require('./sprayer-calibration.js');
+
+let passed = 0;
+let failed = 0;
+
+function test(description, fn) {
+  try {
+    fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected} but got ${actual}. ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance = 0.01, message = '') {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`Expected ${expected} ± ${tolerance} but got ${actual}. ${message}`);
+  }
+}
+
+function assertTruthy(value, message = '') {
+  if (!value) {
+    throw new Error(`Expected truthy value. ${message}`);
+  }
+}
+
+console.log('\n🚜 Boom Calibration Tests:');
+
+test('The calibration course is 1/128 acre per nozzle strip', () => {
+  assertClose(CALIBRATION_COURSE_SQFT, 340.3, 0.1);
+  assertClose(boomCourseLengthFt(20), 204.2, 0.1, '20 in spacing');
+  assertEquals(boomCourseLengthFt(0), null);
+});
+
+test('Average fl oz caught equals gallons per acre', () => {
+  const result = calibrateBoom({ nozzleSpacingInches: 20, ounces: [20, 21, 19, 20] });
+  assertEquals(result.galPerAcre, 20);
+  assertClose(result.galPer1000SqFt, 0.459, 0.001);
+  assertEquals(result.nozzles.length, 4);
+  assertEquals(result.nozzles.some(n => n.outOfRange), false);
+});
+
+test('Nozzles more than 10% off the average are flagged', () => {
+  const result = calibrateBoom({ nozzleSpacingInches: 20, ounces: [20, 20, 26, 20] });
+  const flagged = result.nozzles.filter(n => n.outOfRange);
+  assertEquals(flagged.length, 1);
+  assertEquals(flagged[0].nozzle, 3);
+  assertTruthy(flagged[0].deviationPct > 10, `${flagged[0].deviationPct}`);
+});
+
+test('Boom calibration requires spacing and a catch for every nozzle', () => {
+  assertTruthy(calibrateBoom({ ounces: [20] }).error);
+  assertTruthy(calibrateBoom({ nozzleSpacingInches: 20, ounces: [] }).error);
+  assertTruthy(calibrateBoom({ nozzleSpacingInches: 20, ounces: [20, NaN] }).error);
+});
+
+console.log('\n🎒 Backpack Calibration Tests:');
+
+test('Timed pass converts collected fl oz to gallons per 1,000 sq ft', () => {
+  const result = calibrateBackpack({ testAreaSqFt: 1000, passSeconds: 60, ouncesCollected: 128 });
+  assertEquals(result.galPer1000SqFt, 1);
+  assertClose(result.galPerAcre, 43.56);
+  assertEquals(result.flowOzPerMinute, 128);
+  assertClose(calibrateBackpack({ testAreaSqFt: 500, passSeconds: 30, ouncesCollected: 32 }).galPer1000SqFt, 0.5);
+});
+
+test('Backpack calibration rejects missing measurements', () => {
+  assertTruthy(calibrateBackpack({ testAreaSqFt: 1000, passSeconds: 0, ouncesCollected: 64 }).error);
+  assertTruthy(calibrateBackpack({ testAreaSqFt: 1000, passSeconds: 45 }).error);
+});
+
+console.log('\n💾 Profile Tests:');
+
+test('createSprayerProfile carries spray volume and nozzle info', () => {
+  const { profile, error } = createSprayerProfile({
+    id: 'sprayer-1',
+    name: ' Backpack 2 ',
+    type: 'backpack',
+    galPer1000SqFt: 0.46875,
+    tankSizeGallons: '4',
+    nozzle: { type: 'Flat fan', size: 'XR8002', count: 1, pressurePsi: '30' },
+    method: 'backpack-timed'
+  }, '2024-05-01T10:00:00.000Z');
+  assertEquals(error, undefined);
+  assertEquals(profile.name, 'Backpack 2');
+  assertEquals(profile.galPer1000SqFt, 0.469);
+  assertEquals(profile.tankSizeGallons, 4);
+  assertEquals(profile.nozzle.pressurePsi, 30);
+  assertEquals(profile.nozzle.spacingInches, null);
+  assertEquals(profile.calibratedAt, '2024-05-01T10:00:00.000Z');
+  assertEquals(describeSprayerProfile(profile), 'Backpack 2 (Flat fan XR8002, 30 psi)');
+});
+
+test('createSprayerProfile validates name, type and spray volume', () => {
+  assertTruthy(createSprayerProfile({ type: 'boom', galPer1000SqFt: 0.5 }).error);
+  assertTruthy(createSprayerProfile({ name: 'Rig', type: 'mister', galPer1000SqFt: 0.5 }).error);
+  assertTruthy(createSprayerProfile({ name: 'Rig', type: 'boom', galPer1000SqFt: 0 }).error);
+  assertTruthy(createSprayerProfile({ name: 'Rig', type: 'boom', galPer1000SqFt: 0.5, tankSizeGallons: -1 }).error);
+  assertEquals(createSprayerProfile({ name: 'Rig', type: 'boom', galPer1000SqFt: 0.5, method: 'guess' }).profile.method, 'manual');
+  assertEquals(describeSprayerProfile({ name: 'Rig', nozzle: {} }), 'Rig');
+});
+
+// Summary
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Test Results:`);
+console.log(`   ✓ Passed: ${passed}`);
+console.log(`   ✗ Failed: ${failed}`);
+console.log(`   Total:  ${passed + failed}`);
+
+if (failed === 0) {
+  console.log('\n✅ All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed.\n');
+  process.exit(1);
+}
@@ -0,0 +1,166 @@
+/**
+ * Spreader Settings Module
+ * Setting tables for common rotary (broadcast) and drop spreaders, used by
+ * the Granular Helper to suggest a starting setting for a rate.
+ *
+ * Each table lists [setting, lb of product per 1,000 sq ft] for medium
+ * granules (SGN 150–250) at a normal walking pace (about 3 mph). Fine or
+ * heavy granules flow differently, so the product bag's own setting wins and
+ * every suggestion should be checked by calibration.
+ *
+ * The tables below are generic calibration estimates spread evenly over each
+ * spreader's dial, not the manufacturers' published charts, and are marked
+ * `estimate: true`. A table copied from a chart sets `estimate: false` and
+ * cites it in `source` (publisher, title and date or URL).
+ */
+
+const SPREADERS = [
+  {
+    id: 'scotts-rotary',
+    name: 'Scotts EdgeGuard / Standard rotary',
+    type: 'rotary',
+    estimate: true,
+    source: null,
+    swathFt: 6,
+    settings: [
+      [3, 0.5], [4, 0.75], [5, 1], [6, 1.5], [7, 2], [8, 2.5], [9, 3],
+      [10, 3.5], [11, 4], [12, 4.5], [13, 5], [14, 6], [15, 7]
+    ]
+  },
+  {
+    id: 'lesco-rotary',
+    name: 'LESCO commercial rotary',
+    type: 'rotary',
+    estimate: true,
+    source: null,
+    swathFt: 10,
+    settings: [
+      ['C', 0.5], ['D', 0.75], ['E', 1], ['F', 1.25], ['G', 1.5], ['H', 2], ['I', 2.5], ['J', 3],
+      ['K', 3.5], ['L', 4], ['M', 4.5], ['N', 5.5], ['O', 6.5], ['P', 7.5]
+    ]
+  },
+  {
+    id: 'earthway-rotary',
+    name: 'Earthway 2150 commercial rotary',
+    type: 'rotary',
+    estimate: true,
+    source: null,
+    swathFt: 8,
+    settings: [
+      [2, 0.5], [3, 1], [4, 1.5], [5, 2], [6, 2.75], [7, 3.5], [8, 4.5], [9, 5.5], [10, 7]
+    ]
+  },
+  {
+    id: 'scotts-drop',
+    name: 'Scotts AccuGreen drop',
+    type: 'drop',
+    estimate: true,
+    source: null,
+    swathFt: 2,
+    settings: [
+      [3, 0.5], [4, 0.75], [5, 1], [6, 1.25], [7, 1.5], [8, 2], [9, 2.5], [10, 3],
+      [11, 3.5], [12, 4], [13, 5], [14, 6], [15, 7]
+    ]
+  },
+  {
+    id: 'gandy-drop',
+    name: 'Gandy 36" drop',
+    type: 'drop',
+    estimate: true,
+    source: null,
+    swathFt: 3,
+    settings: [
+      [4, 0.5], [6, 1], [8, 1.5], [10, 2], [12, 2.75], [14, 3.5], [16, 4.5], [18, 5.5], [20, 7]
+    ]
+  }
+];
+
+/**
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function getSpreader(id) {
+  return SPREADERS.find(s => s.id === id) || null;
+}
+
+/**
+ * Suggested starting setting for a rate
+ * @param {string} spreaderId
+ * @param {number} ratePerThousandSqFt - Product rate in lb per 1,000 sq ft
+ * @returns {Object} - { spreader, setting, deliveredPerThousandSqFt, between: [lower, upper]|null, passes } or { error }
+ */
+function lookupSpreaderSetting(spreaderId, ratePerThousandSqFt) {
+  const spreader = getSpreader(spreaderId);
+  if (!spreader) return { error: 'Choose a spreader.' };
+  if (typeof ratePerThousandSqFt !== 'number' || !(ratePerThousandSqFt > 0)) {
+    return { error: 'Enter a rate to look up a spreader setting.' };
+  }
+
+  const rows = spreader.settings;
+  const maxRate = rows[rows.length - 1][1];
+  const minRate = rows[0][1];
+
+  // Rates above the top setting are applied in two half-rate passes at right angles
+  const passes = ratePerThousandSqFt > maxRate ? 2 : 1;
+  const perPass = ratePerThousandSqFt / passes;
+  if (perPass > maxRate) {
+    return { error: `${ratePerThousandSqFt} lb per 1,000 sq ft is more than the ${spreader.name} delivers in two passes.` };
+  }
+  if (perPass < minRate) {
+    return { error: `${ratePerThousandSqFt} lb per 1,000 sq ft is below the lowest ${spreader.name} setting; mix with a carrier or use a smaller spreader.` };
+  }
+
+  let nearest = rows[0];
+  rows.forEach(row => {
+    if (Math.abs(row[1] - perPass) < Math.abs(nearest[1] - perPass)) nearest = row;
+  });
+  const upperIndex = rows.findIndex(row => row[1] >= perPass);
+  const between = rows[upperIndex][1] === perPass || upperIndex === 0
+    ? null
+    : [rows[upperIndex - 1][0], rows[upperIndex][0]];
+
+  return {
+    spreader,
+    setting: nearest[0],
+    deliveredPerThousandSqFt: nearest[1] * passes,
+    between,
+    passes
+  };
+}
+
+/**
+ * "Scotts EdgeGuard / Standard rotary: estimated setting 7 (about 2 lb per 1,000 sq ft)"
+ * @param {Object} result - From lookupSpreaderSetting
+ * @returns {string}
+ */
+function describeSpreaderSetting(result) {
+  if (!result || result.error) return result ? result.error : '';
+  const estimate = result.spreader.estimate !== false;
+  let text = `${result.spreader.name}: ${estimate ? 'estimated setting' : 'setting'} ${result.setting}`;
+  text += ` (about ${result.deliveredPerThousandSqFt} lb per 1,000 sq ft`;
+  if (result.passes > 1) text += ` in ${result.passes} passes at right angles, half rate each`;
+  if (result.between) text += `; the rate falls between ${result.between[0]} and ${result.between[1]}`;
+  text += ')';
+  if (!estimate && result.spreader.source) text += ` per ${result.spreader.source}`;
+  return text;
+}
+
+// Export functions for use in main script
+if (typeof window !== 'undefined') {
+  window.SpreaderSettings = {
+    SPREADERS,
+    getSpreader,
+    lookupSpreaderSetting,
+    describeSpreaderSetting
+  };
+}
+
+// For Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SPREADERS,
+    getSpreader,
+    lookupSpreaderSetting,
+    describeSpreaderSetting
+  };
+}
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for spreader setting lookups
+ * Run with: node spreader-settings.test.js
+ */
+
+const {
+  SPREADERS,
+  getSpreader,
+  lookupSpreaderSetting,
+  describeSpreaderSetting
+} = require('./spreader-settings.js');
+
+let passed = 0;
+let failed = 0;
+
+function test(description, fn) {
+  try {
+    fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected} but got ${actual}. ${message}`);
+  }
+}
+
+function assertTruthy(value, message = '') {
+  if (!value) {
+    throw new Error(`Expected truthy value. ${message}`);
+  }
+}
+
+console.log('\n📐 Setting Table Tests:');
+
+test('Every table lists settings in increasing rate order', () => {
+  SPREADERS.forEach(spreader => {
+    assertTruthy(['rotary', 'drop'].includes(spreader.type), spreader.id);
+    spreader.settings.forEach((row, i) => {
+      if (i > 0) assertTruthy(row[1] > spreader.settings[i - 1][1], `${spreader.id} row ${i}`);
+    });
+  });
+  assertEquals(getSpreader('nope'), null);
+});
+
+test('Every table is either marked as an estimate or cites its chart', () => {
+  SPREADERS.forEach(spreader => {
+    assertTruthy(spreader.estimate === true || (spreader.estimate === false && spreader.source), spreader.id);
+  });
+  const estimated = describeSpreaderSetting(lookupSpreaderSetting('scotts-rotary', 2));
+  assertTruthy(estimated.includes('estimated setting 7'), estimated);
+  const charted = describeSpreaderSetting({
+    ...lookupSpreaderSetting('scotts-rotary', 2),
+    spreader: { name: 'Charted rotary', estimate: false, source: 'Maker setting chart, 2024' }
+  });
+  assertTruthy(charted.includes(': setting 7'), charted);
+  assertTruthy(charted.endsWith('per Maker setting chart, 2024'), charted);
+});
+
+console.log('\n🎯 Lookup Tests:');
+
+test('An exact rate gives its setting', () => {
+  const result = lookupSpreaderSetting('scotts-rotary', 2);
+  assertEquals(result.setting, 7);
+  assertEquals(result.between, null);
+  assertEquals(result.passes, 1);
+});
+
+test('A rate between settings gives the nearest and both neighbours', () => {
+  const result = lookupSpreaderSetting('lesco-rotary', 2.9);
+  assertEquals(result.setting, 'J');
+  assertEquals(result.between.join('-'), 'I-J');
+  assertTruthy(describeSpreaderSetting(result).includes('between I and J'), describeSpreaderSetting(result));
+});
+
+test('Rates above the top setting are split into two passes', () => {
+  const result = lookupSpreaderSetting('earthway-rotary', 9);
+  assertEquals(result.passes, 2);
+  assertEquals(result.setting, 8);
+  assertEquals(result.deliveredPerThousandSqFt, 9);
+  assertTruthy(describeSpreaderSetting(result).includes('2 passes'));
+});
+
+test('Rates the spreader cannot deliver and missing input are errors', () => {
+  assertTruthy(lookupSpreaderSetting('gandy-drop', 20).error.includes('two passes'));
+  assertTruthy(lookupSpreaderSetting('gandy-drop', 0.2).error.includes('below the lowest'));
+  assertEquals(lookupSpreaderSetting('', 2).error, 'Choose a spreader.');
+  assertEquals(describeSpreaderSetting(lookupSpreaderSetting('scotts-drop', NaN)), 'Enter a rate to look up a spreader setting.');
+});
+
+// Summary
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Test Results:`);
+console.log(`   ✓ Passed: ${passed}`);
+console.log(`   ✗ Failed: ${failed}`);
+console.log(`   Total:  ${passed + failed}`);
+
+if (failed === 0) {
+  console.log('\n✅ All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed.\n');
+  process.exit(1);
+}
@@ -0,0 +1,21 @@
+-- =========================================================
+-- Request Urgency Rank
+-- =========================================================
+-- urgency is stored as text, so ordering by it sorts the
+-- labels alphabetically (critical, high, low, medium).
+-- This migration adds a numeric rank the admin API orders by
+-- when order_by=urgency. Run after 001_create_requests.sql.
+-- =========================================================
+
+ALTER TABLE requests
+  ADD COLUMN IF NOT EXISTS urgency_rank SMALLINT
+  GENERATED ALWAYS AS (
+    CASE urgency
+      WHEN 'low' THEN 1
+      WHEN 'medium' THEN 2
+      WHEN 'high' THEN 3
+      WHEN 'critical' THEN 4
+    END
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_requests_urgency_rank ON requests(urgency_rank DESC);
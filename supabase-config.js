@@ -0,0 +1,8 @@
+// Supabase project used for syncing treatment and scouting logs.
+// Leave url/anonKey empty to keep logs on the device only.
+// The anon key is public by design; row level security limits each
+// employee to their own log rows (see sql/002 and sql/003).
+window.VINE_SUPABASE_CONFIG = {
+  url: '',
+  anonKey: ''
+};
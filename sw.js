@@ -1,18 +1,41 @@
 // Import centralized cache version
 importScripts('./cache-version.js');
+// Offline outbox for log and diagnosis request submissions
+importScripts('./outbox-store.js');
 
-const CACHE_NAME = `lukas-hort-v${self.VINE_CACHE_VERSION || '35'}`;
+const CACHE_NAME = `lukas-hort-v${self.VINE_CACHE_VERSION || '38'}`;
 const urlsToCache = [
   './',
   './index.html',
   './lukas-logo.png',
   './style.css',
   './script.js',
+  './unit-conversion.js',
   './calculators-utils.js',
+  './sprayer-calibration.js',
+  './label-limits.js',
+  './tank-mix.js',
+  './spreader-settings.js',
+  './work-order.js',
+  './rei.js',
+  './date-utils.js',
+  './diagnostic-engine.js',
+  './diagnostic-tree.js',
+  './treatment-suggestions.js',
+  './image-analysis.js',
   './chemicals.js',
+  './moa-utils.js',
   './plants.js',
   './plant-utils.js',
+  './log-store.js',
+  './photo-store.js',
+  './log-audit.js',
+  './treatment-inputs.js',
+  './log-sync.js',
+  './outbox-store.js',
+  './supabase-config.js',
   './plants.json',
+  './diagnostic-tree.json',
   './cache-version.js',
   './icon-512.png',
   'https://fonts.googleapis.com/css2?family=Poppins:wght@300;400;500;600;700&family=Cormorant:wght@400;500;600;700&display=swap'
@@ -36,11 +59,132 @@ self.addEventListener('activate', event => {
   self.clients.claim();
 });
 
+// ====== OFFLINE OUTBOX ======
+// Submissions that fail because the device is offline are stored in IndexedDB
+// and answered with 202 + X-Vine-Outbox: queued. They are replayed in order
+// with exponential backoff when connectivity returns.
+
+async function notifyOutboxClients() {
+  const clientList = await self.clients.matchAll({ includeUncontrolled: true });
+  clientList.forEach(client => client.postMessage({ type: 'outbox-updated' }));
+}
+
+async function queueOutboxRequest(request, route) {
+  const body = await request.arrayBuffer();
+  const contentType = request.headers.get('Content-Type') || '';
+  const bodyText = body.byteLength ? new TextDecoder().decode(body) : '';
+  const id = await self.VineOutbox.addOutboxItem({
+    url: request.url,
+    method: request.method,
+    headers: Array.from(request.headers.entries()),
+    body: body.byteLength ? body : null,
+    kind: route.kind,
+    label: self.VineOutbox.describeOutboxBody(route, contentType, bodyText),
+    status: 'pending',
+    attempts: 0,
+    createdAt: Date.now(),
+    nextAttemptAt: null,
+    lastError: null
+  });
+
+  if (self.registration.sync) {
+    self.registration.sync.register(self.VineOutbox.OUTBOX_SYNC_TAG).catch(() => {});
+  }
+  notifyOutboxClients();
+  return id;
+}
+
+async function handleOutboxRequest(request, route) {
+  // Keep a copy of the body in case the network attempt fails
+  const copy = request.clone();
+  try {
+    const res = await fetch(request);
+    // We're online again: flush anything queued earlier
+    replayOutbox().catch(() => {});
+    return res;
+  } catch (err) {
+    const id = await queueOutboxRequest(copy, route);
+    return new Response(JSON.stringify({ queued: true, outbox_id: id }), {
+      status: 202,
+      headers: { 'Content-Type': 'application/json', 'X-Vine-Outbox': 'queued' }
+    });
+  }
+}
+
+let outboxReplay = null;
+
+function replayOutbox(force = false) {
+  if (outboxReplay) return outboxReplay;
+  outboxReplay = (async () => {
+    const items = await self.VineOutbox.listOutboxItems();
+    if (!items.length) return;
+    const authByOrigin = (await self.VineOutbox.getOutboxMeta('authByOrigin')) || {};
+    const result = await self.VineOutbox.replayOutboxItems(items, {
+      fetchFn: fetch,
+      now: Date.now(),
+      force,
+      authByOrigin
+    });
+    for (const id of result.delivered) {
+      await self.VineOutbox.deleteOutboxItem(id);
+    }
+    for (const item of result.updated) {
+      await self.VineOutbox.putOutboxItem(item);
+    }
+    if (result.delivered.length || result.updated.length) {
+      await notifyOutboxClients();
+    }
+    // Let Background Sync retry the rest when the browser sees a connection
+    if (result.offline) throw new Error('Outbox replay paused: offline');
+  })().finally(() => {
+    outboxReplay = null;
+  });
+  return outboxReplay;
+}
+
+self.addEventListener('sync', event => {
+  if (event.tag === self.VineOutbox.OUTBOX_SYNC_TAG) {
+    event.waitUntil(replayOutbox());
+  }
+});
+
+self.addEventListener('message', event => {
+  const data = event.data || {};
+  if (data.type === 'replay-outbox') {
+    event.waitUntil(replayOutbox(!!data.force).catch(() => {}));
+  } else if (data.type === 'outbox-auth' && data.origin) {
+    // Newest access token from the page, used when replaying queued Supabase calls
+    event.waitUntil(
+      self.VineOutbox.getOutboxMeta('authByOrigin').then(auth => {
+        const next = { ...(auth || {}) };
+        if (data.accessToken) {
+          next[data.origin] = data.accessToken;
+        } else {
+          delete next[data.origin];
+        }
+        return self.VineOutbox.setOutboxMeta('authByOrigin', next);
+      })
+    );
+  }
+});
+
 self.addEventListener('fetch', event => {
+  const outboxRoute = self.VineOutbox.matchOutboxRoute(event.request.method, event.request.url);
+  if (outboxRoute) {
+    event.respondWith(handleOutboxRequest(event.request, outboxRoute));
+    return;
+  }
+
   if (event.request.method !== 'GET') return;
   const req = event.request;
   const url = new URL(req.url);
 
+  // Supabase REST/Auth calls (log sync) must always hit the network
+  if (url.origin !== self.location.origin &&
+      (url.pathname.startsWith('/rest/v1/') || url.pathname.startsWith('/auth/v1/'))) {
+    return;
+  }
+
   // For navigation requests, always try network first
   if (req.mode === 'navigate') {
     event.respondWith(
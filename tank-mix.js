@@ -0,0 +1,356 @@
+/**
+ * Tank Mix Module
+ * Compatibility checks and mixing order for the products in one spray tank.
+ *
+ * Each product is classified by formulation (WP, WDG, SC, CS, EC, SL, ...)
+ * and adjuvant role, then every pair is run through TANK_MIX_RULES and the
+ * "do not mix with ..." notes in each product's restrictions and notes.
+ * Findings are 'incompatible' (do not put them in one tank) or 'caution'
+ * (antagonism or injury risk; jar test and follow the label).
+ *
+ * Products go into the tank in WALES / DALES order: wettable powders and
+ * other dry products, agitate, liquid flowables and suspensions,
+ * emulsifiable concentrates, then solutions and surfactants.
+ */
+
+// Formulation codes, as printed after product names ("Protect DF", "Dimension EW")
+const FORMULATION_CODES = {
+  WSP: { group: 'dry', label: 'Water-soluble packet' },
+  WP: { group: 'dry', label: 'Wettable powder' },
+  WDG: { group: 'dry', label: 'Water-dispersible granule' },
+  WG: { group: 'dry', label: 'Water-dispersible granule' },
+  DF: { group: 'dry', label: 'Dry flowable' },
+  SP: { group: 'dry', label: 'Soluble powder' },
+  SC: { group: 'flowable', label: 'Suspension concentrate' },
+  F: { group: 'flowable', label: 'Flowable' },
+  AS: { group: 'flowable', label: 'Aqueous suspension' },
+  CS: { group: 'flowable', label: 'Microencapsulated (capsule suspension)' },
+  ME: { group: 'flowable', label: 'Microencapsulated' },
+  EC: { group: 'ec', label: 'Emulsifiable concentrate' },
+  EW: { group: 'ec', label: 'Emulsion in water' },
+  OIL: { group: 'ec', label: 'Horticultural oil' },
+  SL: { group: 'solution', label: 'Soluble liquid' },
+  S: { group: 'solution', label: 'Solution' },
+  ADJ: { group: 'adjuvant', label: 'Adjuvant' },
+  G: { group: 'not-for-tank', label: 'Granular' },
+  TG: { group: 'not-for-tank', label: 'Granular' },
+  RTU: { group: 'not-for-tank', label: 'Ready-to-use' },
+  RTS: { group: 'not-for-tank', label: 'Ready-to-spray' }
+};
+
+// Tank order; products in a group go in together
+const MIXING_STEPS = [
+  { group: 'conditioner', step: 'Water conditioners and pH adjusters (only when a label calls for them)' },
+  { group: 'dry', step: 'W/D – Wettable powders, dry flowables and water-dispersible granules (premix as a slurry)' },
+  { group: 'agitate', step: 'A – Agitate until the dry products are fully dispersed' },
+  { group: 'flowable', step: 'L – Liquid flowables, suspension concentrates and microencapsulated products' },
+  { group: 'ec', step: 'E – Emulsifiable concentrates and oils' },
+  { group: 'unknown', step: 'Liquid concentrates with no formulation recorded – check each label for where they go' },
+  { group: 'solution', step: 'S – Solutions and soluble liquids' },
+  { group: 'adjuvant', step: 'S – Surfactants and other adjuvants last' }
+];
+
+/**
+ * Known incompatibilities. Each side is a selector:
+ *   { actives: RegExp }      active ingredient (or product name) matches
+ *   { formulation: [codes] } formulation code is one of these
+ *   { adjuvant: kind }       adjuvant role: 'acidifier', 'surfactant' or 'oil'
+ *   { category: RegExp }     product category matches
+ *   { any: true }            any other product
+ */
+const TANK_MIX_RULES = [
+  {
+    id: 'acidifier-capsules',
+    level: 'incompatible',
+    a: { adjuvant: 'acidifier' },
+    b: { formulation: ['CS', 'ME'] },
+    message: 'Acidifiers and low-pH adjuvants break down microcapsules, releasing the active ingredient at once.'
+  },
+  {
+    id: 'oxidizer',
+    level: 'incompatible',
+    a: { actives: /peroxyhydrate|hydrogen peroxide|peroxyacetic/i },
+    b: { any: true },
+    message: 'Oxidizing algaecides and sanitizers react with other products in the tank; apply them on their own.'
+  },
+  {
+    id: 'graminicide-auxin',
+    level: 'caution',
+    a: { actives: /sethoxydim|clethodim|fluazifop/i },
+    b: { actives: /2,4-D|dicamba|triclopyr|mcpp|mecoprop/i },
+    message: 'Broadleaf (growth regulator) herbicides antagonize grass herbicides and reduce grass control.'
+  },
+  {
+    id: 'systemic-contact-herbicide',
+    level: 'caution',
+    a: { actives: /glyphosate|fluridone/i },
+    b: { actives: /diquat/i },
+    message: 'Diquat burns foliage before the systemic herbicide can move through the plant.'
+  },
+  {
+    id: 'fluridone-copper',
+    level: 'incompatible',
+    a: { actives: /fluridone/i },
+    b: { actives: /copper/i },
+    message: 'Fluridone is not to be mixed with copper products.'
+  },
+  {
+    id: 'copper-fosetyl',
+    level: 'incompatible',
+    a: { actives: /copper/i },
+    b: { actives: /fosetyl/i },
+    message: 'Fosetyl-Al with copper lowers the tank pH and causes severe plant injury.'
+  },
+  {
+    id: 'copper-acidifier',
+    level: 'caution',
+    a: { actives: /copper/i },
+    b: { adjuvant: 'acidifier' },
+    message: 'Low pH makes copper more soluble and can cause leaf injury.'
+  },
+  {
+    id: 'chlorothalonil-oil',
+    level: 'incompatible',
+    a: { actives: /chlorothalonil/i },
+    b: { adjuvant: 'oil' },
+    message: 'Chlorothalonil with oils or oil-based adjuvants causes plant injury.'
+  },
+  {
+    id: 'fungal-biological-fungicide',
+    level: 'caution',
+    a: { actives: /beauveria|isaria|metarhizium/i },
+    b: { category: /fungicide/i },
+    message: 'Fungicides can kill the spores of fungus-based biological insecticides; apply them separately.'
+  },
+  {
+    id: 'dry-ec',
+    level: 'caution',
+    a: { formulation: ['WP', 'WDG', 'WG', 'DF', 'SP', 'WSP'] },
+    b: { formulation: ['EC', 'EW', 'OIL'] },
+    message: 'Dry products can clump with emulsifiable concentrates and oils; disperse the dry product fully first and run a jar test.'
+  },
+  {
+    id: 'oil-surfactant',
+    level: 'caution',
+    a: { adjuvant: 'oil' },
+    b: { adjuvant: 'surfactant' },
+    message: 'An oil plus a surfactant increases the risk of leaf burn; add the surfactant only when both labels allow it.'
+  }
+];
+
+// "Do NOT mix with Pendulum AquaCap", "Avoid mixing with contact herbicides like diquat"
+const LABEL_MIX_WARNING = /(?:do not|don't|never|avoid)\s+(?:tank[- ]?)?mix(?:ing)?\s+(?:it\s+)?with\s+([^;.]+)/gi;
+
+/**
+ * Adjuvant roles of a product
+ * @param {Object} chem
+ * @returns {Array<string>} - Any of 'acidifier', 'surfactant', 'oil'
+ */
+function adjuvantRoles(chem) {
+  const text = `${chem.category || ''} ${chem.actives || ''} ${chem.name || ''}`;
+  const roles = [];
+  if (/acidif|ph adjust|buffer/i.test(text)) roles.push('acidifier');
+  if (/surfactant|wetter|spreader|sticker|penetrant/i.test(text)) roles.push('surfactant');
+  if (/\boils?\b/i.test(text)) roles.push('oil');
+  return roles;
+}
+
+/**
+ * Formulation class of a product. An explicit `formulation` code wins;
+ * otherwise the code after the product name, the formulation type and the
+ * category are used.
+ * @param {Object} chem - Chemical record
+ * @returns {{code: string|null, group: string, label: string, adjuvant: Array<string>}}
+ */
+function classifyFormulation(chem) {
+  const adjuvant = adjuvantRoles(chem || {});
+  const result = code => {
+    const info = FORMULATION_CODES[code];
+    return info
+      ? { code, group: info.group, label: info.label, adjuvant }
+      : { code: null, group: 'unknown', label: 'Liquid concentrate', adjuvant };
+  };
+  if (!chem) return result(null);
+
+  const explicit = String(chem.formulation || '').trim().toUpperCase();
+  if (FORMULATION_CODES[explicit]) return result(explicit);
+
+  const type = String(chem.type || '').toLowerCase();
+  const category = String(chem.category || '').toLowerCase();
+  if (category.startsWith('adjuvant')) return result('ADJ');
+  if (/^rtu\b|ready[- ]to[- ]use/.test(type)) return result('RTU');
+  if (/^rts\b|ready[- ]to[- ]spray/.test(type)) return result('RTS');
+  if (type.includes('microencapsulated')) return result('CS');
+  if (type.includes('granular')) return result('G');
+
+  const nameCode = (String(chem.name || '').match(/\b(WSP|WDG|WG|WP|DF|SP|SC|AS|CS|ME|EC|EW|SL|TG|G|F)\b/) || [])[1];
+  if (nameCode) return result(nameCode);
+  if (adjuvant.includes('oil')) return result('OIL');
+  if (type.includes('ester')) return result('EC');
+  if (type.includes('amine')) return result('SL');
+  return result(null);
+}
+
+// Lower-case names a label note could use for a product: its name, first word, and active ingredients
+function productMentions(chem) {
+  const mentions = [String(chem.name || '').toLowerCase()];
+  const firstWord = String(chem.name || '').split(/\s+/)[0].toLowerCase();
+  if (firstWord.length >= 4) mentions.push(firstWord);
+  String(chem.actives || '').split(/\+|;/).forEach(active => {
+    const word = active.trim().replace(/\s+[\d.]+%$/, '').split(/\s+/)[0].toLowerCase();
+    if (word.length >= 4) mentions.push(word);
+  });
+  return mentions.filter(Boolean);
+}
+
+function selectorMatches(selector, chem, info) {
+  if (selector.any) return true;
+  if (selector.category && !selector.category.test(chem.category || '')) return false;
+  if (selector.actives && !selector.actives.test(`${chem.actives || ''} ${chem.name || ''}`)) return false;
+  if (selector.formulation && !selector.formulation.includes(info.code)) return false;
+  if (selector.adjuvant && !info.adjuvant.includes(selector.adjuvant)) return false;
+  return true;
+}
+
+// The "do not mix with ..." phrase in one product's label text that names the other product
+function labelMixWarning(chem, other) {
+  const text = `${chem.restrictions || ''}. ${chem.notes || ''}`;
+  const mentions = productMentions(other);
+  let match;
+  LABEL_MIX_WARNING.lastIndex = 0;
+  while ((match = LABEL_MIX_WARNING.exec(text)) !== null) {
+    const phrase = match[1].toLowerCase();
+    if (mentions.some(m => phrase.includes(m))) return match[0].trim();
+  }
+  return null;
+}
+
+/**
+ * Check the products in one tank
+ * @param {Array} chems - Chemical records in the tank
+ * @returns {{findings: Array<{level: string, rule: string, ids: Array<string>, names: Array<string>, message: string}>, incompatible: boolean}}
+ */
+function checkTankMix(chems) {
+  const products = (chems || []).filter(Boolean).map(chem => ({ chem, info: classifyFormulation(chem) }));
+  const findings = [];
+
+  if (products.length > 1) {
+    products
+      .filter(p => p.info.group === 'not-for-tank')
+      .forEach(p => findings.push({
+        level: 'incompatible',
+        rule: 'not-for-tank',
+        ids: [p.chem.id],
+        names: [p.chem.name],
+        message: `${p.info.label} product; it is applied as sold, not mixed in a spray tank.`
+      }));
+  }
+
+  for (let i = 0; i < products.length; i++) {
+    for (let j = i + 1; j < products.length; j++) {
+      const pair = [products[i], products[j]];
+      if (pair[0].chem.id && pair[0].chem.id === pair[1].chem.id) continue;
+      const pairFindings = [];
+
+      TANK_MIX_RULES.forEach(rule => {
+        const forward = selectorMatches(rule.a, pair[0].chem, pair[0].info) && selectorMatches(rule.b, pair[1].chem, pair[1].info);
+        const reverse = selectorMatches(rule.a, pair[1].chem, pair[1].info) && selectorMatches(rule.b, pair[0].chem, pair[0].info);
+        if (forward || reverse) pairFindings.push({ level: rule.level, rule: rule.id, message: rule.message });
+      });
+
+      // Label notes only add a finding when no rule already covers the pair
+      if (!pairFindings.length) {
+        const note = labelMixWarning(pair[0].chem, pair[1].chem) || labelMixWarning(pair[1].chem, pair[0].chem);
+        if (note) pairFindings.push({ level: 'incompatible', rule: 'label', message: `Label: "${note}".` });
+      }
+
+      pairFindings.forEach(f => findings.push({
+        ...f,
+        ids: pair.map(p => p.chem.id),
+        names: pair.map(p => p.chem.name)
+      }));
+    }
+  }
+
+  return { findings, incompatible: findings.some(f => f.level === 'incompatible') };
+}
+
+/**
+ * Order to add products to the tank (WALES / DALES)
+ * @param {Array} chems - Chemical records in the tank
+ * @returns {Array<{step: string, products: Array<string>}>} - Numbered in order, starting and ending with water
+ */
+function getMixingOrder(chems) {
+  const products = (chems || []).filter(Boolean).map(chem => ({ chem, info: classifyFormulation(chem) }));
+  const byGroup = {};
+  products.forEach(p => {
+    // Acidifiers and buffers condition the water before any product goes in
+    const group = p.info.group === 'adjuvant' && p.info.adjuvant.includes('acidifier') ? 'conditioner' : p.info.group;
+    (byGroup[group] = byGroup[group] || []).push(p.chem.name);
+  });
+
+  const order = [{ step: 'Fill the tank ½ to ¾ full with clean water and start agitation', products: [] }];
+  MIXING_STEPS.forEach(({ group, step }) => {
+    if (group === 'agitate') {
+      if (byGroup.dry) order.push({ step, products: [] });
+    } else if (byGroup[group]) {
+      order.push({ step, products: byGroup[group] });
+    }
+  });
+  order.push({ step: 'Fill to the final volume, keeping agitation running while spraying', products: [] });
+  return order;
+}
+
+/**
+ * Compatibility findings and mixing order as HTML
+ * @param {Object} check - From checkTankMix
+ * @param {Array} order - From getMixingOrder
+ * @returns {string} - HTML string
+ */
+function formatTankMixHTML(check, order) {
+  let html = '';
+  if (check.findings.length) {
+    html += `<div class="tank-mix-findings${check.incompatible ? ' tank-mix-incompatible' : ''}">`;
+    html += `<p><strong>${check.incompatible ? 'Tank-mix incompatibility' : 'Tank-mix cautions'}:</strong></p><ul>`;
+    check.findings.forEach(f => {
+      html += `<li>${f.level === 'incompatible' ? '⛔' : '⚠️'} ${f.names.join(' + ')}: ${f.message}</li>`;
+    });
+    html += `</ul></div>`;
+  }
+
+  // The order only matters with more than one product in the tank
+  const productCount = order.reduce((count, item) => count + item.products.length, 0);
+  if (productCount > 1) {
+    html += `<p><strong>Mixing order (WALES / DALES):</strong></p><ol class="mixing-order">`;
+    order.forEach(item => {
+      html += `<li>${item.step}${item.products.length ? `: <strong>${item.products.join(', ')}</strong>` : ''}</li>`;
+    });
+    html += `</ol>`;
+    html += `<p class="muted">Do a jar test before mixing a new combination in the tank.</p>`;
+  }
+  return html;
+}
+
+// Export functions for use in main script
+if (typeof window !== 'undefined') {
+  window.TankMix = {
+    FORMULATION_CODES,
+    TANK_MIX_RULES,
+    classifyFormulation,
+    checkTankMix,
+    getMixingOrder,
+    formatTankMixHTML
+  };
+}
+
+// For Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FORMULATION_CODES,
+    TANK_MIX_RULES,
+    classifyFormulation,
+    checkTankMix,
+    getMixingOrder,
+    formatTankMixHTML
+  };
+}
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for tank-mix compatibility checks and WALES / DALES mixing order
+ * Run with: node tank-mix.test.js
+ */
+
+const {
+  classifyFormulation,
+  checkTankMix,
+  getMixingOrder,
+  formatTankMixHTML
+} = require('./tank-mix.js');
+
+let passed = 0;
+let failed = 0;
+
+function test(description, fn) {
+  try {
+    fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected} but got ${actual}. ${message}`);
+  }
+}
+
+function assertTruthy(value, message = '') {
+  if (!value) {
+    throw new Error(`Expected truthy value. ${message}`);
+  }
+}
+
+// Trimmed records from chemicals.js
+const CHEMICALS = {
+  aquacap: {
+    id: 'C002', name: 'Pendulum AquaCap', category: 'Herbicide - Pre-emergent', type: 'Concentrate (microencapsulated)',
+    actives: 'Pendimethalin 38.7%', restrictions: 'Do NOT mix with acidifiers; avoid aquatic areas', notes: 'Avoid low pH adjuvants that can break capsules.'
+  },
+  grassKiller: {
+    id: 'C007', name: 'Hi-Yield Grass Killer', category: 'Herbicide - Post-emergent (grass-selective)', type: 'Concentrate',
+    actives: 'Sethoxydim 18%', restrictions: 'Not for turf; do not tank-mix with 2,4-D', notes: ''
+  },
+  weedOut: {
+    id: 'C008', name: 'Ferti-lome Weed-Out with Crabgrass Killer', category: 'Herbicide - Post-emergent (broadleaf + grassy)', type: 'Concentrate',
+    actives: '2,4-D + Quinclorac + Dicamba', restrictions: '', notes: ''
+  },
+  indicate: {
+    id: 'C028', name: 'Brandt Indicate 5', category: 'Adjuvant - pH adjuster / wetter', type: 'Liquid',
+    actives: 'Acidifier + non-ionic surfactant blend', restrictions: 'Do NOT mix with Pendulum AquaCap', notes: ''
+  },
+  protect: { id: 'C035', name: 'Protect DF', category: 'Fungicide', type: 'Concentrate', actives: 'Chlorothalonil', restrictions: '', notes: '' },
+  oil: { id: 'C071', name: 'Ultra-Pure Oil', category: 'Insecticide', type: 'Concentrate', actives: 'Highly refined mineral oil', restrictions: '', notes: '' },
+  thiophanate: { id: 'C024', name: '3336 F Fungicide', category: 'Fungicide - Systemic', type: 'Concentrate', actives: 'Thiophanate-methyl 41.25%', restrictions: '', notes: '' },
+  tristar: { id: 'C017', name: 'TriStar 8.5 SL', category: 'Insecticide - Systemic', type: 'Concentrate', actives: 'Acetamiprid 8.5%', restrictions: '', notes: '' },
+  orkestra: { id: 'C030', name: 'Orkestra Intrinsic', category: 'Fungicide', type: 'Concentrate', actives: 'Fluxapyroxad + Pyraclostrobin', restrictions: '', notes: '' },
+  snapshot: { id: 'C091', name: 'Snapshot G', category: 'Herbicide', type: 'Concentrate', actives: 'Isoxaben + Trifluralin', restrictions: '', notes: '' },
+  reward: {
+    id: 'C014', name: 'Reward Herbicide', category: 'Herbicide - Contact / aquatic & terrestrial', type: 'Concentrate',
+    actives: 'Diquat dibromide 37.3%', restrictions: 'Never mix with glyphosate or Sonar', notes: ''
+  },
+  roundup: { id: 'C009', name: 'Roundup Pro Concentrate', category: 'Herbicide - Non-selective systemic', type: 'Concentrate', actives: 'Glyphosate 50.2%', restrictions: '', notes: '' }
+};
+
+function rules(result) {
+  return result.findings.map(f => `${f.level}:${f.rule}`).join(',');
+}
+
+console.log('\n🧴 Formulation Tests:');
+
+test('Formulation comes from the code, the name, then the formulation type', () => {
+  assertEquals(classifyFormulation(CHEMICALS.aquacap).code, 'CS');
+  assertEquals(classifyFormulation(CHEMICALS.protect).group, 'dry');
+  assertEquals(classifyFormulation(CHEMICALS.snapshot).group, 'not-for-tank');
+  assertEquals(classifyFormulation({ ...CHEMICALS.orkestra, formulation: 'sc' }).code, 'SC');
+  assertEquals(classifyFormulation(CHEMICALS.orkestra).group, 'unknown');
+});
+
+test('Adjuvant roles are read from the category and actives', () => {
+  const indicate = classifyFormulation(CHEMICALS.indicate);
+  assertEquals(indicate.code, 'ADJ');
+  assertEquals(indicate.adjuvant.join(','), 'acidifier,surfactant');
+  assertEquals(classifyFormulation(CHEMICALS.oil).code, 'OIL');
+});
+
+console.log('\n⛔ Compatibility Tests:');
+
+test('Acidifiers with microencapsulated products are incompatible', () => {
+  const result = checkTankMix([CHEMICALS.aquacap, CHEMICALS.indicate]);
+  assertEquals(result.incompatible, true);
+  assertEquals(rules(result), 'incompatible:acidifier-capsules', 'The label note does not repeat the rule');
+});
+
+test('Known active ingredient pairs are flagged in either order', () => {
+  assertEquals(rules(checkTankMix([CHEMICALS.weedOut, CHEMICALS.grassKiller])), 'caution:graminicide-auxin');
+  assertEquals(rules(checkTankMix([CHEMICALS.oil, CHEMICALS.protect])), 'incompatible:chlorothalonil-oil,caution:dry-ec');
+});
+
+test('"Do not mix with" label notes flag pairs no rule covers', () => {
+  const noted = { ...CHEMICALS.tristar, restrictions: 'Do not tank mix with Orkestra or copper products.' };
+  const result = checkTankMix([noted, CHEMICALS.orkestra]);
+  assertEquals(rules(result), 'incompatible:label');
+  assertTruthy(result.findings[0].message.includes('Do not tank mix with Orkestra'), result.findings[0].message);
+  assertEquals(checkTankMix([CHEMICALS.tristar, CHEMICALS.orkestra]).findings.length, 0);
+});
+
+test('Granular and ready-to-use products are not for the spray tank', () => {
+  const result = checkTankMix([CHEMICALS.snapshot, CHEMICALS.tristar]);
+  assertEquals(rules(result), 'incompatible:not-for-tank');
+  assertEquals(result.findings[0].names.join(), 'Snapshot G');
+  assertEquals(checkTankMix([CHEMICALS.snapshot]).findings.length, 0, 'A single product is not a tank mix');
+});
+
+console.log('\n🪣 Mixing Order Tests:');
+
+test('Products are ordered WALES: conditioners, dry, agitate, flowables, ECs, solutions', () => {
+  const order = getMixingOrder([CHEMICALS.tristar, CHEMICALS.oil, CHEMICALS.thiophanate, CHEMICALS.indicate, CHEMICALS.protect, CHEMICALS.orkestra]);
+  const products = order.map(item => item.products.join('+'));
+  assertEquals(products.join(' | '),
+    ' | Brandt Indicate 5 | Protect DF |  | 3336 F Fungicide | Ultra-Pure Oil | Orkestra Intrinsic | TriStar 8.5 SL | ');
+  assertTruthy(order[3].step.startsWith('A –'), 'Agitate after dry products');
+  assertEquals(getMixingOrder([CHEMICALS.tristar, CHEMICALS.orkestra]).some(item => item.step.startsWith('A –')), false);
+});
+
+test('formatTankMixHTML shows findings and the order for two or more products', () => {
+  const chems = [CHEMICALS.roundup, CHEMICALS.reward];
+  const html = formatTankMixHTML(checkTankMix(chems), getMixingOrder(chems));
+  assertTruthy(html.includes('Tank-mix cautions'), html);
+  assertTruthy(html.includes('Mixing order (WALES / DALES)'), html);
+  assertEquals(formatTankMixHTML(checkTankMix([CHEMICALS.tristar]), getMixingOrder([CHEMICALS.tristar])), '');
+});
+
+// Summary
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Test Results:`);
+console.log(`   ✓ Passed: ${passed}`);
+console.log(`   ✗ Failed: ${failed}`);
+console.log(`   Total:  ${passed + failed}`);
+
+if (failed === 0) {
+  console.log('\n✅ All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed.\n');
+  process.exit(1);
+}
@@ -0,0 +1,197 @@
+/**
+ * Treatment Inputs Module
+ * Structured products-applied records for treatment log entries, in the same
+ * shape as the treatment_logs.inputs JSONB column (sql/002):
+ *
+ *   {
+ *     chemical_id: 'C012',          // chemicals.js id, null for off-library products
+ *     name: 'Tempo SC Ultra',
+ *     epa_reg_num: '432-1363',
+ *     active_ingredient: 'beta-cyfluthrin',
+ *     rate: 0.08, rate_unit: 'fl oz/gal',
+ *     amount: 2, amount_unit: 'fl oz'   // amount actually used
+ *   }
+ *
+ * Entries recorded before inputs existed only have free-text `mix` lines;
+ * parseMixText converts those so older records still count in the rotation
+ * analysis.
+ */
+
+const RATE_UNITS = ['fl oz/gal', 'oz wt/gal', 'tsp/gal', 'fl oz/100 gal', 'oz wt/100 gal', 'lb/100 gal', 'pt/100 gal', 'qt/100 gal', 'fl oz/1000 sq ft', 'oz wt/1000 sq ft', 'lb/1000 sq ft', 'lb/acre', 'pt/acre', 'qt/acre', 'fl oz/acre', 'mL/gal', 'g/gal'];
+const AMOUNT_UNITS = ['fl oz', 'oz wt', 'lb', 'tsp', 'pt', 'qt', 'gal', 'mL', 'g'];
+
+function toNumberOrNull(value) {
+  if (value === '' || value === null || value === undefined) return null;
+  const n = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function formatAmount(value) {
+  if (typeof value !== 'number') return '';
+  return Number.isInteger(value) ? String(value) : value.toFixed(2).replace(/\.?0+$/, '');
+}
+
+/**
+ * Build an input from a chemicals.js product and the amounts used
+ * @param {Object|null} chem - Chemical record (null for an off-library product)
+ * @param {Object} values - { name, rate, rateUnit, amount, amountUnit, epaRegNum }
+ * @returns {Object} - Treatment input
+ */
+function buildTreatmentInput(chem, values = {}) {
+  return {
+    chemical_id: chem ? chem.id : null,
+    name: chem ? chem.name : String(values.name || '').trim(),
+    epa_reg_num: (chem && chem.epaRegNum) || String(values.epaRegNum || '').trim(),
+    active_ingredient: (chem && chem.actives) || String(values.activeIngredient || '').trim(),
+    rate: toNumberOrNull(values.rate),
+    rate_unit: values.rateUnit || '',
+    amount: toNumberOrNull(values.amount),
+    amount_unit: values.amountUnit || ''
+  };
+}
+
+/**
+ * Find the chemicals.js record for an input. Matches on id first, then EPA
+ * registration number, then (case-insensitive) name, so renamed products
+ * stay linked to their history.
+ * @param {Object} input
+ * @param {Array} chemicals
+ * @returns {Object|null}
+ */
+function resolveInputChemical(input, chemicals) {
+  if (!input || !Array.isArray(chemicals)) return null;
+  if (input.chemical_id) {
+    const byId = chemicals.find(c => c.id === input.chemical_id);
+    if (byId) return byId;
+  }
+  const epa = String(input.epa_reg_num || '').trim();
+  if (epa) {
+    const byEpa = chemicals.find(c => String(c.epaRegNum || '').trim() === epa);
+    if (byEpa) return byEpa;
+  }
+  const name = String(input.name || '').trim().toLowerCase();
+  if (name) {
+    return chemicals.find(c => String(c.name || '').trim().toLowerCase() === name) || null;
+  }
+  return null;
+}
+
+/**
+ * Parse legacy mix text lines into structured inputs. Understands the Mix
+ * Calculator format "Name: 62.50 fl oz (~1848 mL) at 2.5 fl oz/gal" and
+ * keeps anything else as a name-only input.
+ * @param {string} mixText
+ * @param {Array} [chemicals] - Used to attach chemical_id / EPA number
+ * @returns {Array<Object>}
+ */
+function parseMixText(mixText, chemicals) {
+  return String(mixText || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const colon = line.indexOf(':');
+      const rawName = colon === -1 ? line : line.slice(0, colon);
+      const detail = colon === -1 ? '' : line.slice(colon + 1);
+      // Names may carry an "(EPA 123-45)" suffix from formatInputsText
+      const epaMatch = rawName.match(/\(EPA\s+([^)]+)\)/i);
+      const name = rawName.replace(/\(EPA\s+[^)]+\)/i, '').trim();
+
+      const amountMatch = detail.match(/^\s*([\d.]+)\s*([a-zA-Z][a-zA-Z ]*?)\s*(?:\(|at\b|$)/);
+      const rateMatch = detail.match(/\bat\s+([\d.]+)\s*([^\s].*?)\s*$/);
+
+      const input = {
+        chemical_id: null,
+        name,
+        epa_reg_num: epaMatch ? epaMatch[1].trim() : '',
+        active_ingredient: '',
+        rate: rateMatch ? toNumberOrNull(rateMatch[1]) : null,
+        rate_unit: rateMatch ? rateMatch[2].replace(/\s+per\s+/, '/').replace(/\.$/, '') : '',
+        amount: amountMatch ? toNumberOrNull(amountMatch[1]) : null,
+        amount_unit: amountMatch ? amountMatch[2].trim() : ''
+      };
+
+      const chem = resolveInputChemical(input, chemicals);
+      if (chem) {
+        input.chemical_id = chem.id;
+        input.epa_reg_num = input.epa_reg_num || chem.epaRegNum || '';
+        input.active_ingredient = chem.actives || '';
+      }
+      return input;
+    });
+}
+
+/**
+ * The entry's inputs, falling back to its legacy mix text
+ * @param {Object} entry - Treatment entry
+ * @param {Array} [chemicals]
+ * @returns {Array<Object>}
+ */
+function getEntryInputs(entry, chemicals) {
+  if (entry && Array.isArray(entry.inputs) && entry.inputs.length) return entry.inputs;
+  return parseMixText(entry && entry.mix, chemicals);
+}
+
+/**
+ * One line per input, used for the `mix` display text, search and the audit trail
+ * @param {Array<Object>} inputs
+ * @returns {string}
+ */
+function formatInputsText(inputs) {
+  return (inputs || [])
+    .filter(input => input && input.name)
+    .map(input => {
+      let line = input.name;
+      if (input.epa_reg_num) line += ` (EPA ${input.epa_reg_num})`;
+      const parts = [];
+      if (typeof input.amount === 'number') parts.push(`${formatAmount(input.amount)} ${input.amount_unit}`.trim());
+      if (typeof input.rate === 'number') parts.push(`at ${formatAmount(input.rate)} ${input.rate_unit}`.trim());
+      return parts.length ? `${line}: ${parts.join(' ')}` : line;
+    })
+    .join('\n');
+}
+
+/**
+ * Check inputs before saving
+ * @param {Array<Object>} inputs
+ * @returns {string|null} - Error message or null when valid
+ */
+function validateTreatmentInputs(inputs) {
+  for (let i = 0; i < (inputs || []).length; i++) {
+    const input = inputs[i];
+    if (!input.name) return `Product ${i + 1}: choose a chemical or enter a product name.`;
+    if (input.rate !== null && input.rate < 0) return `Product ${i + 1}: rate cannot be negative.`;
+    if (input.amount !== null && input.amount < 0) return `Product ${i + 1}: amount used cannot be negative.`;
+    if (input.rate !== null && !input.rate_unit) return `Product ${i + 1}: choose a rate unit.`;
+    if (input.amount !== null && !input.amount_unit) return `Product ${i + 1}: choose a unit for the amount used.`;
+  }
+  return null;
+}
+
+// Export functions for use in main script
+if (typeof window !== 'undefined') {
+  window.TreatmentInputs = {
+    RATE_UNITS,
+    AMOUNT_UNITS,
+    buildTreatmentInput,
+    resolveInputChemical,
+    parseMixText,
+    getEntryInputs,
+    formatInputsText,
+    validateTreatmentInputs
+  };
+}
+
+// For Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RATE_UNITS,
+    AMOUNT_UNITS,
+    buildTreatmentInput,
+    resolveInputChemical,
+    parseMixText,
+    getEntryInputs,
+    formatInputsText,
+    validateTreatmentInputs
+  };
+}
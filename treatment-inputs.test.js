@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for structured treatment inputs
+ * Run with: node treatment-inputs.test.js
+ */
+
+const {
+  buildTreatmentInput,
+  resolveInputChemical,
+  parseMixText,
+  getEntryInputs,
+  formatInputsText,
+  validateTreatmentInputs
+} = require('./treatment-inputs.js');
+
+let passed = 0;
+let failed = 0;
+
+function test(description, fn) {
+  try {
+    fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected} but got ${actual}. ${message}`);
+  }
+}
+
+function assertTruthy(value, message = '') {
+  if (!value) {
+    throw new Error(`Expected truthy value. ${message}`);
+  }
+}
+
+const CHEMICALS = [
+  { id: 'C012', name: 'Tempo SC Ultra', epaRegNum: '432-1363', actives: 'Beta-cyfluthrin 11.8%', moa: 'IRAC 3A' },
+  { id: 'C040', name: 'Capsil', epaRegNum: '', actives: 'Polyether-polymethylsiloxane-copolymer', moa: 'Adjuvant' }
+];
+
+console.log('\n🧪 Input Building Tests:');
+
+test('buildTreatmentInput copies id, EPA number and actives from the library', () => {
+  const input = buildTreatmentInput(CHEMICALS[0], { rate: '0.08', rateUnit: 'fl oz/gal', amount: 2, amountUnit: 'fl oz' });
+  assertEquals(input.chemical_id, 'C012');
+  assertEquals(input.epa_reg_num, '432-1363');
+  assertEquals(input.active_ingredient, 'Beta-cyfluthrin 11.8%');
+  assertEquals(input.rate, 0.08, 'Rate is stored as a number');
+  assertEquals(input.amount, 2);
+});
+
+test('buildTreatmentInput keeps off-library products by name', () => {
+  const input = buildTreatmentInput(null, { name: ' House Surfactant ', epaRegNum: '', rate: '', amount: '' });
+  assertEquals(input.chemical_id, null);
+  assertEquals(input.name, 'House Surfactant');
+  assertEquals(input.rate, null, 'Blank rate is null');
+  assertEquals(input.amount, null);
+});
+
+console.log('\n🔗 Chemical Matching Tests:');
+
+test('resolveInputChemical prefers chemical id over name', () => {
+  const renamed = { chemical_id: 'C012', name: 'Tempo SC Ultra (old label name)' };
+  assertEquals(resolveInputChemical(renamed, CHEMICALS).id, 'C012', 'Renamed products still resolve');
+});
+
+test('resolveInputChemical falls back to EPA number, then case-insensitive name', () => {
+  assertEquals(resolveInputChemical({ name: 'Tempo', epa_reg_num: '432-1363' }, CHEMICALS).id, 'C012');
+  assertEquals(resolveInputChemical({ name: 'capsil' }, CHEMICALS).id, 'C040');
+  assertEquals(resolveInputChemical({ name: 'Unknown' }, CHEMICALS), null);
+});
+
+console.log('\n📝 Legacy Mix Text Tests:');
+
+test('parseMixText reads Mix Calculator lines', () => {
+  const inputs = parseMixText('Tempo SC Ultra: 2.00 fl oz (~59 mL) at 0.08 fl oz/gal', CHEMICALS);
+  assertEquals(inputs.length, 1);
+  assertEquals(inputs[0].chemical_id, 'C012');
+  assertEquals(inputs[0].amount, 2);
+  assertEquals(inputs[0].amount_unit, 'fl oz');
+  assertEquals(inputs[0].rate, 0.08);
+  assertEquals(inputs[0].rate_unit, 'fl oz/gal');
+  assertEquals(inputs[0].epa_reg_num, '432-1363');
+});
+
+test('parseMixText keeps free-text lines as name-only inputs', () => {
+  const inputs = parseMixText('Mystery product\n\nCapsil: 1 fl oz', CHEMICALS);
+  assertEquals(inputs.length, 2);
+  assertEquals(inputs[0].name, 'Mystery product');
+  assertEquals(inputs[0].chemical_id, null);
+  assertEquals(inputs[0].amount, null);
+  assertEquals(inputs[1].chemical_id, 'C040');
+  assertEquals(inputs[1].amount, 1);
+});
+
+test('formatInputsText round-trips through parseMixText', () => {
+  const original = [buildTreatmentInput(CHEMICALS[0], { rate: 0.08, rateUnit: 'fl oz/gal', amount: 2.5, amountUnit: 'fl oz' })];
+  const text = formatInputsText(original);
+  assertEquals(text, 'Tempo SC Ultra (EPA 432-1363): 2.5 fl oz at 0.08 fl oz/gal');
+  const parsed = parseMixText(text, CHEMICALS)[0];
+  assertEquals(parsed.name, 'Tempo SC Ultra');
+  assertEquals(parsed.chemical_id, 'C012');
+  assertEquals(parsed.amount, 2.5);
+  assertEquals(parsed.rate, 0.08);
+});
+
+test('getEntryInputs prefers stored inputs over mix text', () => {
+  const stored = [{ chemical_id: 'C040', name: 'Capsil' }];
+  assertEquals(getEntryInputs({ inputs: stored, mix: 'Tempo SC Ultra: 1 fl oz' }, CHEMICALS), stored);
+  assertEquals(getEntryInputs({ mix: 'Tempo SC Ultra: 1 fl oz' }, CHEMICALS)[0].chemical_id, 'C012');
+  assertEquals(getEntryInputs({}, CHEMICALS).length, 0);
+});
+
+console.log('\n✅ Validation Tests:');
+
+test('validateTreatmentInputs requires units for entered amounts', () => {
+  const ok = buildTreatmentInput(CHEMICALS[0], { rate: 1, rateUnit: 'fl oz/gal', amount: 2, amountUnit: 'fl oz' });
+  assertEquals(validateTreatmentInputs([ok]), null);
+  const noUnit = { ...ok, amount_unit: '' };
+  assertTruthy(validateTreatmentInputs([noUnit]).includes('unit'), 'Missing amount unit is rejected');
+  const negative = { ...ok, rate: -1 };
+  assertTruthy(validateTreatmentInputs([ok, negative]).startsWith('Product 2'), 'Error names the product row');
+});
+
+// Summary
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Test Results:`);
+console.log(`   ✓ Passed: ${passed}`);
+console.log(`   ✗ Failed: ${failed}`);
+console.log(`   Total:  ${passed + failed}`);
+
+if (failed === 0) {
+  console.log('\n✅ All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed.\n');
+  process.exit(1);
+}
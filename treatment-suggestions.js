@@ -0,0 +1,291 @@
+/**
+ * Treatment Suggestions Module
+ * Products from chemicals.js for the causes Diagnostics ranked, filtered by
+ * the plant's avoid list and blacklist and ordered for MOA rotation.
+ *
+ * A cause is mapped to the chemicals.js `targetTypes` that treat it
+ * ("Honeydew from aphids" → Insect (sucking)). Products whose label sites
+ * rule the plant out, that are blacklisted for the plant, or that carry an
+ * avoided MOA group are set aside with the reason. The rest are ranked:
+ * a specific target beats a general one, the plant's preferred products
+ * and MOA groups come first, and groups already used in the treatment log
+ * in the last 90 days drop down the list.
+ */
+
+const DEFAULT_ROTATION_DAYS = 90;
+
+// Cause text → targetTypes, most specific first. `generic` is the broad target type that also fits.
+const CAUSE_TARGET_RULES = [
+  { test: /\bmites?\b|webbing|stippl/, label: 'Mites', targets: ['Mite'], generic: 'Insects' },
+  { test: /thrips/, label: 'Thrips', targets: ['Insect (thysanoptera)'], generic: 'Insects' },
+  { test: /\bscales?\b/, label: 'Scale insects', targets: ['Insect (scale)', 'Insect (sucking)'], generic: 'Insects' },
+  { test: /aphid|whitefl|mealybug|honeydew|sooty mold|psyllid|leafhopper|sap-?(feeding|sucking)/, label: 'Sap-sucking insects', targets: ['Insect (sucking)'], generic: 'Insects' },
+  { test: /caterpillar|armyworm|hornworm|looper|chew|skeletoniz|beetle|borer|weevil/, label: 'Chewing insects', targets: ['Insect (chewing)'], generic: 'Insects' },
+  { test: /leaf ?miner/, label: 'Leafminers', targets: ['Insect (leafminer)'], generic: 'Insects' },
+  { test: /fungus gnat|shore fl|larva/, label: 'Fly larvae (fungus gnats)', targets: ['Insect (fly larva)'], generic: 'Insects' },
+  { test: /slugs?\b|snails?\b/, label: 'Slugs and snails', targets: ['Mollusc'], generic: null },
+  { test: /downy mildew|pythium|phytophthora|oomycete|water mold/, label: 'Water molds (oomycetes)', targets: ['Oomycete disease'], generic: null },
+  { test: /root rot|crown rot|root and crown|damping|fusarium|rhizoctonia|soil-?borne/, label: 'Root and crown rots', targets: ['Soil-borne fungi', 'Oomycete disease'], generic: 'Fungi' },
+  { test: /bacteri/, label: 'Bacterial diseases', targets: ['Bacterial disease complex'], generic: null },
+  { test: /powdery mildew|leaf spot|\brusts?\b|botrytis|gray mold|blight|anthracnose|canker|scab|fungal|fungi\b|fungus(?! gnat)/, label: 'Fungal diseases', targets: ['Fungal disease', 'Fungal disease complex'], generic: 'Fungi' },
+  { test: /\bweeds?\b/, label: 'Weeds', targets: ['Weeds'], generic: null }
+];
+
+// Moa utils: window.MoaUtils in the browser, required in Node
+function getSuggestionMoaUtils() {
+  if (typeof window !== 'undefined' && window.MoaUtils) return window.MoaUtils;
+  if (typeof require === 'function') return require('./moa-utils.js');
+  // In the browser there is no require(); say what is missing instead of a ReferenceError
+  throw new Error('moa-utils.js must be loaded before treatment-suggestions.js can check rotation');
+}
+
+// Treatment inputs module: window.TreatmentInputs in the browser, required in Node
+function getSuggestionTreatmentInputs() {
+  if (typeof window !== 'undefined' && window.TreatmentInputs) return window.TreatmentInputs;
+  if (typeof require === 'function') return require('./treatment-inputs.js');
+  // In the browser there is no require(); say what is missing instead of a ReferenceError
+  throw new Error('treatment-inputs.js must be loaded before treatment-suggestions.js can read the treatment log');
+}
+
+// Date utils module: window.DateUtils in the browser, required in Node
+function getSuggestionDateUtils() {
+  if (typeof window !== 'undefined' && window.DateUtils) return window.DateUtils;
+  if (typeof require === 'function') return require('./date-utils.js');
+  // In the browser there is no require(); say what is missing instead of a ReferenceError
+  throw new Error('date-utils.js must be loaded before treatment-suggestions.js can read log dates');
+}
+
+/**
+ * Target types that treat a ranked cause
+ * @param {Object} cause - Candidate from DiagnosticEngine.scoreDiagnosis (kind, name, description, likelyCauses, category)
+ * @returns {{label: string, targets: Array<string>, generic: Array<string>}} - targets empty for abiotic causes
+ */
+function getCauseTargets(cause) {
+  const text = `${cause.name || ''} ${cause.description || ''} ${cause.likelyCauses || ''}`.toLowerCase();
+  const rules = CAUSE_TARGET_RULES.filter(rule => rule.test.test(text));
+  if (rules.length) {
+    return {
+      label: rules.map(rule => rule.label).join(', '),
+      targets: [...new Set(rules.flatMap(rule => rule.targets))],
+      generic: [...new Set(rules.map(rule => rule.generic).filter(Boolean))]
+    };
+  }
+  const category = String(cause.category || '').toLowerCase();
+  if (category.includes('pest')) return { label: 'Insect pests', targets: [], generic: ['Insects'] };
+  if (category.includes('disease')) return { label: 'Fungal diseases', targets: [], generic: ['Fungi'] };
+  return { label: 'Growing conditions', targets: [], generic: [] };
+}
+
+function productTargetTypes(chem) {
+  return String(chem.targetTypes || '').split(',').map(t => t.trim()).filter(Boolean);
+}
+
+function sameText(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+// Whether a plant list entry (id, name or EPA Reg. No.) names the product
+function listNamesProduct(list, chem) {
+  return (list || []).some(item => sameText(item, chem.id) || sameText(item, chem.name) ||
+    (chem.epaRegNum && sameText(item, chem.epaRegNum)));
+}
+
+// Plant MOA list entries ("FRAC 3", "IRAC 4A", "M1") that match one of the product's groups
+function moaListMatches(list, groups) {
+  const moa = getSuggestionMoaUtils();
+  const hits = [];
+  (list || []).forEach(item => {
+    const parsed = moa.parseMoaCode(item);
+    groups.forEach(group => {
+      const matches = parsed.length
+        ? parsed.some(p => moa.moaKey(p) === group.key)
+        : moa.normalizeGroupCode(group.scheme, item) === group.group;
+      if (matches && !hits.includes(group.key)) hits.push(group.key);
+    });
+  });
+  return hits;
+}
+
+/**
+ * Why a product's label sites rule out this plant
+ * @param {Object} chem
+ * @param {Object} plant - plants.json record (categories, isEdible)
+ * @returns {string} - Empty when the label does not rule it out
+ */
+function labelSiteProblem(chem, plant) {
+  const sites = String(chem.allowedSites || '').toLowerCase();
+  const label = `${sites} ${String(chem.restrictions || '').toLowerCase()}`;
+  const categories = ((plant && plant.categories) || []).join(' ').toLowerCase();
+  if (/turf only/.test(sites) && !categories.includes('turf') && !categories.includes('grass')) return 'Label allows turf only.';
+  if (/^aquatic systems$/.test(sites.trim())) return 'Label allows aquatic sites only.';
+  if (/non-nursery/.test(sites)) return 'Label excludes nursery plants.';
+  if (plant && plant.isEdible && /not edible|no food|non-food/.test(label)) return 'Label excludes edible crops.';
+  return '';
+}
+
+/**
+ * MOA groups used in the treatment log within the rotation window
+ * @param {Array} entries - Active treatment entries
+ * @param {Array} chemicals - chemicals.js records
+ * @param {Date} [now]
+ * @param {number} [days] - Rotation window (default 90)
+ * @returns {Object} - { [moaKey]: { count, lastUsed } }
+ */
+function recentMoaUsage(entries, chemicals, now = new Date(), days = DEFAULT_ROTATION_DAYS) {
+  const since = getSuggestionDateUtils().localDateKey(new Date(now.getTime() - days * 24 * 60 * 60 * 1000));
+  const treatmentInputs = getSuggestionTreatmentInputs();
+  const moa = getSuggestionMoaUtils();
+  const usage = {};
+  (entries || []).forEach(entry => {
+    if (!entry.date || entry.date < since) return;
+    treatmentInputs.getEntryInputs(entry, chemicals).forEach(input => {
+      const chem = treatmentInputs.resolveInputChemical(input, chemicals);
+      moa.getChemicalMoaGroups(chem).forEach(group => {
+        const used = usage[group.key] || { count: 0, lastUsed: '' };
+        used.count += 1;
+        if (entry.date > used.lastUsed) used.lastUsed = entry.date;
+        usage[group.key] = used;
+      });
+    });
+  });
+  return usage;
+}
+
+/**
+ * Ranked products for each likely cause
+ * @param {Array} causes - Ranked candidates from DiagnosticEngine.scoreDiagnosis
+ * @param {Array} chemicals - chemicals.js records
+ * @param {Object} [options] - { plant (plants.json record), usage (from recentMoaUsage), maxCauses (3), limit (5 per cause), days }
+ * @returns {Array<{cause, label, targets, suggestions: Array<{chem, moa, score, reasons}>, excluded: Array<{chem, reason}>}>}
+ */
+function suggestTreatments(causes, chemicals, options = {}) {
+  const plant = options.plant || {};
+  const usage = options.usage || {};
+  const days = options.days || DEFAULT_ROTATION_DAYS;
+  const limit = options.limit || 5;
+  const moa = getSuggestionMoaUtils();
+  const groups = [];
+
+  (causes || []).forEach(cause => {
+    if (groups.length >= (options.maxCauses || 3)) return;
+    const target = getCauseTargets(cause);
+    // Two causes that call for the same products are shown once
+    if (groups.some(g => g.label === target.label)) return;
+
+    const suggestions = [];
+    const excluded = [];
+    (chemicals || []).forEach(chem => {
+      const types = productTargetTypes(chem);
+      const specific = types.some(t => target.targets.includes(t));
+      const generic = !specific && types.some(t => target.generic.includes(t));
+      if (!specific && !generic) return;
+
+      const moaGroups = moa.getChemicalMoaGroups(chem);
+      if (listNamesProduct(plant.blacklistedProducts, chem)) {
+        excluded.push({ chem, reason: 'Blacklisted for this plant.' });
+        return;
+      }
+      const avoided = moaListMatches(plant.avoidMOAGroups, moaGroups);
+      if (avoided.length) {
+        excluded.push({ chem, reason: `${avoided.join(', ')} is on this plant's avoid list.` });
+        return;
+      }
+      const siteProblem = labelSiteProblem(chem, plant);
+      if (siteProblem) {
+        excluded.push({ chem, reason: siteProblem });
+        return;
+      }
+
+      let score = specific ? 3 : 1;
+      const reasons = [specific ? `Targets ${types.filter(t => target.targets.includes(t)).join(', ')}` : `General ${types.join(', ').toLowerCase()} product`];
+      if (listNamesProduct(plant.preferredProducts, chem)) {
+        score += 3;
+        reasons.push('Preferred product for this plant');
+      }
+      const preferred = moaListMatches(plant.preferredMOAGroups, moaGroups);
+      if (preferred.length) {
+        score += 2;
+        reasons.push(`Preferred MOA ${preferred.join(', ')}`);
+      }
+
+      const used = moaGroups.filter(g => usage[g.key]);
+      if (!moaGroups.length) {
+        reasons.push('MOA not classified');
+      } else if (!used.length) {
+        score += 2;
+        reasons.push(`${moa.formatMoaGroups(moaGroups)} not used in the last ${days} days`);
+      } else {
+        used.forEach(g => {
+          score -= Math.min(usage[g.key].count, 3);
+          reasons.push(`${g.key} used ${usage[g.key].count}× in the last ${days} days (last ${usage[g.key].lastUsed}); rotate`);
+        });
+      }
+
+      suggestions.push({ chem, moa: moa.formatMoaGroups(moaGroups), score, reasons });
+    });
+
+    suggestions.sort((a, b) => b.score - a.score || a.chem.name.localeCompare(b.chem.name));
+    groups.push({ cause, label: target.label, targets: target.targets.concat(target.generic), suggestions: suggestions.slice(0, limit), excluded });
+  });
+  return groups;
+}
+
+/**
+ * Suggestions as HTML, each with an Add to Mix button
+ * @param {Array} groups - From suggestTreatments
+ * @returns {string} - HTML string
+ */
+function formatSuggestionsHTML(groups) {
+  if (!groups.length) return '';
+  let html = '<p><strong>Treatment options (check the label before use):</strong></p>';
+  groups.forEach(group => {
+    const causeName = group.cause.kind === 'pattern' ? (group.cause.likelyCauses || group.cause.description) : group.cause.name;
+    html += `<p><strong>${group.label}</strong> <span class="muted">for ${causeName}</span></p>`;
+    if (!group.targets.length) {
+      html += '<p class="muted">No product targets this cause; correct the growing conditions first.</p>';
+      return;
+    }
+    if (!group.suggestions.length) {
+      html += '<p class="muted">No product in the library fits this cause and plant.</p>';
+    } else {
+      html += '<ul>';
+      group.suggestions.forEach(s => {
+        html += `
+          <li>
+            <div><strong>${s.chem.name}</strong> <span class="muted">${s.moa}</span></div>
+            <div class="muted">${s.reasons.join(' · ')}</div>
+            <button type="button" class="btn-accent" style="margin-top:0.35rem;" onclick="addToMix('${s.chem.id}')">Add to Mix</button>
+          </li>`;
+      });
+      html += '</ul>';
+    }
+    if (group.excluded.length) {
+      html += `<p class="muted" style="font-size:0.8rem;">Left out: ${group.excluded.map(e => `${e.chem.name} (${e.reason})`).join('; ')}</p>`;
+    }
+  });
+  return html;
+}
+
+// Export functions for use in main script
+if (typeof window !== 'undefined') {
+  window.TreatmentSuggestions = {
+    getCauseTargets,
+    labelSiteProblem,
+    recentMoaUsage,
+    suggestTreatments,
+    formatSuggestionsHTML,
+    DEFAULT_ROTATION_DAYS
+  };
+}
+
+// For Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getCauseTargets,
+    labelSiteProblem,
+    recentMoaUsage,
+    suggestTreatments,
+    formatSuggestionsHTML,
+    DEFAULT_ROTATION_DAYS
+  };
+}
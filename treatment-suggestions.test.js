@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for treatment suggestions from Diagnostics causes
+ * Run with: node treatment-suggestions.test.js
+ */
+
+const {
+  getCauseTargets,
+  labelSiteProblem,
+  recentMoaUsage,
+  suggestTreatments,
+  formatSuggestionsHTML
+} = require('./treatment-suggestions.js');
+
+let passed = 0;
+let failed = 0;
+
+function test(description, fn) {
+  try {
+    fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected} but got ${actual}. ${message}`);
+  }
+}
+
+function assertTruthy(value, message = '') {
+  if (!value) {
+    throw new Error(`Expected truthy value. ${message}`);
+  }
+}
+
+// Trimmed records from chemicals.js
+const CHEMICALS = [
+  { id: 'C056', name: 'Safari', category: 'Insecticide', moa: '4A', targetTypes: 'Insect (fly larva), Insect (sucking)', allowedSites: 'See product label', epaRegNum: '86203-11-59639' },
+  { id: 'C057', name: 'Pradia', category: 'Insecticide', moa: '28+29', targetTypes: 'Insect (sucking)', allowedSites: 'See product label' },
+  { id: 'C053', name: 'Ventigra', category: 'Insecticide', moa: '9D', targetTypes: 'Insect (scale), Insect (sucking)', allowedSites: 'See product label' },
+  { id: 'C004', name: 'Bonide Systemic Insect Control', category: 'Insecticide - Systemic', moa: 'IRAC 1B', targetTypes: 'Insects', allowedSites: 'See product label' },
+  { id: 'C061', name: 'Floramite', category: 'Miticide', moa: '20D', targetTypes: 'Mite', allowedSites: 'See product label' },
+  { id: 'C040', name: 'Affirm WDG', category: 'Fungicide', moa: '19', targetTypes: 'Fungal disease', allowedSites: 'See product label' },
+  { id: 'C041', name: 'Daconil', category: 'Fungicide', moa: 'M5', targetTypes: 'Fungal disease complex', allowedSites: 'Turf only' },
+  { id: 'C045', name: 'Subdue Maxx', category: 'Fungicide', moa: '4', targetTypes: 'Oomycete disease', allowedSites: 'See product label' },
+  { id: 'C027', name: 'Brandt Indicate 5', category: 'Adjuvant - pH adjuster / wetter', moa: '', targetTypes: 'Pests', allowedSites: 'Adjuvant for most pesticide uses' }
+];
+
+const HONEYDEW = { kind: 'pattern', description: 'Sticky leaves and sooty mold on foliage.', likelyCauses: 'Honeydew from aphids or whiteflies.', category: 'Pest' };
+const MILDEW = { kind: 'disease', name: 'powdery mildew', description: '', likelyCauses: '', category: 'Disease' };
+const DROUGHT = { kind: 'pattern', description: 'Brown, crispy leaf edges.', likelyCauses: 'Drought stress or salt build-up.', category: 'Abiotic' };
+
+function names(group) {
+  return group.suggestions.map(s => s.chem.name).join(',');
+}
+
+console.log('\n🎯 Cause Target Tests:');
+
+test('Causes map to chemicals.js target types', () => {
+  assertEquals(getCauseTargets(HONEYDEW).targets.join(','), 'Insect (sucking)');
+  assertEquals(getCauseTargets({ name: 'spider mites', category: 'Pest' }).targets.join(','), 'Mite');
+  assertEquals(getCauseTargets({ name: 'root rot in wet soils', category: 'Disease' }).targets.join(','), 'Soil-borne fungi,Oomycete disease');
+  assertEquals(getCauseTargets({ name: 'fungus gnats', category: 'Pest' }).label, 'Fly larvae (fungus gnats)');
+  assertEquals(getCauseTargets(DROUGHT).targets.length, 0);
+  assertEquals(getCauseTargets({ name: 'occasional sap-sucking insects', category: 'Pest' }).label, 'Sap-sucking insects');
+});
+
+test('Label sites rule out plants the product is not for', () => {
+  assertEquals(labelSiteProblem(CHEMICALS[6], { categories: ['Shrub'] }), 'Label allows turf only.');
+  assertEquals(labelSiteProblem(CHEMICALS[6], { categories: ['Turfgrass'] }), '');
+  assertEquals(labelSiteProblem({ allowedSites: 'Ornamentals, nursery beds (not edible crops)' }, { isEdible: true }), 'Label excludes edible crops.');
+});
+
+console.log('\n🔁 Rotation Tests:');
+
+test('Recent MOA use is counted from the treatment log inside the window', () => {
+  const usage = recentMoaUsage([
+    { date: '2026-10-01', inputs: [{ chemical_id: 'C056', name: 'Safari' }] },
+    { date: '2026-09-15', mix: 'Safari' },
+    { date: '2026-03-01', inputs: [{ chemical_id: 'C057', name: 'Pradia' }] }
+  ], CHEMICALS, new Date(2026, 9, 19));
+  assertEquals(usage['IRAC 4A'].count, 2);
+  assertEquals(usage['IRAC 4A'].lastUsed, '2026-10-01');
+  assertEquals(usage['IRAC 28'], undefined, 'Older than 90 days');
+});
+
+test('The rotation window starts on the local date, not the UTC one', () => {
+  const originalTz = process.env.TZ;
+  process.env.TZ = 'America/Chicago';
+  try {
+    const evening = new Date('2026-10-20T02:30:00Z'); // Oct 19, 9:30 PM in Chicago; the window opens Jul 21 local, Jul 22 UTC
+    const usage = recentMoaUsage([{ date: '2026-07-21', inputs: [{ chemical_id: 'C056', name: 'Safari' }] }], CHEMICALS, evening);
+    assertEquals(usage['IRAC 4A'].count, 1);
+  } finally {
+    if (originalTz === undefined) delete process.env.TZ;
+    else process.env.TZ = originalTz;
+  }
+});
+
+console.log('\n🧴 Suggestion Tests:');
+
+test('Specific targets rank above general products; recently used MOAs drop below both', () => {
+  const usage = { 'IRAC 4A': { count: 2, lastUsed: '2026-10-01' } };
+  const [group] = suggestTreatments([HONEYDEW], CHEMICALS, { usage });
+  assertEquals(names(group), 'Pradia,Ventigra,Bonide Systemic Insect Control,Safari');
+  const safari = group.suggestions.find(s => s.chem.name === 'Safari');
+  assertTruthy(safari.reasons.some(r => r.includes('IRAC 4A used 2×')), safari.reasons.join(' | '));
+  assertEquals(group.suggestions.some(s => s.chem.name === 'Brandt Indicate 5'), false, 'Adjuvants are not treatments');
+});
+
+test('The plant blacklist, avoid list and preferences are honored', () => {
+  const plant = {
+    blacklistedProducts: ['pradia'],
+    avoidMOAGroups: ['IRAC 9D'],
+    preferredProducts: ['86203-11-59639'],
+    preferredMOAGroups: []
+  };
+  const [group] = suggestTreatments([HONEYDEW], CHEMICALS, { plant });
+  assertEquals(names(group), 'Safari,Bonide Systemic Insect Control');
+  assertTruthy(group.suggestions[0].reasons.includes('Preferred product for this plant'));
+  assertEquals(group.excluded.map(e => `${e.chem.name}: ${e.reason}`).join(' | '),
+    "Pradia: Blacklisted for this plant. | Ventigra: IRAC 9D is on this plant's avoid list.");
+});
+
+test('Each cause gets its own group; abiotic causes get no products', () => {
+  const groups = suggestTreatments([MILDEW, DROUGHT, HONEYDEW, HONEYDEW], CHEMICALS, { plant: { categories: ['Shrub'] } });
+  assertEquals(groups.map(g => g.label).join(' | '), 'Fungal diseases | Growing conditions | Sap-sucking insects');
+  assertEquals(names(groups[0]), 'Affirm WDG');
+  assertEquals(groups[0].excluded[0].reason, 'Label allows turf only.');
+  assertEquals(groups[1].suggestions.length, 0);
+});
+
+test('formatSuggestionsHTML links each product into the Mix Calculator', () => {
+  const html = formatSuggestionsHTML(suggestTreatments([HONEYDEW, DROUGHT], CHEMICALS));
+  assertTruthy(html.includes(`onclick="addToMix('C057')"`), html);
+  assertTruthy(html.includes('No product targets this cause'), html);
+  assertEquals(formatSuggestionsHTML([]), '');
+});
+
+// Summary
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Test Results:`);
+console.log(`   ✓ Passed: ${passed}`);
+console.log(`   ✗ Failed: ${failed}`);
+console.log(`   Total:  ${passed + failed}`);
+
+if (failed === 0) {
+  console.log('\n✅ All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed.\n');
+  process.exit(1);
+}
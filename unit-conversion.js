@@ -0,0 +1,297 @@
+/**
+ * Unit Conversion Module
+ * Unit-aware product rates for the Mix Calculator and Granular Helper.
+ *
+ * A rate is a product amount per basis, written as "<amount unit>/<basis>":
+ *   'fl oz/gal', 'oz wt/gal', 'tsp/gal', 'g/gal'    per gallon of spray
+ *   'fl oz/100 gal', 'lb/100 gal'                   per 100 gallons of spray
+ *   'pt/acre', 'oz wt/1000 sq ft', 'lb/1000 sq ft'  per area treated
+ * Amounts convert within their dimension (liquid volume or dry weight); area
+ * rates need the spray volume (gallons of spray per 1,000 sq ft) to be mixed
+ * into a tank.
+ */
+
+// Millilitres per unit of liquid volume
+const VOLUME_UNITS = {
+  'tsp': 4.92892,
+  'tbsp': 14.7868,
+  'fl oz': 29.5735,
+  'cup': 236.588,
+  'pt': 473.176,
+  'qt': 946.353,
+  'gal': 3785.41,
+  'mL': 1,
+  'L': 1000
+};
+
+// Grams per unit of dry weight
+const WEIGHT_UNITS = {
+  'g': 1,
+  'kg': 1000,
+  'oz wt': 28.3495,
+  'lb': 453.592
+};
+
+// Square feet per area basis
+const AREA_BASES = {
+  'sq ft': 1,
+  '1000 sq ft': 1000,
+  'acre': 43560
+};
+
+// Gallons of spray per spray basis
+const SPRAY_BASES = {
+  'gal': 1,
+  '100 gal': 100
+};
+
+// Spellings found on labels and in older records
+const UNIT_ALIASES = {
+  'teaspoon': 'tsp', 'teaspoons': 'tsp', 'tsps': 'tsp',
+  'tablespoon': 'tbsp', 'tablespoons': 'tbsp', 'tbsps': 'tbsp', 'tbs': 'tbsp',
+  'floz': 'fl oz', 'fl. oz': 'fl oz', 'fl oz.': 'fl oz', 'fluid oz': 'fl oz', 'fluid ounce': 'fl oz', 'fluid ounces': 'fl oz',
+  'cups': 'cup',
+  'pint': 'pt', 'pints': 'pt', 'pts': 'pt',
+  'quart': 'qt', 'quarts': 'qt', 'qts': 'qt',
+  'gallon': 'gal', 'gallons': 'gal', 'gals': 'gal',
+  'ml': 'mL', 'milliliter': 'mL', 'milliliters': 'mL',
+  'l': 'L', 'liter': 'L', 'liters': 'L',
+  'gram': 'g', 'grams': 'g',
+  'kilogram': 'kg', 'kilograms': 'kg',
+  'oz': 'oz wt', 'ozwt': 'oz wt', 'oz. wt': 'oz wt', 'oz wt.': 'oz wt', 'ounce': 'oz wt', 'ounces': 'oz wt',
+  'lbs': 'lb', 'pound': 'lb', 'pounds': 'lb',
+  'a': 'acre', 'ac': 'acre', 'acres': 'acre',
+  'm': '1000 sq ft', 'msf': '1000 sq ft', '1,000 sq ft': '1000 sq ft', '1000 sqft': '1000 sq ft', '1000 ft2': '1000 sq ft',
+  'sqft': 'sq ft', 'ft2': 'sq ft',
+  '100 gallons': '100 gal', '100gal': '100 gal'
+};
+
+/**
+ * Canonical spelling of a unit ("Pints" → "pt", "1,000 sq ft" → "1000 sq ft")
+ * @param {string} unit
+ * @returns {string}
+ */
+function normalizeUnit(unit) {
+  const text = String(unit || '').trim().replace(/\s+/g, ' ');
+  const lower = text.toLowerCase();
+  if (UNIT_ALIASES[lower]) return UNIT_ALIASES[lower];
+  const known = Object.keys(VOLUME_UNITS).concat(Object.keys(WEIGHT_UNITS), Object.keys(AREA_BASES), Object.keys(SPRAY_BASES));
+  return known.find(u => u.toLowerCase() === lower) || text;
+}
+
+/**
+ * Dimension of an amount unit
+ * @param {string} unit
+ * @returns {'volume'|'weight'|null}
+ */
+function unitKind(unit) {
+  const u = normalizeUnit(unit);
+  if (VOLUME_UNITS[u]) return 'volume';
+  if (WEIGHT_UNITS[u]) return 'weight';
+  return null;
+}
+
+/**
+ * Convert an amount between units of the same dimension
+ * @param {number} value
+ * @param {string} fromUnit
+ * @param {string} toUnit
+ * @returns {number|null} - null when the units are unknown or of different dimensions
+ */
+function convertAmount(value, fromUnit, toUnit) {
+  const from = normalizeUnit(fromUnit);
+  const to = normalizeUnit(toUnit);
+  if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+  if (VOLUME_UNITS[from] && VOLUME_UNITS[to]) return value * VOLUME_UNITS[from] / VOLUME_UNITS[to];
+  if (WEIGHT_UNITS[from] && WEIGHT_UNITS[to]) return value * WEIGHT_UNITS[from] / WEIGHT_UNITS[to];
+  return null;
+}
+
+/**
+ * Split a rate unit into its amount unit and basis
+ * @param {string} rateUnit - e.g. 'fl oz/100 gal', 'pt/acre'
+ * @returns {{amountUnit: string, kind: string, basis: string, basisType: 'spray'|'area', basisQuantity: number}|null}
+ *   basisQuantity is gallons of spray (spray) or square feet (area)
+ */
+function parseRateUnit(rateUnit) {
+  const text = String(rateUnit || '').trim();
+  const slash = text.indexOf('/');
+  const perMatch = slash === -1 ? text.match(/^(.+?)\s+per\s+(.+)$/i) : null;
+  if (slash === -1 && !perMatch) return null;
+
+  const amountUnit = normalizeUnit(perMatch ? perMatch[1] : text.slice(0, slash));
+  const basis = normalizeUnit(perMatch ? perMatch[2] : text.slice(slash + 1));
+  const kind = unitKind(amountUnit);
+  if (!kind) return null;
+
+  if (SPRAY_BASES[basis]) return { amountUnit, kind, basis, basisType: 'spray', basisQuantity: SPRAY_BASES[basis] };
+  if (AREA_BASES[basis]) return { amountUnit, kind, basis, basisType: 'area', basisQuantity: AREA_BASES[basis] };
+  return null;
+}
+
+/**
+ * Canonical rate unit string ("Pints per Acre" → "pt/acre")
+ * @param {string} rateUnit
+ * @returns {string|null}
+ */
+function normalizeRateUnit(rateUnit) {
+  const parsed = parseRateUnit(rateUnit);
+  return parsed ? `${parsed.amountUnit}/${parsed.basis}` : null;
+}
+
+/**
+ * A chemical's stored spray rate. Records carry `defaultRate` and
+ * `defaultRateUnit`; older records only have `defaultRatePerGallon`, which
+ * is always fl oz per gallon.
+ * @param {Object} chem - Chemical record
+ * @returns {{value: number, unit: string}|null}
+ */
+function getChemicalRate(chem) {
+  if (!chem) return null;
+  if (typeof chem.defaultRate === 'number' && chem.defaultRate > 0 && parseRateUnit(chem.defaultRateUnit)) {
+    return { value: chem.defaultRate, unit: normalizeRateUnit(chem.defaultRateUnit) };
+  }
+  if (typeof chem.defaultRatePerGallon === 'number' && chem.defaultRatePerGallon > 0) {
+    return { value: chem.defaultRatePerGallon, unit: 'fl oz/gal' };
+  }
+  return null;
+}
+
+/**
+ * Product needed for a tank of spray
+ * @param {{value: number, unit: string}} rate
+ * @param {number} tankGallons
+ * @param {number} sprayVolumePer1000SqFt - Gallons of spray applied per 1,000 sq ft (area rates only)
+ * @returns {{amount: number, unit: string, kind: string, coverageSqFt: number}|{error: string}}
+ */
+function amountForTank(rate, tankGallons, sprayVolumePer1000SqFt) {
+  const parsed = rate && parseRateUnit(rate.unit);
+  if (!parsed) return { error: `Unknown rate unit "${rate && rate.unit}".` };
+  if (!(tankGallons > 0)) return { error: 'Enter a valid tank size in gallons.' };
+
+  const coverageSqFt = sprayVolumePer1000SqFt > 0 ? tankGallons / sprayVolumePer1000SqFt * 1000 : null;
+  let amount;
+  if (parsed.basisType === 'spray') {
+    amount = rate.value * tankGallons / parsed.basisQuantity;
+  } else {
+    if (!coverageSqFt) return { error: 'A spray volume is needed to mix an area-based rate into a tank.' };
+    amount = rate.value * coverageSqFt / parsed.basisQuantity;
+  }
+  return { amount, unit: parsed.amountUnit, kind: parsed.kind, coverageSqFt };
+}
+
+/**
+ * Product needed to treat an area
+ * @param {{value: number, unit: string}} rate - Area-based rate
+ * @param {number} areaSqFt
+ * @returns {{amount: number, unit: string, kind: string}|{error: string}}
+ */
+function amountForArea(rate, areaSqFt) {
+  const parsed = rate && parseRateUnit(rate.unit);
+  if (!parsed) return { error: `Unknown rate unit "${rate && rate.unit}".` };
+  if (parsed.basisType !== 'area') return { error: `${rate.unit} is a spray-volume rate, not an area rate.` };
+  return { amount: rate.value * areaSqFt / parsed.basisQuantity, unit: parsed.amountUnit, kind: parsed.kind };
+}
+
+function roundTo(value, places) {
+  const f = Math.pow(10, places);
+  return Math.round(value * f) / f;
+}
+
+/**
+ * Express an amount in the units a mixer measures with: teaspoons for small
+ * liquid amounts, fl oz up to a gallon, then gallons + fl oz; grams under an
+ * ounce, oz wt under a pound, then lb + oz wt. Metric (mL or g) is included
+ * for graduated cylinders and scales.
+ * @param {number} amount
+ * @param {string} unit - Amount unit
+ * @returns {{parts: Array<{value: number, unit: string}>, metric: {value: number, unit: string}}|null}
+ */
+function toMeasuringUnits(amount, unit) {
+  const kind = unitKind(unit);
+  if (!kind || typeof amount !== 'number' || !Number.isFinite(amount)) return null;
+
+  if (kind === 'volume') {
+    const ml = convertAmount(amount, unit, 'mL');
+    // Round before splitting so 127.998 fl oz reads "1 gal", not "128 fl oz"
+    const flOz = roundTo(convertAmount(amount, unit, 'fl oz'), 2);
+    let parts;
+    if (ml < VOLUME_UNITS.tbsp) {
+      parts = [{ value: roundTo(convertAmount(amount, unit, 'tsp'), 2), unit: 'tsp' }];
+    } else if (flOz < 128) {
+      parts = [{ value: flOz, unit: 'fl oz' }];
+    } else {
+      const gal = Math.floor(flOz / 128);
+      const rest = roundTo(flOz - gal * 128, 2);
+      parts = rest > 0 ? [{ value: gal, unit: 'gal' }, { value: rest, unit: 'fl oz' }] : [{ value: gal, unit: 'gal' }];
+    }
+    return { parts, metric: { value: Math.round(ml), unit: 'mL' } };
+  }
+
+  const g = convertAmount(amount, unit, 'g');
+  const ozWt = roundTo(convertAmount(amount, unit, 'oz wt'), 2);
+  let parts;
+  if (ozWt < 1) {
+    parts = [{ value: roundTo(g, 1), unit: 'g' }];
+  } else if (ozWt < 16) {
+    parts = [{ value: ozWt, unit: 'oz wt' }];
+  } else {
+    const lb = Math.floor(ozWt / 16);
+    const rest = roundTo(ozWt - lb * 16, 2);
+    parts = rest > 0 ? [{ value: lb, unit: 'lb' }, { value: rest, unit: 'oz wt' }] : [{ value: lb, unit: 'lb' }];
+  }
+  return { parts, metric: { value: Math.round(g), unit: 'g' } };
+}
+
+/**
+ * "2 gal 12.5 fl oz (≈ 9,020 mL)"
+ * @param {number} amount
+ * @param {string} unit - Amount unit
+ * @returns {string}
+ */
+function formatMeasure(amount, unit) {
+  const measure = toMeasuringUnits(amount, unit);
+  if (!measure) return `${amount} ${unit}`;
+  const main = measure.parts.map(part => `${part.value} ${part.unit}`).join(' ');
+  return `${main} (≈ ${measure.metric.value.toLocaleString('en-US')} ${measure.metric.unit})`;
+}
+
+// Export functions for use in main script
+if (typeof window !== 'undefined') {
+  window.UnitConversion = {
+    VOLUME_UNITS,
+    WEIGHT_UNITS,
+    AREA_BASES,
+    SPRAY_BASES,
+    normalizeUnit,
+    unitKind,
+    convertAmount,
+    parseRateUnit,
+    normalizeRateUnit,
+    getChemicalRate,
+    amountForTank,
+    amountForArea,
+    toMeasuringUnits,
+    formatMeasure
+  };
+}
+
+// For Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    VOLUME_UNITS,
+    WEIGHT_UNITS,
+    AREA_BASES,
+    SPRAY_BASES,
+    normalizeUnit,
+    unitKind,
+    convertAmount,
+    parseRateUnit,
+    normalizeRateUnit,
+    getChemicalRate,
+    amountForTank,
+    amountForArea,
+    toMeasuringUnits,
+    formatMeasure
+  };
+}
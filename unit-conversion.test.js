@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the unit conversion engine (units, rate bases, mixer measures)
+ * Run with: node unit-conversion.test.js
+ */
+
+const {
+  normalizeUnit,
+  unitKind,
+  convertAmount,
+  parseRateUnit,
+  normalizeRateUnit,
+  getChemicalRate,
+  amountForTank,
+  amountForArea,
+  toMeasuringUnits,
+  formatMeasure
+} = require('./unit-conversion.js');
+
+let passed = 0;
+let failed = 0;
+
+function test(description, fn) {
+  try {
+    fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected} but got ${actual}. ${message}`);
+  }
+}
+
+function assertTruthy(value, message = '') {
+  if (!value) {
+    throw new Error(`Expected truthy value. ${message}`);
+  }
+}
+
+function assertClose(actual, expected, places = 3, message = '') {
+  if (Math.abs(actual - expected) > Math.pow(10, -places)) {
+    throw new Error(`Expected ${expected} but got ${actual}. ${message}`);
+  }
+}
+
+console.log('\n📏 Unit Tests:');
+
+test('normalizeUnit accepts label spellings', () => {
+  assertEquals(normalizeUnit('Pints'), 'pt');
+  assertEquals(normalizeUnit('fl. oz'), 'fl oz');
+  assertEquals(normalizeUnit('OZ'), 'oz wt', 'A bare ounce on a dry label is weight');
+  assertEquals(normalizeUnit('1,000 sq ft'), '1000 sq ft');
+  assertEquals(unitKind('tsp'), 'volume');
+  assertEquals(unitKind('lbs'), 'weight');
+  assertEquals(unitKind('acre'), null);
+});
+
+test('convertAmount converts within liquid volume and dry weight only', () => {
+  assertClose(convertAmount(1, 'gal', 'fl oz'), 128, 2);
+  assertClose(convertAmount(1, 'pt', 'fl oz'), 16, 2);
+  assertClose(convertAmount(6, 'tsp', 'fl oz'), 1, 2);
+  assertClose(convertAmount(1, 'lb', 'oz wt'), 16, 2);
+  assertClose(convertAmount(1, 'oz wt', 'g'), 28.3495);
+  assertEquals(convertAmount(1, 'fl oz', 'oz wt'), null, 'Volume and weight do not mix');
+  assertEquals(convertAmount(1, 'cubits', 'fl oz'), null);
+});
+
+console.log('\n🧮 Rate Tests:');
+
+test('parseRateUnit reads spray and area bases', () => {
+  const per100 = parseRateUnit('fl oz/100 gal');
+  assertEquals(per100.amountUnit, 'fl oz');
+  assertEquals(per100.basisType, 'spray');
+  assertEquals(per100.basisQuantity, 100);
+  const perAcre = parseRateUnit('Pints per Acre');
+  assertEquals(perAcre.amountUnit, 'pt');
+  assertEquals(perAcre.basisType, 'area');
+  assertEquals(perAcre.basisQuantity, 43560);
+  assertEquals(normalizeRateUnit('lbs / M'), 'lb/1000 sq ft');
+  assertEquals(parseRateUnit('fl oz'), null);
+  assertEquals(parseRateUnit('fl oz/tank'), null);
+});
+
+test('getChemicalRate prefers the unit-aware rate and falls back to fl oz/gal', () => {
+  assertEquals(JSON.stringify(getChemicalRate({ defaultRate: 4, defaultRateUnit: 'oz wt/100 gal', defaultRatePerGallon: 1 })),
+    '{"value":4,"unit":"oz wt/100 gal"}');
+  assertEquals(JSON.stringify(getChemicalRate({ defaultRatePerGallon: 1.5 })), '{"value":1.5,"unit":"fl oz/gal"}');
+  assertEquals(getChemicalRate({ defaultRatePerGallon: null }), null);
+  assertEquals(getChemicalRate({ defaultRate: 4, defaultRateUnit: 'scoops' }), null);
+});
+
+test('amountForTank scales per-gallon, per-100-gal and area rates', () => {
+  assertClose(amountForTank({ value: 2, unit: 'fl oz/gal' }, 25, 1).amount, 50);
+  assertClose(amountForTank({ value: 12, unit: 'fl oz/100 gal' }, 50, 1).amount, 6);
+  const area = amountForTank({ value: 0.5, unit: 'oz wt/1000 sq ft' }, 10, 2);
+  assertClose(area.coverageSqFt, 5000);
+  assertClose(area.amount, 2.5);
+  assertEquals(area.kind, 'weight');
+  assertTruthy(amountForTank({ value: 1, unit: 'pt/acre' }, 10, 0).error, 'Area rates need a spray volume');
+  assertTruthy(amountForTank({ value: 1, unit: 'pt/tank' }, 10, 1).error);
+});
+
+test('amountForArea only accepts area rates', () => {
+  assertClose(amountForArea({ value: 3.5, unit: 'lb/1000 sq ft' }, 5000).amount, 17.5);
+  assertClose(amountForArea({ value: 1, unit: 'qt/acre' }, 21780).amount, 0.5);
+  assertTruthy(amountForArea({ value: 1, unit: 'fl oz/gal' }, 1000).error);
+});
+
+console.log('\n🥄 Measuring Unit Tests:');
+
+test('Small liquid amounts are shown in teaspoons, large ones in gallons', () => {
+  assertEquals(formatMeasure(1.5, 'mL'), '0.3 tsp (≈ 2 mL)');
+  assertEquals(formatMeasure(62.5, 'fl oz'), '62.5 fl oz (≈ 1,848 mL)');
+  assertEquals(formatMeasure(2.5, 'pt'), '40 fl oz (≈ 1,183 mL)');
+  assertEquals(formatMeasure(140.5, 'fl oz'), '1 gal 12.5 fl oz (≈ 4,155 mL)');
+  assertEquals(formatMeasure(256, 'fl oz'), '2 gal (≈ 7,571 mL)');
+});
+
+test('Dry amounts are shown in grams, ounces or pounds', () => {
+  assertEquals(formatMeasure(0.5, 'oz wt'), '14.2 g (≈ 14 g)');
+  assertEquals(formatMeasure(0.5, 'lb'), '8 oz wt (≈ 227 g)');
+  const big = toMeasuringUnits(2.25, 'lb');
+  assertEquals(big.parts.map(p => `${p.value} ${p.unit}`).join(' '), '2 lb 4 oz wt');
+  assertEquals(toMeasuringUnits(1, 'acre'), null);
+});
+
+test('Amounts that round up to a whole gallon or pound carry into it', () => {
+  assertEquals(formatMeasure(255.999, 'fl oz'), '2 gal (≈ 7,571 mL)');
+  assertEquals(formatMeasure(127.998, 'fl oz'), '1 gal (≈ 3,785 mL)');
+  assertEquals(formatMeasure(31.999, 'oz wt'), '2 lb (≈ 907 g)');
+  assertEquals(formatMeasure(15.999, 'oz wt'), '1 lb (≈ 454 g)');
+});
+
+// Summary
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Test Results:`);
+console.log(`   ✓ Passed: ${passed}`);
+console.log(`   ✗ Failed: ${failed}`);
+console.log(`   Total:  ${passed + failed}`);
+
+if (failed === 0) {
+  console.log('\n✅ All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed.\n');
+  process.exit(1);
+}
@@ -0,0 +1,267 @@
+/**
+ * Work Order Module
+ * Printable spray work orders built from a Mix Calculator result, and the
+ * treatment log entry a completed work order turns into.
+ *
+ * A work order lists each product with its EPA registration number, the
+ * amount per full tank, partial tank and job, the mixing order, REI and PPE
+ * from the label, the target blocks, and sign-off lines for the applicator
+ * and supervisor. Orders are 'open' until the applicator completes them.
+ */
+
+// Tank mix module: window.TankMix in the browser, required in Node
+function getTankMixModule() {
+  if (typeof window !== 'undefined' && window.TankMix) return window.TankMix;
+  if (typeof require === 'function') return require('./tank-mix.js');
+  // In the browser there is no require(); say what is missing instead of a ReferenceError
+  throw new Error('tank-mix.js must be loaded before work-order.js can order the mix');
+}
+
+// Treatment inputs module: window.TreatmentInputs in the browser, required in Node
+function getTreatmentInputsModule() {
+  if (typeof window !== 'undefined' && window.TreatmentInputs) return window.TreatmentInputs;
+  if (typeof require === 'function') return require('./treatment-inputs.js');
+  // In the browser there is no require(); say what is missing instead of a ReferenceError
+  throw new Error('treatment-inputs.js must be loaded before work-order.js can complete an order');
+}
+
+// Blocks, sprayer profile and applicator names are typed by users
+function escapeOrderText(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Next number in a day's sequence: WO-20240601-1, WO-20240601-2, ...
+ * Follows the highest number issued that day, so deleting an order never
+ * hands its number out twice.
+ * @param {Array<Object>} orders - Saved work orders
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+function nextWorkOrderNumber(orders, date) {
+  const prefix = `WO-${date.replace(/-/g, '')}-`;
+  const highest = (orders || []).reduce((max, order) => {
+    const number = String(order.number || '');
+    if (!number.startsWith(prefix)) return max;
+    const n = parseInt(number.slice(prefix.length), 10);
+    return n > max ? n : max;
+  }, 0);
+  return prefix + (highest + 1);
+}
+
+function measureOf(items, id) {
+  const item = (items || []).find(i => i.id === id && i.hasStoredRate);
+  return item ? item.measure : '';
+}
+
+/**
+ * Build a work order from a Mix Calculator result
+ * @param {Object} mix - lastMixCalc: { area, tank, sprayVol, sprayer, estimatedCoverageSqFt, fullTanks,
+ *   partialTankGallons, perTankItems, partialTankItems, mixItems (job totals) }
+ * @param {Array} chems - Chemical records in the tank
+ * @param {Object} options - { id, number, createdAt }
+ * @returns {Object} - Work order
+ */
+function buildWorkOrder(mix, chems, options) {
+  const products = chems.map(chem => {
+    const total = (mix.mixItems || []).find(item => item.id === chem.id && item.hasStoredRate);
+    return {
+      id: chem.id,
+      name: chem.name,
+      epaRegNum: chem.epaRegNum || '',
+      actives: chem.actives || '',
+      rate: total ? total.rate : null,
+      rateUnit: total ? total.rateUnit : '',
+      perTank: measureOf(mix.perTankItems, chem.id),
+      partialTank: measureOf(mix.partialTankItems, chem.id),
+      total: total ? { amount: total.amount, amountUnit: total.amountUnit, measure: total.measure } : null,
+      rei: chem.rei || '',
+      ppe: chem.ppe || '',
+      restrictions: chem.restrictions || ''
+    };
+  });
+
+  return {
+    id: options.id,
+    number: options.number,
+    createdAt: options.createdAt,
+    status: 'open',
+    area: mix.area || '',
+    tankSize: mix.tank,
+    sprayVolume: mix.sprayVol,
+    sprayer: mix.sprayer || '',
+    coverageSqFt: mix.estimatedCoverageSqFt,
+    fullTanks: mix.fullTanks,
+    partialTankGallons: mix.partialTankGallons || 0,
+    products,
+    mixingOrder: getTankMixModule().getMixingOrder(chems),
+    completion: null
+  };
+}
+
+/**
+ * Fields of the treatment log entry for a completed work order
+ * @param {Object} order - Work order
+ * @param {Object} completion - { date, time, applicator, supervisor, area, notes }
+ * @returns {Object} - { date, time, area, crop, tankSize, sprayer, sprayVolume, coverage, inputs, mix, notes } or { error }
+ */
+function workOrderToTreatmentEntry(order, completion) {
+  const date = (completion.date || '').trim();
+  const applicator = (completion.applicator || '').trim();
+  if (!date) return { error: 'Enter the date the work order was applied.' };
+  if (!applicator) return { error: 'Enter the applicator who completed the work order.' };
+
+  const treatmentInputs = getTreatmentInputsModule();
+  const inputs = order.products
+    .filter(product => product.total)
+    // The product carries the id, name, EPA number and actives the input needs from the chemical record
+    .map(product => treatmentInputs.buildTreatmentInput(product, {
+      rate: product.rate,
+      rateUnit: product.rateUnit,
+      amount: Number(product.total.amount.toFixed(2)),
+      amountUnit: product.total.amountUnit
+    }));
+
+  const supervisor = (completion.supervisor || '').trim();
+  const signOff = `Work order ${order.number}: applied by ${applicator}${supervisor ? `, supervised by ${supervisor}` : ''}.`;
+  const notes = (completion.notes || '').trim();
+
+  return {
+    date,
+    time: (completion.time || '').trim(),
+    area: (completion.area || '').trim() || order.area,
+    crop: '',
+    tankSize: String(order.tankSize),
+    sprayer: order.sprayer,
+    sprayVolume: String(Number(order.sprayVolume.toFixed(3))),
+    coverage: order.coverageSqFt.toFixed(0),
+    inputs,
+    mix: treatmentInputs.formatInputsText(inputs),
+    notes: notes ? `${signOff} ${notes}` : signOff
+  };
+}
+
+/**
+ * Print-ready work order as HTML
+ * @param {Object} order - Work order
+ * @returns {string} - HTML string
+ */
+function formatWorkOrderHTML(order) {
+  const created = order.createdAt ? order.createdAt.slice(0, 10) : '';
+  const tanks = [];
+  if (order.fullTanks > 0) tanks.push(`${order.fullTanks} full tank${order.fullTanks === 1 ? '' : 's'} of ${order.tankSize} gal`);
+  if (order.partialTankGallons > 0) tanks.push(`1 partial tank of ${order.partialTankGallons} gal`);
+  const hasPartial = order.products.some(p => p.partialTank);
+
+  let html = `
+    <article class="work-order">
+      <header class="work-order-header">
+        <h2>Spray Work Order ${order.number}</h2>
+        <p>Created ${created} · ${order.status === 'completed' ? 'Completed' : 'Open'}</p>
+      </header>
+
+      <dl class="work-order-details">
+        <dt>Target blocks</dt><dd>${escapeOrderText(order.area) || '________________________'}</dd>
+        <dt>Tanks</dt><dd>${tanks.join(' + ') || `${order.tankSize} gal`}</dd>
+        <dt>Spray volume</dt><dd>${Number(order.sprayVolume.toFixed(3))} gal per 1,000 sq ft</dd>
+        <dt>Coverage</dt><dd>${order.coverageSqFt.toFixed(0)} sq ft</dd>
+        ${order.sprayer ? `<dt>Sprayer</dt><dd>${escapeOrderText(order.sprayer)}</dd>` : ''}
+      </dl>
+
+      <table class="work-order-table">
+        <thead>
+          <tr>
+            <th>Product</th>
+            <th>EPA Reg. No.</th>
+            <th>Rate</th>
+            <th>Per full tank</th>
+            ${hasPartial ? '<th>Partial tank</th>' : ''}
+            <th>Job total</th>
+            <th>REI</th>
+            <th>PPE</th>
+          </tr>
+        </thead>
+        <tbody>
+  `;
+  order.products.forEach(p => {
+    html += `
+          <tr>
+            <td>${p.name}</td>
+            <td>${p.epaRegNum || 'See label'}</td>
+            <td>${p.rate !== null ? `${p.rate} ${p.rateUnit}` : 'See label'}</td>
+            <td>${p.perTank || '–'}</td>
+            ${hasPartial ? `<td>${p.partialTank || '–'}</td>` : ''}
+            <td>${p.total ? p.total.measure : 'See label'}</td>
+            <td>${p.rei || 'See label'}</td>
+            <td>${p.ppe || 'Not on record'}</td>
+          </tr>
+    `;
+  });
+  html += `
+        </tbody>
+      </table>
+  `;
+
+  // The PPE column is only as good as the catalog; say so rather than print a blank
+  const noPpe = order.products.filter(p => !p.ppe).map(p => p.name);
+  if (noPpe.length) {
+    html += `
+      <p class="work-order-ppe-missing"><strong>PPE not on record</strong> for ${noPpe.join(', ')}.
+        Write in the PPE from the label's Personal Protective Equipment section before mixing.</p>
+    `;
+  }
+
+  html += `
+
+      <h3>Mixing order</h3>
+      <ol class="work-order-steps">
+        ${order.mixingOrder.map(item => `<li>${item.step}${item.products.length ? `: ${item.products.join(', ')}` : ''}</li>`).join('')}
+      </ol>
+  `;
+
+  const restrictions = order.products.filter(p => p.restrictions);
+  if (restrictions.length) {
+    html += `
+      <h3>Label restrictions</h3>
+      <ul>${restrictions.map(p => `<li>${p.name}: ${p.restrictions}</li>`).join('')}</ul>
+    `;
+  }
+
+  const done = order.completion || {};
+  const line = value => escapeOrderText(value) || '________________________';
+  html += `
+      <h3>Sign-off</h3>
+      <div class="work-order-signoff">
+        <p><strong>Applicator:</strong> ${line(done.applicator)} &nbsp; Signature: ________________ &nbsp; Date: ${line(done.date)}</p>
+        <p>Start time: ________ &nbsp; Finish time: ________ &nbsp; Wind / weather: ____________________</p>
+        <p><strong>Supervisor:</strong> ${line(done.supervisor)} &nbsp; Signature: ________________ &nbsp; Date: ____________</p>
+      </div>
+      <p class="work-order-footer">Follow the product label; the label is the law. Post the treated blocks until the REI has passed.</p>
+    </article>
+  `;
+  return html;
+}
+
+// Export functions for use in main script
+if (typeof window !== 'undefined') {
+  window.WorkOrder = {
+    nextWorkOrderNumber,
+    buildWorkOrder,
+    workOrderToTreatmentEntry,
+    formatWorkOrderHTML
+  };
+}
+
+// For Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    nextWorkOrderNumber,
+    buildWorkOrder,
+    workOrderToTreatmentEntry,
+    formatWorkOrderHTML
+  };
+}
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for spray work orders built from Mix Calculator results
+ * Run with: node work-order.test.js
+ */
+
+const {
+  nextWorkOrderNumber,
+  buildWorkOrder,
+  workOrderToTreatmentEntry,
+  formatWorkOrderHTML
+} = require('./work-order.js');
+const { calculateAreaMix } = require('./calculators-utils.js');
+const fs = require('fs');
+const vm = require('vm');
+
+// chemicals.js is a browser script (window.chemicals); evaluate it in a sandbox
+const CATALOG = vm.runInNewContext(`${fs.readFileSync(`${__dirname}/chemicals.js`, 'utf8')}\nchemicals;`, {});
+
+let passed = 0;
+let failed = 0;
+
+function test(description, fn) {
+  try {
+    fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected ${expected} but got ${actual}. ${message}`);
+  }
+}
+
+function assertTruthy(value, message = '') {
+  if (!value) {
+    throw new Error(`Expected truthy value. ${message}`);
+  }
+}
+
+// Trimmed records from chemicals.js
+const TEMPO = {
+  id: 'C012', name: 'Tempo SC Ultra', category: 'Insecticide', type: 'Concentrate', actives: 'beta-cyfluthrin 11.8%',
+  epaRegNum: '432-1363', rei: '12', restrictions: 'Do not apply to water', defaultRate: 0.08, defaultRateUnit: 'fl oz/gal',
+  ppe: 'Long sleeves, long pants, chemical-resistant gloves'
+};
+const PROTECT = {
+  id: 'C035', name: 'Protect DF', category: 'Fungicide', type: 'Concentrate', actives: 'Mancozeb',
+  epaRegNum: '70506-16', rei: '24', restrictions: '', defaultRate: 1, defaultRateUnit: 'lb/100 gal'
+};
+const NO_RATE = { id: 'C099', name: 'Label-only product', category: 'Fungicide', type: 'Concentrate', mixRate: 'See label' };
+
+// The same shape runMixCalculator stores in lastMixCalc for an area plan
+function mixFor(chems) {
+  const plan = calculateAreaMix({ areaSqFt: 60000, sprayVolumePer1000SqFt: 2, tankSizeGallons: 50 }, chems);
+  return {
+    area: 'Block A',
+    tank: 50,
+    sprayVol: 2,
+    sprayer: 'Backpack 1',
+    estimatedCoverageSqFt: plan.areaSqFt,
+    fullTanks: plan.fullTanks,
+    partialTankGallons: plan.partialTankGallons,
+    perTankItems: plan.perTank.mixItems,
+    partialTankItems: plan.partialTank.mixItems,
+    mixItems: plan.totals.mixItems.filter(item => item.hasStoredRate)
+  };
+}
+
+const OPTIONS = { id: 'wo-1', number: 'WO-20240601-1', createdAt: '2024-06-01T08:00:00.000Z' };
+
+console.log('\n📝 Work Order Tests:');
+
+test('buildWorkOrder lists amounts per tank, per partial tank and for the job', () => {
+  const order = buildWorkOrder(mixFor([PROTECT, TEMPO]), [PROTECT, TEMPO], OPTIONS);
+  assertEquals(order.status, 'open');
+  assertEquals(order.fullTanks, 2);
+  assertEquals(order.partialTankGallons, 20);
+  const tempo = order.products.find(p => p.id === 'C012');
+  assertEquals(tempo.epaRegNum, '432-1363');
+  assertTruthy(tempo.perTank.startsWith('4 fl oz'), tempo.perTank);
+  assertEquals(tempo.total.amount, 9.6);
+  assertEquals(order.mixingOrder[1].products.join(), 'Protect DF', 'Dry products go in first');
+});
+
+test('Products without a stored rate stay on the order without amounts', () => {
+  const order = buildWorkOrder(mixFor([TEMPO, NO_RATE]), [TEMPO, NO_RATE], OPTIONS);
+  const noRate = order.products.find(p => p.id === 'C099');
+  assertEquals(noRate.total, null);
+  assertTruthy(formatWorkOrderHTML(order).includes('<td>Label-only product</td>'));
+});
+
+test('formatWorkOrderHTML prints REI, PPE, restrictions and sign-off lines', () => {
+  const html = formatWorkOrderHTML(buildWorkOrder(mixFor([PROTECT, TEMPO]), [PROTECT, TEMPO], OPTIONS));
+  assertTruthy(html.includes('Spray Work Order WO-20240601-1'));
+  assertTruthy(html.includes('2 full tanks of 50 gal + 1 partial tank of 20 gal'), 'Tank plan');
+  assertTruthy(html.includes('Long sleeves, long pants'), 'PPE from the record');
+  assertTruthy(html.includes('<td>Not on record</td>'), 'Missing PPE is called out');
+  assertTruthy(html.includes('<strong>PPE not on record</strong> for Protect DF.'), html);
+  assertTruthy(html.includes('Tempo SC Ultra: Do not apply to water'));
+  assertTruthy(html.includes('<strong>Applicator:</strong> ____'));
+  assertTruthy(html.includes('<strong>Supervisor:</strong>'));
+});
+
+test('Work orders print the label PPE stored on catalog products', () => {
+  const chems = ['C009', 'C024'].map(id => CATALOG.find(chem => chem.id === id));
+  const html = formatWorkOrderHTML(buildWorkOrder(mixFor(chems), chems, OPTIONS));
+  assertTruthy(html.includes(`<td>${chems[1].ppe}</td>`), html);
+  assertTruthy(chems[0].ppe.includes('shoes plus socks'));
+  assertEquals(html.includes('PPE not on record'), false);
+});
+
+test('formatWorkOrderHTML escapes typed blocks and sprayer names', () => {
+  const mix = { ...mixFor([TEMPO]), area: 'Block <A>', sprayer: '<img src=x onerror=alert(1)>' };
+  const html = formatWorkOrderHTML(buildWorkOrder(mix, [TEMPO], OPTIONS));
+  assertTruthy(html.includes('<dd>Block &lt;A&gt;</dd>'), html);
+  assertEquals(html.includes('<img'), false);
+});
+
+test('Order numbers follow the highest issued that day, so deletions never reuse one', () => {
+  assertEquals(nextWorkOrderNumber([], '2024-06-01'), 'WO-20240601-1');
+  const orders = [{ number: 'WO-20240601-1' }, { number: 'WO-20240601-3' }, { number: 'WO-20240531-7' }];
+  assertEquals(nextWorkOrderNumber(orders, '2024-06-01'), 'WO-20240601-4', 'Order 2 was deleted');
+  assertEquals(nextWorkOrderNumber(orders, '2024-06-02'), 'WO-20240602-1');
+});
+
+console.log('\n📋 Completion Tests:');
+
+test('A completed work order becomes a treatment entry with structured inputs', () => {
+  const order = buildWorkOrder(mixFor([PROTECT, TEMPO]), [PROTECT, TEMPO], OPTIONS);
+  const entry = workOrderToTreatmentEntry(order, { date: '2024-06-02', time: '09:30', applicator: 'Sam', supervisor: 'Lee', notes: 'Calm, 70°F' });
+  assertEquals(entry.time, '09:30');
+  assertEquals(entry.area, 'Block A');
+  assertEquals(entry.coverage, '60000');
+  assertEquals(entry.sprayer, 'Backpack 1');
+  assertEquals(entry.inputs.length, 2);
+  assertEquals(entry.inputs[1].chemical_id, 'C012');
+  assertEquals(entry.inputs[1].epa_reg_num, '432-1363');
+  assertEquals(entry.inputs[1].amount, 9.6);
+  assertEquals(entry.notes, 'Work order WO-20240601-1: applied by Sam, supervised by Lee. Calm, 70°F');
+  assertTruthy(entry.mix.includes('Tempo SC Ultra'));
+});
+
+test('Completion needs a date and an applicator; the treated blocks can change', () => {
+  const order = buildWorkOrder(mixFor([TEMPO]), [TEMPO], OPTIONS);
+  assertTruthy(workOrderToTreatmentEntry(order, { date: '', applicator: 'Sam' }).error);
+  assertTruthy(workOrderToTreatmentEntry(order, { date: '2024-06-02', applicator: ' ' }).error);
+  assertEquals(workOrderToTreatmentEntry(order, { date: '2024-06-02', applicator: 'Sam', area: 'Block B' }).area, 'Block B');
+
+  const completed = { ...order, status: 'completed', completion: { date: '2024-06-02', applicator: 'Sam' } };
+  assertTruthy(formatWorkOrderHTML(completed).includes('<strong>Applicator:</strong> Sam'));
+});
+
+// Summary
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Test Results:`);
+console.log(`   ✓ Passed: ${passed}`);
+console.log(`   ✗ Failed: ${failed}`);
+console.log(`   Total:  ${passed + failed}`);
+
+if (failed === 0) {
+  console.log('\n✅ All tests passed!\n');
+  process.exit(0);
+} else {
+  console.log('\n❌ Some tests failed.\n');
+  process.exit(1);
+}